@@ -6,11 +6,13 @@ const morgan = require('morgan');
 const config = require('./config/environment');
 const logger = require('./utils/logger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/auth');
 
 // Import routes
 const sessionRoutes = require('./routes/sessionRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const geminiRoutes = require('./routes/geminiRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
 
 // Create Express app
 const app = express();
@@ -65,9 +67,14 @@ app.use((req, res, next) => {
 });
 
 // API routes
-app.use('/api/session', sessionRoutes);
+app.use('/api/session', authenticate, sessionRoutes);
 app.use('/api/health', healthRoutes);
-app.use('/api/gemini', geminiRoutes);
+app.use('/api/gemini', authenticate, geminiRoutes);
+
+// Prometheus scrape endpoint
+if (config.metrics.enabled) {
+  app.use('/metrics', metricsRoutes);
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -79,6 +86,7 @@ app.get('/', (req, res) => {
       health: '/api/health',
       sessions: '/api/session',
       gemini: '/api/gemini',
+      metrics: config.metrics.enabled ? '/metrics' : undefined,
       websocket: `ws${config.server.env === 'production' ? 's' : ''}://${req.get('host')}`
     },
     documentation: {
@@ -1,5 +1,6 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const os = require('os');
 
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') });
@@ -11,6 +12,16 @@ class EnvironmentConfig {
   }
 
   validateRequiredEnvVars() {
+    // The offline mock transport does not talk to Google, so no key is needed
+    if (process.env.GEMINI_TRANSPORT === 'mock') {
+      return;
+    }
+
+    // Keys loaded from a file or secrets directory are checked when the key pool reads them
+    if (process.env.GEMINI_API_KEYS_FILE || process.env.GEMINI_API_KEYS_DIR) {
+      return;
+    }
+
     // Check if at least one API key is available
     const availableKeys = [
       process.env.GEMINI_API_KEY,
@@ -20,7 +31,7 @@ class EnvironmentConfig {
     ].filter(key => key && key.trim() !== '');
 
     if (availableKeys.length === 0) {
-      throw new Error('Missing required environment variables: At least one of GEMINI_API_KEY, BACKUP_KEY, BACKUP_KEY_ONE, or BACKUP_KEY_TWO must be set');
+      throw new Error('Missing required environment variables: At least one of GEMINI_API_KEY, BACKUP_KEY, BACKUP_KEY_ONE, BACKUP_KEY_TWO, GEMINI_API_KEYS_FILE or GEMINI_API_KEYS_DIR must be set');
     }
   }
 
@@ -33,9 +44,16 @@ class EnvironmentConfig {
           process.env.BACKUP_KEY_ONE,
           process.env.BACKUP_KEY_TWO
         ].filter(key => key && key.trim() !== ''),
+        keysFile: process.env.GEMINI_API_KEYS_FILE || null, // One key per line, # comments allowed
+        keysDir: process.env.GEMINI_API_KEYS_DIR || null, // Mounted secrets: one key per file
         model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-live-001',
         maxTokens: parseInt(process.env.GEMINI_MAX_TOKENS) || 2048,
         temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || 0.7,
+        transport: process.env.GEMINI_TRANSPORT || 'google', // 'google' or 'mock' (offline)
+        mockScript: process.env.GEMINI_MOCK_SCRIPT || null, // JSON script for the mock transport
+        languageCode: process.env.GEMINI_LANGUAGE_CODE || 'en-US', // Spoken language when the client sets none
+        // 'manual' sends explicit activityStart/activityEnd; 'auto' leaves turn detection to Gemini's VAD
+        activityDetection: process.env.GEMINI_ACTIVITY_DETECTION === 'auto' ? 'auto' : 'manual',
       },
       // Gemini 2.5 TTS is free and uses the same API key
       tts: {
@@ -51,15 +69,125 @@ class EnvironmentConfig {
         origin: process.env.CORS_ORIGIN || '*',
         credentials: true,
       },
+      auth: {
+        required: process.env.AUTH_REQUIRED === 'true', // Reject anonymous connections
+        jwtSecret: process.env.JWT_SECRET || null, // HMAC secret for HS256/384/512 tokens
+        jwtIssuer: process.env.JWT_ISSUER || null,
+        // Static API keys per tenant: "tenantA:keyA,tenantB:keyB"
+        apiKeys: (process.env.AUTH_API_KEYS || '')
+          .split(',')
+          .map(entry => entry.trim())
+          .filter(entry => entry.includes(':'))
+          .map(entry => {
+            const separator = entry.indexOf(':');
+            return { tenantId: entry.slice(0, separator), key: entry.slice(separator + 1) };
+          }),
+        // Admin API keys with roles: "name:key:role" where role is viewer, operator or owner
+        adminKeys: [
+          ...(process.env.ADMIN_KEY ? [`admin:${process.env.ADMIN_KEY}:owner`] : []),
+          ...(process.env.ADMIN_API_KEYS || '').split(',')
+        ]
+          .map(entry => entry.trim().split(':'))
+          .filter(parts => parts.length === 3 && parts.every(part => part !== ''))
+          .map(([name, key, role]) => ({ name, key, role })),
+      },
+      keyPool: {
+        cooldownMs: parseInt(process.env.API_KEY_COOLDOWN_MS) || 60000, // First cooldown after a quota error
+        maxCooldownMs: parseInt(process.env.API_KEY_MAX_COOLDOWN_MS) || 15 * 60 * 1000, // Repeated cooldowns double up to this
+        failureThreshold: parseInt(process.env.API_KEY_FAILURE_THRESHOLD) || 3, // Consecutive errors that cool a key down
+        errorWindow: parseInt(process.env.API_KEY_ERROR_WINDOW) || 20, // Recent outcomes a key's error rate is taken over
+        // Re-read the keys file and directory this often (0 disables)
+        reloadMs: process.env.API_KEY_RELOAD_MS === '0' ? 0 : parseInt(process.env.API_KEY_RELOAD_MS) || 60000,
+      },
+      sessionStore: {
+        backend: process.env.SESSION_STORE || 'memory', // 'memory' or 'file'
+        dir: process.env.SESSION_STORE_DIR || path.join(__dirname, '../../data/sessions'), // File backend only
+        retentionMs: (parseFloat(process.env.SESSION_RETENTION_HOURS) || 72) * 60 * 60 * 1000, // Ended sessions
+      },
+      cluster: {
+        nodeId: process.env.CLUSTER_NODE_ID || `${os.hostname()}-${process.pid}`,
+        registry: process.env.CLUSTER_REGISTRY || 'local', // 'local' (this process only) or 'redis'
+        adapter: process.env.SOCKET_ADAPTER || 'memory', // Socket.IO adapter: 'memory' or 'redis'
+        redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+        keyPrefix: process.env.CLUSTER_KEY_PREFIX || 'sova',
+        heartbeatMs: parseInt(process.env.CLUSTER_HEARTBEAT_MS) || 10000,
+        nodeTtlMs: parseInt(process.env.CLUSTER_NODE_TTL_MS) || 30000, // Nodes silent this long are considered gone
+        requestTimeoutMs: parseInt(process.env.CLUSTER_REQUEST_TIMEOUT_MS) || 5000, // Requests forwarded to other nodes
+        stickyCookie: process.env.CLUSTER_STICKY_COOKIE || 'sova_node', // Names this node for cookie-based load balancers
+      },
+      metrics: {
+        enabled: process.env.METRICS_ENABLED !== 'false', // GET /metrics in the Prometheus text format
+        token: process.env.METRICS_TOKEN || null, // When set, scrapers must send it as a Bearer token
+      },
+      tracing: {
+        exporter: process.env.TRACE_EXPORTER || 'none', // none, file, otlp - per-session summaries are always kept
+        file: process.env.TRACE_FILE || 'logs/traces.jsonl', // One OTLP/JSON export request per line
+        otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318', // Spans go to /v1/traces
+        serviceName: process.env.OTEL_SERVICE_NAME || 'sova-server',
+        batchSize: parseInt(process.env.TRACE_BATCH_SIZE) || 50, // Turns buffered before a collector export
+        flushIntervalMs: parseInt(process.env.TRACE_FLUSH_INTERVAL_MS) || 5000,
+        timeoutMs: parseInt(process.env.TRACE_EXPORT_TIMEOUT_MS) || 10000,
+        latencyTargetMs: parseInt(process.env.LATENCY_TARGET_MS) || 1500, // End of user turn to first audio at the client
+      },
+      audit: {
+        file: process.env.AUDIT_LOG_FILE || 'logs/audit.log',
+        memoryLimit: parseInt(process.env.AUDIT_LOG_MEMORY_LIMIT) || 500, // Entries kept for get-audit-log
+      },
       websocket: {
         pingTimeout: parseInt(process.env.WS_PING_TIMEOUT) || 60000,
         pingInterval: parseInt(process.env.WS_PING_INTERVAL) || 25000,
         maxPayload: parseInt(process.env.WS_MAX_PAYLOAD) || 10 * 1024 * 1024, // 10MB
+        // Sessions outlive a dropped socket for this long, so a reconnecting client can resume them
+        resume: process.env.SESSION_RESUME !== 'false',
+        resumeGraceMs: parseInt(process.env.SESSION_RESUME_GRACE_MS) || 30000,
       },
       audio: {
         sampleRate: parseInt(process.env.AUDIO_SAMPLE_RATE) || 16000,
         channels: parseInt(process.env.AUDIO_CHANNELS) || 1,
         bitDepth: parseInt(process.env.AUDIO_BIT_DEPTH) || 16,
+        outputSampleRate: parseInt(process.env.GEMINI_OUTPUT_SAMPLE_RATE) || 24000, // Gemini Live returns 24 kHz PCM
+      },
+      delivery: {
+        leadMs: parseInt(process.env.AUDIO_DELIVERY_LEAD_MS) || 400, // Audio sent ahead of playback (jitter buffer)
+        maxInFlight: parseInt(process.env.AUDIO_DELIVERY_MAX_IN_FLIGHT) || 8, // Unacknowledged chunks allowed
+        ackTimeoutMs: parseInt(process.env.AUDIO_DELIVERY_ACK_TIMEOUT_MS) || 2000,
+        lateToleranceMs: parseInt(process.env.AUDIO_DELIVERY_LATE_TOLERANCE_MS) || 20,
+      },
+      context: {
+        maxTurns: parseInt(process.env.CONTEXT_MAX_TURNS) || 40, // Turns replayed verbatim after a reconnect
+        maxSummaryChars: parseInt(process.env.CONTEXT_MAX_SUMMARY_CHARS) || 4000, // Summary of older turns
+        resumption: process.env.GEMINI_SESSION_RESUMPTION !== 'false', // Resume with server handles when possible
+        // Sliding-window compression keeps long calls inside the model's context window. Off by default, so
+        // sessions get limit warnings; sessions can still opt in with contextCompression
+        compression: process.env.CONTEXT_COMPRESSION === 'true',
+        compressionTriggerTokens: parseInt(process.env.CONTEXT_COMPRESSION_TRIGGER_TOKENS) || 25600,
+        compressionTargetTokens: parseInt(process.env.CONTEXT_COMPRESSION_TARGET_TOKENS) || 12800,
+        windowTokens: parseInt(process.env.CONTEXT_WINDOW_TOKENS) || 32768, // Context window of the Live model
+        warningRatio: parseFloat(process.env.CONTEXT_WARNING_RATIO) || 0.8, // Warn clients at this share of it
+        // Without compression the Live API ends audio sessions after 15 minutes
+        uncompressedLimitMs: parseInt(process.env.LIVE_SESSION_LIMIT_MS) || 15 * 60 * 1000,
+        limitWarningMs: parseInt(process.env.LIVE_SESSION_WARNING_MS) || 60 * 1000, // Warning lead time
+      },
+      vad: {
+        enabled: process.env.VAD_ENABLED === 'true', // Clients may still opt in per session
+        frameMs: parseInt(process.env.VAD_FRAME_MS) || 20,
+        energyThreshold: parseFloat(process.env.VAD_ENERGY_THRESHOLD) || 0.01, // RMS on a 0..1 scale
+        noiseMultiplier: parseFloat(process.env.VAD_NOISE_MULTIPLIER) || 3, // Speech must clear the noise floor by this factor
+        maxZeroCrossingRate: parseFloat(process.env.VAD_MAX_ZCR) || 0.35, // Quiet frames above this are treated as hiss
+        minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS) || 150,
+        hangoverMs: parseInt(process.env.VAD_HANGOVER_MS) || 700,
+        prerollMs: parseInt(process.env.VAD_PREROLL_MS) || 300,
+      },
+      prompts: {
+        dir: process.env.PROMPTS_DIR || path.join(__dirname, '../../prompts'), // Persona markdown files
+        defaultPersona: process.env.DEFAULT_PERSONA || 'sova-revolt',
+      },
+      tools: {
+        // Tools sessions may use: "find_dealers,get_bike_specs" (unset means every registered tool)
+        enabled: process.env.TOOLS_ENABLED
+          ? process.env.TOOLS_ENABLED.split(',').map(name => name.trim()).filter(Boolean)
+          : null,
+        timeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS) || 5000, // Per call, unless the tool sets its own
       },
       logging: {
         level: process.env.LOG_LEVEL || 'info',
@@ -0,0 +1,16 @@
+const authService = require('../services/AuthService');
+
+// Authenticate REST requests with a Bearer JWT or X-API-Key header
+// JWT failures reach errorHandler as JsonWebTokenError / TokenExpiredError
+const authenticate = (req, res, next) => {
+  try {
+    req.identity = authService.authenticate(authService.getRequestCredentials(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate
+};
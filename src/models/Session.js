@@ -6,15 +6,22 @@ class Session {
     this.id = uuidv4();
     this.socketId = socketId;
     this.userId = userId;
-    this.status = 'initialized'; // initialized, active, interrupted, ended
+    this.status = 'initialized'; // initialized, active, interrupted, suspended, ended
     this.createdAt = new Date();
     this.lastActivity = new Date();
+    this.endedAt = null;
     this.metadata = {
-      language: 'en',
-      audioFormat: 'webm',
+      language: 'en', // Detected from the first utterance, else the requested language
+      languageCode: null, // BCP-47 code the session asked Gemini to speak
+      languageDetected: false,
+      audioFormat: 'pcm16',
+      outputFormat: 'wav',
+      persona: null, // "id@version" of the persona prompt
       interruptions: 0,
       totalDuration: 0,
-      messageCount: 0
+      messageCount: 0,
+      authMethod: 'anonymous', // anonymous, jwt, api-key
+      tenantId: null
     };
     this.geminiSession = null; // Will hold Gemini session reference
     this.audioBuffer = []; // Buffer for audio chunks
@@ -24,7 +31,7 @@ class Session {
 
   // Update session status
   updateStatus(status) {
-    const validStatuses = ['initialized', 'active', 'interrupted', 'ended'];
+    const validStatuses = ['initialized', 'active', 'interrupted', 'suspended', 'ended'];
     if (!validStatuses.includes(status)) {
       throw new Error(`Invalid status: ${status}`);
     }
@@ -74,7 +81,8 @@ class Session {
       duration: this.getDuration(),
       metadata: this.metadata,
       createdAt: this.createdAt,
-      lastActivity: this.lastActivity
+      lastActivity: this.lastActivity,
+      endedAt: this.endedAt
     };
   }
 
@@ -88,6 +96,7 @@ class Session {
       metadata: this.metadata,
       createdAt: this.createdAt,
       lastActivity: this.lastActivity,
+      endedAt: this.endedAt,
       conversationHistory: this.conversationHistory
     };
   }
@@ -1,31 +1,21 @@
 const express = require('express');
 const router = express.Router();
+const config = require('../config/environment');
 const logger = require('../utils/logger');
+const apiKeyPool = require('../services/ApiKeyPool');
+
+// Get the voice handler from the active WebSocket server instance
+const getVoiceHandler = () => {
+  if (global.socketServerLive && global.socketServerLive.voiceHandler) {
+    return global.socketServerLive.voiceHandler;
+  }
+  return null;
+};
 
 // Get Gemini Live service status
 router.get('/status', async (req, res) => {
   try {
-    // Get the Gemini Live service instance from the WebSocket server
-    const SocketServerLive = require('../websocket/SocketServerLive');
-    
-    // Try to get the active instance
-    let voiceHandler = null;
-    let geminiService = null;
-    
-    // Check if there's a global instance
-    if (global.socketServerLive && global.socketServerLive.voiceHandler) {
-      voiceHandler = global.socketServerLive.voiceHandler;
-      geminiService = voiceHandler.geminiLiveService;
-    }
-    
-    if (!voiceHandler || !geminiService) {
-      return res.status(503).json({
-        success: false,
-        status: 'service_unavailable',
-        message: 'Gemini Live service not initialized',
-        timestamp: new Date().toISOString()
-      });
-    }
+    const voiceHandler = getVoiceHandler();
     
     if (!voiceHandler) {
       return res.status(503).json({
@@ -36,38 +26,32 @@ router.get('/status', async (req, res) => {
       });
     }
 
-
-
-    // Get detailed status
-    const status = geminiService.getStatus();
-    const isConnected = geminiService.isConnected;
-    const session = geminiService.session;
-    const currentApiKeyIndex = geminiService.currentApiKeyIndex;
-    const totalApiKeys = geminiService.apiKeys.length;
+    // Every active voice session owns its own Gemini Live connection
+    const geminiServices = voiceHandler.getGeminiServices();
+    const connectedServices = geminiServices.filter(service => service.isConnected);
+    const totalApiKeys = apiKeyPool.size;
 
     const response = {
       success: true,
-      status: isConnected ? 'connected' : 'disconnected',
+      status: connectedServices.length > 0 ? 'connected' : 'idle',
       geminiLive: {
-        connected: isConnected,
-        sessionActive: !!session,
-        currentApiKey: currentApiKeyIndex + 1,
-        totalApiKeys: totalApiKeys,
-        apiKeyStatus: currentApiKeyIndex < totalApiKeys ? 'available' : 'exhausted'
+        connected: connectedServices.length > 0,
+        liveSessions: geminiServices.length,
+        connectedSessions: connectedServices.length,
+        totalApiKeys: totalApiKeys
       },
       service: {
         type: 'Gemini Live API',
         model: 'gemini-2.0-flash-live-001',
-        voice: 'Kore',
-        activeSessions: status.activeSessions || 0
+        voice: config.tts?.voice || 'Orus',
+        activeSessions: voiceHandler.activeSessions.size
       },
       timestamp: new Date().toISOString()
     };
 
     logger.info('Gemini Live status requested', {
-      connected: isConnected,
-      sessionActive: !!session,
-      apiKeyIndex: currentApiKeyIndex + 1,
+      liveSessions: geminiServices.length,
+      connectedSessions: connectedServices.length,
       totalKeys: totalApiKeys
     });
 
@@ -89,15 +73,9 @@ router.get('/status', async (req, res) => {
 // Test Gemini Live connection
 router.post('/test', async (req, res) => {
   try {
-    // Try to get the active instance
-    let geminiService = null;
+    const voiceHandler = getVoiceHandler();
     
-    // Check if there's a global instance
-    if (global.socketServerLive && global.socketServerLive.voiceHandler) {
-      geminiService = global.socketServerLive.voiceHandler.geminiLiveService;
-    }
-    
-    if (!geminiService) {
+    if (!voiceHandler) {
       return res.status(503).json({
         success: false,
         status: 'service_unavailable',
@@ -111,12 +89,16 @@ router.post('/test', async (req, res) => {
     
     logger.info('Testing Gemini Live connection', { testMessage });
     
-    // Check if service is connected
-    if (!geminiService.isConnected) {
+    // Check if any session holds a connected Live session
+    const geminiServices = voiceHandler.getGeminiServices();
+    const connectedSessions = geminiServices.filter(service => service.isConnected).length;
+
+    if (connectedSessions === 0) {
       return res.json({
         success: false,
         status: 'disconnected',
-        message: 'Gemini Live service is not connected',
+        message: 'No Gemini Live session is currently connected',
+        liveSessions: geminiServices.length,
         testMessage,
         timestamp: new Date().toISOString()
       });
@@ -127,6 +109,8 @@ router.post('/test', async (req, res) => {
       success: true,
       status: 'connected',
       message: 'Gemini Live connection test successful',
+      liveSessions: geminiServices.length,
+      connectedSessions,
       testMessage,
       timestamp: new Date().toISOString()
     });
@@ -147,15 +131,9 @@ router.post('/test', async (req, res) => {
 // Get API key status
 router.get('/api-keys', async (req, res) => {
   try {
-    // Try to get the active instance
-    let geminiService = null;
-    
-    // Check if there's a global instance
-    if (global.socketServerLive && global.socketServerLive.voiceHandler) {
-      geminiService = global.socketServerLive.voiceHandler.geminiLiveService;
-    }
+    const voiceHandler = getVoiceHandler();
     
-    if (!geminiService) {
+    if (!voiceHandler) {
       return res.status(503).json({
         success: false,
         status: 'service_unavailable',
@@ -163,25 +141,18 @@ router.get('/api-keys', async (req, res) => {
         timestamp: new Date().toISOString()
       });
     }
-    const currentApiKeyIndex = geminiService.currentApiKeyIndex;
-    const totalApiKeys = geminiService.apiKeys.length;
 
-    const apiKeys = geminiService.apiKeys.map((key, index) => ({
-      index: index + 1,
-      status: index === currentApiKeyIndex ? 'active' : 
-              index < currentApiKeyIndex ? 'exhausted' : 'available',
-      preview: key.substring(0, 10) + '...',
-      isCurrent: index === currentApiKeyIndex
-    }));
+    // Sessions lease keys from the shared pool, which tracks each key's health and cooldown
+    const geminiServices = voiceHandler.getGeminiServices();
+    const apiKeys = apiKeyPool.getStatus();
 
     res.json({
       success: true,
-      currentKey: currentApiKeyIndex + 1,
-      totalKeys: totalApiKeys,
+      totalKeys: apiKeys.length,
+      liveSessions: geminiServices.length,
       keys: apiKeys,
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
     logger.error('Failed to get API key status', { error: error.message });
     
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const clusterService = require('../services/ClusterService');
 const logger = require('../utils/logger');
 
 // Simple health check for Render
@@ -41,7 +42,7 @@ router.get('/health', (req, res) => {
 });
 
 // Detailed health check with more information
-router.get('/detailed', (req, res) => {
+router.get('/detailed', async (req, res) => {
   try {
     const detailedHealth = {
       status: 'healthy',
@@ -60,6 +61,13 @@ router.get('/detailed', (req, res) => {
       detailedHealth.websocket = global.socketServerLive.getStats();
     }
 
+    // This node's view of the cluster
+    try {
+      detailedHealth.cluster = await clusterService.getStatus();
+    } catch (error) {
+      detailedHealth.cluster = { nodeId: clusterService.nodeId, error: error.message };
+    }
+
     res.status(200).json(detailedHealth);
   } catch (error) {
     logger.error('Detailed health check failed', { error: error.message });
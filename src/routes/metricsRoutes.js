@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const express = require('express');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const authService = require('../services/AuthService');
+const metrics = require('../services/Metrics');
+const config = require('../config/environment');
+
+const router = express.Router();
+
+// Scrapers present METRICS_TOKEN as a Bearer token when one is configured
+const authorizeScrape = (req, res, next) => {
+  if (!config.metrics.token) {
+    return next();
+  }
+
+  const expected = Buffer.from(config.metrics.token);
+  const provided = Buffer.from(String(authService.getBearerToken(req.get('authorization')) || ''));
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return next(new ApiError(401, 'Invalid metrics token', { code: 'INVALID_METRICS_TOKEN' }));
+  }
+  next();
+};
+
+// Prometheus text exposition of this node's counters, histograms and gauges
+router.get('/', authorizeScrape, asyncHandler(async (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(await metrics.render());
+}));
+
+module.exports = router;
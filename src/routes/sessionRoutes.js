@@ -1,10 +1,76 @@
 const express = require('express');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const sessionManager = require('../services/SessionManager');
+const clusterService = require('../services/ClusterService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Get the voice handler from the active WebSocket server instance
+const getVoiceHandler = () => {
+  if (global.socketServerLive && global.socketServerLive.voiceHandler) {
+    return global.socketServerLive.voiceHandler;
+  }
+  return null;
+};
+
+// The authenticated caller, forwarded with each session action so the owning node can check it
+const callerOf = (req) => ({
+  userId: req.identity.userId || null,
+  tenantId: req.identity.tenantId || null
+});
+
+// A session belongs to the user and tenant that started it
+const ownedBy = (record, caller) => Boolean(caller) &&
+  (record.userId || null) === caller.userId &&
+  (record.metadata.tenantId || null) === caller.tenantId;
+
+// Wrap a session action so it only runs for the session's owner; null when the session does not exist
+const forOwner = (action) => async ({ sessionId, caller }) => {
+  const record = await sessionManager.findSessionRecord(sessionId);
+  if (!record) {
+    return null;
+  }
+  if (!ownedBy(record, caller)) {
+    throw new ApiError(403, 'Session belongs to another user', { code: 'SESSION_FORBIDDEN' });
+  }
+  return action({ sessionId });
+};
+
+// End a session owned by this node, releasing its socket and Gemini Live connection
+const endLocalSession = async ({ sessionId }) => {
+  const voiceHandler = getVoiceHandler();
+  if (voiceHandler && voiceHandler.activeSessions.has(sessionId)) {
+    await voiceHandler.terminateSession(sessionId, 'ended-by-api');
+    return true;
+  }
+  return sessionManager.getSession(sessionId) ? sessionManager.endSession(sessionId) : null;
+};
+
+// Session lookups run on whichever node owns the session, so any node can answer these routes
+clusterService.handle('get-session', forOwner(({ sessionId }) => sessionManager.getSessionSummary(sessionId)));
+clusterService.handle('get-history', forOwner(({ sessionId }) => sessionManager.getHistory(sessionId)));
+clusterService.handle('export-session', forOwner(({ sessionId }) => sessionManager.exportSession(sessionId)));
+clusterService.handle('end-session', forOwner(endLocalSession));
+clusterService.handle('list-sessions', ({ tenantId }) => sessionManager.getActiveSessions()
+  .filter(session => (session.metadata.tenantId || null) === tenantId));
+clusterService.handle('session-stats', () => sessionManager.getStatistics());
+
+// One node's statistics folded into the cluster-wide totals
+const addStatistics = (total, stats) => {
+  const sessions = total.totalSessions + stats.totalSessions;
+  total.averageDuration = sessions > 0
+    ? (total.averageDuration * total.totalSessions + stats.averageDuration * stats.totalSessions) / sessions
+    : 0;
+  ['totalSessions', 'activeSessions', 'suspendedSessions', 'endedSessions', 'totalInterruptions'].forEach(key => {
+    total[key] += stats[key];
+  });
+  Object.entries(stats.languageDistribution).forEach(([language, count]) => {
+    total.languageDistribution[language] = (total.languageDistribution[language] || 0) + count;
+  });
+  return total;
+};
+
 // Create a new session
 router.post('/create', asyncHandler(async (req, res) => {
   const { userId } = req.body;
@@ -32,13 +98,11 @@ router.post('/create', asyncHandler(async (req, res) => {
 router.delete('/:sessionId', asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
-  const session = sessionManager.getSession(sessionId);
-  if (!session) {
+  const success = await clusterService.run(sessionId, 'end-session', { caller: callerOf(req) });
+  if (success === null) {
     throw new ApiError(404, 'Session not found');
   }
   
-  const success = sessionManager.endSession(sessionId);
-  
   res.status(200).json({
     success,
     message: success ? 'Session ended successfully' : 'Failed to end session',
@@ -46,29 +110,49 @@ router.delete('/:sessionId', asyncHandler(async (req, res) => {
   });
 }));
 
-// Get session details
+// Get session details (live or ended)
 router.get('/:sessionId', asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
-  const session = sessionManager.getSession(sessionId);
-  if (!session) {
+  const summary = await clusterService.run(sessionId, 'get-session', { caller: callerOf(req) });
+  if (!summary) {
     throw new ApiError(404, 'Session not found');
   }
   
   res.status(200).json({
     success: true,
-    session: session.getSummary()
+    session: summary
+  });
+}));
+
+// Get a session's conversation history (live or ended)
+router.get('/:sessionId/history', asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const history = await clusterService.run(sessionId, 'get-history', { caller: callerOf(req) });
+  if (!history) {
+    throw new ApiError(404, 'Session not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    sessionId,
+    count: history.length,
+    history
   });
 }));
 
-// Get all active sessions
+// Get the caller's tenant's active sessions on every node
 router.get('/', asyncHandler(async (req, res) => {
-  const activeSessions = sessionManager.getActiveSessions();
+  const { tenantId } = callerOf(req);
+  const { results, unreachable } = await clusterService.runOnAllNodes('list-sessions', { tenantId });
+  const activeSessions = results.flatMap(({ nodeId, result }) => result.map(session => ({ ...session, nodeId })));
   
   res.status(200).json({
     success: true,
     count: activeSessions.length,
-    sessions: activeSessions
+    sessions: activeSessions,
+    unreachableNodes: unreachable
   });
 }));
 
@@ -76,7 +160,7 @@ router.get('/', asyncHandler(async (req, res) => {
 router.get('/:sessionId/export', asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
-  const sessionData = sessionManager.exportSession(sessionId);
+  const sessionData = await clusterService.run(sessionId, 'export-session', { caller: callerOf(req) });
   if (!sessionData) {
     throw new ApiError(404, 'Session not found');
   }
@@ -87,13 +171,26 @@ router.get('/:sessionId/export', asyncHandler(async (req, res) => {
   });
 }));
 
-// Get session statistics
+// Get session statistics summed over every node
 router.get('/stats/summary', asyncHandler(async (req, res) => {
-  const stats = sessionManager.getStatistics();
+  const { results, unreachable } = await clusterService.runOnAllNodes('session-stats');
+  const stats = results.reduce((total, { result }) => addStatistics(total, result), {
+    totalSessions: 0,
+    activeSessions: 0,
+    suspendedSessions: 0,
+    endedSessions: 0,
+    totalInterruptions: 0,
+    averageDuration: 0,
+    languageDistribution: {}
+  });
   
   res.status(200).json({
     success: true,
-    statistics: stats
+    statistics: {
+      ...stats,
+      nodes: results.length
+    },
+    unreachableNodes: unreachable
   });
 }));
 
@@ -2,15 +2,22 @@ const http = require('http');
 const app = require('./app');
 const SocketServerLive = require('./websocket/SocketServerLive');
 const sessionManager = require('./services/SessionManager');
+const clusterService = require('./services/ClusterService');
 const config = require('./config/environment');
 const logger = require('./utils/logger');
 
 // Create HTTP server
 const server = http.createServer(app);
 
-// Initialize WebSocket server with Gemini Live API
+// WebSocket server with Gemini Live API, initialized before the server starts listening
 const socketServer = new SocketServerLive();
-socketServer.initialize(server);
+
+// Register this node in the cluster registry; a node that cannot join would serve sessions the other
+// nodes never hear about, so a failure here stops startup
+const joinCluster = () => clusterService.start().catch((error) => {
+  logger.error('Failed to join cluster', { registry: config.cluster.registry, error: error.message });
+  throw new Error(`Could not join the ${config.cluster.registry} cluster registry: ${error.message}`);
+});
 
 // Graceful shutdown handler
 const gracefulShutdown = async (signal) => {
@@ -32,7 +39,10 @@ const gracefulShutdown = async (signal) => {
     await socketServer.shutdown();
     
     // Shutdown session manager
-    sessionManager.shutdown();
+    await sessionManager.shutdown();
+
+    // Leave the cluster once this node's sessions have ended
+    await clusterService.stop();
     
     logger.info('Graceful shutdown complete');
     process.exit(0);
@@ -69,7 +79,7 @@ process.on('unhandledRejection', (reason, promise) => {
 const PORT = config.server.port;
 const HOST = config.server.host;
 
-server.listen(PORT, HOST, () => {
+const onListening = () => {
   logger.info(`Server started with Gemini Live API`, {
     host: HOST,
     port: PORT,
@@ -153,7 +163,9 @@ server.listen(PORT, HOST, () => {
 ╚═══════════════════════════════════════════════════════════════╝
     `);
   }
-}).on('error', (error) => {
+};
+
+const onListenError = (error) => {
   if (error.code === 'EADDRINUSE') {
     logger.error(`Port ${PORT} is already in use. Please stop the existing server or use a different port.`, {
       port: PORT,
@@ -183,7 +195,20 @@ server.listen(PORT, HOST, () => {
     console.error('❌ Server failed to start:', error.message);
   }
   process.exit(1);
-});
+};
+
+// Listen only once this node has joined the cluster and the WebSocket server and its cluster adapter are
+// ready - a node that cannot do either exits rather than serve sessions and sockets the other nodes never reach
+joinCluster()
+  .then(() => socketServer.initialize(server))
+  .then(() => {
+    server.listen(PORT, HOST, onListening).on('error', onListenError);
+  })
+  .catch((error) => {
+    logger.error('Server failed to start', { error: error.message });
+    console.error('❌ Server failed to start:', error.message);
+    process.exit(1);
+  });
 
 // Export server for testing
 module.exports = server; 
\ No newline at end of file
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const metrics = require('./Metrics');
+
+const ENV_KEYS = ['GEMINI_API_KEY', 'BACKUP_KEY', 'BACKUP_KEY_ONE', 'BACKUP_KEY_TWO'];
+const QUOTA_ERROR_PATTERN = /quota|resource[_ ]exhausted|rate limit|\b429\b/i;
+
+const cooldownsTotal = metrics.counter('sova_gemini_api_key_cooldowns_total',
+  'Gemini API keys taken out of rotation, by reason (quota or errors)');
+const apiKeysGauge = metrics.gauge('sova_gemini_api_keys', 'Gemini API keys in the pool, by status');
+
+const previewKey = key => key.substring(0, 10) + '...';
+
+// Gemini API keys shared by every session on this node. Keys are chosen by health, rested after quota
+// errors or repeated failures, and come back into rotation once their cooldown has passed.
+class ApiKeyPool {
+  constructor(poolConfig = config.keyPool, geminiConfig = config.gemini) {
+    this.options = poolConfig;
+    this.sources = {
+      file: geminiConfig.keysFile ? path.resolve(geminiConfig.keysFile) : null,
+      dir: geminiConfig.keysDir ? path.resolve(geminiConfig.keysDir) : null
+    };
+    this.transport = geminiConfig.transport;
+    this.keys = new Map(); // key -> entry
+
+    this.reload();
+
+    // Rotated secrets are picked up without a restart
+    if ((this.sources.file || this.sources.dir) && poolConfig.reloadMs > 0) {
+      setInterval(() => this.reload(), poolConfig.reloadMs).unref();
+    }
+
+    metrics.addCollector(() => this.collectMetrics());
+  }
+
+  // 429s, RESOURCE_EXHAUSTED and close reasons mentioning quota
+  isQuotaError(error) {
+    return Boolean(error) && (error.status === 429 || error.code === 429 ||
+      QUOTA_ERROR_PATTERN.test(`${error.message || ''} ${error.reason || ''}`));
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+
+  // Keys from the environment, the keys file and the secrets directory, first occurrence wins
+  readKeys() {
+    const found = [];
+    const add = (key, id, source) => {
+      const trimmed = (key || '').trim();
+      if (trimmed !== '' && !found.some(entry => entry.key === trimmed)) {
+        found.push({ key: trimmed, id, source });
+      }
+    };
+
+    ENV_KEYS.forEach(name => add(process.env[name], name, 'env'));
+
+    if (this.sources.file) {
+      try {
+        fs.readFileSync(this.sources.file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+          if (!line.trim().startsWith('#')) {
+            add(line, `${path.basename(this.sources.file)}:${index + 1}`, 'file');
+          }
+        });
+      } catch (error) {
+        logger.error('Failed to read API keys file', { file: this.sources.file, error: error.message });
+      }
+    }
+
+    if (this.sources.dir) {
+      try {
+        fs.readdirSync(this.sources.dir, { withFileTypes: true })
+          .filter(dirent => !dirent.name.startsWith('.') && (dirent.isFile() || dirent.isSymbolicLink()))
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .forEach(dirent => {
+            add(fs.readFileSync(path.join(this.sources.dir, dirent.name), 'utf8'), dirent.name, 'secret');
+          });
+      } catch (error) {
+        logger.error('Failed to read API keys directory', { dir: this.sources.dir, error: error.message });
+      }
+    }
+
+    // The mock transport accepts any key, so run offline without real ones
+    if (found.length === 0 && this.transport === 'mock') {
+      add('mock-api-key', 'mock', 'mock');
+    }
+
+    return found;
+  }
+
+  // Pick up added, rotated and removed keys; keys that stay keep their health history
+  reload() {
+    const found = this.readKeys();
+    const previous = this.keys;
+    this.keys = new Map();
+
+    found.forEach(({ key, id, source }) => {
+      const entry = previous.get(key) || {
+        key,
+        leases: 0, // Sessions currently connected with this key
+        requests: 0,
+        failures: 0,
+        quotaErrors: 0,
+        consecutiveFailures: 0,
+        outcomes: [], // Recent connection outcomes, true for success
+        cooldownUntil: 0,
+        cooldownLevel: 0, // Consecutive cooldowns; each one doubles the next
+        coolingDown: false,
+        lastError: null,
+        lastUsedAt: 0
+      };
+      entry.id = id;
+      entry.source = source;
+      this.keys.set(key, entry);
+    });
+
+    const added = found.filter(({ key }) => !previous.has(key)).length;
+    const removed = Array.from(previous.keys()).filter(key => !this.keys.has(key)).length;
+    if (added > 0 || removed > 0) {
+      logger.info('API key pool loaded', {
+        totalKeys: this.keys.size,
+        added,
+        removed,
+        sources: Array.from(new Set(found.map(entry => entry.source)))
+      });
+    }
+    if (this.keys.size === 0) {
+      logger.error('No Gemini API keys available');
+    }
+  }
+
+  // Share of recent outcomes that failed
+  errorRate(entry) {
+    return entry.outcomes.length > 0
+      ? entry.outcomes.filter(ok => !ok).length / entry.outcomes.length
+      : 0;
+  }
+
+  // Is the key resting after quota errors or repeated failures? Logs keys whose cooldown just ended.
+  isCoolingDown(entry, now = Date.now()) {
+    if (!entry.coolingDown) {
+      return false;
+    }
+    if (entry.cooldownUntil > now) {
+      return true;
+    }
+
+    entry.coolingDown = false;
+    logger.info('API key back in rotation after cooldown', { keyId: entry.id, preview: previewKey(entry.key) });
+    return false;
+  }
+
+  // Lease the healthiest key not in `exclude` (key ids). When every key is cooling down the one that
+  // recovers first is used rather than none. Returns null only when the pool has no keys left to try.
+  acquire({ exclude = [] } = {}) {
+    const now = Date.now();
+    const candidates = Array.from(this.keys.values()).filter(entry => !exclude.includes(entry.id));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const available = candidates.filter(entry => !this.isCoolingDown(entry, now));
+    const [entry] = available.length > 0
+      ? available.sort((a, b) => this.errorRate(a) - this.errorRate(b) ||
+        a.leases - b.leases ||
+        a.lastUsedAt - b.lastUsedAt)
+      : candidates.sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+
+    if (available.length === 0) {
+      logger.warn('Every API key is cooling down, using the one that recovers first', {
+        keyId: entry.id,
+        recoversInMs: entry.cooldownUntil - now
+      });
+    }
+
+    entry.leases++;
+    entry.lastUsedAt = now;
+    return entry;
+  }
+
+  // A session stopped using a key
+  release(entry) {
+    entry.leases = Math.max(0, entry.leases - 1);
+  }
+
+  // A connection with this key opened
+  reportSuccess(entry) {
+    entry.requests++;
+    entry.consecutiveFailures = 0;
+    entry.cooldownLevel = 0;
+    this.recordOutcome(entry, true);
+  }
+
+  // A connection with this key failed; quota errors rest it straight away, other errors once they repeat
+  reportFailure(entry, error, quota = this.isQuotaError(error)) {
+    entry.requests++;
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastError = { message: error?.message || String(error), quota, at: new Date().toISOString() };
+    this.recordOutcome(entry, false);
+
+    if (quota) {
+      entry.quotaErrors++;
+      this.startCooldown(entry, 'quota');
+    } else if (entry.consecutiveFailures >= this.options.failureThreshold) {
+      this.startCooldown(entry, 'errors');
+    }
+  }
+
+  recordOutcome(entry, ok) {
+    entry.outcomes.push(ok);
+    if (entry.outcomes.length > this.options.errorWindow) {
+      entry.outcomes.shift();
+    }
+  }
+
+  // Take a key out of rotation; each cooldown in a row lasts twice as long as the one before
+  startCooldown(entry, reason) {
+    const durationMs = Math.min(this.options.cooldownMs * 2 ** entry.cooldownLevel, this.options.maxCooldownMs);
+    entry.cooldownLevel++;
+    entry.consecutiveFailures = 0;
+    entry.coolingDown = true;
+    entry.cooldownUntil = Date.now() + durationMs;
+    cooldownsTotal.inc({ reason });
+
+    logger.warn('API key cooling down', {
+      keyId: entry.id,
+      preview: previewKey(entry.key),
+      reason,
+      durationMs,
+      errorRate: this.errorRate(entry)
+    });
+  }
+
+  // Per-key health for /api/gemini/api-keys - never the keys themselves
+  getStatus() {
+    const now = Date.now();
+
+    return Array.from(this.keys.values()).map((entry, index) => {
+      const coolingDown = this.isCoolingDown(entry, now);
+
+      return {
+        index: index + 1,
+        id: entry.id,
+        source: entry.source,
+        status: coolingDown ? 'cooling-down' : entry.leases > 0 ? 'active' : 'available',
+        preview: previewKey(entry.key),
+        activeSessions: entry.leases,
+        health: Math.round((1 - this.errorRate(entry)) * 100) / 100,
+        requests: entry.requests,
+        failures: entry.failures,
+        quotaErrors: entry.quotaErrors,
+        cooldownRemainingMs: coolingDown ? entry.cooldownUntil - now : 0,
+        lastError: entry.lastError
+      };
+    });
+  }
+
+  collectMetrics() {
+    apiKeysGauge.reset();
+    const counts = { active: 0, available: 0, 'cooling-down': 0 };
+    this.getStatus().forEach(key => {
+      counts[key.status]++;
+    });
+    Object.entries(counts).forEach(([status, count]) => apiKeysGauge.set(count, { status }));
+  }
+}
+
+module.exports = new ApiKeyPool();
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Append-only audit trail of admin actions
+class AuditLog {
+  constructor(auditConfig = config.audit) {
+    this.filePath = auditConfig.file ? path.resolve(auditConfig.file) : null;
+    this.memoryLimit = auditConfig.memoryLimit;
+    this.entries = []; // Most recent entries, for the admin namespace
+    this.directoryReady = false;
+  }
+
+  // Record an admin action with the acting identity and payload
+  record({ identity, action, payload = null, outcome = 'allowed', socketId = null, clientIP = null, details = null }) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      action,
+      outcome, // allowed, denied, failed, connected, rejected, disconnected
+      actor: identity ? {
+        userId: identity.userId,
+        role: identity.adminRole || null,
+        method: identity.method
+      } : null,
+      socketId,
+      clientIP,
+      payload,
+      ...(details && { details })
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.memoryLimit) {
+      this.entries.shift();
+    }
+
+    logger.info('Admin audit', entry);
+    this.writeEntry(entry);
+
+    return entry;
+  }
+
+  writeEntry(entry) {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      if (!this.directoryReady) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.directoryReady = true;
+      }
+      fs.appendFile(this.filePath, JSON.stringify(entry) + '\n', (error) => {
+        if (error) {
+          logger.error('Failed to write audit log entry', { error: error.message });
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to prepare audit log file', { error: error.message });
+    }
+  }
+
+  // Get recent audit entries, newest last
+  getRecent(limit = 100) {
+    return this.entries.slice(-limit);
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Admin roles, lowest privilege first
+const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+
+// Verifies client credentials (HMAC-signed JWTs or per-tenant API keys)
+class AuthService {
+  constructor(authConfig = config.auth) {
+    this.required = authConfig.required;
+    this.jwtSecret = authConfig.jwtSecret;
+    this.jwtIssuer = authConfig.jwtIssuer;
+    this.apiKeys = authConfig.apiKeys || [];
+    this.adminKeys = authConfig.adminKeys || [];
+  }
+
+  // Authenticate a set of credentials and return the verified identity
+  authenticate({ token, apiKey, userId } = {}) {
+    if (token) {
+      return this.verifyToken(token);
+    }
+
+    if (apiKey) {
+      return this.verifyApiKey(apiKey, userId);
+    }
+
+    if (this.required) {
+      throw new ApiError(401, 'Authentication required', { code: 'AUTH_REQUIRED' });
+    }
+
+    // Anonymous access is only allowed when AUTH_REQUIRED is off
+    return {
+      userId: userId || null,
+      tenantId: null,
+      roles: [],
+      method: 'anonymous'
+    };
+  }
+
+  // Verify an HMAC-signed JWT - throws JsonWebTokenError / TokenExpiredError
+  verifyToken(token) {
+    if (!this.jwtSecret) {
+      throw new ApiError(401, 'Token authentication is not configured', { code: 'JWT_NOT_CONFIGURED' });
+    }
+
+    const payload = jwt.verify(token, this.jwtSecret, {
+      algorithms: ['HS256', 'HS384', 'HS512'],
+      ...(this.jwtIssuer && { issuer: this.jwtIssuer })
+    });
+
+    if (!payload.sub) {
+      throw new jwt.JsonWebTokenError('jwt subject missing');
+    }
+
+    return {
+      userId: String(payload.sub),
+      tenantId: payload.tenant || null,
+      roles: Array.isArray(payload.roles) ? payload.roles : payload.role ? [payload.role] : [],
+      method: 'jwt'
+    };
+  }
+
+  // Verify a static tenant API key using constant-time comparison
+  verifyApiKey(apiKey, userId = null) {
+    const provided = Buffer.from(String(apiKey));
+    const match = this.apiKeys.find(entry => {
+      const expected = Buffer.from(entry.key);
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    });
+
+    if (!match) {
+      throw new ApiError(401, 'Invalid API key', { code: 'INVALID_API_KEY' });
+    }
+
+    // The key proves the tenant; the user id is asserted by that tenant
+    return {
+      userId: userId ? `${match.tenantId}:${userId}` : match.tenantId,
+      tenantId: match.tenantId,
+      roles: [],
+      method: 'api-key'
+    };
+  }
+
+  // Authenticate an admin - anonymous access is never allowed
+  authenticateAdmin({ token, apiKey } = {}) {
+    let identity = null;
+
+    if (token) {
+      identity = this.verifyToken(token);
+    } else if (apiKey) {
+      const provided = Buffer.from(String(apiKey));
+      const match = this.adminKeys.find(entry => {
+        const expected = Buffer.from(entry.key);
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+      });
+
+      if (!match) {
+        throw new ApiError(401, 'Invalid admin key', { code: 'INVALID_API_KEY' });
+      }
+
+      identity = { userId: match.name, tenantId: null, roles: [match.role], method: 'admin-key' };
+    } else {
+      throw new ApiError(401, 'Admin authentication required', { code: 'AUTH_REQUIRED' });
+    }
+
+    const role = this.getAdminRole(identity);
+    if (!role) {
+      throw new ApiError(403, 'Admin role required', { code: 'ADMIN_FORBIDDEN' });
+    }
+
+    return { ...identity, adminRole: role };
+  }
+
+  // Highest admin role held by an identity, or null
+  getAdminRole(identity) {
+    const roles = (identity && identity.roles) || [];
+    for (let i = ADMIN_ROLES.length - 1; i >= 0; i--) {
+      if (roles.includes(ADMIN_ROLES[i])) {
+        return ADMIN_ROLES[i];
+      }
+    }
+    return null;
+  }
+
+  // Check whether an admin identity holds at least the required role
+  hasAdminRole(identity, requiredRole) {
+    const roleLevel = ADMIN_ROLES.indexOf(identity && identity.adminRole);
+    return roleLevel !== -1 && roleLevel >= ADMIN_ROLES.indexOf(requiredRole);
+  }
+
+  // Read credentials from a Socket.IO handshake
+  getHandshakeCredentials(handshake = {}) {
+    const auth = handshake.auth || {};
+    const headers = handshake.headers || {};
+
+    return {
+      token: auth.token || this.getBearerToken(headers.authorization),
+      apiKey: auth.apiKey || headers['x-api-key'],
+      userId: auth.userId
+    };
+  }
+
+  // Read credentials from an HTTP request
+  getRequestCredentials(req) {
+    return {
+      token: this.getBearerToken(req.get('authorization')),
+      apiKey: req.get('x-api-key'),
+      userId: req.get('x-user-id')
+    };
+  }
+
+  getBearerToken(header) {
+    if (typeof header === 'string' && header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+    return null;
+  }
+
+  // Describe an authentication failure as a structured reason
+  describeError(error) {
+    if (error.name === 'TokenExpiredError') {
+      return { code: 'TOKEN_EXPIRED', message: 'Token expired', expiredAt: error.expiredAt };
+    }
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+      return { code: 'INVALID_TOKEN', message: 'Invalid token' };
+    }
+
+    if (error instanceof ApiError && error.details?.code) {
+      return { code: error.details.code, message: error.message };
+    }
+
+    logger.error('Unexpected authentication error', { error: error.message });
+    return { code: 'AUTH_FAILED', message: 'Authentication failed' };
+  }
+}
+
+module.exports = new AuthService();
+module.exports.AuthService = AuthService;
@@ -0,0 +1,262 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { createClusterRegistry } = require('./cluster');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// This node's place in the cluster: which node owns each session, and session requests forwarded to the owner
+class ClusterService {
+  constructor(registry = createClusterRegistry(), clusterConfig = config.cluster) {
+    this.registry = registry;
+    this.options = clusterConfig;
+    this.nodeId = clusterConfig.nodeId;
+    this.startedAt = new Date().toISOString();
+    this.handlers = new Map(); // action -> handler(params), run for sessions this node owns
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.heartbeatInterval = null;
+    this.started = null;
+  }
+
+  // Join the cluster: announce this node and listen for requests addressed to it
+  start() {
+    if (!this.started) {
+      this.started = (async () => {
+        await this.registry.connect();
+        await this.registry.registerNode(this.describeNode());
+        await this.registry.subscribe(`node:${this.nodeId}`, message => this.handleMessage(message));
+
+        this.heartbeatInterval = setInterval(() => {
+          this.registry.registerNode(this.describeNode()).catch(error => {
+            logger.error('Cluster heartbeat failed', { nodeId: this.nodeId, error: error.message });
+          });
+        }, this.options.heartbeatMs);
+
+        logger.info('Joined cluster', { nodeId: this.nodeId, registry: this.registry.name });
+      })();
+    }
+    return this.started;
+  }
+
+  // What other nodes see about this one
+  describeNode() {
+    return {
+      id: this.nodeId,
+      host: os.hostname(),
+      pid: process.pid,
+      startedAt: this.startedAt
+    };
+  }
+
+  // Registry writes wait until this node has joined
+  ready() {
+    return this.started || Promise.resolve();
+  }
+
+  // Record that this node owns a session (on creation and whenever it changes hands or status)
+  trackSession(session) {
+    return this.ready()
+      .then(() => this.registry.setSession({
+        sessionId: session.id,
+        nodeId: this.nodeId,
+        status: session.status,
+        updatedAt: Date.now()
+      }))
+      .catch(error => {
+        logger.error('Failed to register session with the cluster', { sessionId: session.id, error: error.message });
+      });
+  }
+
+  // Drop an ended session from the registry
+  untrackSession(sessionId) {
+    return this.ready()
+      .then(() => this.registry.deleteSession(sessionId))
+      .catch(error => {
+        logger.error('Failed to remove session from the cluster', { sessionId, error: error.message });
+      });
+  }
+
+  // Owner entry of a session, or null when no live node owns it
+  async locateSession(sessionId) {
+    const entry = await this.registry.getSession(sessionId);
+    if (!entry || entry.nodeId === this.nodeId) {
+      return entry;
+    }
+
+    const nodes = await this.registry.listNodes(this.options.nodeTtlMs);
+    if (!nodes.some(node => node.id === entry.nodeId)) {
+      logger.warn('Session owner is no longer in the cluster', { sessionId, nodeId: entry.nodeId });
+      return null;
+    }
+    return entry;
+  }
+
+  // Serve a session action on this node for requests from any node
+  handle(action, handler) {
+    this.handlers.set(action, handler);
+  }
+
+  // Run a session action on the node that owns the session; sessions no live node owns are handled here
+  async run(sessionId, action, params = {}) {
+    let owner = null;
+    try {
+      owner = await this.locateSession(sessionId);
+    } catch (error) {
+      logger.error('Cluster registry lookup failed, handling session locally', { sessionId, error: error.message });
+    }
+
+    if (owner && owner.nodeId !== this.nodeId) {
+      return this.request(owner.nodeId, action, { ...params, sessionId });
+    }
+    return this.runLocal(action, { ...params, sessionId });
+  }
+
+  // Run an action on every live node, this one included. Nodes that fail or time out are listed in
+  // `unreachable` rather than failing the whole request.
+  async runOnAllNodes(action, params = {}) {
+    let nodeIds = [];
+    try {
+      nodeIds = (await this.registry.listNodes(this.options.nodeTtlMs)).map(node => node.id);
+    } catch (error) {
+      logger.error('Cluster registry lookup failed, answering for this node only', { action, error: error.message });
+    }
+
+    const otherNodeIds = nodeIds.filter(nodeId => nodeId !== this.nodeId);
+    const answers = await Promise.allSettled([
+      this.runLocal(action, params),
+      ...otherNodeIds.map(nodeId => this.request(nodeId, action, params))
+    ]);
+
+    const results = [];
+    const unreachable = [];
+    answers.forEach((answer, index) => {
+      const nodeId = index === 0 ? this.nodeId : otherNodeIds[index - 1];
+      if (answer.status === 'fulfilled') {
+        results.push({ nodeId, result: answer.value });
+      } else if (index === 0) {
+        throw answer.reason;
+      } else {
+        logger.warn('Node did not answer cluster-wide request', { nodeId, action, error: answer.reason.message });
+        unreachable.push(nodeId);
+      }
+    });
+
+    return { results, unreachable };
+  }
+
+  async runLocal(action, params) {
+    const handler = this.handlers.get(action);
+    if (!handler) {
+      throw new ApiError(400, `Unknown cluster action "${action}"`, { code: 'UNKNOWN_CLUSTER_ACTION' });
+    }
+    return handler(params);
+  }
+
+  // Ask another node to run an action and wait for its answer
+  request(nodeId, action, params = {}) {
+    const id = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new ApiError(504, `Node ${nodeId} did not answer in time`, {
+          code: 'CLUSTER_NODE_TIMEOUT',
+          nodeId,
+          action
+        }));
+      }, this.options.requestTimeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+
+      this.registry.publish(`node:${nodeId}`, { type: 'request', id, from: this.nodeId, action, params })
+        .catch(error => {
+          clearTimeout(timer);
+          this.pending.delete(id);
+          reject(new ApiError(502, `Could not reach node ${nodeId}`, { code: 'CLUSTER_NODE_UNREACHABLE', nodeId }));
+          logger.error('Failed to forward session request', { nodeId, action, error: error.message });
+        });
+    });
+  }
+
+  // Requests from other nodes, and their answers to ours
+  async handleMessage(message) {
+    if (message.type === 'response') {
+      const pending = this.pending.get(message.id);
+      if (!pending) {
+        return; // Timed out already
+      }
+
+      this.pending.delete(message.id);
+      clearTimeout(pending.timer);
+      if (message.error) {
+        pending.reject(new ApiError(message.error.statusCode, message.error.message, message.error.details));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.type !== 'request') {
+      return;
+    }
+
+    let reply;
+    try {
+      const result = await this.runLocal(message.action, message.params);
+      reply = { result: result === undefined ? null : result };
+    } catch (error) {
+      reply = {
+        error: { statusCode: error.statusCode || 500, message: error.message, details: error.details || null }
+      };
+    }
+
+    try {
+      await this.registry.publish(`node:${message.from}`, { type: 'response', id: message.id, from: this.nodeId, ...reply });
+    } catch (error) {
+      logger.error('Failed to answer cluster request', { to: message.from, action: message.action, error: error.message });
+    }
+  }
+
+  // Cluster overview for health checks
+  async getStatus() {
+    const [nodes, sessions] = await Promise.all([
+      this.registry.listNodes(this.options.nodeTtlMs),
+      this.registry.listSessions({ nodeId: this.nodeId })
+    ]);
+
+    return {
+      nodeId: this.nodeId,
+      registry: this.registry.name,
+      adapter: this.options.adapter,
+      nodes,
+      ownedSessions: sessions.length
+    };
+  }
+
+  // Leave the cluster; sessions this node owned are forgotten with it
+  async stop() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new ApiError(503, 'Node is shutting down', { code: 'CLUSTER_NODE_STOPPING' }));
+    });
+    this.pending.clear();
+
+    if (this.started) {
+      try {
+        await this.started;
+        await this.registry.removeNode(this.nodeId);
+      } catch (error) {
+        logger.error('Failed to leave cluster cleanly', { nodeId: this.nodeId, error: error.message });
+      }
+      this.started = null;
+    }
+    await this.registry.close();
+  }
+}
+
+module.exports = new ClusterService();
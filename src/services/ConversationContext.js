@@ -0,0 +1,121 @@
+const config = require('../config/environment');
+
+const MAX_SUMMARY_LINE = 200; // Characters kept from each turn folded into the summary
+
+// Rolling record of one conversation, used to carry it over to a new Live connection
+class ConversationContext {
+  constructor(options = {}) {
+    this.options = {
+      ...config.context,
+      ...options
+    };
+    this.reset();
+  }
+
+  // Forget everything - a new conversation starts
+  reset() {
+    this.turns = []; // Recent turns kept verbatim, oldest first
+    this.summary = []; // One line per older turn, oldest first
+    this.summarizedTurns = 0;
+    this.totalTurns = 0;
+    this.clearResumption();
+  }
+
+  // Record a finished user or assistant turn
+  addTurn(role, text) {
+    const content = String(text || '').trim();
+    if (!content) {
+      return;
+    }
+
+    this.turns.push({ role, text: content, timestamp: Date.now() });
+    this.totalTurns++;
+
+    // Older turns are folded into the summary so the replay stays bounded
+    while (this.turns.length > this.options.maxTurns) {
+      this.summarize(this.turns.shift());
+    }
+  }
+
+  // Fold one turn into the summary, dropping the oldest lines once it is full
+  summarize(turn) {
+    const speaker = turn.role === 'assistant' ? 'Assistant' : 'User';
+    const text = turn.text.length > MAX_SUMMARY_LINE
+      ? `${turn.text.slice(0, MAX_SUMMARY_LINE - 3)}...`
+      : turn.text;
+
+    this.summary.push(`${speaker}: ${text}`);
+    this.summarizedTurns++;
+
+    let length = this.summary.reduce((total, line) => total + line.length + 1, 0);
+    while (this.summary.length > 1 && length > this.options.maxSummaryChars) {
+      length -= this.summary.shift().length + 1;
+    }
+  }
+
+  // Store the latest resumption handle from a sessionResumptionUpdate message
+  updateResumption(update = {}) {
+    if (update.resumable === false || !update.newHandle) {
+      this.resumption.resumable = false;
+      return;
+    }
+
+    this.resumption = {
+      handle: update.newHandle,
+      resumable: true,
+      updatedAt: Date.now(),
+      turnCount: this.totalTurns // Turns the server state behind this handle already has
+    };
+  }
+
+  // Handle to resume with, if the server said the session can be resumed
+  getResumptionHandle() {
+    return this.resumption.resumable ? this.resumption.handle : null;
+  }
+
+  // Drop the resumption handle (e.g. after switching API key)
+  clearResumption() {
+    this.resumption = { handle: null, resumable: false, updatedAt: null, turnCount: 0 };
+  }
+
+  // Client content turns that give a new connection the conversation so far
+  buildReplayTurns() {
+    const turns = [];
+
+    if (this.summary.length > 0) {
+      turns.push({
+        role: 'user',
+        parts: [{ text: `Summary of our conversation so far (${this.summarizedTurns} earlier turns):\n` +
+          this.summary.join('\n') }]
+      });
+    }
+
+    return turns.concat(this.turns.map(ConversationContext.toContent));
+  }
+
+  // Turns recorded after the resumption handle was issued - a resumed connection is missing only these
+  buildTurnsSinceResumption() {
+    const missing = Math.min(this.totalTurns - this.resumption.turnCount, this.turns.length);
+    return missing > 0 ? this.turns.slice(-missing).map(ConversationContext.toContent) : [];
+  }
+
+  // Live API client content for one recorded turn
+  static toContent(turn) {
+    return {
+      role: turn.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: turn.text }]
+    };
+  }
+
+  // Counters for conversation stats
+  getStats() {
+    return {
+      turns: this.turns.length,
+      summarizedTurns: this.summarizedTurns,
+      summaryChars: this.summary.reduce((total, line) => total + line.length + 1, 0),
+      resumable: Boolean(this.getResumptionHandle())
+    };
+  }
+}
+
+module.exports = ConversationContext;
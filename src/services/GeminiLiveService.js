@@ -1,31 +1,77 @@
-const { GoogleGenAI, LiveServerMessage, Modality } = require('@google/genai');
+const { Modality } = require('@google/genai');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
+const { createLiveTransport } = require('./transports');
+const OutputAudioEncoder = require('./audio/OutputAudioEncoder');
+const toolRegistry = require('./tools');
+const promptStore = require('./PromptStore');
+const ConversationContext = require('./ConversationContext');
+const { ApiError } = require('../middleware/errorHandler');
+const metrics = require('./Metrics');
+const apiKeyPool = require('./ApiKeyPool');
+
+const MIN_SPEECH_RATE = 0.3;
+const MAX_SPEECH_RATE = 2.0;
+const GO_AWAY_MARGIN_MS = 2000; // Reconnect this long before a goAway deadline
+
+const turnsTotal = metrics.counter('sova_turns_total', 'User turns sent to Gemini Live, by input type');
+const reconnectsTotal = metrics.counter('sova_gemini_reconnects_total',
+  'Gemini Live connections reopened mid-conversation, by whether the server-side state was resumed');
+const quotaSwitchesTotal = metrics.counter('sova_gemini_quota_switches_total',
+  'Switches to the next API key after a quota error');
+const firstAudioSeconds = metrics.histogram('sova_time_to_first_audio_seconds',
+  'Time from the end of a user turn to the first audio of the response');
+const responseSeconds = metrics.histogram('sova_response_duration_seconds',
+  'Time from the end of a user turn until the response is complete', [0.5, 1, 2.5, 5, 10, 20, 30, 60]);
+
+// Token usage totals for a conversation
+const createUsage = () => ({
+  promptTokens: 0,
+  responseTokens: 0,
+  totalTokens: 0,
+  contextTokens: 0, // Prompt size of the latest turn - how full the context window is
+  turns: 0
+});
 
 // Service for Gemini 2.5 Live API with native audio support
 class GeminiLiveService {
-  constructor() {
-    this.client = null;
+  constructor(options = {}) {
+    this.transportFactory = options.transportFactory || createLiveTransport;
+    this.allowedTools = options.tools || []; // Tool names this session may call
+    this.pendingToolCalls = new Map(); // call id -> AbortController
+    this.transport = null;
+    this.outputEncoder = new OutputAudioEncoder(OutputAudioEncoder.negotiate());
+    this.messageQueue = Promise.resolve();
     this.session = null;
     this.isConnected = false;
-    this.audioQueue = [];
-    this.isProcessing = false;
-    this.systemPrompt = this.getSystemPrompt();
-    this.currentApiKeyIndex = 0;
-    this.apiKeys = this.getApiKeys();
+    this.persona = options.persona || null; // Rendered persona prompt from the PromptStore
+    this.languageCode = options.languageCode || config.gemini.languageCode;
+    this.apiKey = null; // Key leased from the shared pool for this session's connections
     
-    // Audio response buffering - collect multiple chunks into one complete response
+    // Model response currently streaming to the client - chunks are forwarded as they arrive
     this.currentAudioResponse = {
-      chunks: [],
+      chunkCount: 0,
+      bytes: 0,
       isComplete: false,
       startTime: null,
       lastChunkTime: null,
-      timeoutDuration: 2000 // Increased timeout to 2 seconds
+      requestedAt: null, // When the user turn this answers ended
+      heldMs: 0 // Playback time of parts the encoder has not emitted yet
+    };
+
+    // Live transcripts of the user's audio and the model's speech, accumulated until final
+    this.transcripts = {
+      user: '',
+      assistant: ''
+    };
+
+    // Streaming user audio input for the current turn
+    this.inputStream = {
+      isActive: false,
+      startTime: null,
+      chunkCount: 0,
+      bytesSent: 0
     };
-    
-    // Prevent multiple simultaneous audio responses
-    this.isProcessingAudioResponse = false;
-    this.audioResponseQueue = [];
     
     // Continuous conversation management
     this.conversationState = {
@@ -35,11 +81,20 @@ class GeminiLiveService {
       lastActivity: null,
       conversationHistory: [],
       sessionId: null,
-      voiceName: null,
+      voiceName: options.voiceName || null,
       speechRate: 0.8,
-      isInterrupted: false,
-      systemPromptSent: false // Track if system prompt has been sent
+      usage: createUsage(),
+      isInterrupted: false
     };
+    this.connectionId = 0; // Bumped on every connect/close so a stale connection's events are ignored
+    this.context = new ConversationContext(); // Carried over when the Live connection is replaced
+    this.goAwayTimer = null;
+    this.compression = options.compression !== undefined
+      ? options.compression
+      : GeminiLiveService.negotiateCompression(); // Sliding-window settings, or null when off
+    this.turnUsage = null; // Latest usageMetadata of the model turn in progress
+    this.limitTimer = null;
+    this.limitWarnings = new Set(); // Limit warnings already sent for the current connection
     
     // Session persistence and recovery
     this.sessionManager = {
@@ -51,202 +106,100 @@ class GeminiLiveService {
       lastReconnectTime: 0
     };
     
-    // Quota management
-    this.quotaManager = {
-      requestsPerMinute: 10, // Limit requests per minute per key
-      requestsPerHour: 100,  // Limit requests per hour per key
-      keyUsage: new Map(),   // Track usage per key
-      lastRequestTime: new Map(), // Track last request time per key
-      sessionReuseTime: 5 * 60 * 1000, // Reuse session for 5 minutes
-      lastSessionTime: 0
-    };
+    this.sessionStartedAt = 0; // When the current Live connection opened
     
-    this.initializeClient();
-  }
-
-  // Get all available API keys
-  getApiKeys() {
-    const keys = [
-      config.gemini.apiKey,
-      ...config.gemini.backupKeys
-    ].filter(key => key && key.trim() !== '');
-    
-    logger.info('Available API keys', { 
-      totalKeys: keys.length,
-      primaryKey: keys[0] ? 'Available' : 'Missing',
-      backupKeys: keys.length - 1
+    this.ready = this.initializeClient().catch(error => {
+      logger.error('Gemini Live client could not be initialized', { error: error.message });
     });
-    
-    return keys;
   }
 
-  // Initialize the Gemini Live client with fallback support
+  // Initialize the Gemini Live client with the healthiest pooled key
   async initializeClient() {
-    try {
-      await this.tryInitializeWithCurrentKey();
-    } catch (error) {
-      logger.error('Failed to initialize Gemini Live client with primary key', { error: error.message });
-      await this.tryFallbackKeys();
-    }
+    await this.connectWithPooledKey();
   }
 
-  // Try to initialize with current API key
-  async tryInitializeWithCurrentKey() {
-    if (this.currentApiKeyIndex >= this.apiKeys.length) {
-      throw new Error('All API keys have been exhausted');
-    }
-
-    const currentKey = this.apiKeys[this.currentApiKeyIndex];
-    logger.info('Trying API key', { 
-      keyIndex: this.currentApiKeyIndex + 1,
-      totalKeys: this.apiKeys.length,
-      keyPreview: currentKey.substring(0, 10) + '...'
-    });
-
-    this.client = new GoogleGenAI({
-      apiKey: currentKey,
-    });
-    
-    logger.info('Gemini Live client initialized successfully');
-    await this.initSession();
-  }
+  // Lease keys from the pool until one connects; each key is tried at most once
+  async connectWithPooledKey() {
+    const tried = [];
+    let key = this.useKey(apiKeyPool.acquire());
+
+    while (key) {
+      tried.push(key.id);
+      logger.info('Trying API key', {
+        keyId: key.id,
+        totalKeys: apiKeyPool.size,
+        keyPreview: key.key.substring(0, 10) + '...'
+      });
 
-  // Try fallback API keys
-  async tryFallbackKeys() {
-    for (let i = 1; i < this.apiKeys.length; i++) {
       try {
-        this.currentApiKeyIndex = i;
-        logger.info('Trying fallback API key', { 
-          keyIndex: i + 1,
-          totalKeys: this.apiKeys.length,
-          keyPreview: this.apiKeys[i].substring(0, 10) + '...'
-        });
-        
-        await this.tryInitializeWithCurrentKey();
-        logger.info('Successfully initialized with fallback API key', { keyIndex: i + 1 });
-        return;
+        await this.initSession();
+        return key;
       } catch (error) {
-        logger.warn('Fallback API key failed', { 
-          keyIndex: i + 1,
-          error: error.message 
-        });
+        logger.warn('API key failed to connect', { keyId: key.id, error: error.message });
       }
+      key = this.useKey(apiKeyPool.acquire({ exclude: tried }));
     }
-    
-    // If all keys fail, throw error
+
     throw new Error('All API keys failed to initialize');
   }
 
-  // Check if current API key has quota available
-  checkQuota(keyIndex) {
-    const key = keyIndex || this.currentApiKeyIndex;
-    const now = Date.now();
-    
-    // Initialize usage tracking for this key
-    if (!this.quotaManager.keyUsage.has(key)) {
-      this.quotaManager.keyUsage.set(key, {
-        minuteCount: 0,
-        hourCount: 0,
-        lastMinuteReset: now,
-        lastHourReset: now
-      });
-    }
-    
-    const usage = this.quotaManager.keyUsage.get(key);
-    
-    // Reset counters if time has passed
-    if (now - usage.lastMinuteReset > 60 * 1000) {
-      usage.minuteCount = 0;
-      usage.lastMinuteReset = now;
-    }
-    
-    if (now - usage.lastHourReset > 60 * 60 * 1000) {
-      usage.hourCount = 0;
-      usage.lastHourReset = now;
+  // Move to a healthier key when the pool has rested this session's key since it was leased
+  // (e.g. another session hit its quota). Returns whether the key changed.
+  leaveCoolingKey() {
+    const previousKey = this.apiKey;
+    if (!previousKey || !apiKeyPool.isCoolingDown(previousKey)) {
+      return false;
     }
-    
-    // Check limits
-    const minuteLimit = usage.minuteCount < this.quotaManager.requestsPerMinute;
-    const hourLimit = usage.hourCount < this.quotaManager.requestsPerHour;
-    
-    if (!minuteLimit || !hourLimit) {
-      logger.warn('Quota limit reached for API key', {
-        keyIndex: key + 1,
-        minuteCount: usage.minuteCount,
-        hourCount: usage.hourCount,
-        minuteLimit: this.quotaManager.requestsPerMinute,
-        hourLimit: this.quotaManager.requestsPerHour
-      });
+
+    const key = apiKeyPool.acquire();
+    if (!key) {
       return false;
     }
-    
-    return true;
+    this.useKey(key);
+    if (key !== previousKey) {
+      logger.info('Leaving API key that is cooling down', { fromKey: previousKey.id, toKey: key.id });
+    }
+    return key !== previousKey;
   }
 
-  // Increment quota usage for current key
-  incrementQuota() {
-    const key = this.currentApiKeyIndex;
-    const usage = this.quotaManager.keyUsage.get(key);
-    
-    if (usage) {
-      usage.minuteCount++;
-      usage.hourCount++;
-      this.quotaManager.lastRequestTime.set(key, Date.now());
-      
-      logger.info('Quota usage updated', {
-        keyIndex: key + 1,
-        minuteCount: usage.minuteCount,
-        hourCount: usage.hourCount
-      });
+  // Switch this session to a leased key (or none), handing the previous lease back to the pool
+  useKey(key) {
+    if (this.apiKey) {
+      apiKeyPool.release(this.apiKey);
     }
-  }
+    this.apiKey = key;
 
-  // Check if session can be reused
-  canReuseSession() {
-    const now = Date.now();
-    return this.session && 
-           this.isConnected && 
-           (now - this.quotaManager.lastSessionTime) < this.quotaManager.sessionReuseTime;
+    if (key) {
+      this.transport = this.transportFactory(key.key);
+      logger.info('Gemini Live client created', { transport: this.transport.name, keyId: key.id });
+    }
+    return key;
   }
 
-  // Handle quota exceeded error by switching to next API key
+  // Handle quota exceeded error: the pool has already rested the key, so move to the healthiest other one
   async handleQuotaError() {
     try {
-      // Mark current key as exhausted
-      const currentKey = this.currentApiKeyIndex;
-      const usage = this.quotaManager.keyUsage.get(currentKey);
-      if (usage) {
-        usage.minuteCount = this.quotaManager.requestsPerMinute;
-        usage.hourCount = this.quotaManager.requestsPerHour;
-      }
-      
-      this.currentApiKeyIndex++;
-      
-      if (this.currentApiKeyIndex >= this.apiKeys.length) {
-        logger.error('All API keys have exceeded quota');
-        return;
-      }
-      
-      logger.info('Switching to next API key due to quota exceeded', {
-        fromKey: currentKey + 1,
-        toKey: this.currentApiKeyIndex + 1,
-        totalKeys: this.apiKeys.length
-      });
-      
+      const previousKey = this.apiKey;
+
       // Close current session
-      if (this.session) {
-        try {
-          await this.session.close();
-        } catch (error) {
-          logger.warn('Error closing session during key switch', { error: error.message });
-        }
+      try {
+        await this.disconnect();
+      } catch (error) {
+        logger.warn('Error closing session during key switch', { error: error.message });
       }
-      
-      // Initialize with new key
-      await this.tryInitializeWithCurrentKey();
-      
-      logger.info('Successfully switched to backup API key');
-      
+
+      // Initialize with new key - resumption handles belong to the old key, so replay instead
+      this.context.clearResumption();
+      const key = await this.connectWithPooledKey();
+      this.replayContext();
+      quotaSwitchesTotal.inc();
+
+      logger.info('Switched API key after quota error', {
+        fromKey: previousKey ? previousKey.id : null,
+        toKey: key.id,
+        totalKeys: apiKeyPool.size
+      });
+
     } catch (error) {
       logger.error('Failed to switch API key', { error: error.message });
     }
@@ -255,11 +208,18 @@ class GeminiLiveService {
   // Initialize a new Live session
   async initSession(voiceName = null) {
     try {
+      // A session whose key was handed back (or never connected) leases a fresh one
+      if (!this.apiKey && !this.useKey(apiKeyPool.acquire())) {
+        throw new Error('No Gemini API keys available');
+      }
+
       const model = 'gemini-2.0-flash-live-001';
-      const voice = voiceName || config.tts?.voice || 'Orus';
+      const voice = voiceName || this.conversationState.voiceName || config.tts?.voice || 'Orus';
+      const connectionId = ++this.connectionId;
+      let connectionError = null; // Reported to the key pool once, when the connection closes
       const speechRate = this.conversationState.speechRate || 0.8; // Use conversation state speech rate
 
-      this.session = await this.client.live.connect({
+      this.session = await this.transport.connect({
         model: model,
         callbacks: {
           onopen: () => {
@@ -267,24 +227,39 @@ class GeminiLiveService {
             this.sessionManager.reconnectAttempts = 0;
             logger.info('Gemini Live session opened successfully');
           },
-          onmessage: async (message) => {
-            await this.handleServerMessage(message);
+          onmessage: (message) => {
+            if (connectionId !== this.connectionId) {
+              return; // A connection we already replaced
+            }
+            // Handle messages strictly in order so audio parts never overtake turnComplete
+            this.messageQueue = this.messageQueue
+              .then(() => this.handleServerMessage(message))
+              .catch(error => logger.error('Failed to handle Gemini Live message', { error: error.message }));
+            return this.messageQueue;
           },
           onerror: (error) => {
+            if (connectionId !== this.connectionId) {
+              return; // A connection we already replaced
+            }
             logger.error('Gemini Live session error', { error: error.message });
             this.isConnected = false;
-            
-            // Attempt auto-reconnection for continuous conversations
-            if (this.sessionManager.autoReconnect && this.conversationState.isActive) {
-              this.attemptReconnection();
-            }
+            connectionError = error; // onclose follows, and reports it and reconnects
           },
           onclose: (event) => {
+            if (connectionId !== this.connectionId) {
+              return; // Closed on purpose by disconnect()
+            }
             logger.info('Gemini Live session closed', { reason: event.reason });
             this.isConnected = false;
-            
+
+            // The one place a dropped connection counts against its key: a quota close reason or an earlier error
+            const quota = Boolean(event.reason) && apiKeyPool.isQuotaError({ reason: event.reason });
+            if (this.apiKey && (quota || connectionError)) {
+              apiKeyPool.reportFailure(this.apiKey, quota ? new Error(event.reason) : connectionError, quota);
+            }
+
             // Check if it's a quota error and try next API key
-            if (event.reason && event.reason.includes('quota')) {
+            if (quota) {
               logger.warn('Quota exceeded, attempting to switch to next API key');
               this.handleQuotaError();
             } else if (this.sessionManager.autoReconnect && this.conversationState.isActive) {
@@ -295,13 +270,21 @@ class GeminiLiveService {
         },
         config: {
           responseModalities: [Modality.AUDIO],
+          // The persona applies to every turn and input modality, not just the first text message
+          systemInstruction: { parts: [{ text: this.getSystemPrompt() }] },
+          // Ask for resumption handles, and resume the previous connection's state when we have one
+          ...(config.context.resumption && {
+            sessionResumption: this.context.getResumptionHandle()
+              ? { handle: this.context.getResumptionHandle() }
+              : {}
+          }),
           speechConfig: {
             voiceConfig: { 
               prebuiltVoiceConfig: { 
                 voiceName: voice
               }
             },
-            languageCode: 'en-US',
+            languageCode: this.languageCode,
             // Enhanced audio quality settings
             audioEncoding: 'LINEAR16', // Gemini Live actually returns LINEAR16 PCM
             sampleRateHertz: 48000, // Set to 48kHz for consistent sample rate
@@ -309,24 +292,48 @@ class GeminiLiveService {
             // Speech rate control for natural conversation
             speakingRate: speechRate // Use conversation state speech rate
           },
+          tools: this.getToolDeclarations(),
+          // Let the server drop the oldest turns instead of ending the session when the context fills up
+          ...(this.compression && {
+            contextWindowCompression: {
+              triggerTokens: String(this.compression.triggerTokens),
+              slidingWindow: { targetTokens: String(this.compression.targetTokens) }
+            }
+          }),
+          // Transcribe both sides of the call; partials arrive as inputTranscription/outputTranscription
+          inputAudioTranscription: {},
+          outputAudioTranscription: {},
+          realtimeInputConfig: {
+            // Manual mode: we mark speech turns with activityStart/activityEnd ourselves
+            automaticActivityDetection: {
+              disabled: config.gemini.activityDetection === 'manual'
+            }
+          },
         },
       });
 
+      apiKeyPool.reportSuccess(this.apiKey);
+      this.sessionStartedAt = Date.now();
+
       // Update conversation state with voice name
       this.conversationState.voiceName = voice;
-
-      // Note: System prompt will be sent with the first user message instead of automatically
-      // This prevents unwanted AI responses when the session is just initialized
-      logger.info('Session initialized - system prompt will be sent with first user message');
+      this.scheduleLimitWarning();
 
       logger.info('Gemini Live session initialized', { 
         model: model,
         voice: voice,
+        persona: `${this.persona.id}@${this.persona.version}`,
+        languageCode: this.languageCode,
         speechRate: speechRate,
+        compression: this.compression,
         conversationActive: this.conversationState.isActive
       });
     } catch (error) {
-      logger.error('Failed to initialize Gemini Live session', { error: error.message });
+      logger.error('Failed to initialize Gemini Live session', { error: error.message, keyId: this.apiKey?.id });
+      this.connectionId++; // Late callbacks of the failed connection are ignored, so this is its only report
+      if (this.apiKey) {
+        apiKeyPool.reportFailure(this.apiKey, error);
+      }
       throw error;
     }
   }
@@ -334,32 +341,81 @@ class GeminiLiveService {
   // Handle incoming server messages (audio responses) - ENHANCED FOR INTERRUPTIONS
   async handleServerMessage(message) {
     try {
-      const audio = message.serverContent?.modelTurn?.parts[0]?.inlineData;
+      const parts = message.serverContent?.modelTurn?.parts || [];
+
+      // Transcripts of the user's audio and of the model's spoken reply
+      if (message.serverContent?.inputTranscription) {
+        await this.handleTranscription('user', message.serverContent.inputTranscription);
+      }
+      if (message.serverContent?.outputTranscription) {
+        await this.handleTranscription('assistant', message.serverContent.outputTranscription);
+      }
+
+      // Keep the newest handle so a replacement connection can pick up where this one is
+      if (message.sessionResumptionUpdate) {
+        this.context.updateResumption(message.sessionResumptionUpdate);
+      }
+      if (message.goAway) {
+        this.handleGoAway(message.goAway);
+      }
+      if (message.usageMetadata) {
+        this.handleUsage(message.usageMetadata);
+      }
+
+      // Function calls run in the background so a cancellation can still reach them
+      if (message.toolCall) {
+        this.handleToolCall(message.toolCall);
+      }
+      if (message.toolCallCancellation) {
+        this.cancelToolCalls(message.toolCallCancellation.ids || []);
+      }
 
-      if (audio) {
-        logger.info('Received audio chunk from Gemini Live', {
+      // Forward every audio part to the client as soon as it arrives
+      for (const part of parts) {
+        const audio = part.inlineData;
+        if (!audio || !audio.data) {
+          continue;
+        }
+
+        logger.debug('Received audio chunk from Gemini Live', {
           dataSize: audio.data.length,
-          format: 'base64',
-          chunksCollected: this.currentAudioResponse.chunks.length,
-          isProcessing: this.isProcessingAudioResponse
+          mimeType: audio.mimeType
         });
 
-        // Process the audio data
-        const processedAudio = await this.processAudioResponse(audio.data);
-        
-        // Add to current response buffer
-        this.currentAudioResponse.chunks.push(processedAudio);
-        
-        // Start timing if this is the first chunk
-        if (!this.currentAudioResponse.startTime) {
-          this.currentAudioResponse.startTime = Date.now();
+        const response = this.currentAudioResponse;
+        const sourceRate = this.getSourceRate(audio.mimeType);
+        const sourceBytes = Buffer.byteLength(audio.data, 'base64'); // Decoded size, padding excluded
+        response.heldMs += sourceBytes / 2 / sourceRate * 1000;
+        response.bytes += sourceBytes;
+
+        // Encoders such as Opus may hold a part back until a whole frame is available
+        const processedAudio = await this.processAudioResponse(audio.data, sourceRate);
+        if (!processedAudio) {
+          continue;
+        }
+
+        const isFirstChunk = response.chunkCount === 0;
+
+        if (isFirstChunk) {
+          response.startTime = Date.now();
+          if (response.requestedAt) {
+            firstAudioSeconds.observe((response.startTime - response.requestedAt) / 1000);
+          }
+        }
+        response.chunkCount++;
+        response.lastChunkTime = Date.now();
+
+        // Playback duration lets the socket layer pace delivery to real time
+        const durationMs = response.heldMs;
+        response.heldMs = 0;
+
+        if (this.onAudioChunk) {
+          await this.onAudioChunk(processedAudio, {
+            sequence: response.chunkCount - 1,
+            isFirstChunk,
+            durationMs
+          });
         }
-        
-        // Update last chunk time
-        this.currentAudioResponse.lastChunkTime = Date.now();
-        
-        // Check if this response is complete (no more audio for timeout duration)
-        this.scheduleResponseCompletion();
       }
 
       // ENHANCED INTERRUPTION HANDLING - Immediate detection and response
@@ -369,6 +425,9 @@ class GeminiLiveService {
         
         // IMMEDIATE CLEARING of all audio responses
         this.clearAllAudioResponses();
+
+        // Keep what the model said before it was cut off
+        await this.finalizeTranscripts('interrupted');
         
         // Mark conversation as interrupted
         this.conversationState.isInterrupted = true;
@@ -405,28 +464,34 @@ class GeminiLiveService {
         }
       }
 
+      // The Live API tells us when the model is done - no silence timer needed
+      if (message.serverContent?.generationComplete || message.serverContent?.turnComplete) {
+        await this.completeAudioResponse(message.serverContent.turnComplete ? 'turnComplete' : 'generationComplete');
+      }
+
+      // A new model turn starts after turnComplete
+      if (message.serverContent?.turnComplete) {
+        this.completeTurnUsage();
+        this.clearCurrentAudioResponse();
+        await this.finalizeTranscripts('turnComplete');
+
+        // A goAway that arrived mid-response can be acted on now
+        if (this.goAwayTimer) {
+          this.moveToNewConnection();
+        }
+      }
+
     } catch (error) {
       logger.error('Failed to handle server message', { error: error.message });
     }
   }
 
-  // Process audio response data
-  async processAudioResponse(audioData) {
+  // Encode a LINEAR16 part from Gemini into the session's negotiated output format
+  async processAudioResponse(audioData, sourceRate) {
     try {
-      // The audio data comes as base64 encoded LINEAR16 PCM
       const decodedAudio = Buffer.from(audioData, 'base64');
-      
-      logger.info('Received LINEAR16 PCM audio, converting to WAV format', {
-        dataSize: decodedAudio.length
-      });
-      
-      // Convert raw LINEAR16 PCM to WAV format at 48kHz
-      const sampleRate = 48000; // 48kHz as configured
-      const channels = 1; // Mono
-      const bitsPerSample = 16; // 16-bit PCM
-      
-      const wavData = this.createWAVFile(decodedAudio, sampleRate, channels, bitsPerSample);
-      return Buffer.from(wavData).toString('base64');
+      const encoded = this.outputEncoder.encode(decodedAudio, sourceRate);
+      return encoded.length > 0 ? encoded : null;
     } catch (error) {
       logger.error('Failed to process audio response', { error: error.message });
       // Return a fallback beep
@@ -434,50 +499,275 @@ class GeminiLiveService {
     }
   }
 
-  // Create WAV file with proper headers
-  createWAVFile(audioData, sampleRate, channels, bitsPerSample) {
-    const dataSize = audioData.length;
-    const fileSize = 36 + dataSize;
-    
-    // Create WAV header
-    const header = new ArrayBuffer(44);
-    const view = new DataView(header);
-    
-    // RIFF header
-    view.setUint32(0, 0x52494646, false); // "RIFF"
-    view.setUint32(4, fileSize, true); // File size
-    view.setUint32(8, 0x57415645, false); // "WAVE"
-    
-    // fmt chunk
-    view.setUint32(12, 0x666D7420, false); // "fmt "
-    view.setUint32(16, 16, true); // Chunk size
-    view.setUint16(20, 1, true); // Audio format (PCM)
-    view.setUint16(22, channels, true); // Number of channels
-    view.setUint32(24, sampleRate, true); // Sample rate
-    view.setUint32(28, sampleRate * channels * (bitsPerSample / 8), true); // Byte rate
-    view.setUint16(32, channels * (bitsPerSample / 8), true); // Block align
-    view.setUint16(34, bitsPerSample, true); // Bits per sample
-    
-    // data chunk
-    view.setUint32(36, 0x64617461, false); // "data"
-    view.setUint32(40, dataSize, true); // Data size
-    
-    // Combine header and audio data
-    const wavFile = new Uint8Array(44 + dataSize);
-    wavFile.set(new Uint8Array(header), 0);
-    wavFile.set(audioData, 44);
-    
-    return wavFile;
+  // Accumulate a transcription fragment and report the partial transcript
+  async handleTranscription(role, transcription) {
+    const delta = transcription.text || '';
+    if (!delta && !transcription.finished) {
+      return;
+    }
+
+    this.transcripts[role] += delta;
+
+    if (this.onTranscript && delta) {
+      await this.onTranscript({
+        role,
+        text: this.transcripts[role].trim(),
+        delta,
+        isFinal: false
+      });
+    }
+
+    if (transcription.finished) {
+      await this.finalizeTranscript(role, 'finished');
+    }
+  }
+
+  // Report a role's accumulated transcript as final and start a new one
+  async finalizeTranscript(role, reason) {
+    const text = this.transcripts[role].trim();
+    this.transcripts[role] = '';
+    this.context.addTurn(role, text);
+
+    if (!text || !this.onTranscript) {
+      return;
+    }
+
+    await this.onTranscript({
+      role,
+      text,
+      delta: '',
+      isFinal: true,
+      interrupted: role === 'assistant' && reason === 'interrupted'
+    });
+  }
+
+  // Finalize both sides of the current turn - the user spoke first, so their transcript goes first
+  async finalizeTranscripts(reason) {
+    await this.finalizeTranscript('user', reason);
+    await this.finalizeTranscript('assistant', reason);
+  }
+
+  // Resolve a session's context compression: unset uses CONTEXT_COMPRESSION and its defaults, `false` turns it
+  // off, `true` turns it on, and { triggerTokens, targetTokens } overrides the window
+  static negotiateCompression(requested) {
+    const defaults = config.context;
+    if (requested === false || ((requested === undefined || requested === null) && !defaults.compression)) {
+      return null;
+    }
+
+    const settings = {
+      triggerTokens: defaults.compressionTriggerTokens,
+      targetTokens: defaults.compressionTargetTokens,
+      ...(requested && typeof requested === 'object' ? requested : {})
+    };
+    const { triggerTokens, targetTokens } = settings;
+    if (!Number.isInteger(triggerTokens) || !Number.isInteger(targetTokens) ||
+        targetTokens <= 0 || targetTokens >= triggerTokens) {
+      throw new ApiError(400, 'Context compression needs whole-number targetTokens below triggerTokens', {
+        code: 'INVALID_CONTEXT_COMPRESSION',
+        defaults: { triggerTokens: defaults.compressionTriggerTokens, targetTokens: defaults.compressionTargetTokens }
+      });
+    }
+    return { triggerTokens, targetTokens };
+  }
+
+  // Change context compression - it is part of the connection setup, so it applies from the next connect
+  setCompression(compression) {
+    this.compression = compression;
+  }
+
+  // Keep the newest usage report of the model turn in progress; it is booked at turnComplete
+  handleUsage(usageMetadata) {
+    this.turnUsage = {
+      promptTokens: usageMetadata.promptTokenCount || 0,
+      responseTokens: usageMetadata.responseTokenCount || 0,
+      totalTokens: usageMetadata.totalTokenCount || 0,
+      cachedTokens: usageMetadata.cachedContentTokenCount || 0,
+      toolUsePromptTokens: usageMetadata.toolUsePromptTokenCount || 0,
+      thoughtsTokens: usageMetadata.thoughtsTokenCount || 0
+    };
+
+    this.checkContextLimit(this.turnUsage.promptTokens);
+  }
+
+  // Add the finished turn's usage to the conversation totals and its conversationHistory entry
+  completeTurnUsage() {
+    const turnUsage = this.turnUsage;
+    this.turnUsage = null;
+    if (!turnUsage) {
+      return;
+    }
+
+    const usage = this.conversationState.usage;
+    usage.promptTokens += turnUsage.promptTokens;
+    usage.responseTokens += turnUsage.responseTokens;
+    usage.totalTokens += turnUsage.totalTokens;
+    usage.contextTokens = turnUsage.promptTokens;
+    usage.turns++;
+
+    const history = this.conversationState.conversationHistory;
+    if (this.conversationState.isActive && history.length > 0) {
+      history[history.length - 1].usage = turnUsage;
+    }
+  }
+
+  // Without compression a full context window ends the session - warn the client while there is room left
+  checkContextLimit(promptTokens) {
+    const { windowTokens, warningRatio } = config.context;
+    const limitTokens = this.compression ? null : windowTokens;
+    if (!limitTokens || promptTokens < limitTokens * warningRatio) {
+      return;
+    }
+
+    this.warnSessionLimit('context', {
+      contextTokens: promptTokens,
+      limitTokens,
+      remainingTokens: Math.max(0, limitTokens - promptTokens)
+    });
+  }
+
+  // Uncompressed audio sessions are cut off after a fixed time - warn shortly before
+  scheduleLimitWarning() {
+    clearTimeout(this.limitTimer);
+    this.limitTimer = null;
+    this.limitWarnings.clear();
+    if (this.compression) {
+      return;
+    }
+
+    const { uncompressedLimitMs, limitWarningMs } = config.context;
+    const connectedAt = Date.now();
+    this.limitTimer = setTimeout(() => {
+      this.limitTimer = null;
+      this.warnSessionLimit('duration', {
+        limitMs: uncompressedLimitMs,
+        remainingMs: Math.max(0, uncompressedLimitMs - (Date.now() - connectedAt))
+      });
+    }, Math.max(0, uncompressedLimitMs - limitWarningMs));
+  }
+
+  // Tell the client once per connection that a forced cutoff is coming
+  warnSessionLimit(reason, details) {
+    if (this.limitWarnings.has(reason)) {
+      return;
+    }
+    this.limitWarnings.add(reason);
+
+    logger.warn('Gemini Live session is approaching a limit', {
+      sessionId: this.conversationState.sessionId,
+      reason,
+      ...details
+    });
+
+    if (this.onSessionWarning) {
+      Promise.resolve(this.onSessionWarning({ reason, ...details })).catch(error => {
+        logger.error('Failed to deliver session limit warning', { error: error.message });
+      });
+    }
+  }
+
+  // Function declarations for the tools this session may call
+  getToolDeclarations() {
+    const functionDeclarations = toolRegistry.getFunctionDeclarations(this.allowedTools);
+    return functionDeclarations.length > 0 ? [{ functionDeclarations }] : undefined;
+  }
+
+  // Change the session's tool allowlist - declarations are sent on the next connection
+  setAllowedTools(names) {
+    this.allowedTools = names;
+  }
+
+  // Run the functions Gemini asked for and send their results back in one toolResponse
+  async handleToolCall(toolCall) {
+    const functionCalls = toolCall.functionCalls || [];
+    const sessionId = this.conversationState.sessionId;
+
+    const results = await Promise.all(functionCalls.map(async (call) => {
+      const controller = new AbortController();
+      this.pendingToolCalls.set(call.id, controller);
+      this.notifyToolCall({ id: call.id, name: call.name, status: 'started' });
+
+      const startTime = Date.now();
+      const response = await toolRegistry.execute(call, {
+        sessionId,
+        allowed: this.allowedTools,
+        signal: controller.signal
+      });
+      this.pendingToolCalls.delete(call.id);
+
+      const cancelled = controller.signal.aborted;
+      this.notifyToolCall({
+        id: call.id,
+        name: call.name,
+        status: cancelled ? 'cancelled' : response.error ? 'failed' : 'completed',
+        duration: Date.now() - startTime,
+        error: cancelled ? undefined : response.error?.code
+      });
+
+      // Gemini has already moved on from cancelled calls
+      return cancelled ? null : { id: call.id, name: call.name, response };
+    }));
+
+    const functionResponses = results.filter(Boolean);
+    if (functionResponses.length === 0 || !this.session || !this.isConnected) {
+      return;
+    }
+
+    try {
+      this.session.sendToolResponse({ functionResponses });
+    } catch (error) {
+      logger.error('Failed to send tool response to Gemini Live', { sessionId, error: error.message });
+    }
+  }
+
+  // Abort tool calls Gemini no longer needs (e.g. the user interrupted)
+  cancelToolCalls(ids) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    ids.forEach(id => {
+      const controller = this.pendingToolCalls.get(id);
+      if (controller) {
+        controller.abort();
+        this.pendingToolCalls.delete(id);
+      }
+    });
+
+    logger.info('Tool calls cancelled', { sessionId: this.conversationState.sessionId, ids });
+  }
+
+  // Tell the socket layer about tool call progress; a failing callback must not break the call
+  notifyToolCall(event) {
+    if (!this.onToolCall) {
+      return;
+    }
+    Promise.resolve()
+      .then(() => this.onToolCall(event))
+      .catch(error => logger.error('Error in tool call callback', { error: error.message }));
+  }
+
+  // Sample rate of a Gemini audio part - labelled "audio/pcm;rate=24000", else the configured rate
+  getSourceRate(mimeType) {
+    const rateMatch = /rate=(\d+)/.exec(mimeType || '');
+    return rateMatch ? parseInt(rateMatch[1]) : config.audio.outputSampleRate;
+  }
+
+  // Switch the encoding used for this session's model audio
+  setOutputFormat(format) {
+    this.outputEncoder.close();
+    this.outputEncoder = new OutputAudioEncoder(format);
+
+    logger.info('Output audio format negotiated', format);
   }
 
   // Generate fallback audio (simple beep)
   generateFallbackAudio() {
-    const sampleRate = 44100; // CD quality sample rate
+    const sampleRate = config.audio.outputSampleRate;
     const duration = 0.5; // 500ms beep
     const samples = Math.floor(sampleRate * duration);
     
-    const audioBuffer = new ArrayBuffer(samples * 2);
-    const view = new DataView(audioBuffer);
+    const audioBuffer = Buffer.alloc(samples * 2);
     
     for (let i = 0; i < samples; i++) {
       const time = i / sampleRate;
@@ -488,39 +778,23 @@ class GeminiLiveService {
       const envelope = Math.min(1, time * 100) * Math.min(1, (duration - time) * 100);
       const finalSample = sample * envelope;
       
-      view.setInt16(i * 2, finalSample * 32767, true);
+      audioBuffer.writeInt16LE(Math.round(finalSample * 32767), i * 2);
     }
     
-    // Create WAV file
-    const wavData = this.createWAVFile(audioBuffer, sampleRate, 1, 16);
-    return Buffer.from(wavData).toString('base64');
+    // Encode as a complete response in the session's output format
+    this.outputEncoder.reset();
+    const encoded = this.outputEncoder.encode(audioBuffer, sampleRate);
+    const tail = this.outputEncoder.flush();
+    return Buffer.concat(tail ? [encoded, tail] : [encoded]);
   }
 
   // Send text input to Gemini Live - ENHANCED FOR LOW LATENCY
   async sendTextInput(text, sessionId) {
     try {
-      // Check quota before making request
-      if (!this.checkQuota()) {
-        logger.warn('Quota limit reached, using fallback response');
-        const fallbackAudio = this.generateFallbackAudio();
-        
-        if (this.onAudioChunk) {
-          this.onAudioChunk(fallbackAudio);
-        }
-        
-        if (this.onTextResponse) {
-          const fallbackResponse = `I'm sorry, but I've reached my usage limit for this period. I heard you say: "${text}". Please try again in a few minutes.`;
-          this.onTextResponse(fallbackResponse);
-        }
-        
-        return;
-      }
-
-      // Check if session can be reused for faster response
-      if (!this.canReuseSession()) {
-        logger.info('Creating new session for request');
-        await this.initSession();
-        this.quotaManager.lastSessionTime = Date.now();
+      // Every turn reuses the open connection; only a dropped one is reopened (with the conversation)
+      if (!this.isConnected || !this.session) {
+        logger.info('Reopening Gemini Live session for request');
+        await this.reopenSession();
       }
 
       if (!this.isConnected || !this.session) {
@@ -528,12 +802,7 @@ class GeminiLiveService {
         
         // Fallback to simulated speech when API is not available
         logger.info('Using fallback simulated speech due to API unavailability');
-        const fallbackAudio = this.generateFallbackAudio();
-        
-        // Emit audio chunk event if we have a callback
-        if (this.onAudioChunk) {
-          this.onAudioChunk(fallbackAudio);
-        }
+        await this.deliverFallbackAudio();
         
         // Emit text response event
         if (this.onTextResponse) {
@@ -548,9 +817,7 @@ class GeminiLiveService {
         sessionId,
         textLength: text.length,
         text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
-        isConnected: this.isConnected,
-        sessionReusable: this.canReuseSession(),
-        systemPromptSent: this.conversationState.systemPromptSent
+        isConnected: this.isConnected
       });
 
       // Clear any pending audio response before sending new input - IMMEDIATE CLEARING
@@ -558,38 +825,14 @@ class GeminiLiveService {
 
       // Record conversation turn
       this.recordTurn('text', text.length);
-
-      // Send system prompt with first message if not already sent
-      if (!this.conversationState.systemPromptSent) {
-        try {
-          const systemPrompt = this.getSystemPrompt();
-          logger.info('Sending system prompt with first message to establish Sova identity', {
-            promptLength: systemPrompt.length,
-            userText: text.substring(0, 50) + '...'
-          });
-          
-          // Send system prompt first
-          await this.session.sendRealtimeInput({
-            text: systemPrompt
-          });
-          
-          // Mark system prompt as sent
-          this.conversationState.systemPromptSent = true;
-          
-          logger.info('System prompt sent successfully, now sending user message');
-        } catch (promptError) {
-          logger.error('Failed to send system prompt with first message', { error: promptError.message });
-        }
-      }
+      this.context.addTurn('user', text);
 
       // Send text input to the Live session - OPTIMIZED FOR SPEED
+      this.currentAudioResponse.requestedAt = Date.now();
       await this.session.sendRealtimeInput({
         text: text
       });
 
-      // Increment quota usage after successful request
-      this.incrementQuota();
-
       logger.info('Text input sent successfully to Gemini Live with low latency', { 
         sessionId,
         turnCount: this.conversationState.turnCount,
@@ -604,12 +847,7 @@ class GeminiLiveService {
       
       // Fallback to simulated speech on error
       logger.info('Using fallback simulated speech due to API error');
-      const fallbackAudio = this.generateFallbackAudio();
-      
-      // Emit audio chunk event if we have a callback
-      if (this.onAudioChunk) {
-        this.onAudioChunk(fallbackAudio);
-      }
+      await this.deliverFallbackAudio();
       
       // Emit text response event
       if (this.onTextResponse) {
@@ -619,176 +857,199 @@ class GeminiLiveService {
     }
   }
 
-  // Send audio input to Gemini Live
-  async sendAudioInput(audioData, sessionId) {
-    try {
-      if (!this.isConnected || !this.session) {
-        logger.error('Gemini Live session not connected');
-        throw new Error('Session not connected');
-      }
+  // Open a user speech turn - in manual mode this also barges in on any model response
+  async startUserActivity(sessionId) {
+    if (this.inputStream.isActive) {
+      return this.inputStream.started;
+    }
 
-      logger.info('Sending audio input to Gemini Live', {
-        sessionId,
-        dataSize: audioData.length
-      });
+    // Mark the turn open synchronously so concurrent frames join it instead of opening another
+    this.inputStream = {
+      isActive: true,
+      started: null,
+      startTime: Date.now(),
+      chunkCount: 0,
+      bytesSent: 0
+    };
 
-      // Clear any pending audio response before sending new input
-      this.clearAllAudioResponses();
+    // Drop any response still being collected - the user is talking over it
+    this.clearAllAudioResponses();
 
-      // Record conversation turn
-      this.recordTurn('audio', audioData.length);
+    // Record conversation turn; the input length is filled in as audio arrives
+    this.recordTurn('audio', 0);
 
-      // Send audio input to the Live session
-      await this.session.sendRealtimeInput({
-        media: audioData // This should be a Blob or ArrayBuffer
-      });
+    this.inputStream.started = (async () => {
+      // Audio can arrive before the first connection attempt has finished
+      await this.ready;
+
+      // Like a text turn, a turn that finds the connection dropped reopens it (with the conversation) first
+      if (!this.isConnected || !this.session) {
+        logger.info('Reopening Gemini Live session for audio turn', { sessionId });
+        await this.reopenSession();
+        this.inputStream.isActive = true; // Closing the old connection closed its input stream, not this turn
+      }
+
+      if (config.gemini.activityDetection === 'manual') {
+        await this.session.sendRealtimeInput({ activityStart: {} });
+      }
 
-      logger.info('Audio input sent successfully to Gemini Live', { 
+      logger.info('User activity started', {
         sessionId,
-        turnCount: this.conversationState.turnCount
+        activityDetection: config.gemini.activityDetection
       });
+    })();
 
+    try {
+      await this.inputStream.started;
     } catch (error) {
-      logger.error('Failed to send audio input to Gemini Live', {
-        sessionId,
-        error: error.message
-      });
+      this.inputStream.isActive = false;
       throw error;
     }
   }
 
-  // Schedule response completion check
-  scheduleResponseCompletion() {
-    // Clear any existing timeout
-    if (this.responseCompletionTimeout) {
-      clearTimeout(this.responseCompletionTimeout);
+  // Forward one frame of 16 kHz LINEAR16 PCM (base64) to the Live session as it arrives
+  async sendRealtimeAudio(audioData, sessionId) {
+    // Opens the user turn on the first frame, or waits until it has been opened
+    await this.startUserActivity(sessionId);
+
+    if (!this.isConnected || !this.session) {
+      throw new Error('Session not connected');
+    }
+
+    // Accepts PCM as a Buffer or already base64-encoded; the Live API wants base64
+    const isBuffer = Buffer.isBuffer(audioData);
+
+    await this.session.sendRealtimeInput({
+      audio: {
+        data: isBuffer ? audioData.toString('base64') : audioData,
+        mimeType: `audio/pcm;rate=${config.audio.sampleRate}`
+      }
+    });
+
+    this.inputStream.chunkCount++;
+    this.inputStream.bytesSent += isBuffer ? audioData.length : Math.floor(audioData.length * 3 / 4);
+    this.conversationState.lastActivity = Date.now();
+
+    const lastTurn = this.conversationState.conversationHistory[this.conversationState.conversationHistory.length - 1];
+    if (lastTurn && lastTurn.inputType === 'audio') {
+      lastTurn.inputLength = this.inputStream.bytesSent;
     }
-    
-    // Set timeout to complete response after timeout duration of no new chunks
-    this.responseCompletionTimeout = setTimeout(() => {
-      this.completeAudioResponse();
-    }, this.currentAudioResponse.timeoutDuration);
   }
-  
-  // Complete the current audio response
-  async completeAudioResponse() {
-    if (this.currentAudioResponse.chunks.length === 0) {
+
+  // Close the user speech turn so Gemini starts responding
+  async endUserActivity(sessionId) {
+    if (!this.inputStream.isActive) {
       return;
     }
-    
-    // Prevent multiple simultaneous audio responses
-    if (this.isProcessingAudioResponse) {
-      logger.info('Audio response already being processed, queuing this response');
-      this.audioResponseQueue.push({
-        chunks: [...this.currentAudioResponse.chunks],
-        startTime: this.currentAudioResponse.startTime
-      });
-      this.clearCurrentAudioResponse();
+
+    // Let the activity start reach Gemini before the end is sent
+    await this.inputStream.started;
+
+    const { chunkCount, bytesSent, startTime } = this.inputStream;
+    this.inputStream.isActive = false;
+
+    if (!this.isConnected || !this.session) {
+      throw new Error('Session not connected');
+    }
+
+    this.currentAudioResponse.requestedAt = Date.now();
+    if (config.gemini.activityDetection === 'manual') {
+      await this.session.sendRealtimeInput({ activityEnd: {} });
+    } else {
+      await this.session.sendRealtimeInput({ audioStreamEnd: true });
+    }
+
+    logger.info('User activity ended', {
+      sessionId,
+      chunkCount,
+      bytesSent,
+      duration: Date.now() - startTime,
+      turnCount: this.conversationState.turnCount
+    });
+  }
+
+  // Deliver the fallback beep as a complete single-chunk response
+  async deliverFallbackAudio() {
+    this.clearCurrentAudioResponse();
+    this.currentAudioResponse.startTime = Date.now();
+    this.currentAudioResponse.chunkCount = 1;
+
+    if (this.onAudioChunk) {
+      await this.onAudioChunk(this.generateFallbackAudio(), { sequence: 0, isFirstChunk: true, durationMs: 500 });
+    }
+
+    await this.completeAudioResponse('fallback');
+    this.clearCurrentAudioResponse();
+  }
+
+  // Complete the current audio response once Gemini signals the end of generation
+  async completeAudioResponse(reason) {
+    const response = this.currentAudioResponse;
+    if (response.chunkCount === 0 || response.isComplete) {
       return;
     }
-    
-    this.isProcessingAudioResponse = true;
-    
+
+    response.isComplete = true;
+    if (response.requestedAt) {
+      responseSeconds.observe((Date.now() - response.requestedAt) / 1000);
+    }
+
+    // Deliver whatever the encoder still holds (e.g. a partial Opus frame)
+    const tail = this.outputEncoder.flush();
+    if (tail && this.onAudioChunk) {
+      await this.onAudioChunk(tail, { sequence: response.chunkCount, isFirstChunk: false, durationMs: response.heldMs });
+      response.heldMs = 0;
+      response.chunkCount++;
+    }
+
     logger.info('Completing audio response', {
-      totalChunks: this.currentAudioResponse.chunks.length,
-      duration: Date.now() - this.currentAudioResponse.startTime,
-      queueLength: this.audioResponseQueue.length
+      reason,
+      totalChunks: response.chunkCount,
+      duration: Date.now() - response.startTime
     });
-    
-    try {
-      // Combine all chunks into one complete response
-      const completeAudio = this.combineAudioChunks(this.currentAudioResponse.chunks);
-      
-      if (!completeAudio) {
-        logger.warn('No complete audio generated from chunks');
-        this.isProcessingAudioResponse = false;
-        this.clearCurrentAudioResponse();
-        return;
-      }
-      
-      // Add to audio queue for streaming
-      this.audioQueue.push(completeAudio);
-      
-      // Update conversation turn with response length
-      if (this.conversationState.isActive && this.conversationState.conversationHistory.length > 0) {
-        const lastTurn = this.conversationState.conversationHistory[this.conversationState.conversationHistory.length - 1];
-        lastTurn.responseLength = completeAudio.length;
-      }
-      
-      // Emit the complete audio response
-      if (this.onAudioChunk) {
-        await this.onAudioChunk(completeAudio);
-      }
-      
-      logger.info('Audio response completed successfully', {
-        responseSize: completeAudio.length,
-        chunksProcessed: this.currentAudioResponse.chunks.length
-      });
-      
-    } catch (error) {
-      logger.error('Failed to complete audio response', { error: error.message });
-    } finally {
-      // Reset for next response
-      this.clearCurrentAudioResponse();
-      
-      // Process next queued response if any
-      this.isProcessingAudioResponse = false;
-      if (this.audioResponseQueue.length > 0) {
-        const nextResponse = this.audioResponseQueue.shift();
-        this.currentAudioResponse = {
-          chunks: nextResponse.chunks,
-          isComplete: false,
-          startTime: nextResponse.startTime
-        };
-        // Process the next response immediately
-        setTimeout(() => this.completeAudioResponse(), 100);
+
+    // Update conversation turn with response length
+    if (this.conversationState.isActive && this.conversationState.conversationHistory.length > 0) {
+      const lastTurn = this.conversationState.conversationHistory[this.conversationState.conversationHistory.length - 1];
+      lastTurn.responseLength = response.bytes;
+    }
+
+    if (this.onTurnComplete) {
+      try {
+        await this.onTurnComplete({
+          reason,
+          totalChunks: response.chunkCount,
+          duration: Date.now() - response.startTime
+        });
+      } catch (error) {
+        logger.error('Failed to complete audio response', { error: error.message });
       }
     }
   }
   
-  // Clear current audio response buffer
+  // Clear current audio response state
   clearCurrentAudioResponse() {
     this.currentAudioResponse = {
-      chunks: [],
+      chunkCount: 0,
+      bytes: 0,
       isComplete: false,
       startTime: null,
       lastChunkTime: null,
-      timeoutDuration: 2000
+      requestedAt: null, // When the user turn this answers ended
+      heldMs: 0 // Playback time of parts the encoder has not emitted yet
     };
-    
-    if (this.responseCompletionTimeout) {
-      clearTimeout(this.responseCompletionTimeout);
-      this.responseCompletionTimeout = null;
-    }
-    
-    logger.info('Current audio response cleared');
   }
   
   // Clear all audio responses (for interruptions) - ENHANCED FOR IMMEDIATE RESPONSE
   clearAllAudioResponses() {
-    // Clear current response buffer
     this.clearCurrentAudioResponse();
-    
-    // Clear audio queue
-    this.audioQueue = [];
-    
-    // Reset processing flags
-    this.isProcessingAudioResponse = false;
-    
-    // Clear any pending timeouts
-    if (this.responseCompletionTimeout) {
-      clearTimeout(this.responseCompletionTimeout);
-      this.responseCompletionTimeout = null;
-    }
-    
-    // Clear audio response queue
-    this.audioResponseQueue = [];
-    
+    this.outputEncoder.reset();
     logger.info('All audio responses cleared immediately for interruption');
   }
   
   // Start a new conversation
   startConversation(sessionId, voiceName = null) {
+    this.context.reset();
     this.conversationState = {
       isActive: true,
       startTime: Date.now(),
@@ -798,15 +1059,14 @@ class GeminiLiveService {
       sessionId,
       voiceName: voiceName || this.conversationState.voiceName,
       speechRate: this.conversationState.speechRate,
-      isInterrupted: false,
-      systemPromptSent: false // Reset system prompt flag for new conversation
+      usage: createUsage(),
+      isInterrupted: false
     };
     
     logger.info('Conversation started', {
       sessionId,
       voiceName: this.conversationState.voiceName,
-      startTime: new Date(this.conversationState.startTime).toISOString(),
-      systemPromptSent: false
+      startTime: new Date(this.conversationState.startTime).toISOString()
     });
   }
   
@@ -822,6 +1082,7 @@ class GeminiLiveService {
       voiceName: this.conversationState.voiceName
     });
     
+    this.context.reset();
     this.conversationState = {
       isActive: false,
       startTime: null,
@@ -831,8 +1092,8 @@ class GeminiLiveService {
       sessionId: null,
       voiceName: this.conversationState.voiceName,
       speechRate: this.conversationState.speechRate,
-      isInterrupted: false,
-      systemPromptSent: false // Reset system prompt flag
+      usage: createUsage(),
+      isInterrupted: false
     };
   }
   
@@ -845,6 +1106,7 @@ class GeminiLiveService {
     
     this.conversationState.turnCount++;
     this.conversationState.lastActivity = Date.now();
+    turnsTotal.inc({ input: inputType });
     
     this.conversationState.conversationHistory.push({
       turn: this.conversationState.turnCount,
@@ -902,7 +1164,10 @@ class GeminiLiveService {
       avgTurnTime: Math.round(avgTurnTime / 1000),
       voiceName: this.conversationState.voiceName,
       speechRate: this.conversationState.speechRate,
-      lastActivity: new Date(this.conversationState.lastActivity).toISOString()
+      lastActivity: new Date(this.conversationState.lastActivity).toISOString(),
+      context: this.context.getStats(),
+      usage: this.conversationState.usage,
+      compression: this.compression
     };
   }
   
@@ -930,7 +1195,7 @@ class GeminiLiveService {
     
     // Check session duration
     if (this.session && this.isConnected) {
-      const sessionDuration = Date.now() - this.quotaManager.lastSessionTime;
+      const sessionDuration = Date.now() - this.sessionStartedAt;
       if (sessionDuration > this.sessionManager.maxSessionDuration) {
         logger.info('Session duration exceeded, refreshing session');
         this.refreshSession();
@@ -941,7 +1206,7 @@ class GeminiLiveService {
     logger.info('Session health check', {
       isConnected: this.isConnected,
       conversationActive: this.conversationState.isActive,
-      sessionDuration: this.session ? Math.round((Date.now() - this.quotaManager.lastSessionTime) / 1000) : 0,
+      sessionDuration: this.session ? Math.round((Date.now() - this.sessionStartedAt) / 1000) : 0,
       reconnectAttempts: this.sessionManager.reconnectAttempts
     });
   }
@@ -1004,13 +1269,8 @@ class GeminiLiveService {
     });
     
     try {
-      // Close current session
-      if (this.session) {
-        await this.session.close();
-      }
-      
-      // Initialize new session with same voice
-      await this.initSession(this.conversationState.voiceName);
+      // Replace the connection and carry the conversation over to it
+      await this.reopenSession();
       
       logger.info('Session refreshed successfully');
     } catch (error) {
@@ -1019,61 +1279,6 @@ class GeminiLiveService {
     }
   }
   
-  // Combine multiple audio chunks into one
-  combineAudioChunks(chunks) {
-    if (chunks.length === 0) return null;
-    if (chunks.length === 1) return chunks[0];
-    
-    // For WAV files, we need to combine the data sections while preserving the header
-    const firstChunk = Buffer.from(chunks[0], 'base64');
-    const isWAV = firstChunk.length >= 12 && 
-                 firstChunk.slice(0, 4).toString() === 'RIFF' &&
-                 firstChunk.slice(8, 12).toString() === 'WAVE';
-    
-    if (isWAV) {
-      // For WAV files, combine the data sections while preserving the header
-      const header = firstChunk.slice(0, 44); // WAV header
-      const dataChunks = chunks.map(chunk => {
-        const buffer = Buffer.from(chunk, 'base64');
-        return buffer.slice(44); // Skip header for all chunks except first
-      });
-      
-      const combinedData = Buffer.concat(dataChunks);
-      const totalSize = 36 + combinedData.length; // 36 + data size
-      
-      // Update WAV header with new size
-      const newHeader = Buffer.alloc(44);
-      header.copy(newHeader, 0, 0, 4); // RIFF
-      newHeader.writeUInt32LE(totalSize, 4); // File size
-      header.copy(newHeader, 8, 8, 44); // Rest of header
-      newHeader.writeUInt32LE(combinedData.length, 40); // Update data chunk size
-      
-      const combinedWAV = Buffer.concat([newHeader, combinedData]);
-      return combinedWAV.toString('base64');
-    } else {
-      // For raw audio, just concatenate
-      const buffers = chunks.map(chunk => Buffer.from(chunk, 'base64'));
-      const combined = Buffer.concat(buffers);
-      return combined.toString('base64');
-    }
-  }
-
-  // Clear audio queue
-  clearAudioQueue() {
-    this.audioQueue = [];
-    logger.info('Audio queue cleared');
-  }
-
-  // Get next audio chunk from queue
-  getNextAudioChunk() {
-    return this.audioQueue.shift();
-  }
-
-  // Check if there are more audio chunks
-  hasMoreAudio() {
-    return this.audioQueue.length > 0;
-  }
-
   // Close the Live session
   async closeSession() {
     try {
@@ -1088,64 +1293,173 @@ class GeminiLiveService {
         this.sessionMonitorInterval = null;
       }
       
-      if (this.session) {
-        await this.session.close();
-        this.session = null;
-        this.isConnected = false;
-        logger.info('Gemini Live session closed successfully');
-      }
+      this.outputEncoder.close();
+      await this.disconnect();
+
+      // Hand the key back so the pool balances new sessions across the others
+      this.useKey(null);
     } catch (error) {
       logger.error('Failed to close Gemini Live session', { error: error.message });
     }
   }
 
-  // Force restart session with new system prompt
-  async restartSessionWithNewPrompt() {
+  // Close the Live connection but keep the conversation; its late close event is ignored
+  async disconnect() {
+    this.connectionId++;
+    this.inputStream.isActive = false;
+    clearTimeout(this.goAwayTimer);
+    this.goAwayTimer = null;
+    clearTimeout(this.limitTimer);
+    this.limitTimer = null;
+    this.cancelToolCalls(Array.from(this.pendingToolCalls.keys()));
+
+    if (this.session) {
+      const session = this.session;
+      this.session = null;
+      this.isConnected = false;
+      await session.close();
+      logger.info('Gemini Live session closed successfully');
+    }
+  }
+
+  // Open a fresh connection and carry the conversation over to it: resumed from the server's handle when
+  // allowed, otherwise replayed from the rolling transcript. Setting changes pass `resume: false`.
+  async reopenSession({ resume = true } = {}) {
+    const conversationState = this.conversationState;
+    const keyChanged = this.leaveCoolingKey();
+    const handle = resume && !keyChanged ? this.context.getResumptionHandle() : null;
+    const missingTurns = this.context.buildTurnsSinceResumption();
+
+    this.clearAllAudioResponses();
+    await this.disconnect();
+
+    let resumed = false;
+    let replayedTurns = 0;
+    if (handle) {
+      try {
+        await this.initSession(conversationState.voiceName);
+        resumed = true;
+        replayedTurns = this.replayContext(missingTurns);
+      } catch (error) {
+        logger.warn('Session resumption failed - replaying the conversation instead', { error: error.message });
+      }
+    }
+    if (!resumed) {
+      this.context.clearResumption();
+      await this.initSession(conversationState.voiceName);
+      replayedTurns = this.replayContext();
+    }
+    reconnectsTotal.inc({ resumed });
+
+    logger.info('Gemini Live session reopened', {
+      sessionId: conversationState.sessionId,
+      voiceName: conversationState.voiceName,
+      speechRate: conversationState.speechRate,
+      resumed,
+      replayedTurns
+    });
+    return { resumed, replayedTurns };
+  }
+
+  // Send the conversation so far to a new connection as context, without asking the model to answer
+  replayContext(turns = this.context.buildReplayTurns()) {
+    if (turns.length === 0 || !this.session) {
+      return 0;
+    }
+
+    this.session.sendClientContent({ turns, turnComplete: false });
+    return turns.length;
+  }
+
+  // The server will close this connection soon - let the current response finish, then move
+  handleGoAway(goAway) {
+    const timeLeftMs = parseFloat(goAway.timeLeft) * 1000 || 0; // Duration string, e.g. "10s"
+    logger.warn('Gemini Live connection is going away', {
+      sessionId: this.conversationState.sessionId,
+      timeLeftMs
+    });
+
+    if (this.goAwayTimer) {
+      return;
+    }
+    const responding = this.currentAudioResponse.chunkCount > 0;
+    this.goAwayTimer = setTimeout(
+      () => this.moveToNewConnection(),
+      responding ? Math.max(0, timeLeftMs - GO_AWAY_MARGIN_MS) : 0
+    );
+  }
+
+  // Replace a connection the server is about to close
+  moveToNewConnection() {
+    clearTimeout(this.goAwayTimer);
+    this.goAwayTimer = null;
+
+    this.reopenSession().catch(error => {
+      logger.error('Failed to move to a new Gemini Live connection', { error: error.message });
+    });
+  }
+
+  // Reconnect so a new system prompt, language or compression setting takes effect (optionally with a new
+  // voice); the conversation so far is replayed into the new connection
+  async restartSessionWithNewPrompt(voiceName = null) {
     try {
-      logger.info('Force restarting session to apply new system prompt');
-      
-      // Close existing session
-      await this.closeSession();
-      
-      // Reset conversation state
-      this.conversationState.systemPromptSent = false;
-      
-      // Initialize new session
-      await this.initSession();
-      
-      logger.info('Session restarted successfully with new system prompt');
+      logger.info('Restarting session to apply new system prompt');
+
+      if (voiceName) {
+        this.conversationState.voiceName = voiceName;
+      }
+      // The server-side state belongs to the old setup, so replay rather than resume
+      const reopened = await this.reopenSession({ resume: false });
+
+      logger.info('Session restarted successfully with new system prompt', { replayedTurns: reopened.replayedTurns });
+      return reopened;
     } catch (error) {
       logger.error('Failed to restart session with new prompt', { error: error.message });
+      throw error;
     }
   }
 
-  // Switch voice and reconnect
+  // Switch voice and reconnect; the conversation is replayed into the new connection
   async switchVoice(voiceName) {
     try {
       logger.info('Switching voice', { newVoice: voiceName });
-      
-      await this.closeSession();
-      await this.initSession(voiceName);
+
+      if (!this.getAvailableVoices().some(voice => voice.name === voiceName)) {
+        throw new ApiError(400, `Unknown voice "${voiceName}"`, {
+          code: 'UNKNOWN_VOICE',
+          available: this.getAvailableVoices().map(voice => voice.name)
+        });
+      }
+
+      this.conversationState.voiceName = voiceName;
+      const reopened = await this.reopenSession({ resume: false });
       logger.info('Voice switched successfully', { voice: voiceName });
+      return { ...this.getVoiceSettings(), ...reopened };
     } catch (error) {
       logger.error('Failed to switch voice', { error: error.message });
       throw error;
     }
   }
 
-  // Set speech rate (0.3 = 30% speed, 1.0 = normal, 1.5 = 150% speed)
+  // Set speech rate (0.3 = 30% speed, 1.0 = normal, 1.5 = 150% speed) and reconnect
   async setSpeechRate(rate) {
     try {
       logger.info('Setting speech rate', { rate });
-      
-      // Close current session and reconnect with new speech rate
-      await this.closeSession();
-      
-      // Store the speech rate for the next session
-      this.speechRate = Math.max(0.3, Math.min(2.0, rate)); // Clamp between 0.3 and 2.0
-      
-      await this.initSession();
-      logger.info('Speech rate updated successfully', { rate: this.speechRate });
+
+      const requested = Number(rate);
+      if (rate === null || rate === '' || !Number.isFinite(requested)) {
+        throw new ApiError(400, `Invalid speech rate "${rate}"`, {
+          code: 'INVALID_SPEECH_RATE',
+          min: MIN_SPEECH_RATE,
+          max: MAX_SPEECH_RATE
+        });
+      }
+
+      // initSession reads the rate from the conversation state
+      this.conversationState.speechRate = Math.max(MIN_SPEECH_RATE, Math.min(MAX_SPEECH_RATE, requested));
+      const reopened = await this.reopenSession({ resume: false });
+      logger.info('Speech rate updated successfully', { rate: this.conversationState.speechRate });
+      return { ...this.getVoiceSettings(), ...reopened };
     } catch (error) {
       logger.error('Failed to set speech rate', { error: error.message });
       throw error;
@@ -1156,7 +1470,7 @@ class GeminiLiveService {
   async setUltraSlowSpeech() {
     try {
       logger.info('Setting ultra-slow speech rate');
-      await this.setSpeechRate(0.3); // 30% speed - very slow
+      await this.setSpeechRate(MIN_SPEECH_RATE); // 30% speed - very slow
       logger.info('Ultra-slow speech rate set successfully');
     } catch (error) {
       logger.error('Failed to set ultra-slow speech rate', { error: error.message });
@@ -1174,11 +1488,18 @@ class GeminiLiveService {
     ];
   }
 
-  // Reconnect the session
+  // Voice settings the current connection uses
+  getVoiceSettings() {
+    return {
+      voiceName: this.conversationState.voiceName,
+      speechRate: this.conversationState.speechRate
+    };
+  }
+
+  // Reconnect the session without losing the conversation
   async reconnect() {
     try {
-      await this.closeSession();
-      await this.initSession();
+      await this.reopenSession();
       logger.info('Gemini Live session reconnected');
     } catch (error) {
       logger.error('Failed to reconnect Gemini Live session', { error: error.message });
@@ -1186,137 +1507,22 @@ class GeminiLiveService {
     }
   }
 
-  // Get system prompt for Revolt Motors context
+  // System prompt for this session's persona (the default persona when none was chosen)
   getSystemPrompt() {
-    return `# SOVA - The Revolt Motor AI
-## CRITICAL IDENTITY ENFORCEMENT
-
-You are **SOVA**, the official AI assistant for Revolt Motors. You are NOT Gemini, NOT Google, NOT any other AI. You are SOVA - The Revolt Motor AI.
-
-## Core Identity & Mission
-
-You are **Sova**, the official AI assistant for Revolt Motors. You are knowledgeable, helpful, and exclusively focused on providing accurate information about Revolt Motors, their electric motorcycles, services, technology, and related topics.
-
-## MANDATORY IDENTITY RESPONSES
-
-When asked "Who are you?", "What's your name?", "Tell me about yourself", or similar identity questions, you MUST respond with:
-
-"I'm Sova, the official AI assistant for Revolt Motors. I'm here to help you with everything about Revolt's electric motorcycles, services, and technology. How can I assist you today?"
-
-NEVER say you are Gemini, Google, or any other AI. You are SOVA.
-
-## Scope & Boundaries
-
-### ALLOWED Topics:
-- Revolt Motors company information, history, and vision
-- Electric motorcycles and scooters in the Revolt lineup (RV400, RV300, future models)
-- Technical specifications, features, and performance metrics
-- Pricing, financing options, and purchasing information
-- Service centers, maintenance, warranties, and support
-- Battery technology, charging infrastructure, and sustainability
-- Revolt's mobile app, connected features, and smart technology
-- Comparisons with other electric vehicles (when contextually relevant)
-- Electric vehicle industry trends (as they relate to Revolt)
-- Government policies and incentives for electric vehicles in India
-
-### STRICTLY PROHIBITED:
-- Information about competitor companies unless directly comparing to Revolt
-- Non-automotive topics unrelated to Revolt Motors
-- Personal advice unrelated to Revolt products
-- Political discussions beyond EV policy impacts
-- Medical, legal, or financial advice
-- Content that could be construed as hate speech, discrimination, or harmful
-- ANY off-topic questions (weather, economics, history, politics, etc.)
-
-## MANDATORY OFF-TOPIC REDIRECTION
-
-For ANY question that is NOT about Revolt Motors or electric vehicles in India, you MUST respond with:
-
-"I'm Sova, the Revolt Motor AI. I'm specialized in helping with Revolt Motors and electric vehicles. I can't help with [topic] as that's outside my area of expertise. However, I'd love to help you learn about Revolt's electric motorcycles, services, or technology instead. What would you like to know about Revolt Motors?"
-
-Examples of topics you MUST redirect:
-- Weather, climate, natural disasters
-- Economics, finance, mutual funds, stocks
-- Politics, history, world events
-- Sports, entertainment, celebrities
-- Health, medical advice, fitness
-- Technology unrelated to electric vehicles
-- Any general knowledge questions not about Revolt
-
-## Response Guidelines
-
-### Quality Standards:
-- **Accuracy First**: Only provide verified, factual information about Revolt Motors
-- **Helpful & Detailed**: Give comprehensive answers that truly help users
-- **Professional Tone**: Maintain enthusiasm for Revolt while being informative
-- **User-Focused**: Always consider what's most valuable for the user
-
-### Handling Edge Cases:
-- **Off-Topic Queries**: Politely redirect to Revolt-related topics
-  - Example: "I'm Sova, specialized in Revolt Motors. Let me help you with information about our electric motorcycles instead. What would you like to know about Revolt's products or services?"
-
-- **Insufficient Information**: Be transparent about limitations
-  - Example: "I don't have the latest information on that specific detail. I'd recommend checking Revolt's official website or contacting customer support for the most current information."
-
-- **Competitor Questions**: Redirect focus to Revolt's strengths
-  - Example: "While I can't provide detailed information about other brands, I can tell you how Revolt's [specific feature] delivers exceptional value. Here's what makes Revolt special..."
-
-## Safety & Guard Rails
-
-### Internal Safeguards:
-- **Fact Verification**: Never speculate or provide unverified information
-- **Source Validation**: Only reference official Revolt communications and verified data
-- **Bias Prevention**: Present information objectively, acknowledging both strengths and limitations honestly
-- **Harm Prevention**: Refuse requests that could lead to unsafe practices
-
-### External Guard Rails:
-- **Content Filtering**: Automatically reject and redirect inappropriate content
-- **Escalation Protocols**: Direct complex technical or legal questions to appropriate Revolt channels
-- **Feedback Integration**: Learn from user interactions to improve response quality
-
-### Prohibited Behaviors:
-- Making up specifications, prices, or availability information
-- Providing unauthorized promises about future products or services
-- Engaging with inflammatory, offensive, or inappropriate content
-- Sharing unverified rumors or speculation about the company
-- Answering ANY question not about Revolt Motors
-
-## Response Templates
-
-### Standard Greeting:
-"Hi! I'm Sova, your Revolt Motor AI assistant. I'm here to help you with everything about Revolt's electric motorcycles, services, and technology. How can I assist you today?"
-
-### Identity Response (MANDATORY):
-"I'm Sova, the official AI assistant for Revolt Motors. I'm here to help you with everything about Revolt's electric motorcycles, services, and technology. How can I assist you today?"
-
-### Off-Topic Redirection (MANDATORY):
-"I'm Sova, the Revolt Motor AI. I'm specialized in helping with Revolt Motors and electric vehicles. I can't help with [topic] as that's outside my area of expertise. However, I'd love to help you learn about Revolt's electric motorcycles, services, or technology instead. What would you like to know about Revolt Motors?"
-
-### Uncertainty Response:
-"I want to make sure I give you accurate information. For the most up-to-date details on [topic], I'd recommend [appropriate Revolt resource]. Is there something else about Revolt I can help with right now?"
+    if (!this.persona) {
+      this.persona = promptStore.render(null, { locale: this.languageCode }, this.languageCode);
+    }
+    return this.persona.text;
+  }
 
-## Voice Conversation Rules
+  // Switch persona - systemInstruction is fixed per connection, so it applies from the next connect
+  setPersona(persona) {
+    this.persona = persona;
+  }
 
-- Keep responses conversational and natural for speech
-- Use simple, clear language
-- Avoid complex technical jargon unless specifically asked
-- Be concise but informative
-- Show enthusiasm for Revolt Motors
-- Always be helpful and friendly
-- If someone asks you to say something specific, do it naturally
-
-## Success Metrics
-
-You succeed when you:
-- Provide accurate, helpful information about Revolt Motors
-- Guide users toward making informed decisions about Revolt products
-- Maintain user engagement while staying within scope
-- Represent Revolt's brand values of innovation, sustainability, and customer focus
-- Handle difficult queries gracefully without compromising safety or accuracy
-- ALWAYS identify as Sova, the Revolt Motor AI
-- ALWAYS redirect off-topic questions to Revolt topics
-
-Remember: You are SOVA, the Revolt Motor AI. You are NOT Gemini, NOT Google, NOT any other AI. You ONLY answer questions about Revolt Motors and electric vehicles in India. Everything else must be redirected to Revolt topics.`;
+  // Switch the spoken language - like the persona, it applies from the next connect
+  setLanguageCode(languageCode) {
+    this.languageCode = languageCode;
   }
 
   // Set callback functions
@@ -1324,12 +1530,16 @@ Remember: You are SOVA, the Revolt Motor AI. You are NOT Gemini, NOT Google, NOT
     this.onAudioChunk = callbacks.onAudioChunk;
     this.onTextResponse = callbacks.onTextResponse;
     this.onInterruption = callbacks.onInterruption;
+    this.onTurnComplete = callbacks.onTurnComplete;
+    this.onTranscript = callbacks.onTranscript;
+    this.onToolCall = callbacks.onToolCall;
+    this.onSessionWarning = callbacks.onSessionWarning;
   }
 
   // Validate configuration
   async validateConfiguration() {
     try {
-      if (!this.client) {
+      if (!this.transport) {
         return { isValid: false, error: 'Client not initialized' };
       }
 
@@ -1341,6 +1551,7 @@ Remember: You are SOVA, the Revolt Motor AI. You are NOT Gemini, NOT Google, NOT
         isValid: true,
         model: 'gemini-2.0-flash-live-001',
         voice: config.tts?.voice || 'Orus',
+        transport: this.transport.name,
         isConnected: this.isConnected
       };
     } catch (error) {
@@ -1354,33 +1565,29 @@ Remember: You are SOVA, the Revolt Motor AI. You are NOT Gemini, NOT Google, NOT
 
   // Get service status
   getStatus() {
-    const currentKey = this.currentApiKeyIndex;
-    const usage = this.quotaManager.keyUsage.get(currentKey);
-    
     return {
       isConnected: this.isConnected,
       model: 'gemini-2.0-flash-live-001',
       voice: config.tts?.voice || 'Orus',
-      audioQueueLength: this.audioQueue.length,
-      isProcessing: this.isProcessing,
+      currentResponse: {
+        chunkCount: this.currentAudioResponse.chunkCount,
+        isComplete: this.currentAudioResponse.isComplete
+      },
       serviceType: 'Gemini Live API',
+      transport: this.transport ? this.transport.name : config.gemini.transport,
       conversation: this.getConversationStats(),
       session: {
         isConnected: this.isConnected,
         reconnectAttempts: this.sessionManager.reconnectAttempts,
         maxReconnectAttempts: this.sessionManager.maxReconnectAttempts,
         autoReconnect: this.sessionManager.autoReconnect,
-        sessionDuration: this.session ? Math.round((Date.now() - this.quotaManager.lastSessionTime) / 1000) : 0,
+        sessionDuration: this.session ? Math.round((Date.now() - this.sessionStartedAt) / 1000) : 0,
         maxSessionDuration: Math.round(this.sessionManager.maxSessionDuration / 1000)
       },
-      quota: {
-        currentKey: currentKey + 1,
-        totalKeys: this.apiKeys.length,
-        minuteUsage: usage ? usage.minuteCount : 0,
-        hourUsage: usage ? usage.hourCount : 0,
-        minuteLimit: this.quotaManager.requestsPerMinute,
-        hourLimit: this.quotaManager.requestsPerHour,
-        sessionReusable: this.canReuseSession()
+      // Key health and quota live in the shared pool, see /api/gemini/api-keys
+      apiKey: {
+        currentKey: this.apiKey ? this.apiKey.id : null,
+        totalKeys: apiKeyPool.size
       }
     };
   }
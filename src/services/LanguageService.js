@@ -0,0 +1,102 @@
+const config = require('../config/environment');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Languages Gemini Live can speak to our users, keyed by BCP-47 code
+const LANGUAGES = {
+  'en-US': { name: 'English', script: 'Latin' },
+  'en-IN': { name: 'English (India)', script: 'Latin' },
+  'en-GB': { name: 'English (UK)', script: 'Latin' },
+  'hi-IN': { name: 'Hindi', script: 'Devanagari' },
+  'mr-IN': { name: 'Marathi', script: 'Devanagari' },
+  'bn-IN': { name: 'Bengali', script: 'Bengali' },
+  'gu-IN': { name: 'Gujarati', script: 'Gujarati' },
+  'kn-IN': { name: 'Kannada', script: 'Kannada' },
+  'ml-IN': { name: 'Malayalam', script: 'Malayalam' },
+  'ta-IN': { name: 'Tamil', script: 'Tamil' },
+  'te-IN': { name: 'Telugu', script: 'Telugu' }
+};
+
+// Unicode blocks of the scripts we can tell apart, and the language each most likely means
+const SCRIPTS = [
+  { script: 'Devanagari', pattern: /[\u0900-\u097F]/g, language: 'hi' },
+  { script: 'Bengali', pattern: /[\u0980-\u09FF]/g, language: 'bn' },
+  { script: 'Gurmukhi', pattern: /[\u0A00-\u0A7F]/g, language: 'pa' },
+  { script: 'Gujarati', pattern: /[\u0A80-\u0AFF]/g, language: 'gu' },
+  { script: 'Tamil', pattern: /[\u0B80-\u0BFF]/g, language: 'ta' },
+  { script: 'Telugu', pattern: /[\u0C00-\u0C7F]/g, language: 'te' },
+  { script: 'Kannada', pattern: /[\u0C80-\u0CFF]/g, language: 'kn' },
+  { script: 'Malayalam', pattern: /[\u0D00-\u0D7F]/g, language: 'ml' },
+  { script: 'Latin', pattern: /[A-Za-z]/g, language: 'en' }
+];
+
+const MIN_DETECTION_LETTERS = 3;
+
+// Per-session language negotiation and script-based language detection
+class LanguageService {
+  // Validate a start-conversation language ("hi-IN", "hi" or "HI_in") into a supported BCP-47 code
+  negotiate(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+      return config.gemini.languageCode;
+    }
+
+    const normalized = String(requested).trim().replace('_', '-');
+    const [base, region] = normalized.split('-');
+    const code = region ? `${base.toLowerCase()}-${region.toUpperCase()}` : null;
+
+    if (code && LANGUAGES[code]) {
+      return code;
+    }
+
+    // A bare language ("hi") means its Indian variant, or the first listed one
+    if (!region) {
+      const match = Object.keys(LANGUAGES).find(candidate => candidate === `${base.toLowerCase()}-IN`) ||
+        Object.keys(LANGUAGES).find(candidate => candidate.startsWith(`${base.toLowerCase()}-`));
+      if (match) {
+        return match;
+      }
+    }
+
+    throw new ApiError(400, `Unsupported language "${requested}"`, {
+      code: 'UNSUPPORTED_LANGUAGE',
+      supported: Object.keys(LANGUAGES)
+    });
+  }
+
+  // Language part of a BCP-47 code ("hi-IN" -> "hi")
+  getBaseLanguage(code) {
+    return String(code).split('-')[0].toLowerCase();
+  }
+
+  // Display details for a supported code
+  getLanguage(code) {
+    return LANGUAGES[code] ? { code, ...LANGUAGES[code] } : null;
+  }
+
+  // Guess the language of an utterance from its script; `hint` (the requested code) settles shared scripts
+  detect(text, hint = null) {
+    const counts = SCRIPTS.map(entry => ({
+      ...entry,
+      letters: (String(text || '').match(entry.pattern) || []).length
+    }));
+    const total = counts.reduce((sum, entry) => sum + entry.letters, 0);
+    if (total < MIN_DETECTION_LETTERS) {
+      return null;
+    }
+
+    const dominant = counts.reduce((best, entry) => (entry.letters > best.letters ? entry : best));
+    const hinted = hint && LANGUAGES[hint] && LANGUAGES[hint].script === dominant.script;
+
+    return {
+      language: hinted ? this.getBaseLanguage(hint) : dominant.language,
+      script: dominant.script,
+      confidence: Math.round((dominant.letters / total) * 100) / 100
+    };
+  }
+
+  // Supported languages for clients
+  list() {
+    return Object.entries(LANGUAGES).map(([code, language]) => ({ code, ...language }));
+  }
+}
+
+module.exports = new LanguageService();
@@ -0,0 +1,155 @@
+const logger = require('../utils/logger');
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // Seconds
+
+// Label values escaped for the Prometheus text format
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// `{a="1",b="2"}`, or nothing for an unlabelled series
+const formatLabels = (labels = {}) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+// Series key that does not depend on the order labels were passed in
+const seriesKey = (labels = {}) => JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+
+// Monotonic count, e.g. sessions started
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map(); // series key -> { labels, value }
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  renderSeries() {
+    return Array.from(this.series.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+// Current value, refreshed from state snapshots when scraped
+class Gauge extends Counter {
+  constructor(name, help) {
+    super(name, help);
+    this.type = 'gauge';
+  }
+
+  set(value, labels = {}) {
+    this.series.set(seriesKey(labels), { labels, value });
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+// Distribution of observations in cumulative buckets, e.g. latencies in seconds
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // series key -> { labels, counts, sum, count }
+  }
+
+  observe(value, labels = {}) {
+    const key = seriesKey(labels);
+    const series = this.series.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+    this.series.set(key, series);
+  }
+
+  renderSeries() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+const METRIC_TYPES = { counter: Counter, gauge: Gauge, histogram: Histogram };
+
+// Process-wide metrics registry, rendered in the Prometheus text format for GET /metrics
+class Metrics {
+  constructor() {
+    this.metrics = new Map(); // name -> metric
+    this.collectors = []; // Refresh gauges from state snapshots before each scrape
+  }
+
+  // Get or create a metric; modules declare theirs when they load
+  register(type, name, help, ...args) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new METRIC_TYPES[type](name, help, ...args);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register('counter', name, help);
+  }
+
+  gauge(name, help) {
+    return this.register('gauge', name, help);
+  }
+
+  histogram(name, help, buckets) {
+    return this.register('histogram', name, help, buckets);
+  }
+
+  // Run `collect()` before each scrape
+  addCollector(collect) {
+    this.collectors.push(collect);
+  }
+
+  // Every metric in the Prometheus text exposition format
+  async render() {
+    for (const collect of this.collectors) {
+      try {
+        await collect();
+      } catch (error) {
+        logger.error('Metrics collector failed', { error: error.message });
+      }
+    }
+
+    const lines = [];
+    this.metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.renderSeries());
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { ApiError } = require('../middleware/errorHandler');
+
+const TEMPLATE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*(?:\|([^}]*))?\}\}/g;
+const RESERVED_FIELDS = ['id', 'version', 'name', 'description', 'voice', 'language'];
+const MAX_VARIABLE_LENGTH = 200;
+
+// Versioned persona prompts loaded from markdown files with front matter
+class PromptStore {
+  constructor(promptConfig = config.prompts) {
+    this.directory = path.resolve(promptConfig.dir);
+    this.defaultPersona = promptConfig.defaultPersona;
+    this.personas = new Map(); // id -> versions, oldest first
+    this.loadedAt = null;
+    this.errors = [];
+
+    const result = this.reload();
+    if (result.errors.length > 0) {
+      logger.warn('Some persona prompts could not be loaded', { errors: result.errors });
+    }
+  }
+
+  // Split a persona file into its front matter fields and markdown body
+  static parse(source, file) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(source);
+    if (!match) {
+      throw new Error(`${file}: missing front matter`);
+    }
+
+    const meta = {};
+    match[1].split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.trim().startsWith('#')) {
+        return;
+      }
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        throw new Error(`${file}: invalid front matter line "${line}"`);
+      }
+      meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(meta.id || '')) {
+      throw new Error(`${file}: front matter needs an \`id\` of lowercase letters, digits and dashes`);
+    }
+    const version = parseInt(meta.version);
+    if (!Number.isInteger(version) || version < 1 || String(version) !== meta.version) {
+      throw new Error(`${file}: front matter needs a positive integer \`version\``);
+    }
+
+    const body = match[2].trim();
+    if (!body) {
+      throw new Error(`${file}: prompt body is empty`);
+    }
+
+    return { ...meta, version, body, file };
+  }
+
+  // Re-read every persona file; the previous set stays active if the new one is unusable
+  reload() {
+    const personas = new Map();
+    const errors = [];
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.md')).sort();
+    } catch (error) {
+      errors.push(`Cannot read prompts directory ${this.directory}: ${error.message}`);
+    }
+
+    files.forEach(file => {
+      try {
+        const persona = PromptStore.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'), file);
+        const versions = personas.get(persona.id) || [];
+        if (versions.some(existing => existing.version === persona.version && existing.language === persona.language)) {
+          throw new Error(`${file}: duplicate ${persona.id} version ${persona.version}` +
+            (persona.language ? ` (${persona.language})` : ''));
+        }
+        versions.push(persona);
+        versions.sort((a, b) => a.version - b.version);
+        personas.set(persona.id, versions);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+
+    if (!personas.has(this.defaultPersona)) {
+      errors.push(`Default persona "${this.defaultPersona}" not found in ${this.directory}`);
+
+      // Keep serving the prompts we already have rather than leaving sessions without one
+      if (this.personas.size > 0) {
+        logger.error('Persona reload rejected - keeping previously loaded prompts', { errors });
+        return { success: false, errors, personas: this.list() };
+      }
+    }
+
+    this.personas = personas;
+    this.errors = errors;
+    this.loadedAt = new Date();
+
+    logger.info('Persona prompts loaded', {
+      directory: this.directory,
+      personas: Array.from(personas.keys()),
+      errors: errors.length
+    });
+
+    return { success: true, errors, personas: this.list() };
+  }
+
+  // Find a persona by "id" (latest version) or "id@version"; no selector means the default persona.
+  // Files with a matching `language` are preferred over the language-neutral prompt.
+  resolve(selector, language = null) {
+    const [id, versionText] = String(selector || this.defaultPersona).split('@');
+    const versions = this.personas.get(id) || [];
+    const candidates = versionText
+      ? versions.filter(candidate => candidate.version === parseInt(versionText))
+      : versions;
+    const persona = this.pickLanguage(candidates, language);
+
+    if (!persona) {
+      throw new ApiError(404, `Unknown persona "${selector}"`, {
+        code: 'UNKNOWN_PERSONA',
+        available: Array.from(this.personas.keys())
+      });
+    }
+    return persona;
+  }
+
+  // Latest candidate in the requested language, then the same base language, then language-neutral
+  pickLanguage(candidates, language) {
+    const base = language ? language.split('-')[0].toLowerCase() : null;
+    const preferences = [
+      candidate => language && candidate.language === language,
+      candidate => base && candidate.language && candidate.language.split('-')[0].toLowerCase() === base,
+      candidate => !candidate.language
+    ];
+
+    for (const matches of preferences) {
+      const found = candidates.filter(matches);
+      if (found.length > 0) {
+        return found[found.length - 1];
+      }
+    }
+    return candidates[candidates.length - 1] || null;
+  }
+
+  // Render a persona's prompt; front matter supplies defaults that session variables may override
+  render(selector, variables = {}, language = null) {
+    const persona = this.resolve(selector, language);
+    const templateVariables = this.getVariables(persona);
+
+    const values = {};
+    Object.entries(persona)
+      .filter(([key]) => !RESERVED_FIELDS.includes(key) && key !== 'body' && key !== 'file')
+      .forEach(([key, value]) => { values[key] = value; });
+
+    // Clients may only fill variables the template uses, and never with multi-line text
+    Object.entries(variables || {})
+      .filter(([key, value]) => templateVariables.includes(key) && value !== undefined && value !== null)
+      .forEach(([key, value]) => {
+        values[key] = String(value).replace(/[\r\n{}]+/g, ' ').trim().slice(0, MAX_VARIABLE_LENGTH);
+      });
+
+    const text = persona.body.replace(TEMPLATE_PATTERN, (placeholder, key, fallback) =>
+      values[key] ? values[key] : (fallback || '').trim()
+    );
+
+    return {
+      id: persona.id,
+      version: persona.version,
+      name: persona.name || persona.id,
+      voice: persona.voice || null,
+      language: persona.language || null,
+      locale: values.locale || null,
+      text
+    };
+  }
+
+  // Names of the {{variables}} used in a persona's body
+  getVariables(persona) {
+    return Array.from(new Set(Array.from(persona.body.matchAll(TEMPLATE_PATTERN), match => match[1])));
+  }
+
+  // Loaded personas and their versions
+  list() {
+    return Array.from(this.personas.values()).map(versions => {
+      const latest = versions[versions.length - 1];
+      return {
+        id: latest.id,
+        name: latest.name || latest.id,
+        description: latest.description || null,
+        versions: Array.from(new Set(versions.map(persona => persona.version))),
+        languages: Array.from(new Set(versions.map(persona => persona.language).filter(Boolean))),
+        latestVersion: latest.version,
+        variables: this.getVariables(latest),
+        isDefault: latest.id === this.defaultPersona
+      };
+    });
+  }
+}
+
+module.exports = new PromptStore();
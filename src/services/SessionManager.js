@@ -1,13 +1,31 @@
 const Session = require('../models/Session');
+const { createSessionStore } = require('./stores');
+const clusterService = require('./ClusterService');
+const metrics = require('./Metrics');
+const config = require('../config/environment');
 const logger = require('../utils/logger');
 
-// Manages voice chat sessions
+const sessionsStartedTotal = metrics.counter('sova_sessions_started_total', 'Voice sessions started');
+const sessionsEndedTotal = metrics.counter('sova_sessions_ended_total', 'Voice sessions ended');
+const sessionDurationSeconds = metrics.histogram('sova_session_duration_seconds', 'Length of ended sessions',
+  [30, 60, 120, 300, 600, 1800, 3600]);
+const sessionsGauge = metrics.gauge('sova_sessions', 'Sessions held by this node, by status');
+const sessionInterruptionsGauge = metrics.gauge('sova_session_interruptions',
+  'Interruptions recorded by the sessions this node holds');
+
+// Manages voice chat sessions; live sessions stay in memory, their records are kept in the session store
+// and the cluster registry knows which node each live session is on
 class SessionManager {
-  constructor() {
+  constructor(store = createSessionStore(), storeConfig = config.sessionStore, cluster = clusterService) {
     this.sessions = new Map(); // sessionId -> Session
     this.socketToSession = new Map(); // socketId -> sessionId
+    this.store = store;
+    this.cluster = cluster;
+    this.retentionMs = storeConfig.retentionMs;
+    this.pendingWrites = new Set();
     this.cleanupInterval = null;
     this.startCleanupTask();
+    metrics.addCollector(() => this.collectMetrics());
   }
 
   // Create a new session
@@ -16,6 +34,9 @@ class SessionManager {
       const session = new Session(socketId, userId);
       this.sessions.set(session.id, session);
       this.socketToSession.set(socketId, session.id);
+      this.persistSession(session);
+      this.cluster.trackSession(session);
+      sessionsStartedTotal.inc();
       
       logger.info('Session created', { 
         sessionId: session.id, 
@@ -68,11 +89,28 @@ class SessionManager {
     }
 
     session.updateStatus('ended');
+    session.endedAt = new Date();
     session.metadata.totalDuration = session.getDuration();
+
+    // Close the session's own Gemini Live connection if it is still open
+    if (session.geminiSession) {
+      const geminiSession = session.geminiSession;
+      session.geminiSession = null;
+      geminiSession.closeSession().catch(error => {
+        logger.warn('Failed to close Gemini Live connection for ended session', {
+          sessionId,
+          error: error.message
+        });
+      });
+    }
     
-    // Clean up mappings
+    // Clean up mappings - the stored record outlives the call
     this.socketToSession.delete(session.socketId);
     this.sessions.delete(sessionId);
+    this.persistSession(session);
+    this.cluster.untrackSession(sessionId);
+    sessionsEndedTotal.inc();
+    sessionDurationSeconds.observe(session.metadata.totalDuration / 1000);
 
     logger.info('Session ended', {
       sessionId,
@@ -84,6 +122,110 @@ class SessionManager {
     return true;
   }
 
+  // Stored form of a session
+  static toRecord(session) {
+    return {
+      ...session.toJSON(),
+      duration: session.endedAt ? session.metadata.totalDuration : session.getDuration()
+    };
+  }
+
+  // Summary of a stored record, shaped like Session.getSummary()
+  static summarizeRecord(record) {
+    return {
+      id: record.id,
+      socketId: record.socketId,
+      status: record.status,
+      duration: record.duration,
+      metadata: record.metadata,
+      createdAt: record.createdAt,
+      lastActivity: record.lastActivity,
+      endedAt: record.endedAt
+    };
+  }
+
+  // Save a session's record; writes are tracked so shutdown can wait for them
+  persistSession(session) {
+    const write = this.store.save(SessionManager.toRecord(session))
+      .catch(error => {
+        logger.error('Failed to persist session', { sessionId: session.id, store: this.store.name, error: error.message });
+      })
+      .finally(() => this.pendingWrites.delete(write));
+
+    this.pendingWrites.add(write);
+    return write;
+  }
+
+  // Live session or stored record for an id - works after the call has ended
+  async findSessionRecord(sessionId) {
+    const session = this.getSession(sessionId);
+    return session ? SessionManager.toRecord(session) : this.store.get(sessionId);
+  }
+
+  // Summary of a live or ended session
+  async getSessionSummary(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      return session.getSummary();
+    }
+
+    const record = await this.store.get(sessionId);
+    return record ? SessionManager.summarizeRecord(record) : null;
+  }
+
+  // Conversation history of a live or ended session
+  async getHistory(sessionId) {
+    const record = await this.findSessionRecord(sessionId);
+    return record ? record.conversationHistory : null;
+  }
+
+  // Stored sessions, newest first (ended sessions stay until the retention period passes)
+  async listStoredSessions(options = {}) {
+    const records = await this.store.list(options);
+    return records.map(record => SessionManager.summarizeRecord(record));
+  }
+
+  // Drop stored records older than the retention period
+  async purgeExpiredSessions() {
+    const purged = await this.store.purgeExpired(new Date(Date.now() - this.retentionMs));
+    if (purged > 0) {
+      logger.info('Purged expired session records', { count: purged, store: this.store.name });
+    }
+    return purged;
+  }
+
+  // Unbind a session from its dropped socket; it stays live while the client may still resume it
+  suspendSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    this.socketToSession.delete(session.socketId);
+    session.updateStatus('suspended');
+    this.persistSession(session);
+    this.cluster.trackSession(session);
+    return session;
+  }
+
+  // Bind a suspended session to the socket its client reconnected on
+  resumeSession(sessionId, socketId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    this.socketToSession.delete(session.socketId);
+    this.socketToSession.set(socketId, sessionId);
+    session.socketId = socketId;
+    session.updateStatus('active');
+    this.persistSession(session);
+    this.cluster.trackSession(session);
+
+    logger.info('Session resumed on new socket', { sessionId, socketId });
+    return session;
+  }
+
   // Handle socket disconnection
   handleSocketDisconnect(socketId) {
     const session = this.getSessionBySocketId(socketId);
@@ -103,11 +245,17 @@ class SessionManager {
     return activeSessions;
   }
 
+  // Get summaries of all tracked sessions
+  getAllSessions() {
+    return Array.from(this.sessions.values()).map(session => session.getSummary());
+  }
+
   // Get session statistics
   getStatistics() {
     const stats = {
       totalSessions: this.sessions.size,
       activeSessions: 0,
+      suspendedSessions: 0, // Waiting for their client to reconnect
       endedSessions: 0,
       totalInterruptions: 0,
       averageDuration: 0,
@@ -117,6 +265,7 @@ class SessionManager {
     let totalDuration = 0;
     this.sessions.forEach(session => {
       if (session.status === 'active') stats.activeSessions++;
+      if (session.status === 'suspended') stats.suspendedSessions++;
       if (session.status === 'ended') stats.endedSessions++;
       
       stats.totalInterruptions += session.metadata.interruptions;
@@ -133,14 +282,25 @@ class SessionManager {
     return stats;
   }
 
-  // Clean up inactive sessions
+  // Refresh the session gauges from getStatistics() before a metrics scrape
+  collectMetrics() {
+    const stats = this.getStatistics();
+
+    sessionsGauge.reset();
+    sessionsGauge.set(stats.activeSessions, { status: 'active' });
+    sessionsGauge.set(stats.suspendedSessions, { status: 'suspended' });
+    sessionsGauge.set(stats.totalSessions - stats.activeSessions - stats.suspendedSessions, { status: 'other' });
+    sessionInterruptionsGauge.set(stats.totalInterruptions);
+  }
+
+  // Clean up inactive sessions; suspended ones are left to the grace timer that expires them
   cleanupInactiveSessions(inactivityThreshold = 300000) { // 5 minutes
     const now = new Date();
     const sessionsToRemove = [];
 
     this.sessions.forEach((session, sessionId) => {
       const inactiveTime = now - session.lastActivity;
-      if (inactiveTime > inactivityThreshold && session.status !== 'active') {
+      if (inactiveTime > inactivityThreshold && session.status !== 'active' && session.status !== 'suspended') {
         sessionsToRemove.push(sessionId);
       }
     });
@@ -160,6 +320,12 @@ class SessionManager {
       if (cleaned > 0) {
         logger.info('Cleaned up inactive sessions', { count: cleaned });
       }
+
+      // Keep stored records of running calls current, and forget ended ones past retention
+      this.sessions.forEach(session => this.persistSession(session));
+      this.purgeExpiredSessions().catch(error => {
+        logger.error('Failed to purge expired session records', { error: error.message });
+      });
     }, 60000); // Run every minute
   }
 
@@ -171,25 +337,26 @@ class SessionManager {
     }
   }
 
-  // Export session data
-  exportSession(sessionId) {
-    const session = this.getSession(sessionId);
-    if (!session) {
+  // Export session data - live sessions and stored records of ended ones
+  async exportSession(sessionId) {
+    const record = await this.findSessionRecord(sessionId);
+    if (!record) {
       return null;
     }
 
+    const { duration, ...sessionData } = record;
     return {
-      ...session.toJSON(),
+      ...sessionData,
       exportedAt: new Date(),
       statistics: {
-        duration: session.getDuration(),
-        messagesPerMinute: session.metadata.messageCount / (session.getDuration() / 60000)
+        duration,
+        messagesPerMinute: record.metadata.messageCount / (duration / 60000)
       }
     };
   }
 
   // Shutdown manager
-  shutdown() {
+  async shutdown() {
     this.stopCleanupTask();
     
     // End all active sessions
@@ -199,8 +366,14 @@ class SessionManager {
       }
     });
 
+    // Records of the remaining sessions are saved as they are, so a restart still has them
+    this.sessions.forEach(session => this.persistSession(session));
+    await Promise.all(Array.from(this.pendingWrites));
+    await this.store.close();
+
     logger.info('SessionManager shutdown complete', {
-      remainingSessions: this.sessions.size
+      remainingSessions: this.sessions.size,
+      store: this.store.name
     });
   }
 }
@@ -0,0 +1,268 @@
+const OpusScript = require('opusscript');
+const config = require('../../config/environment');
+const logger = require('../../utils/logger');
+const { ApiError } = require('../../middleware/errorHandler');
+const { int16ToFloat32, float32ToInt16, downmix, decodeG711, Resampler } = require('./pcm');
+const { parseWav, wavSamplesToFloat32, isSupportedWavFormat, OggOpusDemuxer, WebmOpusDemuxer } = require('./containers');
+
+const SUPPORTED_ENCODINGS = ['pcm16', 'wav', 'mulaw', 'alaw', 'ogg-opus', 'webm-opus', 'opus'];
+
+// Names and MIME types clients commonly send, mapped to our encodings
+const ENCODING_ALIASES = {
+  pcm: 'pcm16',
+  pcm16: 'pcm16',
+  linear16: 'pcm16',
+  l16: 'pcm16',
+  s16le: 'pcm16',
+  'audio/pcm': 'pcm16',
+  'audio/l16': 'pcm16',
+  wav: 'wav',
+  wave: 'wav',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  mulaw: 'mulaw',
+  ulaw: 'mulaw',
+  pcmu: 'mulaw',
+  'g711-ulaw': 'mulaw',
+  'audio/basic': 'mulaw',
+  'audio/pcmu': 'mulaw',
+  alaw: 'alaw',
+  pcma: 'alaw',
+  'g711-alaw': 'alaw',
+  'audio/pcma': 'alaw',
+  ogg: 'ogg-opus',
+  'ogg-opus': 'ogg-opus',
+  'audio/ogg': 'ogg-opus',
+  webm: 'webm-opus',
+  'webm-opus': 'webm-opus',
+  'audio/webm': 'webm-opus',
+  opus: 'opus',
+  'audio/opus': 'opus'
+};
+
+const DEFAULT_SAMPLE_RATES = {
+  mulaw: 8000,
+  alaw: 8000,
+  opus: 48000,
+  'ogg-opus': 48000,
+  'webm-opus': 48000
+};
+
+// Error raised when a client asks for an input format we cannot decode
+function unsupportedFormat(message) {
+  return new ApiError(415, message, { code: 'UNSUPPORTED_AUDIO_FORMAT', supported: SUPPORTED_ENCODINGS });
+}
+
+// Decodes one session's client audio into the LINEAR16 mono stream Gemini expects
+class InputAudioDecoder {
+  constructor(format) {
+    this.format = format;
+    this.targetRate = config.audio.sampleRate;
+    this.resampler = null;
+    this.wavFormat = null;
+    this.pending = Buffer.alloc(0); // Partial sample frame carried over to the next chunk
+    this.demuxer = null;
+    this.opusDecoder = null;
+    this.opusRate = null; // Rate the Opus decoder outputs - the Gemini input rate when Opus supports it
+    this.opusChannels = 1;
+    this.opusSkip = 0; // Decoder warm-up samples (the stream's pre-skip) still to drop
+    this.queue = Promise.resolve();
+
+    if (format.encoding === 'ogg-opus') {
+      this.demuxer = new OggOpusDemuxer();
+    } else if (format.encoding === 'webm-opus') {
+      this.demuxer = new WebmOpusDemuxer();
+    }
+  }
+
+  // Validate a start-conversation `inputFormat` (string, MIME type or object) into a normalized format
+  static negotiate(requested) {
+    if (requested === undefined || requested === null) {
+      return { encoding: 'pcm16', sampleRate: config.audio.sampleRate, channels: 1 };
+    }
+
+    const spec = typeof requested === 'string' ? { encoding: requested } : requested;
+    if (typeof spec !== 'object' || typeof spec.encoding !== 'string') {
+      throw unsupportedFormat('inputFormat must be a string or an object with an `encoding` field');
+    }
+
+    // Accept MIME parameters such as "audio/pcm;rate=48000" or "audio/webm;codecs=opus"
+    const [type, ...params] = spec.encoding.toLowerCase().split(';').map(part => part.trim());
+    const encoding = ENCODING_ALIASES[type];
+    if (!encoding) {
+      throw unsupportedFormat(`Unsupported input audio format "${spec.encoding}"`);
+    }
+
+    const mimeParams = Object.fromEntries(params.map(param => param.split('=').map(part => part.trim())));
+    if (mimeParams.codecs && (encoding === 'ogg-opus' || encoding === 'webm-opus') && mimeParams.codecs !== 'opus') {
+      throw unsupportedFormat(`Unsupported codec "${mimeParams.codecs}" - only Opus is supported in ${type}`);
+    }
+
+    const sampleRate = parseInt(spec.sampleRate || mimeParams.rate) ||
+      DEFAULT_SAMPLE_RATES[encoding] || config.audio.sampleRate;
+    const channels = parseInt(spec.channels || mimeParams.channels) || 1;
+
+    if (sampleRate < 8000 || sampleRate > 192000) {
+      throw unsupportedFormat(`Unsupported input sample rate ${sampleRate} Hz`);
+    }
+    if (channels < 1 || channels > 8) {
+      throw unsupportedFormat(`Unsupported input channel count ${channels}`);
+    }
+
+    return { encoding, sampleRate, channels };
+  }
+
+  // True when client audio already matches Gemini's input and can be forwarded untouched
+  get isPassthrough() {
+    return this.format.encoding === 'pcm16' &&
+      this.format.sampleRate === this.targetRate &&
+      this.format.channels === 1;
+  }
+
+  // Decode a chunk of client audio; chunks are processed strictly in arrival order
+  decode(buffer) {
+    const result = this.queue.then(() => this.decodeChunk(buffer));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Decode one chunk to 16-bit mono PCM at the Gemini input rate
+  async decodeChunk(buffer) {
+    let samples;
+    let sampleRate = this.format.sampleRate;
+
+    switch (this.format.encoding) {
+      case 'pcm16':
+        samples = downmix(int16ToFloat32(this.alignFrames(buffer, 2 * this.format.channels)), this.format.channels);
+        break;
+      case 'mulaw':
+      case 'alaw':
+        samples = downmix(decodeG711(buffer, this.format.encoding), this.format.channels);
+        break;
+      case 'wav': {
+        const decoded = this.decodeWav(buffer);
+        samples = decoded.samples;
+        sampleRate = decoded.sampleRate;
+        break;
+      }
+      case 'opus':
+        samples = this.decodeOpusPackets([buffer], this.format.channels);
+        sampleRate = this.opusRate;
+        break;
+      case 'ogg-opus':
+      case 'webm-opus': {
+        const packets = this.demuxer.push(buffer);
+        const channels = this.demuxer.head?.channels || this.format.channels;
+        samples = packets.length > 0 ? this.decodeOpusPackets(packets, channels) : new Float32Array(0);
+        sampleRate = this.opusRate || this.targetRate;
+        break;
+      }
+      default:
+        throw unsupportedFormat(`Unsupported input audio format "${this.format.encoding}"`);
+    }
+
+    return float32ToInt16(this.resample(samples, sampleRate));
+  }
+
+  // Decode a WAV chunk; later chunks without a header continue the first chunk's format
+  decodeWav(buffer) {
+    let data = buffer;
+
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF') {
+      const parsed = parseWav(buffer);
+      if (!isSupportedWavFormat(parsed.format)) {
+        throw unsupportedFormat(
+          `Unsupported WAV encoding (format ${parsed.format.audioFormat}, ${parsed.format.bitsPerSample}-bit)`
+        );
+      }
+      this.wavFormat = parsed.format;
+      data = parsed.data;
+    }
+
+    const format = this.wavFormat || {
+      audioFormat: 1,
+      channels: this.format.channels,
+      sampleRate: this.format.sampleRate,
+      bitsPerSample: 16
+    };
+
+    const aligned = this.alignFrames(data, (format.bitsPerSample / 8) * format.channels);
+
+    return {
+      samples: downmix(wavSamplesToFloat32(aligned, format), format.channels),
+      sampleRate: format.sampleRate
+    };
+  }
+
+  // Only decode whole sample frames - clients may split chunks mid-sample
+  alignFrames(buffer, frameBytes) {
+    const data = this.pending.length > 0 ? Buffer.concat([this.pending, buffer]) : buffer;
+    const usable = data.length - (data.length % frameBytes);
+    this.pending = Buffer.from(data.subarray(usable));
+    return data.subarray(0, usable);
+  }
+
+  // Decode Opus packets with the same WASM Opus build the output encoder uses
+  decodeOpusPackets(packets, channels) {
+    if (!this.opusDecoder) {
+      // The decoder only does mono and stereo streams, not multichannel mapping families
+      if (channels > 2 || this.demuxer?.head?.channelMappingTable) {
+        throw unsupportedFormat(`Opus input supports mono and stereo, not ${channels} channels`);
+      }
+
+      this.opusRate = OpusScript.VALID_SAMPLING_RATES.includes(this.targetRate) ? this.targetRate : 48000;
+      this.opusDecoder = new OpusScript(this.opusRate, channels);
+      this.opusChannels = channels;
+      // Pre-skip is counted in 48 kHz samples
+      this.opusSkip = Math.round((this.demuxer?.head?.preSkip || 0) * this.opusRate / 48000);
+    }
+
+    const decoded = [];
+    let errors = 0;
+    let firstError = null;
+    for (const packet of packets) {
+      try {
+        decoded.push(this.opusDecoder.decode(packet));
+      } catch (error) {
+        errors++;
+        firstError = firstError || error;
+      }
+    }
+    if (errors > 0) {
+      logger.warn('Opus decoder reported errors', { errors, first: firstError.message });
+    }
+
+    let samples = downmix(int16ToFloat32(Buffer.concat(decoded)), this.opusChannels);
+    if (this.opusSkip > 0) {
+      const skipped = Math.min(this.opusSkip, samples.length);
+      samples = samples.subarray(skipped);
+      this.opusSkip -= skipped;
+    }
+    return samples;
+  }
+
+  // Resample mono float samples to the Gemini input rate
+  resample(samples, sampleRate) {
+    if (sampleRate === this.targetRate) {
+      return samples;
+    }
+
+    if (!this.resampler || this.resampler.fromRate !== sampleRate) {
+      this.resampler = new Resampler(sampleRate, this.targetRate);
+    }
+    return this.resampler.process(samples);
+  }
+
+  // Release the WASM decoder
+  close() {
+    if (this.opusDecoder) {
+      this.opusDecoder.delete();
+      this.opusDecoder = null;
+    }
+  }
+}
+
+InputAudioDecoder.SUPPORTED_ENCODINGS = SUPPORTED_ENCODINGS;
+
+module.exports = InputAudioDecoder;
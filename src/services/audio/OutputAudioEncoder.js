@@ -0,0 +1,207 @@
+const OpusScript = require('opusscript');
+const config = require('../../config/environment');
+const { ApiError } = require('../../middleware/errorHandler');
+const { int16ToFloat32, float32ToInt16, float32ToBuffer, encodeG711, Resampler } = require('./pcm');
+const { buildWav, OggOpusMuxer } = require('./containers');
+
+const SUPPORTED_ENCODINGS = ['wav', 'pcm16', 'pcm-f32', 'mulaw', 'alaw', 'opus'];
+
+const ENCODING_ALIASES = {
+  wav: 'wav',
+  'audio/wav': 'wav',
+  pcm: 'pcm16',
+  pcm16: 'pcm16',
+  linear16: 'pcm16',
+  s16le: 'pcm16',
+  'audio/pcm': 'pcm16',
+  'pcm-f32': 'pcm-f32',
+  float32: 'pcm-f32',
+  f32le: 'pcm-f32',
+  mulaw: 'mulaw',
+  ulaw: 'mulaw',
+  pcmu: 'mulaw',
+  'audio/basic': 'mulaw',
+  'audio/pcmu': 'mulaw',
+  alaw: 'alaw',
+  pcma: 'alaw',
+  'audio/pcma': 'alaw',
+  opus: 'opus',
+  'ogg-opus': 'opus',
+  'audio/ogg': 'opus',
+  'audio/opus': 'opus'
+};
+
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Error raised when a client asks for an output format we cannot produce
+function unsupportedFormat(message) {
+  return new ApiError(415, message, { code: 'UNSUPPORTED_AUDIO_FORMAT', supported: SUPPORTED_ENCODINGS });
+}
+
+// MIME type announced to the client for a negotiated format
+function mimeTypeFor({ encoding, sampleRate }) {
+  switch (encoding) {
+    case 'wav':
+      return 'audio/wav';
+    case 'pcm16':
+      return `audio/pcm;rate=${sampleRate}`;
+    case 'pcm-f32':
+      return `audio/pcm;encoding=float;bits=32;rate=${sampleRate}`;
+    case 'mulaw':
+      return `audio/PCMU;rate=${sampleRate}`;
+    case 'alaw':
+      return `audio/PCMA;rate=${sampleRate}`;
+    default:
+      return 'audio/ogg;codecs=opus';
+  }
+}
+
+// Encodes one session's model audio (LINEAR16 from Gemini) into the format its client asked for
+class OutputAudioEncoder {
+  constructor(format) {
+    this.format = format;
+    this.resampler = null;
+    this.opusEncoder = null;
+    this.opusPending = Buffer.alloc(0);
+    this.muxer = null;
+  }
+
+  // Validate a start-conversation `outputFormat` (string or object) into a normalized format
+  static negotiate(requested) {
+    const spec = requested === undefined || requested === null
+      ? { encoding: 'wav' }
+      : typeof requested === 'string' ? { encoding: requested } : requested;
+
+    if (typeof spec !== 'object' || typeof spec.encoding !== 'string') {
+      throw unsupportedFormat('outputFormat must be a string or an object with an `encoding` field');
+    }
+
+    const [type, ...params] = spec.encoding.toLowerCase().split(';').map(part => part.trim());
+    const encoding = ENCODING_ALIASES[type];
+    if (!encoding) {
+      throw unsupportedFormat(`Unsupported output audio format "${spec.encoding}"`);
+    }
+
+    const mimeParams = Object.fromEntries(params.map(param => param.split('=').map(part => part.trim())));
+    const defaultRate = encoding === 'mulaw' || encoding === 'alaw' ? 8000 : config.audio.outputSampleRate;
+    const sampleRate = parseInt(spec.sampleRate || mimeParams.rate) || defaultRate;
+
+    if (encoding === 'opus' && !OPUS_SAMPLE_RATES.includes(sampleRate)) {
+      throw unsupportedFormat(`Opus output supports ${OPUS_SAMPLE_RATES.join(', ')} Hz, not ${sampleRate} Hz`);
+    }
+    if (sampleRate < 8000 || sampleRate > 48000) {
+      throw unsupportedFormat(`Unsupported output sample rate ${sampleRate} Hz`);
+    }
+
+    const format = { encoding, sampleRate, channels: 1 };
+    format.mimeType = mimeTypeFor(format);
+    return format;
+  }
+
+  // Encode one chunk of Gemini LINEAR16 audio; may return an empty buffer while Opus frames fill up
+  encode(pcm, sourceRate = config.audio.outputSampleRate) {
+    const { encoding, sampleRate } = this.format;
+
+    // Fast paths: Gemini's own rate needs no float round trip
+    if (sourceRate === sampleRate && encoding === 'pcm16') {
+      return pcm;
+    }
+    if (sourceRate === sampleRate && encoding === 'wav') {
+      return buildWav(pcm, sampleRate);
+    }
+
+    const samples = this.resample(int16ToFloat32(pcm), sourceRate);
+
+    switch (encoding) {
+      case 'wav':
+        return buildWav(float32ToInt16(samples), sampleRate);
+      case 'pcm16':
+        return float32ToInt16(samples);
+      case 'pcm-f32':
+        return float32ToBuffer(samples);
+      case 'mulaw':
+      case 'alaw':
+        return encodeG711(samples, encoding);
+      case 'opus':
+        return this.encodeOpus(float32ToInt16(samples), false);
+      default:
+        throw unsupportedFormat(`Unsupported output audio format "${encoding}"`);
+    }
+  }
+
+  // Finish the current response - pads and emits the last Opus frame, nothing for other formats
+  flush() {
+    if (this.format.encoding !== 'opus' || !this.muxer) {
+      return null;
+    }
+
+    const tail = this.encodeOpus(Buffer.alloc(0), true);
+    this.reset();
+    return tail.length > 0 ? tail : null;
+  }
+
+  // Start a fresh response stream (after a turn completes or the user interrupts)
+  reset() {
+    this.resampler = null;
+    this.opusPending = Buffer.alloc(0);
+    this.muxer = null;
+  }
+
+  // Resample mono float samples to the negotiated output rate
+  resample(samples, sourceRate) {
+    if (sourceRate === this.format.sampleRate) {
+      return samples;
+    }
+
+    if (!this.resampler || this.resampler.fromRate !== sourceRate) {
+      this.resampler = new Resampler(sourceRate, this.format.sampleRate);
+    }
+    return this.resampler.process(samples);
+  }
+
+  // Encode whole 20 ms frames to Opus and wrap them in Ogg pages
+  encodeOpus(pcm, endOfStream) {
+    const frameSamples = this.format.sampleRate / 50;
+    const frameBytes = frameSamples * 2;
+
+    if (!this.opusEncoder) {
+      this.opusEncoder = new OpusScript(this.format.sampleRate, 1, OpusScript.Application.VOIP);
+    }
+    if (!this.muxer) {
+      this.muxer = new OggOpusMuxer({ channels: 1, inputSampleRate: config.audio.outputSampleRate });
+    }
+
+    let data = this.opusPending.length > 0 ? Buffer.concat([this.opusPending, pcm]) : pcm;
+
+    // The last frame of a response is padded with silence
+    if (endOfStream && data.length % frameBytes !== 0) {
+      data = Buffer.concat([data, Buffer.alloc(frameBytes - (data.length % frameBytes))]);
+    }
+
+    const packets = [];
+    let offset = 0;
+    for (; offset + frameBytes <= data.length; offset += frameBytes) {
+      packets.push(Buffer.from(this.opusEncoder.encode(data.subarray(offset, offset + frameBytes), frameSamples)));
+    }
+    this.opusPending = Buffer.from(data.subarray(offset));
+
+    if (packets.length === 0 && !endOfStream) {
+      return Buffer.alloc(0);
+    }
+
+    // Ogg granule positions always count 48 kHz samples
+    return this.muxer.mux(packets, 960, endOfStream);
+  }
+
+  // Release the Opus encoder
+  close() {
+    if (this.opusEncoder) {
+      this.opusEncoder.delete();
+      this.opusEncoder = null;
+    }
+  }
+}
+
+OutputAudioEncoder.SUPPORTED_ENCODINGS = SUPPORTED_ENCODINGS;
+
+module.exports = OutputAudioEncoder;
@@ -0,0 +1,114 @@
+const config = require('../../config/environment');
+
+// Energy + zero-crossing voice activity detector for 16-bit mono PCM
+class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.options = {
+      ...config.vad,
+      sampleRate: config.audio.sampleRate,
+      ...options
+    };
+
+    this.frameSamples = Math.max(1, Math.round(this.options.sampleRate * this.options.frameMs / 1000));
+    this.reset();
+  }
+
+  // Forget all state - used when a turn is closed by the client
+  reset() {
+    this.isSpeaking = false;
+    this.remainder = Buffer.alloc(0);
+    this.processedMs = 0;
+    this.speechRunMs = 0;
+    this.silenceRunMs = 0;
+    this.speechStartMs = null;
+    this.noiseFloor = null;
+  }
+
+  // Measure RMS energy (0..1) and zero-crossing rate (0..1) of one frame
+  analyzeFrame(frame) {
+    const samples = frame.length / 2;
+    let sumSquares = 0;
+    let crossings = 0;
+    let previous = 0;
+
+    for (let i = 0; i < samples; i++) {
+      const sample = frame.readInt16LE(i * 2) / 32768;
+      sumSquares += sample * sample;
+
+      if (i > 0 && ((sample >= 0 && previous < 0) || (sample < 0 && previous >= 0))) {
+        crossings++;
+      }
+      previous = sample;
+    }
+
+    return {
+      energy: Math.sqrt(sumSquares / samples),
+      zeroCrossingRate: samples > 1 ? crossings / (samples - 1) : 0
+    };
+  }
+
+  // Decide whether a frame contains speech, adapting to the background noise level
+  isSpeechFrame({ energy, zeroCrossingRate }) {
+    const threshold = Math.max(
+      this.options.energyThreshold,
+      (this.noiseFloor || 0) * this.options.noiseMultiplier
+    );
+
+    // Loud frames count even with a high crossing rate (fricatives); quiet hiss does not
+    const isSpeech = energy >= threshold &&
+      (zeroCrossingRate <= this.options.maxZeroCrossingRate || energy >= threshold * 4);
+
+    if (!isSpeech && !this.isSpeaking) {
+      this.noiseFloor = this.noiseFloor === null ? energy : this.noiseFloor * 0.95 + energy * 0.05;
+    }
+
+    return isSpeech;
+  }
+
+  // Feed a PCM buffer and return the speech boundaries it crossed
+  process(pcm) {
+    const events = [];
+    const data = this.remainder.length > 0 ? Buffer.concat([this.remainder, pcm]) : pcm;
+    const frameBytes = this.frameSamples * 2;
+    const frameMs = this.options.frameMs;
+
+    let offset = 0;
+    for (; offset + frameBytes <= data.length; offset += frameBytes) {
+      const isSpeech = this.isSpeechFrame(this.analyzeFrame(data.subarray(offset, offset + frameBytes)));
+      this.processedMs += frameMs;
+
+      if (!this.isSpeaking) {
+        this.speechRunMs = isSpeech ? this.speechRunMs + frameMs : 0;
+
+        if (this.speechRunMs >= this.options.minSpeechMs) {
+          this.isSpeaking = true;
+          this.silenceRunMs = 0;
+          this.speechStartMs = this.processedMs - this.speechRunMs;
+          events.push({ type: 'speech-start', offsetMs: this.speechStartMs });
+        }
+      } else {
+        this.silenceRunMs = isSpeech ? 0 : this.silenceRunMs + frameMs;
+
+        // Hangover: only end the turn after a sustained pause
+        if (this.silenceRunMs >= this.options.hangoverMs) {
+          const endMs = this.processedMs - this.silenceRunMs;
+          events.push({
+            type: 'speech-end',
+            offsetMs: endMs,
+            durationMs: endMs - this.speechStartMs
+          });
+
+          this.isSpeaking = false;
+          this.speechRunMs = 0;
+          this.silenceRunMs = 0;
+          this.speechStartMs = null;
+        }
+      }
+    }
+
+    this.remainder = Buffer.from(data.subarray(offset));
+    return events;
+  }
+}
+
+module.exports = VoiceActivityDetector;
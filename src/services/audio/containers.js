@@ -0,0 +1,550 @@
+// Minimal container readers and writers for audio: WAV, Ogg Opus and WebM (Matroska) Opus
+
+// Parse a WAV header and return its format plus the sample data
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (audioFormat === 0xfffe && chunkSize >= 26) {
+        audioFormat = buffer.readUInt16LE(body + 24);
+      }
+
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk appears before fmt chunk');
+      }
+
+      // Streamed WAVs often carry a zero or maximal data size - take what we have
+      const end = chunkSize > 0 && chunkSize !== 0xffffffff ? Math.min(body + chunkSize, buffer.length) : buffer.length;
+      return { format, data: buffer.subarray(body, end) };
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV data chunk not found');
+}
+
+// Wrap PCM sample data in a 44-byte RIFF/WAVE header
+function buildWav(data, sampleRate, channels = 1, bitsPerSample = 16) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * (bitsPerSample / 8);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28); // Byte rate
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+}
+
+// Convert WAV sample data (PCM 8/16/24/32-bit or IEEE float) to interleaved float samples
+function wavSamplesToFloat32(data, format) {
+  const { audioFormat, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const samples = new Float32Array(Math.floor(data.length / bytesPerSample));
+
+  for (let i = 0; i < samples.length; i++) {
+    const offset = i * bytesPerSample;
+
+    if (audioFormat === 3 && bitsPerSample === 32) {
+      samples[i] = data.readFloatLE(offset);
+    } else if (audioFormat === 3 && bitsPerSample === 64) {
+      samples[i] = data.readDoubleLE(offset);
+    } else if (bitsPerSample === 8) {
+      samples[i] = (data[offset] - 128) / 128;
+    } else if (bitsPerSample === 16) {
+      samples[i] = data.readInt16LE(offset) / 32768;
+    } else if (bitsPerSample === 24) {
+      samples[i] = data.readIntLE(offset, 3) / 8388608;
+    } else {
+      samples[i] = data.readInt32LE(offset) / 2147483648;
+    }
+  }
+
+  return samples;
+}
+
+// Check that a WAV format is one wavSamplesToFloat32 understands
+function isSupportedWavFormat(format) {
+  if (format.audioFormat === 1) {
+    return [8, 16, 24, 32].includes(format.bitsPerSample);
+  }
+  if (format.audioFormat === 3) {
+    return [32, 64].includes(format.bitsPerSample);
+  }
+  return false;
+}
+
+// Parse an OpusHead identification header (RFC 7845)
+function parseOpusHead(packet) {
+  if (packet.length < 19 || packet.toString('ascii', 0, 8) !== 'OpusHead') {
+    throw new Error('Invalid OpusHead header');
+  }
+
+  const head = {
+    channels: packet[9],
+    preSkip: packet.readUInt16LE(10),
+    inputSampleRate: packet.readUInt32LE(12),
+    mappingFamily: packet[18]
+  };
+
+  if (head.mappingFamily !== 0 && packet.length >= 21 + head.channels) {
+    head.streamCount = packet[19];
+    head.coupledStreamCount = packet[20];
+    head.channelMappingTable = Array.from(packet.subarray(21, 21 + head.channels));
+  }
+
+  return head;
+}
+
+// Streaming Ogg demuxer that yields Opus packets from pages split across socket chunks
+class OggOpusDemuxer {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.packetParts = [];
+    this.head = null;
+  }
+
+  // Append container bytes and return the complete audio packets they finish
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const packets = [];
+
+    while (this.buffer.length >= 27) {
+      // Resynchronise on the capture pattern if we ever lose it
+      const start = this.buffer.indexOf('OggS');
+      if (start < 0) {
+        this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - 3));
+        break;
+      }
+      if (start > 0) {
+        this.buffer = this.buffer.subarray(start);
+        continue;
+      }
+
+      const segmentCount = this.buffer[26];
+      const headerSize = 27 + segmentCount;
+      if (this.buffer.length < headerSize) {
+        break;
+      }
+
+      const lacing = this.buffer.subarray(27, headerSize);
+      const bodySize = lacing.reduce((sum, value) => sum + value, 0);
+      if (this.buffer.length < headerSize + bodySize) {
+        break;
+      }
+
+      let offset = headerSize;
+      for (const value of lacing) {
+        this.packetParts.push(this.buffer.subarray(offset, offset + value));
+        offset += value;
+
+        // A lacing value below 255 terminates the packet
+        if (value < 255) {
+          this.handlePacket(Buffer.concat(this.packetParts), packets);
+          this.packetParts = [];
+        }
+      }
+
+      this.buffer = this.buffer.subarray(offset);
+    }
+
+    return packets;
+  }
+
+  // Route header packets to the parser and audio packets to the output
+  handlePacket(packet, packets) {
+    if (packet.toString('ascii', 0, 8) === 'OpusHead') {
+      this.head = parseOpusHead(packet);
+    } else if (packet.toString('ascii', 0, 8) === 'OpusTags') {
+      return;
+    } else if (packet.length > 0) {
+      packets.push(packet);
+    }
+  }
+}
+
+// CRC-32 lookup table used by Ogg page checksums (polynomial 0x04c11db7, no reflection)
+const OGG_CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc = i << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  OGG_CRC_TABLE[i] = crc >>> 0;
+}
+
+// Streaming Ogg muxer that wraps Opus packets into pages a client can append to one another
+class OggOpusMuxer {
+  constructor({ channels = 1, inputSampleRate = 48000, preSkip = 312 } = {}) {
+    this.channels = channels;
+    this.inputSampleRate = inputSampleRate;
+    this.preSkip = preSkip;
+    this.serial = Math.floor(Math.random() * 0xffffffff);
+    this.sequence = 0;
+    this.granule = 0; // 48 kHz samples muxed so far; decoders subtract the pre-skip
+    this.headersWritten = false;
+  }
+
+  // Build one Ogg page with the given packets
+  page(packets, granule, headerType = 0) {
+    const lacing = [];
+    for (const packet of packets) {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+      }
+      lacing.push(remaining);
+    }
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'ascii');
+    header[5] = headerType;
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(this.serial, 14);
+    header.writeUInt32LE(this.sequence++, 18);
+    header[26] = lacing.length;
+    Buffer.from(lacing).copy(header, 27);
+
+    const page = Buffer.concat([header, ...packets]);
+    let crc = 0;
+    for (const byte of page) {
+      crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+    }
+    page.writeUInt32LE(crc, 22);
+
+    return page;
+  }
+
+  // The OpusHead and OpusTags header pages that start every stream
+  headerPages() {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'ascii');
+    head[8] = 1; // Version
+    head[9] = this.channels;
+    head.writeUInt16LE(this.preSkip, 10);
+    head.writeUInt32LE(this.inputSampleRate, 12);
+
+    const vendor = Buffer.from('sova-server', 'ascii');
+    const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    tags.write('OpusTags', 0, 'ascii');
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+
+    return [this.page([head], 0, 0x02), this.page([tags], 0)];
+  }
+
+  // Wrap encoded packets (each `samples` long at 48 kHz) into pages; the first call also emits the headers
+  mux(packets, samplesPerPacket, endOfStream = false) {
+    const pages = [];
+
+    if (!this.headersWritten) {
+      pages.push(...this.headerPages());
+      this.headersWritten = true;
+    }
+
+    // A page holds at most 255 lacing values, so split long runs of packets
+    let batch = [];
+    let segments = 0;
+    const flush = (last) => {
+      if (batch.length === 0 && !last) {
+        return;
+      }
+      this.granule += batch.length * samplesPerPacket;
+      pages.push(this.page(batch, this.granule, last && endOfStream ? 0x04 : 0));
+      batch = [];
+      segments = 0;
+    };
+
+    for (const packet of packets) {
+      const packetSegments = Math.floor(packet.length / 255) + 1;
+      if (segments + packetSegments > 255) {
+        flush(false);
+      }
+      batch.push(packet);
+      segments += packetSegments;
+    }
+
+    if (batch.length > 0 || endOfStream) {
+      flush(true);
+    }
+
+    return Buffer.concat(pages);
+  }
+}
+
+const EBML_IDS = {
+  SEGMENT: 0x18538067,
+  CLUSTER: 0x1f43b675,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  AUDIO: 0xe1,
+  BLOCK_GROUP: 0xa0,
+  TRACK_NUMBER: 0xd7,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63a2,
+  CHANNELS: 0x9f,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK: 0xa1
+};
+
+const EBML_MASTERS = new Set([
+  EBML_IDS.SEGMENT,
+  EBML_IDS.CLUSTER,
+  EBML_IDS.TRACKS,
+  EBML_IDS.TRACK_ENTRY,
+  EBML_IDS.AUDIO,
+  EBML_IDS.BLOCK_GROUP
+]);
+
+const EBML_LEAVES = new Set([
+  EBML_IDS.TRACK_NUMBER,
+  EBML_IDS.CODEC_ID,
+  EBML_IDS.CODEC_PRIVATE,
+  EBML_IDS.CHANNELS,
+  EBML_IDS.SIMPLE_BLOCK,
+  EBML_IDS.BLOCK
+]);
+
+// Read an EBML variable-length integer; IDs keep their length marker, sizes do not
+function readVint(buffer, offset, keepMarker = false) {
+  if (offset >= buffer.length) {
+    return null;
+  }
+
+  const first = buffer[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (length > 8) {
+    throw new Error('Invalid EBML variable-length integer');
+  }
+  if (offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xff;
+  }
+
+  return { value: !keepMarker && allOnes ? -1 : value, length };
+}
+
+// Read a big-endian unsigned integer element body
+function readUint(buffer) {
+  let value = 0;
+  for (const byte of buffer) {
+    value = value * 256 + byte;
+  }
+  return value;
+}
+
+// Split a (Simple)Block payload into its frames, honouring Xiph, fixed and EBML lacing
+function splitLacedFrames(payload, lacing) {
+  if (lacing === 0) {
+    return [payload];
+  }
+
+  const frameCount = payload[0] + 1;
+  let offset = 1;
+  const sizes = [];
+
+  if (lacing === 1) {
+    // Xiph lacing: runs of 255 add up to each frame size
+    for (let i = 0; i < frameCount - 1; i++) {
+      let size = 0;
+      let value;
+      do {
+        value = payload[offset++];
+        size += value;
+      } while (value === 255);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    // EBML lacing: first size, then signed differences
+    const first = readVint(payload, offset);
+    offset += first.length;
+    sizes.push(first.value);
+    for (let i = 1; i < frameCount - 1; i++) {
+      const diff = readVint(payload, offset);
+      offset += diff.length;
+      const bias = Math.pow(2, 7 * diff.length - 1) - 1;
+      sizes.push(sizes[i - 1] + diff.value - bias);
+    }
+  } else {
+    // Fixed-size lacing
+    const size = (payload.length - offset) / frameCount;
+    for (let i = 0; i < frameCount - 1; i++) {
+      sizes.push(size);
+    }
+  }
+
+  const frames = [];
+  for (const size of sizes) {
+    frames.push(payload.subarray(offset, offset + size));
+    offset += size;
+  }
+  frames.push(payload.subarray(offset));
+  return frames;
+}
+
+// Streaming WebM demuxer that yields the Opus frames of the first Opus track
+class WebmOpusDemuxer {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.skipBytes = 0;
+    this.tracks = [];
+    this.currentTrack = null;
+    this.head = null;
+  }
+
+  // Append container bytes and return the complete Opus frames they finish
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+
+    while (this.buffer.length > 0) {
+      // Skip over elements we do not care about, even when they span chunks
+      if (this.skipBytes > 0) {
+        const skipped = Math.min(this.skipBytes, this.buffer.length);
+        this.buffer = this.buffer.subarray(skipped);
+        this.skipBytes -= skipped;
+        continue;
+      }
+
+      const id = readVint(this.buffer, 0, true);
+      if (!id) {
+        break;
+      }
+      const size = readVint(this.buffer, id.length);
+      if (!size) {
+        break;
+      }
+      const headerSize = id.length + size.length;
+
+      if (EBML_MASTERS.has(id.value)) {
+        // Descend into container elements; their size may be unknown when live-streamed
+        if (id.value === EBML_IDS.TRACK_ENTRY) {
+          this.currentTrack = {};
+          this.tracks.push(this.currentTrack);
+        }
+        this.buffer = this.buffer.subarray(headerSize);
+        continue;
+      }
+
+      if (size.value < 0) {
+        throw new Error(`Unknown-size EBML element 0x${id.value.toString(16)} is not supported`);
+      }
+
+      if (!EBML_LEAVES.has(id.value)) {
+        this.buffer = this.buffer.subarray(headerSize);
+        this.skipBytes = size.value;
+        continue;
+      }
+
+      if (this.buffer.length < headerSize + size.value) {
+        break;
+      }
+
+      const body = this.buffer.subarray(headerSize, headerSize + size.value);
+      this.handleElement(id.value, body, frames);
+      this.buffer = this.buffer.subarray(headerSize + size.value);
+    }
+
+    return frames;
+  }
+
+  // Handle a leaf element we need for track selection or audio
+  handleElement(id, body, frames) {
+    const track = this.currentTrack || {};
+
+    switch (id) {
+      case EBML_IDS.TRACK_NUMBER:
+        track.number = readUint(body);
+        break;
+      case EBML_IDS.CODEC_ID:
+        track.codecId = body.toString('ascii').replace(/\0+$/, '');
+        break;
+      case EBML_IDS.CHANNELS:
+        track.channels = readUint(body);
+        break;
+      case EBML_IDS.CODEC_PRIVATE:
+        track.codecPrivate = Buffer.from(body);
+        if (body.toString('ascii', 0, 8) === 'OpusHead') {
+          this.head = parseOpusHead(track.codecPrivate);
+        }
+        break;
+      case EBML_IDS.SIMPLE_BLOCK:
+      case EBML_IDS.BLOCK:
+        this.handleBlock(body, frames);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Extract the Opus frames from a block that belongs to the Opus track
+  handleBlock(body, frames) {
+    const trackNumber = readVint(body, 0);
+    const opusTrack = this.tracks.find(track => track.codecId === 'A_OPUS');
+
+    if (opusTrack && opusTrack.number !== undefined && trackNumber.value !== opusTrack.number) {
+      return;
+    }
+
+    // Track number, 16-bit relative timecode, flags
+    const flags = body[trackNumber.length + 2];
+    const lacing = (flags >> 1) & 0x03;
+    const payload = body.subarray(trackNumber.length + 3);
+
+    for (const frame of splitLacedFrames(payload, lacing)) {
+      if (frame.length > 0) {
+        frames.push(Buffer.from(frame));
+      }
+    }
+  }
+}
+
+module.exports = {
+  parseWav,
+  buildWav,
+  wavSamplesToFloat32,
+  isSupportedWavFormat,
+  parseOpusHead,
+  OggOpusDemuxer,
+  OggOpusMuxer,
+  WebmOpusDemuxer
+};
@@ -0,0 +1,208 @@
+// PCM helpers shared by the input and output audio pipelines
+
+// Convert a little-endian 16-bit PCM buffer into interleaved float samples
+function int16ToFloat32(buffer) {
+  const samples = new Float32Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+// Convert float samples into a little-endian 16-bit PCM buffer
+function float32ToInt16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(sample < 0 ? sample * 32768 : sample * 32767), i * 2);
+  }
+  return buffer;
+}
+
+// Average interleaved channels down to mono
+function downmix(samples, channels) {
+  if (channels <= 1) {
+    return samples;
+  }
+
+  const mono = new Float32Array(Math.floor(samples.length / channels));
+  for (let i = 0; i < mono.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      sum += samples[i * channels + c];
+    }
+    mono[i] = sum / channels;
+  }
+  return mono;
+}
+
+// Decode one G.711 μ-law byte to a 16-bit sample
+function mulawToLinear(value) {
+  const u = ~value & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return u & 0x80 ? -magnitude : magnitude;
+}
+
+// Decode one G.711 A-law byte to a 16-bit sample
+function alawToLinear(value) {
+  const a = value ^ 0x55;
+  const segment = (a & 0x70) >> 4;
+  let magnitude = (a & 0x0f) << 4;
+
+  if (segment === 0) {
+    magnitude += 8;
+  } else if (segment === 1) {
+    magnitude += 0x108;
+  } else {
+    magnitude = (magnitude + 0x108) << (segment - 1);
+  }
+
+  return a & 0x80 ? magnitude : -magnitude;
+}
+
+// Encode a 16-bit sample as one G.711 μ-law byte
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), 32635) + 0x84;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Encode a 16-bit sample as one G.711 A-law byte
+function linearToAlaw(sample) {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), 32767) >> 3;
+
+  let segment = 0;
+  while (segment < 8 && magnitude > (0x20 << segment) - 1) {
+    segment++;
+  }
+
+  let value;
+  if (segment >= 8) {
+    value = 0x7f;
+  } else if (segment < 2) {
+    value = (segment << 4) | ((magnitude >> 1) & 0x0f);
+  } else {
+    value = (segment << 4) | ((magnitude >> segment) & 0x0f);
+  }
+
+  return (value | sign) ^ 0x55;
+}
+
+// Decode a G.711 buffer (μ-law or A-law) to float samples
+function decodeG711(buffer, law) {
+  const decode = law === 'alaw' ? alawToLinear : mulawToLinear;
+  const samples = new Float32Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    samples[i] = decode(buffer[i]) / 32768;
+  }
+  return samples;
+}
+
+// Encode float samples as G.711 (μ-law or A-law) bytes
+function encodeG711(samples, law) {
+  const encode = law === 'alaw' ? linearToAlaw : linearToMulaw;
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    buffer[i] = encode(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767));
+  }
+  return buffer;
+}
+
+// Convert float samples into a little-endian 32-bit float buffer
+function float32ToBuffer(samples) {
+  const buffer = Buffer.alloc(samples.length * 4);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeFloatLE(samples[i], i * 4);
+  }
+  return buffer;
+}
+
+// Streaming linear-interpolation resampler - keeps its phase across chunks
+class Resampler {
+  constructor(fromRate, toRate) {
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.step = fromRate / toRate;
+    this.position = 0; // Next output position, in input samples relative to the current chunk
+    this.lastSample = null;
+
+    // Downsampling runs a moving-average low-pass first to keep aliasing down
+    this.taps = this.step > 1 ? Math.ceil(this.step) : 1;
+    this.history = new Float32Array(this.taps - 1);
+  }
+
+  // Smooth a chunk with the moving-average filter, carrying history between chunks
+  lowPass(input) {
+    if (this.taps === 1) {
+      return input;
+    }
+
+    const extended = new Float32Array(this.history.length + input.length);
+    extended.set(this.history);
+    extended.set(input, this.history.length);
+
+    const output = new Float32Array(input.length);
+    let sum = 0;
+    for (let i = 0; i < this.taps - 1; i++) {
+      sum += extended[i];
+    }
+    for (let i = 0; i < input.length; i++) {
+      sum += extended[i + this.taps - 1];
+      output[i] = sum / this.taps;
+      sum -= extended[i];
+    }
+
+    this.history = extended.slice(extended.length - (this.taps - 1));
+    return output;
+  }
+
+  // Resample one chunk of mono float samples
+  process(samples) {
+    if (this.fromRate === this.toRate || samples.length === 0) {
+      return samples;
+    }
+
+    const input = this.lowPass(samples);
+
+    const output = [];
+    let position = this.position;
+
+    while (position <= input.length - 1) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      // index -1 interpolates from the last sample of the previous chunk
+      const a = index < 0 ? (this.lastSample ?? input[0]) : input[index];
+      const b = input[index + 1] ?? a;
+      output.push(a + (b - a) * fraction);
+      position += this.step;
+    }
+
+    this.position = position - input.length;
+    this.lastSample = input[input.length - 1];
+    return Float32Array.from(output);
+  }
+}
+
+module.exports = {
+  int16ToFloat32,
+  float32ToInt16,
+  downmix,
+  mulawToLinear,
+  alawToLinear,
+  linearToMulaw,
+  linearToAlaw,
+  decodeG711,
+  encodeG711,
+  float32ToBuffer,
+  Resampler
+};
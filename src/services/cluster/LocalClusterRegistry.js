@@ -0,0 +1,90 @@
+const { EventEmitter } = require('events');
+
+// State shared by every registry created in this process (one "cluster" per state object)
+const createState = () => ({
+  nodes: new Map(), // nodeId -> serialized node
+  sessions: new Map(), // sessionId -> serialized session entry
+  bus: new EventEmitter()
+});
+
+// In-process stand-in for a shared registry - several nodes in one process (e.g. tests) can find each other
+class LocalClusterRegistry {
+  constructor(state = LocalClusterRegistry.sharedState) {
+    this.name = 'local';
+    this.state = state;
+    this.subscriptions = []; // [channel, listener]
+  }
+
+  // A separate cluster with its own nodes and sessions
+  static createState() {
+    return createState();
+  }
+
+  async connect() {}
+
+  // Announce a node, or refresh its heartbeat
+  async registerNode(node) {
+    this.state.nodes.set(node.id, JSON.stringify({ ...node, lastSeen: Date.now() }));
+  }
+
+  // Nodes that sent a heartbeat within `ttlMs`
+  async listNodes(ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    return Array.from(this.state.nodes.values())
+      .map(node => JSON.parse(node))
+      .filter(node => node.lastSeen >= cutoff);
+  }
+
+  // Forget a node and the sessions it owned
+  async removeNode(nodeId) {
+    this.state.nodes.delete(nodeId);
+    for (const [sessionId, entry] of this.state.sessions) {
+      if (JSON.parse(entry).nodeId === nodeId) {
+        this.state.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  // Record which node owns a session
+  async setSession(entry) {
+    this.state.sessions.set(entry.sessionId, JSON.stringify(entry));
+  }
+
+  // Owner entry for a session, or null
+  async getSession(sessionId) {
+    const entry = this.state.sessions.get(sessionId);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async deleteSession(sessionId) {
+    this.state.sessions.delete(sessionId);
+  }
+
+  // Every session entry, optionally only one node's
+  async listSessions({ nodeId = null } = {}) {
+    return Array.from(this.state.sessions.values())
+      .map(entry => JSON.parse(entry))
+      .filter(entry => !nodeId || entry.nodeId === nodeId);
+  }
+
+  // Deliver a message to a channel's subscribers on a later tick, serialized as it would be over the wire
+  async publish(channel, message) {
+    const serialized = JSON.stringify(message);
+    setImmediate(() => this.state.bus.emit(channel, serialized));
+  }
+
+  subscribe(channel, handler) {
+    const listener = serialized => handler(JSON.parse(serialized));
+    this.state.bus.on(channel, listener);
+    this.subscriptions.push([channel, listener]);
+  }
+
+  async close() {
+    this.subscriptions.forEach(([channel, listener]) => this.state.bus.off(channel, listener));
+    this.subscriptions = [];
+  }
+}
+
+LocalClusterRegistry.sharedState = createState();
+
+module.exports = LocalClusterRegistry;
@@ -0,0 +1,84 @@
+const { createClient } = require('redis');
+const logger = require('../../utils/logger');
+
+// Registry shared by every node through Redis: hashes for nodes and session owners, pub/sub for node messages
+class RedisClusterRegistry {
+  constructor(clusterConfig) {
+    this.name = 'redis';
+    this.prefix = clusterConfig.keyPrefix;
+    this.client = createClient({ url: clusterConfig.redisUrl });
+    this.subscriber = this.client.duplicate(); // A subscribed connection cannot run other commands
+
+    [this.client, this.subscriber].forEach(client => {
+      client.on('error', error => {
+        logger.error('Cluster registry connection error', { error: error.message });
+      });
+    });
+  }
+
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  async connect() {
+    await Promise.all([this.client.connect(), this.subscriber.connect()]);
+  }
+
+  // Announce a node, or refresh its heartbeat
+  async registerNode(node) {
+    await this.client.hSet(this.key('nodes'), node.id, JSON.stringify({ ...node, lastSeen: Date.now() }));
+  }
+
+  // Nodes that sent a heartbeat within `ttlMs`
+  async listNodes(ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    const nodes = await this.client.hVals(this.key('nodes'));
+    return nodes.map(node => JSON.parse(node)).filter(node => node.lastSeen >= cutoff);
+  }
+
+  // Forget a node and the sessions it owned
+  async removeNode(nodeId) {
+    const owned = (await this.listSessions({ nodeId })).map(entry => entry.sessionId);
+    await this.client.hDel(this.key('nodes'), nodeId);
+    if (owned.length > 0) {
+      await this.client.hDel(this.key('sessions'), owned);
+    }
+  }
+
+  // Record which node owns a session
+  async setSession(entry) {
+    await this.client.hSet(this.key('sessions'), entry.sessionId, JSON.stringify(entry));
+  }
+
+  // Owner entry for a session, or null
+  async getSession(sessionId) {
+    const entry = await this.client.hGet(this.key('sessions'), sessionId);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async deleteSession(sessionId) {
+    await this.client.hDel(this.key('sessions'), sessionId);
+  }
+
+  // Every session entry, optionally only one node's
+  async listSessions({ nodeId = null } = {}) {
+    const entries = await this.client.hVals(this.key('sessions'));
+    return entries
+      .map(entry => JSON.parse(entry))
+      .filter(entry => !nodeId || entry.nodeId === nodeId);
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.key(channel), JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    await this.subscriber.subscribe(this.key(channel), message => handler(JSON.parse(message)));
+  }
+
+  async close() {
+    await Promise.all([this.subscriber.quit(), this.client.quit()].map(quit => quit.catch(() => {})));
+  }
+}
+
+module.exports = RedisClusterRegistry;
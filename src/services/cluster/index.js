@@ -0,0 +1,53 @@
+const config = require('../../config/environment');
+const LocalClusterRegistry = require('./LocalClusterRegistry');
+const RedisClusterRegistry = require('./RedisClusterRegistry');
+
+const registries = {
+  local: () => new LocalClusterRegistry(),
+  redis: (clusterConfig) => new RedisClusterRegistry(clusterConfig)
+};
+
+// Create the session registry configured via CLUSTER_REGISTRY
+const createClusterRegistry = (clusterConfig = config.cluster) => {
+  const create = registries[clusterConfig.registry];
+  if (!create) {
+    throw new Error(`Unknown cluster registry: ${clusterConfig.registry}`);
+  }
+  return create(clusterConfig);
+};
+
+const adapters = {
+  // Socket.IO's built-in adapter - emits reach this node's sockets only
+  memory: async () => null,
+
+  // Emits to rooms and namespaces reach the sockets of every node
+  redis: async (clusterConfig) => {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: clusterConfig.redisUrl });
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    return {
+      adapter: createAdapter(pubClient, subClient, { key: `${clusterConfig.keyPrefix}:socket.io` }),
+      close: () => Promise.all([pubClient.quit(), subClient.quit()].map(quit => quit.catch(() => {})))
+    };
+  }
+};
+
+// Create the Socket.IO adapter configured via SOCKET_ADAPTER; null means the built-in in-memory one
+const createSocketAdapter = async (clusterConfig = config.cluster) => {
+  const create = adapters[clusterConfig.adapter];
+  if (!create) {
+    throw new Error(`Unknown Socket.IO adapter: ${clusterConfig.adapter}`);
+  }
+  return create(clusterConfig);
+};
+
+module.exports = {
+  createClusterRegistry,
+  createSocketAdapter,
+  LocalClusterRegistry,
+  RedisClusterRegistry
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+// When a record expires from: the end of the session, or its last activity while it runs
+const expiresFrom = record => new Date(record.endedAt || record.lastActivity || Date.now());
+
+// Session records as one JSON file each in a local directory - survives restarts. Each file's mtime is set
+// to the record's end (or last activity), so expiry is read from the directory without parsing the records.
+class FileSessionStore {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+    this.writes = new Map(); // sessionId -> last queued write, so saves of one session land in order
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  // File for a session id; ids come from URLs, so anything that could escape the directory is refused
+  filePath(sessionId) {
+    if (!SESSION_ID_PATTERN.test(String(sessionId))) {
+      return null;
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  // Insert or replace a session record (written to a temp file and renamed, so readers never see half a file)
+  async save(record) {
+    const filePath = this.filePath(record.id);
+    if (!filePath) {
+      throw new Error(`Invalid session id: ${record.id}`);
+    }
+
+    const previous = this.writes.get(record.id) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(record));
+      const expiryTime = expiresFrom(record);
+      await fs.promises.utimes(tempPath, expiryTime, expiryTime);
+      await fs.promises.rename(tempPath, filePath);
+    });
+
+    this.writes.set(record.id, write);
+    try {
+      await write;
+    } finally {
+      if (this.writes.get(record.id) === write) {
+        this.writes.delete(record.id);
+      }
+    }
+  }
+
+  // Look up one record, or null
+  async get(sessionId) {
+    const filePath = this.filePath(sessionId);
+    if (!filePath) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read stored session', { sessionId, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  // Session ids with a record file in the directory
+  async storedIds() {
+    return (await fs.promises.readdir(this.directory))
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(sessionId => SESSION_ID_PATTERN.test(sessionId));
+  }
+
+  // Every readable record in the directory
+  async readAll() {
+    const records = await Promise.all((await this.storedIds()).map(sessionId => this.get(sessionId)));
+    return records.filter(Boolean);
+  }
+
+  // Records newest first, optionally filtered by status
+  async list({ status = null, limit = 100 } = {}) {
+    return (await this.readAll())
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Remove a record; true when it existed
+  async delete(sessionId) {
+    const filePath = this.filePath(sessionId);
+    if (!filePath) {
+      return false;
+    }
+
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Remove records whose session ended (or went quiet) before `cutoff`, judged by file mtime alone.
+  // Records with a write in flight are left for the next run.
+  async purgeExpired(cutoff) {
+    let purged = 0;
+    for (const sessionId of await this.storedIds()) {
+      if (this.writes.has(sessionId)) {
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(this.filePath(sessionId));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      if (stats.mtime < cutoff && await this.delete(sessionId)) {
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  // Wait for queued writes
+  async close() {
+    await Promise.all(Array.from(this.writes.values()).map(write => write.catch(() => {})));
+  }
+}
+
+module.exports = FileSessionStore;
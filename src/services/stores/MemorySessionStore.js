@@ -0,0 +1,49 @@
+// Session records kept in process memory - lost on restart, but needs no setup
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map(); // sessionId -> serialized record
+  }
+
+  // Insert or replace a session record
+  async save(record) {
+    this.records.set(record.id, JSON.stringify(record));
+  }
+
+  // Look up one record, or null
+  async get(sessionId) {
+    const record = this.records.get(sessionId);
+    return record ? JSON.parse(record) : null;
+  }
+
+  // Records newest first, optionally filtered by status
+  async list({ status = null, limit = 100 } = {}) {
+    return Array.from(this.records.values())
+      .map(record => JSON.parse(record))
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Remove a record; true when it existed
+  async delete(sessionId) {
+    return this.records.delete(sessionId);
+  }
+
+  // Remove records whose session ended (or went quiet) before `cutoff`
+  async purgeExpired(cutoff) {
+    let purged = 0;
+    for (const [sessionId, serialized] of this.records) {
+      const record = JSON.parse(serialized);
+      if (new Date(record.endedAt || record.lastActivity) < cutoff) {
+        this.records.delete(sessionId);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  async close() {}
+}
+
+module.exports = MemorySessionStore;
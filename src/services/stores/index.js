@@ -0,0 +1,23 @@
+const config = require('../../config/environment');
+const MemorySessionStore = require('./MemorySessionStore');
+const FileSessionStore = require('./FileSessionStore');
+
+const stores = {
+  memory: () => new MemorySessionStore(),
+  file: (storeConfig) => new FileSessionStore(storeConfig.dir)
+};
+
+// Create the session store configured via SESSION_STORE
+const createSessionStore = (storeConfig = config.sessionStore) => {
+  const create = stores[storeConfig.backend];
+  if (!create) {
+    throw new Error(`Unknown session store: ${storeConfig.backend}`);
+  }
+  return create(storeConfig);
+};
+
+module.exports = {
+  createSessionStore,
+  MemorySessionStore,
+  FileSessionStore
+};
@@ -0,0 +1,154 @@
+const config = require('../../config/environment');
+const logger = require('../../utils/logger');
+const { ApiError } = require('../../middleware/errorHandler');
+
+// Error returned to the model when a tool call cannot be completed
+class ToolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Registry of local tools that Gemini Live can call through function calling
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> { name, description, parameters, handler, timeoutMs }
+  }
+
+  // Register a tool; `parameters` is a Gemini Schema describing the arguments
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool?.name}`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} has no handler`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+
+    this.tools.set(tool.name, tool);
+    logger.debug('Tool registered', { name: tool.name });
+  }
+
+  // Names of tools sessions may use, after the TOOLS_ENABLED filter
+  getEnabledNames() {
+    const names = Array.from(this.tools.keys());
+    return config.tools.enabled ? names.filter(name => config.tools.enabled.includes(name)) : names;
+  }
+
+  // Validate a start-conversation `tools` allowlist; omitted means every enabled tool, `false` means none
+  resolveAllowlist(requested) {
+    const enabled = this.getEnabledNames();
+
+    if (requested === undefined || requested === null || requested === true) {
+      return enabled;
+    }
+    if (requested === false) {
+      return [];
+    }
+    if (!Array.isArray(requested) || !requested.every(name => typeof name === 'string')) {
+      throw new ApiError(400, 'tools must be an array of tool names', { code: 'INVALID_TOOLS', available: enabled });
+    }
+
+    const unknown = requested.filter(name => !enabled.includes(name));
+    if (unknown.length > 0) {
+      throw new ApiError(400, `Unknown or disabled tools: ${unknown.join(', ')}`, {
+        code: 'UNKNOWN_TOOL',
+        available: enabled
+      });
+    }
+
+    return Array.from(new Set(requested));
+  }
+
+  // Function declarations for `live.connect`, limited to a session's allowlist
+  getFunctionDeclarations(names) {
+    return names
+      .filter(name => this.tools.has(name))
+      .map(name => {
+        const { description, parameters } = this.tools.get(name);
+        return { name, description, parameters };
+      });
+  }
+
+  // Public description of the registered tools
+  list() {
+    const enabled = this.getEnabledNames();
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      enabled: enabled.includes(tool.name)
+    }));
+  }
+
+  // Run one function call; never throws - failures become `{ error }` responses for the model
+  async execute(call, { sessionId, allowed = [], signal } = {}) {
+    const tool = this.tools.get(call.name);
+    const startTime = Date.now();
+
+    try {
+      if (!tool || !allowed.includes(call.name)) {
+        throw new ToolError('TOOL_NOT_ALLOWED', `Tool ${call.name} is not available in this session`);
+      }
+
+      const output = await this.runWithTimeout(tool, call.args || {}, { sessionId, signal });
+
+      logger.info('Tool call completed', { sessionId, name: call.name, duration: Date.now() - startTime });
+      return { output };
+    } catch (error) {
+      const code = error instanceof ToolError ? error.code : 'TOOL_FAILED';
+
+      logger.warn('Tool call failed', {
+        sessionId,
+        name: call.name,
+        code,
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+      return { error: { code, message: error.message } };
+    }
+  }
+
+  // Race a tool handler against its timeout and the caller's cancellation
+  runWithTimeout(tool, args, { sessionId, signal }) {
+    const timeoutMs = tool.timeoutMs || config.tools.timeoutMs;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+
+    if (signal) {
+      if (signal.aborted) {
+        return Promise.reject(new ToolError('TOOL_CANCELLED', `Tool ${tool.name} was cancelled`));
+      }
+      signal.addEventListener('abort', abort, { once: true });
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new ToolError('TOOL_TIMEOUT', `Tool ${tool.name} timed out after ${timeoutMs}ms`));
+        controller.abort(); // Let the handler stop its work
+      }, timeoutMs);
+    });
+
+    const cancelled = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(new ToolError('TOOL_CANCELLED', `Tool ${tool.name} was cancelled`));
+      }, { once: true });
+    });
+
+    const run = Promise.resolve().then(() => tool.handler(args, { sessionId, signal: controller.signal }));
+
+    return Promise.race([run, timeout, cancelled]).finally(() => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    });
+  }
+}
+
+ToolRegistry.ToolError = ToolError;
+
+module.exports = ToolRegistry;
@@ -0,0 +1,33 @@
+const { Type } = require('@google/genai');
+const { dealers } = require('../fixtures/dealers.json');
+
+// Look up Revolt dealers (hubs) in a city
+module.exports = {
+  name: 'find_dealers',
+  description: 'Find Revolt Motors dealers (Revolt Hubs) in an Indian city, optionally filtered by the service offered.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      city: { type: Type.STRING, description: 'City name, e.g. "Delhi" or "Bengaluru"' },
+      service: {
+        type: Type.STRING,
+        enum: ['sales', 'test-ride', 'service'],
+        description: 'Only return dealers offering this service'
+      },
+      limit: { type: Type.INTEGER, description: 'Maximum number of dealers to return (default 3)' }
+    },
+    required: ['city']
+  },
+  handler: async ({ city, service, limit = 3 }) => {
+    const wanted = String(city || '').trim().toLowerCase();
+    const matches = dealers
+      .filter(dealer => dealer.city.toLowerCase() === wanted)
+      .filter(dealer => !service || dealer.services.includes(service));
+
+    return {
+      city,
+      count: matches.length,
+      dealers: matches.slice(0, Math.max(1, Math.min(parseInt(limit) || 3, 10)))
+    };
+  }
+};
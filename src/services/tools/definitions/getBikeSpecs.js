@@ -0,0 +1,31 @@
+const { Type } = require('@google/genai');
+const { bikes } = require('../fixtures/bikes.json');
+
+// Normalize a model name so "rv 400", "RV-400" and "RV400" match
+const normalize = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Look up the specifications of a Revolt model
+module.exports = {
+  name: 'get_bike_specs',
+  description: 'Get specifications (range, top speed, battery, charging time, price) for a Revolt Motors model.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      model: { type: Type.STRING, description: 'Model name, e.g. "RV400"' }
+    },
+    required: ['model']
+  },
+  handler: async ({ model }) => {
+    const wanted = normalize(model);
+    const bike = bikes.find(candidate =>
+      normalize(candidate.model) === wanted || candidate.aliases.some(alias => normalize(alias) === wanted)
+    );
+
+    if (!bike) {
+      return { found: false, availableModels: bikes.map(candidate => candidate.model) };
+    }
+
+    const { aliases, ...specs } = bike;
+    return { found: true, ...specs };
+  }
+};
@@ -0,0 +1,63 @@
+const { Type } = require('@google/genai');
+const { dealers } = require('../fixtures/dealers.json');
+const schedule = require('../fixtures/bookingSlots.json');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// "HH:MM" <-> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// List free test-ride slots at a dealer on a given day
+module.exports = {
+  name: 'get_booking_slots',
+  description: 'List available test-ride booking slots at a Revolt dealer on a given date. ' +
+    'Use find_dealers first to get the dealer id.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      dealerId: { type: Type.STRING, description: 'Dealer id returned by find_dealers, e.g. "DL-001"' },
+      date: { type: Type.STRING, description: 'Date in YYYY-MM-DD format (defaults to today)' }
+    },
+    required: ['dealerId']
+  },
+  handler: async ({ dealerId, date }) => {
+    const dealer = dealers.find(candidate => candidate.id === dealerId);
+    if (!dealer) {
+      throw new Error(`Unknown dealer ${dealerId}`);
+    }
+    if (!dealer.services.includes('test-ride')) {
+      return { dealerId, dealerName: dealer.name, date, slots: [], reason: 'This dealer does not offer test rides' };
+    }
+
+    const day = date ? new Date(`${date}T00:00:00Z`) : new Date();
+    if (Number.isNaN(day.getTime())) {
+      throw new Error(`Invalid date ${date} - expected YYYY-MM-DD`);
+    }
+    const isoDate = day.toISOString().slice(0, 10);
+    const weekday = DAYS[day.getUTCDay()];
+
+    if (schedule.closedDays.includes(weekday)) {
+      return { dealerId, dealerName: dealer.name, date: isoDate, slots: [], reason: `Closed on ${weekday}s` };
+    }
+
+    const booked = schedule.booked[dealerId] || [];
+    const slots = [];
+    for (
+      let minutes = toMinutes(schedule.defaultHours.open);
+      minutes + schedule.slotMinutes <= toMinutes(schedule.defaultHours.close);
+      minutes += schedule.slotMinutes
+    ) {
+      const time = toTime(minutes);
+      if (!booked.includes(time)) {
+        slots.push(time);
+      }
+    }
+
+    return { dealerId, dealerName: dealer.name, date: isoDate, slotMinutes: schedule.slotMinutes, slots };
+  }
+};
@@ -0,0 +1,10 @@
+const ToolRegistry = require('./ToolRegistry');
+const findDealers = require('./definitions/findDealers');
+const getBookingSlots = require('./definitions/getBookingSlots');
+const getBikeSpecs = require('./definitions/getBikeSpecs');
+
+// Shared registry with Sova's built-in tools (sample fixtures under ./fixtures)
+const toolRegistry = new ToolRegistry();
+[findDealers, getBookingSlots, getBikeSpecs].forEach(tool => toolRegistry.register(tool));
+
+module.exports = toolRegistry;
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const { buildExportRequest } = require('./otlp');
+
+// Appends each turn's spans as one OTLP/JSON export request per line (the collector file exporter's format)
+class FileTraceExporter {
+  constructor(tracingConfig) {
+    this.name = 'file';
+    this.options = tracingConfig;
+    this.filePath = path.resolve(tracingConfig.file);
+    this.directoryReady = false;
+  }
+
+  async export(spans) {
+    if (!this.directoryReady) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      this.directoryReady = true;
+    }
+    await fs.promises.appendFile(this.filePath, JSON.stringify(buildExportRequest(spans, this.options)) + '\n');
+  }
+
+  // Nothing is buffered
+  async flush() {}
+}
+
+module.exports = FileTraceExporter;
@@ -0,0 +1,79 @@
+const http = require('http');
+const https = require('https');
+const { buildExportRequest } = require('./otlp');
+const logger = require('../../utils/logger');
+
+// Batches spans and POSTs them as OTLP/JSON to a collector's /v1/traces
+class OtlpTraceExporter {
+  constructor(tracingConfig) {
+    this.name = 'otlp';
+    this.options = tracingConfig;
+    this.url = new URL(`${tracingConfig.otlpEndpoint.replace(/\/+$/, '')}/v1/traces`);
+    this.pending = []; // Spans waiting for the next export
+    this.timer = null;
+  }
+
+  // Buffer a turn's spans; a full batch is sent straight away, the rest on the flush interval
+  async export(spans) {
+    this.pending.push(...spans);
+
+    if (this.pending.length >= this.options.batchSize) {
+      return this.flush();
+    }
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush().catch(error => {
+          logger.error('Failed to export traces to collector', { url: this.url.href, error: error.message });
+        });
+      }, this.options.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  // Send everything buffered
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const spans = this.pending;
+    this.pending = [];
+    await this.post(JSON.stringify(buildExportRequest(spans, this.options)));
+  }
+
+  post(body) {
+    const transport = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: this.options.timeoutMs
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`Collector answered ${response.statusCode}`));
+          }
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error('Collector did not answer in time')));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = OtlpTraceExporter;
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const config = require('../../config/environment');
+const logger = require('../../utils/logger');
+const { toAttributes, toUnixNano, SPAN_KIND_INTERNAL, STATUS_CODE_UNSET, STATUS_CODE_OK } = require('./otlp');
+
+const MAX_SAMPLES = 200; // First-audio latencies kept for the session's p95
+
+// Child spans of a turn: [name, start stage, end stage]
+const STAGE_SPANS = [
+  ['user_input', 'inputReceived', 'inputSent'],
+  ['model_first_chunk', 'inputSent', 'firstModelChunk'],
+  ['first_chunk_delivery', 'firstModelChunk', 'firstChunkEmitted'],
+  ['response_playout', 'firstChunkEmitted', 'audioComplete']
+];
+
+const average = values => values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null;
+
+const percentile = (values, p) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+};
+
+// Timestamps one session's conversational turns at each stage, from user audio to audio-complete.
+// Every turn becomes an OTLP/JSON trace; the session's latency summary lives in `session.metadata.latency`.
+class TurnTracer {
+  constructor(session, exporter = null, options = {}) {
+    this.session = session;
+    this.exporter = exporter;
+    this.targetMs = options.latencyTargetMs || config.tracing.latencyTargetMs;
+    this.turn = null; // Turn in progress: { index, input, stages }
+    this.turnCount = 0;
+
+    this.samples = {
+      firstAudioMs: [],
+      modelMs: [],
+      deliveryMs: []
+    };
+
+    session.metadata.latency = {
+      targetMs: this.targetMs,
+      turns: 0,
+      measuredTurns: 0, // Turns that reached the client's speaker
+      targetMisses: 0,
+      lastFirstAudioMs: null,
+      averageFirstAudioMs: null,
+      p95FirstAudioMs: null,
+      maxFirstAudioMs: null,
+      averageModelMs: null, // Sent to Gemini -> first model chunk
+      averageDeliveryMs: null // First model chunk -> first chunk emitted to the client
+    };
+  }
+
+  // The user started a new turn; one still open is closed as superseded
+  startTurn(input, at = Date.now()) {
+    if (this.turn) {
+      this.endTurn('superseded', at);
+    }
+
+    this.turnCount++;
+    this.turn = {
+      index: this.turnCount,
+      input, // audio, text
+      stages: { inputReceived: at }
+    };
+  }
+
+  // Record a stage of the turn in progress; only the first time each stage is reached counts
+  mark(stage, at = Date.now()) {
+    if (!this.turn || this.turn.stages[stage] !== undefined) {
+      return;
+    }
+    this.turn.stages[stage] = at;
+  }
+
+  // The user turn was handed to Gemini - never after the model started answering it
+  markInputSent(at = Date.now()) {
+    const firstModelChunk = this.turn?.stages.firstModelChunk;
+    this.mark('inputSent', firstModelChunk !== undefined ? Math.min(at, firstModelChunk) : at);
+  }
+
+  // A model chunk arrived from Gemini
+  markModelChunk(at = Date.now()) {
+    if (this.turn && this.turn.stages.inputSent !== undefined) {
+      this.mark('firstModelChunk', at);
+    }
+  }
+
+  // The delivery scheduler emitted a chunk or event to the client
+  handleDelivered(item, at = Date.now()) {
+    if (!this.turn || this.turn.stages.firstModelChunk === undefined) {
+      return;
+    }
+
+    if (item.type === 'chunk') {
+      this.mark('firstChunkEmitted', at);
+    } else if (item.event === 'audio-complete') {
+      this.mark('audioComplete', at);
+      this.endTurn('completed', at);
+    }
+  }
+
+  // Close the turn in progress and export its trace; `outcome` is completed, interrupted, superseded, ...
+  endTurn(outcome, at = Date.now()) {
+    const turn = this.turn;
+    if (!turn) {
+      return null;
+    }
+    this.turn = null;
+
+    const { stages } = turn;
+    const firstAudioMs = stages.firstChunkEmitted !== undefined && stages.inputSent !== undefined
+      ? stages.firstChunkEmitted - stages.inputSent
+      : null;
+
+    this.recordTurn(stages, firstAudioMs);
+
+    const spans = this.buildSpans(turn, outcome, firstAudioMs, at);
+    if (this.exporter) {
+      this.exporter.export(spans).catch(error => {
+        logger.error('Failed to export turn trace', { sessionId: this.session.id, error: error.message });
+      });
+    }
+
+    logger.debug('Turn traced', {
+      sessionId: this.session.id,
+      turn: turn.index,
+      outcome,
+      firstAudioMs
+    });
+
+    return spans;
+  }
+
+  // Fold a finished turn into the session's latency summary
+  recordTurn(stages, firstAudioMs) {
+    const summary = this.session.metadata.latency;
+    summary.turns++;
+
+    const sample = (name, value) => {
+      this.samples[name].push(value);
+      if (this.samples[name].length > MAX_SAMPLES) {
+        this.samples[name].shift();
+      }
+    };
+
+    if (stages.firstModelChunk !== undefined) {
+      sample('modelMs', stages.firstModelChunk - stages.inputSent);
+      summary.averageModelMs = average(this.samples.modelMs);
+    }
+
+    if (firstAudioMs === null) {
+      return;
+    }
+
+    sample('firstAudioMs', firstAudioMs);
+    sample('deliveryMs', stages.firstChunkEmitted - stages.firstModelChunk);
+
+    summary.measuredTurns++;
+    if (firstAudioMs > this.targetMs) {
+      summary.targetMisses++;
+    }
+    summary.lastFirstAudioMs = firstAudioMs;
+    summary.averageFirstAudioMs = average(this.samples.firstAudioMs);
+    summary.p95FirstAudioMs = percentile(this.samples.firstAudioMs, 0.95);
+    summary.maxFirstAudioMs = Math.max(summary.maxFirstAudioMs || 0, firstAudioMs);
+    summary.averageDeliveryMs = average(this.samples.deliveryMs);
+  }
+
+  // Root `turn` span plus one child per stage interval the turn got through
+  buildSpans(turn, outcome, firstAudioMs, endedAt) {
+    const { stages } = turn;
+    const traceId = crypto.randomBytes(16).toString('hex');
+    const rootSpanId = crypto.randomBytes(8).toString('hex');
+    const rootEnd = stages.audioComplete !== undefined ? stages.audioComplete : endedAt;
+
+    const span = (name, spanId, parentSpanId, start, end, attributes, status = { code: STATUS_CODE_UNSET }) => ({
+      traceId,
+      spanId,
+      parentSpanId,
+      name,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: toUnixNano(start),
+      endTimeUnixNano: toUnixNano(Math.max(start, end)),
+      attributes: toAttributes(attributes),
+      status
+    });
+
+    const spans = [span('turn', rootSpanId, '', stages.inputReceived, rootEnd, {
+      'sova.session_id': this.session.id,
+      'sova.turn.index': turn.index,
+      'sova.turn.input': turn.input,
+      'sova.turn.outcome': outcome,
+      'sova.latency.first_audio_ms': firstAudioMs,
+      'sova.latency.target_ms': this.targetMs,
+      'sova.latency.target_met': firstAudioMs === null ? null : firstAudioMs <= this.targetMs
+    }, { code: outcome === 'completed' ? STATUS_CODE_OK : STATUS_CODE_UNSET })];
+
+    STAGE_SPANS.forEach(([name, from, to]) => {
+      if (stages[from] === undefined || stages[to] === undefined) {
+        return;
+      }
+      spans.push(span(name, crypto.randomBytes(8).toString('hex'), rootSpanId, stages[from], stages[to], {
+        'sova.session_id': this.session.id,
+        'sova.turn.index': turn.index
+      }));
+    });
+
+    return spans;
+  }
+}
+
+module.exports = TurnTracer;
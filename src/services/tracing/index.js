@@ -0,0 +1,27 @@
+const config = require('../../config/environment');
+const TurnTracer = require('./TurnTracer');
+const FileTraceExporter = require('./FileTraceExporter');
+const OtlpTraceExporter = require('./OtlpTraceExporter');
+
+const exporters = {
+  // Turns are still summarized in each session's metadata
+  none: () => null,
+  file: (tracingConfig) => new FileTraceExporter(tracingConfig),
+  otlp: (tracingConfig) => new OtlpTraceExporter(tracingConfig)
+};
+
+// Create the trace exporter configured via TRACE_EXPORTER; null means traces are not exported
+const createTraceExporter = (tracingConfig = config.tracing) => {
+  const create = exporters[tracingConfig.exporter];
+  if (!create) {
+    throw new Error(`Unknown trace exporter: ${tracingConfig.exporter}`);
+  }
+  return create(tracingConfig);
+};
+
+module.exports = {
+  createTraceExporter,
+  TurnTracer,
+  FileTraceExporter,
+  OtlpTraceExporter
+};
@@ -0,0 +1,51 @@
+const config = require('../../config/environment');
+const { version } = require('../../../package.json');
+
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_CODE_UNSET = 0;
+const STATUS_CODE_OK = 1;
+
+// Epoch milliseconds as OTLP/JSON nanoseconds
+const toUnixNano = ms => (BigInt(Math.round(ms)) * 1000000n).toString();
+
+// OTLP/JSON attribute list from a plain object; null and undefined values are left out
+const toAttributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== null && value !== undefined)
+  .map(([key, value]) => {
+    if (typeof value === 'boolean') {
+      return { key, value: { boolValue: value } };
+    }
+    if (Number.isInteger(value)) {
+      return { key, value: { intValue: String(value) } };
+    }
+    if (typeof value === 'number') {
+      return { key, value: { doubleValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+  });
+
+// ExportTraceServiceRequest body for a batch of spans from this node
+const buildExportRequest = (spans, tracingConfig = config.tracing) => ({
+  resourceSpans: [{
+    resource: {
+      attributes: toAttributes({
+        'service.name': tracingConfig.serviceName,
+        'service.version': version,
+        'service.instance.id': config.cluster.nodeId
+      })
+    },
+    scopeSpans: [{
+      scope: { name: 'sova-server', version },
+      spans
+    }]
+  }]
+});
+
+module.exports = {
+  SPAN_KIND_INTERNAL,
+  STATUS_CODE_UNSET,
+  STATUS_CODE_OK,
+  toUnixNano,
+  toAttributes,
+  buildExportRequest
+};
@@ -0,0 +1,18 @@
+const { GoogleGenAI } = require('@google/genai');
+
+// Transport that connects to the real Gemini Live API
+class GoogleLiveTransport {
+  constructor(apiKey) {
+    this.name = 'google';
+    this.client = new GoogleGenAI({
+      apiKey,
+    });
+  }
+
+  // Open a Live session - returns the SDK session object
+  async connect(params) {
+    return this.client.live.connect(params);
+  }
+}
+
+module.exports = GoogleLiveTransport;
@@ -0,0 +1,17 @@
+const MockLiveServer = require('./mock/MockLiveServer');
+
+// Transport that connects to the bundled offline mock Live server
+class MockLiveTransport {
+  constructor(apiKey, options = {}) {
+    this.name = 'mock';
+    this.apiKey = apiKey;
+    this.server = options.server || MockLiveServer.getDefault();
+  }
+
+  // Open a mock Live session - mirrors the SDK session interface
+  async connect(params) {
+    return this.server.openSession(params);
+  }
+}
+
+module.exports = MockLiveTransport;
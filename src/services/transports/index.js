@@ -0,0 +1,23 @@
+const config = require('../../config/environment');
+const GoogleLiveTransport = require('./GoogleLiveTransport');
+const MockLiveTransport = require('./MockLiveTransport');
+
+const transports = {
+  google: GoogleLiveTransport,
+  mock: MockLiveTransport
+};
+
+// Create the Live transport configured via GEMINI_TRANSPORT
+const createLiveTransport = (apiKey, name = config.gemini.transport) => {
+  const Transport = transports[name];
+  if (!Transport) {
+    throw new Error(`Unknown Gemini Live transport: ${name}`);
+  }
+  return new Transport(apiKey);
+};
+
+module.exports = {
+  createLiveTransport,
+  GoogleLiveTransport,
+  MockLiveTransport
+};
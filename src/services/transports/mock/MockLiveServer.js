@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../config/environment');
+const logger = require('../../../utils/logger');
+
+const DEFAULT_SCRIPT_PATH = path.join(__dirname, 'scripts', 'default.json');
+
+// Generate a PCM16 little-endian sine tone, base64 encoded like Live API inlineData
+const generateTone = (durationMs, sampleRate, frequency = 440) => {
+  const samples = Math.floor(sampleRate * durationMs / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+
+  for (let i = 0; i < samples; i++) {
+    const sample = Math.sin(2 * Math.PI * frequency * (i / sampleRate)) * 0.3;
+    buffer.writeInt16LE(Math.round(sample * 32767), i * 2);
+  }
+
+  return buffer;
+};
+
+// Rough Live API token costs: ~4 characters of text, or 25 tokens per second of audio
+const AUDIO_TOKENS_PER_SECOND = 25;
+const textTokens = (text) => Math.ceil(String(text || '').length / 4);
+const audioTokens = (durationMs) => Math.ceil(durationMs / 1000 * AUDIO_TOKENS_PER_SECOND);
+
+// A single scripted Live session - mirrors the SDK Session interface
+class MockLiveSession {
+  constructor(server, params) {
+    this.server = server;
+    this.model = params.model;
+    this.config = params.config || {};
+    this.callbacks = params.callbacks || {};
+    this.timers = [];
+    this.isPlaying = false;
+    this.isClosed = false;
+    this.pendingAudioBytes = 0;
+    this.inputs = []; // Every client message received, for inspection in tests
+    this.contextTokens = 0; // Estimated size of everything the session has seen so far
+    this.turnTokens = { prompt: 0, response: 0 };
+  }
+
+  // Deliver a server message through the SDK-style onmessage callback
+  emitMessage(message) {
+    if (this.isClosed || !this.callbacks.onmessage) {
+      return;
+    }
+    Promise.resolve(this.callbacks.onmessage(message)).catch(error => {
+      logger.warn('Mock Live onmessage callback failed', { error: error.message });
+    });
+  }
+
+  sendRealtimeInput(params = {}) {
+    this.inputs.push({ kind: 'realtime', params });
+
+    if (params.text) {
+      this.handleUserTurn('text', params.text);
+      return;
+    }
+
+    if (params.activityStart) {
+      this.bargeIn();
+      return;
+    }
+
+    if (params.audio || params.media) {
+      const data = (params.audio || params.media).data || params.media;
+      this.pendingAudioBytes += typeof data === 'string' ? data.length : 0;
+
+      // A single media blob is a complete utterance; streamed audio waits for activity end
+      if (params.media) {
+        this.handleUserTurn('audio', '');
+      }
+      return;
+    }
+
+    if ((params.activityEnd || params.audioStreamEnd) && this.pendingAudioBytes > 0) {
+      this.handleUserTurn('audio', '');
+    }
+  }
+
+  sendClientContent(params = {}) {
+    this.inputs.push({ kind: 'client-content', params });
+
+    const turns = Array.isArray(params.turns) ? params.turns : params.turns ? [params.turns] : [];
+    const text = turns
+      .filter(turn => typeof turn === 'string' || turn.role !== 'model')
+      .map(turn => typeof turn === 'string' ? turn : (turn.parts || []).map(part => part.text || '').join(' '))
+      .join(' ')
+      .trim();
+
+    if (params.turnComplete !== false && text) {
+      this.handleUserTurn('text', text);
+    } else {
+      // Context-only content (e.g. a replayed conversation) still fills the context window
+      this.contextTokens += turns
+        .map(turn => typeof turn === 'string' ? turn : (turn.parts || []).map(part => part.text || '').join(' '))
+        .reduce((total, turnText) => total + textTokens(turnText), 0);
+    }
+  }
+
+  sendToolResponse(params = {}) {
+    this.inputs.push({ kind: 'tool-response', params });
+
+    // The rest of the scripted turn plays once the awaited calls have been answered
+    if (this.awaitingTool) {
+      const answered = (params.functionResponses || []).map(response => response.id);
+      this.awaitingTool.ids = this.awaitingTool.ids.filter(id => !answered.includes(id));
+      if (this.awaitingTool.ids.length === 0) {
+        const { events } = this.awaitingTool;
+        this.awaitingTool = null;
+        this.play(events, this.inputType);
+      }
+    }
+  }
+
+  close() {
+    if (this.isClosed) {
+      return;
+    }
+    this.stopPlayback();
+    this.isClosed = true;
+    this.server.sessions.delete(this);
+
+    if (this.callbacks.onclose) {
+      this.callbacks.onclose({ reason: 'Closed by client' });
+    }
+  }
+
+  // New input while a response is playing interrupts it, like Live API barge-in
+  bargeIn() {
+    if (this.isPlaying) {
+      // Calls still waiting for a response are cancelled along with the turn
+      if (this.awaitingTool) {
+        this.emitMessage({ toolCallCancellation: { ids: this.awaitingTool.ids } });
+      }
+      this.stopPlayback();
+      this.emitMessage({ serverContent: { interrupted: true } });
+    }
+  }
+
+  handleUserTurn(inputType, text) {
+    this.bargeIn();
+    this.turnTokens = {
+      // Streamed audio is base64 PCM16 at 16 kHz
+      prompt: inputType === 'text' ? textTokens(text) : audioTokens(this.pendingAudioBytes * 0.75 / 32),
+      response: 0
+    };
+    this.pendingAudioBytes = 0;
+
+    const turn = this.server.findTurn(inputType, text);
+    if (!turn) {
+      logger.warn('Mock Live server has no scripted turn for input', { inputType, text });
+      return;
+    }
+
+    this.play(turn.events || [], inputType);
+  }
+
+  // Play scripted events in order, honouring per-event delays
+  play(events, inputType = 'text') {
+    this.isPlaying = true;
+    this.inputType = inputType;
+    let elapsed = 0;
+
+    // Events after a tool call wait for the tool response, like the real model does
+    const toolCallIndex = events.findIndex(event => event.type === 'toolCall' && this.declaresTools(event));
+    if (toolCallIndex !== -1) {
+      this.awaitingTool = {
+        ids: events[toolCallIndex].functionCalls.map(call => call.id),
+        events: events.slice(toolCallIndex + 1)
+      };
+      events = events.slice(0, toolCallIndex + 1);
+    }
+
+    events.forEach((event, index) => {
+      elapsed += event.delayMs || 0;
+
+      // Audio events spread their chunks over time. Every chunk is scheduled up front, so a busy event loop
+      // can delay the script but never let a later event overtake a chunk.
+      const steps = event.type === 'audio' ? Math.max(1, event.chunks || 1) : 1;
+      for (let step = 0; step < steps; step++) {
+        const timer = setTimeout(() => {
+          this.playEvent(event, step);
+          if (index === events.length - 1 && step === steps - 1) {
+            this.isPlaying = Boolean(this.awaitingTool);
+          }
+        }, elapsed + (event.delayMs || 0) * step);
+        this.timers.push(timer);
+      }
+      elapsed += (event.delayMs || 0) * (steps - 1);
+    });
+
+    if (events.length === 0) {
+      this.isPlaying = false;
+    }
+  }
+
+  // `step` is the chunk index of an audio event
+  playEvent(event, step = 0) {
+    switch (event.type) {
+      case 'text':
+        this.turnTokens.response += textTokens(event.text);
+        this.emitMessage({ serverContent: { modelTurn: { parts: [{ text: event.text }] } } });
+        break;
+      case 'audio':
+        this.playAudioChunk(event, step);
+        break;
+      case 'interrupted':
+        this.emitMessage({ serverContent: { interrupted: true } });
+        break;
+      case 'inputTranscription':
+        // Only spoken input is transcribed, and only when the session asked for it
+        if (this.config.inputAudioTranscription && this.inputType === 'audio') {
+          this.emitMessage({ serverContent: { inputTranscription: { text: event.text } } });
+        }
+        break;
+      case 'outputTranscription':
+        if (this.config.outputAudioTranscription) {
+          this.emitMessage({ serverContent: { outputTranscription: { text: event.text } } });
+        }
+        break;
+      case 'toolCall':
+        // The model only calls functions the session declared
+        if (this.declaresTools(event)) {
+          this.emitMessage({ toolCall: { functionCalls: event.functionCalls } });
+        }
+        break;
+      case 'toolCallCancellation':
+        this.emitMessage({ toolCallCancellation: { ids: event.ids } });
+        break;
+      case 'turnComplete':
+        this.sendUsage();
+        this.emitMessage({ serverContent: { generationComplete: true } });
+        this.emitMessage({ serverContent: { turnComplete: true } });
+        this.sendResumptionUpdate();
+        break;
+      case 'goAway':
+        this.emitMessage({ goAway: { timeLeft: `${(event.timeLeftMs ?? 10000) / 1000}s` } });
+        break;
+      case 'message':
+        this.emitMessage(event.message);
+        break;
+      case 'close':
+        this.stopPlayback();
+        this.isClosed = true;
+        this.server.sessions.delete(this);
+        if (this.callbacks.onclose) {
+          this.callbacks.onclose({ reason: event.reason || 'Closed by mock server' });
+        }
+        break;
+      default:
+        logger.warn('Unknown mock Live script event', { type: event.type });
+    }
+  }
+
+  // Send one chunk of a scripted audio event; the first chunk counts the whole event's tokens
+  playAudioChunk(event, chunkIndex) {
+    if (chunkIndex === 0) {
+      this.turnTokens.response += audioTokens(event.durationMs || 500);
+    }
+    const sampleRate = event.sampleRate || this.server.script.sampleRate || 24000;
+    const chunkCount = Math.max(1, event.chunks || 1);
+    const pcm = generateTone(event.durationMs || 500, sampleRate, event.frequency);
+    const bytesPerChunk = Math.ceil(pcm.length / chunkCount / 2) * 2;
+
+    const chunk = pcm.slice(chunkIndex * bytesPerChunk, (chunkIndex + 1) * bytesPerChunk);
+    if (chunk.length === 0) {
+      return;
+    }
+    this.emitMessage({
+      serverContent: {
+        modelTurn: {
+          parts: [{
+            inlineData: {
+              mimeType: `audio/pcm;rate=${sampleRate}`,
+              data: chunk.toString('base64')
+            }
+          }]
+        }
+      }
+    });
+  }
+
+  // Report the turn's estimated usage, then shrink the context if the session enabled compression
+  sendUsage() {
+    const promptTokens = this.contextTokens + this.turnTokens.prompt;
+    const responseTokens = this.turnTokens.response;
+    this.emitMessage({
+      usageMetadata: {
+        promptTokenCount: promptTokens,
+        responseTokenCount: responseTokens,
+        totalTokenCount: promptTokens + responseTokens
+      }
+    });
+
+    this.contextTokens = promptTokens + responseTokens;
+    this.turnTokens = { prompt: 0, response: 0 };
+
+    const compression = this.config.contextWindowCompression;
+    if (compression && this.contextTokens > parseInt(compression.triggerTokens)) {
+      this.contextTokens = parseInt(compression.slidingWindow?.targetTokens) || 0;
+    }
+  }
+
+  // Issue a new resumption handle after each turn, when the session asked for them
+  sendResumptionUpdate() {
+    if (!this.config.sessionResumption) {
+      return;
+    }
+    this.emitMessage({
+      sessionResumptionUpdate: { newHandle: this.server.issueResumptionHandle(), resumable: true }
+    });
+  }
+
+  stopPlayback() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.isPlaying = false;
+    this.awaitingTool = null;
+  }
+
+  // True when every function in a scripted tool call was declared in the session config
+  declaresTools(event) {
+    const declared = (this.config.tools || [])
+      .flatMap(tool => tool.functionDeclarations || [])
+      .map(declaration => declaration.name);
+    return (event.functionCalls || []).every(call => declared.includes(call.name));
+  }
+}
+
+// Local mock of the Gemini Live backend that replays scripted responses offline
+class MockLiveServer {
+  constructor(script = null) {
+    this.sessions = new Set();
+    this.resumptionHandles = new Set();
+    this.script = script || MockLiveServer.loadScript(config.gemini.mockScript || DEFAULT_SCRIPT_PATH);
+  }
+
+  // Load a JSON response script from disk
+  static loadScript(scriptPath) {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    if (!Array.isArray(script.turns)) {
+      throw new Error(`Mock Live script has no turns: ${scriptPath}`);
+    }
+    return script;
+  }
+
+  // Shared server instance used by the mock transport
+  static getDefault() {
+    if (!MockLiveServer.defaultServer) {
+      MockLiveServer.defaultServer = new MockLiveServer();
+    }
+    return MockLiveServer.defaultServer;
+  }
+
+  // Open a session and report it open, like the SDK does before connect resolves
+  async openSession(params) {
+    const handle = params.config?.sessionResumption?.handle;
+    if (handle && !this.resumptionHandles.has(handle)) {
+      throw new Error(`Invalid session resumption handle: ${handle}`);
+    }
+
+    const session = new MockLiveSession(this, params);
+    session.resumedFrom = handle || null;
+    this.sessions.add(session);
+
+    logger.info('Mock Live session opened', {
+      scriptName: this.script.name,
+      openSessions: this.sessions.size
+    });
+
+    if (session.callbacks.onopen) {
+      session.callbacks.onopen();
+    }
+    session.emitMessage({ setupComplete: {} });
+
+    return session;
+  }
+
+  // A handle that later sessions may resume from
+  issueResumptionHandle() {
+    const handle = `mock-resume-${this.resumptionHandles.size + 1}`;
+    this.resumptionHandles.add(handle);
+    return handle;
+  }
+
+  // Find the first scripted turn whose pattern matches the input
+  findTurn(inputType, text) {
+    return this.script.turns.find(turn => {
+      if (turn.input && turn.input !== inputType) {
+        return false;
+      }
+      if (!turn.match) {
+        return true;
+      }
+      return inputType === 'text' && new RegExp(turn.match, 'i').test(text);
+    });
+  }
+}
+
+module.exports = MockLiveServer;
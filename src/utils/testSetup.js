@@ -13,6 +13,7 @@ async function testSetup() {
     console.log(`   ✅ Server Port: ${config.server.port}`);
     console.log(`   ✅ Environment: ${config.server.env}`);
     console.log(`   ✅ Gemini Model: ${config.gemini.model}`);
+    console.log(`   ✅ Gemini Transport: ${config.gemini.transport}`);
   } catch (error) {
     console.error('   ❌ Configuration Error:', error.message);
     process.exit(1);
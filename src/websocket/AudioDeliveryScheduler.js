@@ -0,0 +1,225 @@
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const metrics = require('../services/Metrics');
+
+const chunksSentTotal = metrics.counter('sova_audio_chunks_sent_total', 'Model audio chunks emitted to clients');
+const chunksDroppedTotal = metrics.counter('sova_audio_chunks_dropped_total',
+  'Model audio chunks discarded before delivery (interruptions, disconnects)');
+const chunksLateTotal = metrics.counter('sova_audio_chunks_late_total',
+  'Model audio chunks that reached the client after its buffer ran dry');
+
+// Paces one session's model audio to real time over its socket, keeping a small jitter-buffer lead
+class AudioDeliveryScheduler {
+  constructor(socket, options = {}) {
+    this.socket = socket;
+    this.options = {
+      ...config.delivery,
+      useAcks: false,
+      onSent: null, // Called with each chunk or event item once it has been emitted
+      ...options
+    };
+
+    this.queue = []; // Chunks and ordered events waiting to be sent
+    this.timer = null;
+    this.inFlight = 0;
+    this.closed = false;
+    this.resetClock();
+
+    this.stats = {
+      chunksQueued: 0,
+      chunksSent: 0,
+      chunksAcked: 0,
+      chunksDropped: 0,
+      chunksLate: 0,
+      ackTimeouts: 0,
+      totalAckMs: 0,
+      maxQueueDepth: 0
+    };
+  }
+
+  // Forget the playback clock - the next chunk starts a new response
+  resetClock() {
+    this.playbackStart = null;
+    this.sentAudioMs = 0;
+  }
+
+  // Audio the client should still have buffered, assuming it plays as soon as chunks arrive
+  bufferedMs(now = Date.now()) {
+    if (this.playbackStart === null) {
+      return 0;
+    }
+    return Math.max(0, this.sentAudioMs - (now - this.playbackStart));
+  }
+
+  // Queue an audio-chunk payload; `durationMs` is how long it plays for
+  enqueue(payload, { durationMs = 0, chunkIndex = 0 } = {}) {
+    if (this.closed) {
+      return;
+    }
+
+    this.queue.push({ type: 'chunk', payload, durationMs, chunkIndex });
+    this.stats.chunksQueued++;
+    this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+    this.pump();
+  }
+
+  // Queue an event that must reach the client after every chunk queued before it (e.g. audio-complete)
+  enqueueEvent(event, payload) {
+    if (this.closed) {
+      return;
+    }
+
+    this.queue.push({ type: 'event', event, payload });
+    this.pump();
+  }
+
+  // Drop everything not yet sent - used when the user interrupts
+  clear() {
+    const dropped = this.queue.filter(item => item.type === 'chunk').length;
+    this.stats.chunksDropped += dropped;
+    chunksDroppedTotal.inc({}, dropped);
+    this.queue = [];
+    this.resetClock();
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    return dropped;
+  }
+
+  // Send as much of the queue as pacing and backpressure allow
+  pump() {
+    if (this.closed || this.timer) {
+      return;
+    }
+
+    while (this.queue.length > 0) {
+      const item = this.queue[0];
+
+      if (item.type === 'event') {
+        this.queue.shift();
+        this.socket.emit(item.event, item.payload);
+        this.resetClock();
+        this.notifySent(item);
+        continue;
+      }
+
+      // Backpressure: wait for the client to acknowledge earlier chunks
+      if (this.options.useAcks && this.inFlight >= this.options.maxInFlight) {
+        return;
+      }
+
+      // Pacing: never run further ahead of playback than the jitter-buffer lead
+      const now = Date.now();
+      const buffered = this.bufferedMs(now);
+      if (this.playbackStart !== null && buffered >= this.options.leadMs) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, Math.ceil(buffered - this.options.leadMs) + 1);
+        return;
+      }
+
+      this.queue.shift();
+      this.send(item, now);
+    }
+  }
+
+  // Emit one chunk, tracking lateness and acknowledgements
+  send(item, now) {
+    if (!this.socket.connected) {
+      this.stats.chunksDropped++;
+      chunksDroppedTotal.inc();
+      return;
+    }
+
+    if (this.playbackStart === null) {
+      this.playbackStart = now;
+    }
+
+    // The client's buffer ran dry before this chunk arrived - count it and restart the clock
+    const deadline = this.playbackStart + this.sentAudioMs;
+    const startsPlayback = this.sentAudioMs === 0;
+    let late = false;
+    if (!startsPlayback && now > deadline + this.options.lateToleranceMs) {
+      late = true;
+      this.stats.chunksLate++;
+      chunksLateTotal.inc();
+      this.playbackStart = now - this.sentAudioMs;
+    }
+
+    this.sentAudioMs += item.durationMs;
+    this.stats.chunksSent++;
+    chunksSentTotal.inc();
+
+    if (!this.options.useAcks) {
+      this.socket.emit('audio-chunk', item.payload);
+      this.notifySent(item);
+      return;
+    }
+
+    this.inFlight++;
+    const ackDeadline = this.playbackStart + this.sentAudioMs - item.durationMs;
+
+    this.socket.timeout(this.options.ackTimeoutMs).emit('audio-chunk', item.payload, (error) => {
+      this.inFlight--;
+      const ackedAt = Date.now();
+
+      if (error) {
+        this.stats.ackTimeouts++;
+        logger.debug('Audio chunk acknowledgement timed out', {
+          socketId: this.socket.id,
+          chunkIndex: item.chunkIndex
+        });
+      } else {
+        this.stats.chunksAcked++;
+        this.stats.totalAckMs += ackedAt - now;
+
+        // Acknowledged after it should already have started playing (the first chunk starts playback itself)
+        if (!late && !startsPlayback && ackedAt > ackDeadline + this.options.lateToleranceMs) {
+          this.stats.chunksLate++;
+          chunksLateTotal.inc();
+        }
+      }
+
+      this.pump();
+    });
+    this.notifySent(item);
+  }
+
+  notifySent(item) {
+    if (!this.options.onSent) {
+      return;
+    }
+    try {
+      this.options.onSent(item);
+    } catch (error) {
+      logger.error('Audio delivery listener failed', { socketId: this.socket.id, error: error.message });
+    }
+  }
+
+  // Delivery statistics for this session
+  getStats() {
+    const { totalAckMs, ...counters } = this.stats;
+
+    return {
+      ...counters,
+      averageAckMs: this.stats.chunksAcked > 0 ? Math.round(totalAckMs / this.stats.chunksAcked) : null,
+      queuedChunks: this.queue.filter(item => item.type === 'chunk').length,
+      inFlight: this.inFlight,
+      bufferedMs: Math.round(this.bufferedMs()),
+      leadMs: this.options.leadMs,
+      acks: this.options.useAcks
+    };
+  }
+
+  // Stop sending and drop anything queued
+  close() {
+    this.clear();
+    this.closed = true;
+  }
+}
+
+module.exports = AudioDeliveryScheduler;
@@ -1,21 +1,35 @@
 const { Server } = require('socket.io');
 const VoiceHandlerLive = require('./handlers/VoiceHandlerLive');
 const sessionManager = require('../services/SessionManager');
+const authService = require('../services/AuthService');
+const auditLog = require('../services/AuditLog');
+const promptStore = require('../services/PromptStore');
+const { createSocketAdapter } = require('../services/cluster');
+const metrics = require('../services/Metrics');
 const logger = require('../utils/logger');
 const config = require('../config/environment');
 
+const connectionsTotal = metrics.counter('sova_socket_connections_total', 'Socket.IO connections accepted');
+const rejectedTotal = metrics.counter('sova_socket_connections_rejected_total',
+  'Socket.IO connections refused, by reason');
+const disconnectsTotal = metrics.counter('sova_socket_disconnects_total', 'Socket.IO disconnections, by reason');
+const connectionsGauge = metrics.gauge('sova_socket_connections', 'Open Socket.IO connections, by transport');
+const geminiConnectionsGauge = metrics.gauge('sova_gemini_live_connections',
+  'Gemini Live connections owned by sessions on this node, by state');
+
 // WebSocket server setup and management for Gemini Live API
 class SocketServerLive {
   constructor() {
     this.io = null;
     this.voiceHandler = new VoiceHandlerLive();
+    this.adapter = null; // Cross-node adapter, when one is configured
     this.connectionAttempts = new Map(); // Track connection attempts per IP
     this.maxConnectionsPerIP = 5; // Maximum connections per IP address
     this.connectionWindow = 60000; // 1 minute window for rate limiting
   }
 
   // Initialize Socket.IO server
-  initialize(httpServer) {
+  async initialize(httpServer) {
     this.io = new Server(httpServer, {
       cors: {
         origin: config.cors.origin,
@@ -30,8 +44,11 @@ class SocketServerLive {
       maxHttpBufferSize: 10 * 1024 * 1024, // 10MB max payload
     });
 
+    this.setupStickyRouting();
+    await this.attachAdapter();
     this.setupMiddleware();
     this.setupEventHandlers();
+    metrics.addCollector(() => this.collectMetrics());
 
     // Store instance globally for API access
     global.socketServerLive = this;
@@ -40,6 +57,37 @@ class SocketServerLive {
     return this.io;
   }
 
+  // Name this node in a cookie on the Engine.IO handshake, so a load balancer can keep a client
+  // (and its reconnects) on the node that holds its session
+  setupStickyRouting() {
+    const cookieName = config.cluster.stickyCookie;
+    if (!cookieName) {
+      return;
+    }
+
+    this.io.engine.on('initial_headers', (headers) => {
+      headers['set-cookie'] = `${cookieName}=${encodeURIComponent(config.cluster.nodeId)}; Path=/; HttpOnly; SameSite=Lax`;
+    });
+  }
+
+  // Share rooms and emits with the other nodes; without the adapter this node would silently serve its
+  // sockets alone, so a failure here fails initialize()
+  async attachAdapter() {
+    try {
+      this.adapter = await createSocketAdapter();
+      if (this.adapter) {
+        this.io.adapter(this.adapter.adapter);
+        logger.info('Socket.IO adapter attached', { adapter: config.cluster.adapter });
+      }
+    } catch (error) {
+      logger.error('Failed to attach Socket.IO adapter', {
+        adapter: config.cluster.adapter,
+        error: error.message
+      });
+      throw new Error(`Could not attach the ${config.cluster.adapter} Socket.IO adapter: ${error.message}`);
+    }
+  }
+
   // Setup Socket.IO middleware
   setupMiddleware() {
     // Rate limiting middleware
@@ -67,6 +115,7 @@ class SocketServerLive {
           attempts: attempts.length,
           socketId: socket.id 
         });
+        rejectedTotal.inc({ reason: 'rate-limit' });
         return next(new Error('Too many connection attempts. Please wait before trying again.'));
       }
       
@@ -74,17 +123,9 @@ class SocketServerLive {
       attempts.push(now);
       this.connectionAttempts.set(clientIP, attempts);
       
-      // Authentication middleware
-      const auth = socket.handshake.auth || {};
-      const token = auth.token;
-      
-      // Add authentication logic here
-      // For now, we'll accept all connections
-      socket.userId = auth.userId || null;
       socket.clientIP = clientIP;
       
       logger.logWebSocketEvent('connection-attempt', socket.id, {
-        userId: socket.userId,
         address: clientIP,
         attempts: attempts.length
       });
@@ -92,6 +133,39 @@ class SocketServerLive {
       next();
     });
 
+    // Authentication middleware - JWT or per-tenant API key
+    this.io.use((socket, next) => {
+      try {
+        const credentials = authService.getHandshakeCredentials(socket.handshake);
+        const identity = authService.authenticate(credentials);
+        
+        socket.identity = identity;
+        socket.userId = identity.userId;
+        
+        logger.logWebSocketEvent('authenticated', socket.id, {
+          userId: identity.userId,
+          tenantId: identity.tenantId,
+          method: identity.method
+        });
+        
+        next();
+      } catch (error) {
+        const reason = authService.describeError(error);
+        
+        logger.warn('Socket authentication rejected', {
+          socketId: socket.id,
+          clientIP: socket.clientIP,
+          code: reason.code
+        });
+        rejectedTotal.inc({ reason: 'auth' });
+        
+        // Socket.IO delivers err.data to the client's connect_error handler
+        const authError = new Error(reason.message);
+        authError.data = { type: 'auth-error', ...reason };
+        next(authError);
+      }
+    });
+
     // Error handling middleware
     this.io.use((socket, next) => {
       socket.on('error', (error) => {
@@ -117,26 +191,34 @@ class SocketServerLive {
           activeConnections,
           socketId: socket.id
         });
+        rejectedTotal.inc({ reason: 'too-many-connections' });
         socket.disconnect(true);
         return;
       }
 
+      connectionsTotal.inc();
       logger.logWebSocketEvent('connected', socket.id, {
         userId: socket.userId,
         transport: socket.conn.transport.name,
         clientIP: socket.clientIP
       });
 
+      // Re-attach a client that reconnected with a resume token to its suspended session
+      this.voiceHandler.handleResume(socket);
+
       // Setup voice chat handlers with Gemini Live
       this.voiceHandler.setupHandlers(socket);
 
       // Handle disconnection
       socket.on('disconnect', (reason) => {
+        disconnectsTotal.inc({ reason });
         logger.logWebSocketEvent('disconnected', socket.id, { 
           reason,
           clientIP: socket.clientIP
         });
-        sessionManager.handleSocketDisconnect(socket.id);
+
+        // Suspend the session for a reconnect, or release it and its own Gemini Live connection
+        this.voiceHandler.handleDisconnect(socket, reason);
         
         // Clean up connection attempts for this IP if no active connections
         const remainingConnections = Array.from(this.io.sockets.sockets.values())
@@ -165,7 +247,10 @@ class SocketServerLive {
       socket.on('get-session-info', () => {
         const session = sessionManager.getSessionBySocketId(socket.id);
         if (session) {
-          socket.emit('session-info', session.getSummary());
+          socket.emit('session-info', {
+            ...session.getSummary(),
+            delivery: this.voiceHandler.getDeliveryStats(session.id)
+          });
         } else {
           socket.emit('session-info', { status: 'no-session' });
         }
@@ -232,24 +317,110 @@ class SocketServerLive {
   // Setup admin namespace for monitoring and debugging
   setupAdminNamespace() {
     const adminNamespace = this.io.of('/admin');
+
+    // Admins must authenticate with an admin key or a JWT carrying an admin role
+    adminNamespace.use((socket, next) => {
+      const clientIP = socket.handshake.address;
+      try {
+        const credentials = authService.getHandshakeCredentials(socket.handshake);
+        socket.identity = authService.authenticateAdmin(credentials);
+        socket.clientIP = clientIP;
+        next();
+      } catch (error) {
+        const reason = authService.describeError(error);
+
+        auditLog.record({
+          action: 'connect',
+          outcome: 'rejected',
+          socketId: socket.id,
+          clientIP,
+          details: { code: reason.code }
+        });
+
+        const authError = new Error(reason.message);
+        authError.data = { type: 'auth-error', ...reason };
+        next(authError);
+      }
+    });
     
     adminNamespace.on('connection', (socket) => {
-      logger.info('Admin connected', { socketId: socket.id });
+      logger.info('Admin connected', {
+        socketId: socket.id,
+        userId: socket.identity.userId,
+        role: socket.identity.adminRole
+      });
+
+      auditLog.record({
+        identity: socket.identity,
+        action: 'connect',
+        outcome: 'connected',
+        socketId: socket.id,
+        clientIP: socket.clientIP
+      });
+
+      // Register an admin event that requires a minimum role and is audited
+      const onAdminEvent = (event, requiredRole, handler) => {
+        socket.on(event, async (data) => {
+          const auditEntry = {
+            identity: socket.identity,
+            action: event,
+            payload: data === undefined ? null : data,
+            socketId: socket.id,
+            clientIP: socket.clientIP
+          };
+
+          if (!authService.hasAdminRole(socket.identity, requiredRole)) {
+            auditLog.record({ ...auditEntry, outcome: 'denied' });
+            socket.emit('admin-error', {
+              type: 'forbidden',
+              event,
+              requiredRole,
+              message: `Role '${requiredRole}' required for ${event}`
+            });
+            return;
+          }
+
+          auditLog.record({ ...auditEntry, outcome: 'allowed' });
+
+          try {
+            await handler(data);
+          } catch (error) {
+            logger.error('Admin event failed', { event, error: error.message });
+            auditLog.record({ ...auditEntry, outcome: 'failed', details: { error: error.message } });
+          }
+        });
+      };
 
       // Get all active sessions
-      socket.on('get-all-sessions', () => {
+      onAdminEvent('get-all-sessions', 'viewer', () => {
         const sessions = sessionManager.getAllSessions();
         socket.emit('all-sessions', sessions);
       });
 
       // Get service status
-      socket.on('get-service-status', () => {
+      onAdminEvent('get-service-status', 'viewer', () => {
         const status = this.voiceHandler.getStatus();
         socket.emit('service-status', status);
       });
 
+      // Get recent audit log entries
+      onAdminEvent('get-audit-log', 'owner', (data) => {
+        socket.emit('audit-log', auditLog.getRecent(data?.limit));
+      });
+
+      // List the persona prompts available to new sessions
+      onAdminEvent('get-prompts', 'viewer', () => {
+        socket.emit('prompts', { personas: promptStore.list(), loadedAt: promptStore.loadedAt });
+      });
+
+      // Re-read persona prompts from disk; new sessions pick them up immediately
+      onAdminEvent('reload-prompts', 'operator', () => {
+        const result = promptStore.reload();
+        socket.emit('prompts-reloaded', { ...result, loadedAt: promptStore.loadedAt });
+      });
+
       // Force cleanup
-      socket.on('force-cleanup', async () => {
+      onAdminEvent('force-cleanup', 'owner', async () => {
         try {
           await this.voiceHandler.cleanup();
           socket.emit('cleanup-complete', { success: true });
@@ -263,13 +434,20 @@ class SocketServerLive {
       });
 
       // Broadcast message to all clients
-      socket.on('broadcast', (data) => {
+      onAdminEvent('broadcast', 'operator', (data) => {
         this.io.emit('admin-broadcast', data);
         socket.emit('broadcast-sent', { success: true });
       });
 
       socket.on('disconnect', () => {
         logger.info('Admin disconnected', { socketId: socket.id });
+        auditLog.record({
+          identity: socket.identity,
+          action: 'disconnect',
+          outcome: 'disconnected',
+          socketId: socket.id,
+          clientIP: socket.clientIP
+        });
       });
     });
   }
@@ -324,6 +502,11 @@ class SocketServerLive {
         
         this.io.close();
       }
+
+      if (this.adapter) {
+        await this.adapter.close();
+        this.adapter = null;
+      }
       
       logger.info('WebSocket server shutdown complete');
     } catch (error) {
@@ -363,6 +546,23 @@ class SocketServerLive {
     };
   }
 
+  // Refresh the connection gauges from getStats() before a metrics scrape
+  collectMetrics() {
+    const stats = this.getStats();
+    if (stats.error) {
+      return;
+    }
+
+    connectionsGauge.reset();
+    Object.entries(stats.transports).forEach(([transport, count]) => {
+      connectionsGauge.set(count, { transport });
+    });
+
+    const geminiSessions = stats.serviceStatus.geminiLiveSessions || { total: 0, connected: 0 };
+    geminiConnectionsGauge.set(geminiSessions.connected, { state: 'connected' });
+    geminiConnectionsGauge.set(geminiSessions.total - geminiSessions.connected, { state: 'disconnected' });
+  }
+
   // Cleanup old connection attempts (call this periodically)
   cleanupOldAttempts() {
     if (!this.connectionAttempts) {
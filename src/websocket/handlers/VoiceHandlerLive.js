@@ -1,74 +1,83 @@
+const crypto = require('crypto');
 const GeminiLiveService = require('../../services/GeminiLiveService');
+const VoiceActivityDetector = require('../../services/audio/VoiceActivityDetector');
+const InputAudioDecoder = require('../../services/audio/InputAudioDecoder');
+const OutputAudioEncoder = require('../../services/audio/OutputAudioEncoder');
 const sessionManager = require('../../services/SessionManager');
+const toolRegistry = require('../../services/tools');
+const promptStore = require('../../services/PromptStore');
+const languageService = require('../../services/LanguageService');
+const { createTraceExporter, TurnTracer } = require('../../services/tracing');
+const metrics = require('../../services/Metrics');
+const binaryFrames = require('../protocol/binaryFrames');
+const AudioDeliveryScheduler = require('../AudioDeliveryScheduler');
+const config = require('../../config/environment');
 const logger = require('../../utils/logger');
 
+// Disconnect reasons that mean the call is over rather than the network having dropped
+const DELIBERATE_DISCONNECTS = ['client namespace disconnect', 'server namespace disconnect', 'server shutting down'];
+
+const interruptionsTotal = metrics.counter('sova_interruptions_total',
+  'Model responses cut off by the user, by where the interruption was detected');
+
 // Handler for voice chat WebSocket events using Gemini Live API
 class VoiceHandlerLive {
   constructor() {
-    this.geminiLiveService = new GeminiLiveService();
     this.activeSessions = new Map(); // sessionId -> session info
-    // Removed complex buffering - Gemini Live sends complete responses
-    
-    // CONVERSATION-OPTIMIZED CHUNKING CONFIGURATION
-    this.chunkingConfig = {
-      // Target chunk duration for natural conversation flow - OPTIMIZED FOR LOW LATENCY
-      targetChunkDuration: 1.0, // Reduced to 1 second for faster response
-      minChunkDuration: 0.5,    // Minimum 0.5 seconds for immediate feedback
-      maxChunkDuration: 3.0,    // Maximum 3 seconds for natural flow
-      
-      // Audio parameters (48kHz, 16-bit, mono)
-      sampleRate: 48000,
-      channels: 1,
-      bitsPerSample: 16,
-      bytesPerSecond: 48000 * 1 * 2, // 96,000 bytes/second
-      
-      // Transmission settings - OPTIMIZED FOR LOW LATENCY
-      sequentialDelay: 25,  // Reduced from 50ms to 25ms for faster streaming
-      multiportDelay: 5,    // Reduced from 10ms to 5ms for faster multiport
-      maxConcurrentChunks: 16, // Increased for better parallelization
-      
-      // LATENCY OPTIMIZATION SETTINGS
-      immediateFirstChunk: true, // Send first chunk immediately
-      progressiveChunking: true, // Use smaller chunks for faster start
-      adaptiveDelay: true, // Adjust delays based on network conditions
-      maxLatencyTarget: 1500 // Target 1.5 seconds max latency
-    };
-    
-    // Multiport chunking configuration - ENHANCED FOR LOW LATENCY
-    this.multiportConfig = {
-      enabled: true, // ENABLE EFFICIENT MULTIPORT
-      maxPorts: 4, // Increased from 3 to 4 ports for better distribution
-      chunkDistribution: 'round-robin', // Distribute chunks across ports
-      portBase: 3000, // Base port for multiport connections
-      chunkDelay: this.chunkingConfig.multiportDelay, // Use optimized delay
-      maxConcurrentChunks: this.chunkingConfig.maxConcurrentChunks,
-      
-      // LATENCY OPTIMIZATION
-      parallelTransmission: true, // Enable true parallel transmission
-      adaptivePorts: true, // Dynamically adjust port usage
-      immediateStart: true, // Start transmission immediately
-      progressiveChunking: true // Use smaller initial chunks
-    };
-    
-    // Track multiport connections
-    this.multiportConnections = new Map(); // sessionId -> { ports: [], currentPort: 0 }
-    
-    this.setupCallbacks();
+    this.resumeTokens = new Map(); // resume token -> sessionId
+    this.traceExporter = createTraceExporter(); // Shared by every session's turn tracer
   }
 
-  // Setup callbacks for the Gemini Live service
-  setupCallbacks() {
-    this.geminiLiveService.setCallbacks({
-      onAudioChunk: (audioData) => {
-        this.handleAudioChunkFromGemini(audioData);
+  // Create a dedicated Gemini Live service for a session, routing callbacks to that session only
+  createGeminiService(session, options = {}) {
+    const geminiLiveService = new GeminiLiveService({
+      tools: options.tools || toolRegistry.resolveAllowlist(),
+      persona: options.persona,
+      languageCode: options.languageCode,
+      voiceName: options.voiceName,
+      compression: options.compression
+    });
+
+    geminiLiveService.setCallbacks({
+      onAudioChunk: (audioData, meta) => {
+        return this.handleAudioChunkFromGemini(session.id, audioData, meta);
+      },
+      onTurnComplete: (summary) => {
+        return this.handleTurnCompleteFromGemini(session.id, summary);
       },
       onTextResponse: (text) => {
-        this.handleTextResponseFromGemini(text);
+        return this.handleTextResponseFromGemini(session.id, text);
+      },
+      onTranscript: (transcript) => {
+        return this.handleTranscriptFromGemini(session.id, transcript);
+      },
+      onToolCall: (event) => {
+        return this.handleToolCallFromGemini(session.id, event);
+      },
+      onSessionWarning: (warning) => {
+        return this.handleSessionWarningFromGemini(session.id, warning);
       },
       onInterruption: () => {
-        this.handleInterruptionFromGemini();
+        interruptionsTotal.inc({ source: 'server' });
+        return this.handleInterruptionFromGemini(session.id);
       }
     });
+
+    session.geminiSession = geminiLiveService;
+    return geminiLiveService;
+  }
+
+  // Get the Gemini Live service owned by a session
+  getGeminiService(sessionId) {
+    const sessionInfo = this.activeSessions.get(sessionId);
+    return sessionInfo ? sessionInfo.session.geminiSession : null;
+  }
+
+  // Get all Gemini Live services currently owned by active sessions
+  getGeminiServices() {
+    return Array.from(this.activeSessions.values())
+      .map(sessionInfo => sessionInfo.session.geminiSession)
+      .filter(Boolean);
   }
 
   // Initialize voice chat handlers for a socket
@@ -105,7 +114,20 @@ class VoiceHandlerLive {
 
     // Handle session reset for continuous conversation
     socket.on('reset-session', async (data) => {
-      await this.handleSessionReset(socket, data?.sessionId);
+      await this.handleSessionReset(socket, data);
+    });
+
+    // Voice settings during a conversation
+    socket.on('set-voice', async (data) => {
+      await this.handleVoiceSettings(socket, 'voice', data);
+    });
+
+    socket.on('set-speech-rate', async (data) => {
+      await this.handleVoiceSettings(socket, 'speech-rate', data);
+    });
+
+    socket.on('get-voices', () => {
+      this.handleGetVoices(socket);
     });
   }
 
@@ -114,8 +136,95 @@ class VoiceHandlerLive {
     try {
       logger.logWebSocketEvent('start-conversation', socket.id, data);
 
-      // Safely get userId from multiple sources
-      const userId = data?.userId || socket.handshake?.auth?.userId || socket.userId || 'guest-user';
+      // Reject formats we cannot decode before any session is created
+      let inputFormat;
+      let outputFormat;
+      let audioTransport;
+      try {
+        inputFormat = InputAudioDecoder.negotiate(data?.inputFormat);
+        outputFormat = OutputAudioEncoder.negotiate(data?.outputFormat);
+      } catch (formatError) {
+        socket.emit('error', {
+          type: 'unsupported-audio-format',
+          message: formatError.message,
+          details: formatError.details
+        });
+        return;
+      }
+
+      // Tool allowlist is fixed when the Gemini connection is opened
+      let tools;
+      try {
+        tools = toolRegistry.resolveAllowlist(data?.tools);
+      } catch (toolError) {
+        socket.emit('error', {
+          type: 'unsupported-tool',
+          message: toolError.message,
+          details: toolError.details
+        });
+        return;
+      }
+
+      // Sliding-window context compression is part of the connection setup
+      let compression;
+      try {
+        compression = GeminiLiveService.negotiateCompression(data?.contextCompression);
+      } catch (compressionError) {
+        socket.emit('error', {
+          type: 'invalid-context-compression',
+          message: compressionError.message,
+          details: compressionError.details
+        });
+        return;
+      }
+
+      // Spoken language for the Live connection; `locale` is accepted for older clients
+      let languageCode;
+      try {
+        languageCode = languageService.negotiate(data?.language || data?.languageCode || data?.locale);
+      } catch (languageError) {
+        socket.emit('error', {
+          type: 'unsupported-language',
+          message: languageError.message,
+          details: languageError.details
+        });
+        return;
+      }
+
+      // Persona prompt in the session's language, filled in with this caller's details
+      let persona;
+      try {
+        persona = promptStore.render(data?.persona, {
+          ...(data?.promptVars && typeof data.promptVars === 'object' ? data.promptVars : {}),
+          userName: data?.userName,
+          locale: languageCode,
+          languageName: languageService.getLanguage(languageCode).name
+        }, languageCode);
+      } catch (personaError) {
+        socket.emit('error', {
+          type: 'unknown-persona',
+          message: personaError.message,
+          details: personaError.details
+        });
+        return;
+      }
+
+      try {
+        audioTransport = binaryFrames.negotiateAudioTransport(data?.audioTransport);
+      } catch (transportError) {
+        socket.emit('error', {
+          type: 'unsupported-audio-transport',
+          message: transportError.message,
+          details: { supported: binaryFrames.AUDIO_TRANSPORTS }
+        });
+        return;
+      }
+
+      // Verified identities always win; anonymous clients may still name themselves
+      const identity = socket.identity || { method: 'anonymous' };
+      const userId = identity.method !== 'anonymous'
+        ? identity.userId
+        : data?.userId || socket.userId || 'guest-user';
 
       // Check if session already exists for this socket
       let session = sessionManager.getSessionBySocketId(socket.id);
@@ -134,27 +243,67 @@ class VoiceHandlerLive {
           this.activeSessions.set(session.id, {
             session,
             socket,
-            isProcessing: false,
-            audioQueue: []
+            isUserSpeaking: false,
+            tracer: new TurnTracer(session, this.traceExporter)
           });
           logger.info('Added existing session to activeSessions', { sessionId: session.id });
         }
+        this.configureVad(this.activeSessions.get(session.id), data);
+        this.configureInputFormat(this.activeSessions.get(session.id), inputFormat);
+        this.activeSessions.get(session.id).audioTransport = audioTransport;
+        this.configureDelivery(this.activeSessions.get(session.id), socket, data);
+
+        // Ensure the session owns a Gemini Live connection
+        if (!session.geminiSession) {
+          this.createGeminiService(session, {
+            tools,
+            persona,
+            languageCode,
+            compression,
+            voiceName: data?.voiceName || persona.voice
+          }).startConversation(session.id, data?.voiceName || persona.voice);
+        } else {
+          session.geminiSession.setAllowedTools(tools);
+          if (session.geminiSession.persona?.text !== persona.text ||
+              session.geminiSession.languageCode !== languageCode ||
+              JSON.stringify(session.geminiSession.compression) !== JSON.stringify(compression)) {
+            // A new persona, language or compression changes the Live setup, which needs a fresh connection
+            session.geminiSession.setPersona(persona);
+            session.geminiSession.setLanguageCode(languageCode);
+            session.geminiSession.setCompression(compression);
+            await session.geminiSession.restartSessionWithNewPrompt(data?.voiceName || persona.voice);
+          }
+          // Keep the conversation (and its context) going across a restart
+          if (!session.geminiSession.conversationState.isActive) {
+            session.geminiSession.startConversation(session.id, data?.voiceName || persona.voice);
+          }
+        }
+        session.metadata.persona = `${persona.id}@${persona.version}`;
+        this.configureLanguage(session, languageCode);
+        this.configureOutputFormat(session, outputFormat);
         
         // Send session info to client
         socket.emit('session-status', {
           sessionId: session.id,
           status: 'active',
           message: 'Reusing existing voice chat session',
-          multiportEnabled: this.multiportConfig.enabled,
-          portCount: this.multiportConfig.maxPorts,
-          basePort: this.multiportConfig.portBase
+          vad: Boolean(this.activeSessions.get(session.id).vad),
+          inputFormat,
+          outputFormat,
+          audioTransport,
+          delivery: this.describeDelivery(this.activeSessions.get(session.id)),
+          tools,
+          persona: { id: persona.id, version: persona.version, name: persona.name, language: persona.language },
+          language: languageCode,
+          contextCompression: compression,
+          ...this.describeResume(this.activeSessions.get(session.id))
         });
         return;
       }
       
       // Also check if we have an active session for this user
       const existingSession = Array.from(this.activeSessions.values())
-        .find(sessionInfo => sessionInfo.socket.id === socket.id);
+        .find(sessionInfo => sessionInfo.socket?.id === socket.id);
       
       if (existingSession) {
         logger.info('Active session found for socket, reusing', {
@@ -168,52 +317,76 @@ class VoiceHandlerLive {
           sessionId: existingSession.session.id,
           status: 'active',
           message: 'Reusing existing active session',
-          multiportEnabled: this.multiportConfig.enabled,
-          portCount: this.multiportConfig.maxPorts,
-          basePort: this.multiportConfig.portBase
+          vad: Boolean(existingSession.vad),
+          inputFormat: existingSession.inputDecoder?.format,
+          outputFormat: existingSession.session.geminiSession?.outputEncoder.format,
+          audioTransport: existingSession.audioTransport,
+          delivery: this.describeDelivery(existingSession),
+          tools: existingSession.session.geminiSession?.allowedTools || [],
+          persona: existingSession.session.metadata.persona,
+          language: existingSession.session.metadata.languageCode,
+          contextCompression: existingSession.session.geminiSession?.compression || null,
+          ...this.describeResume(existingSession)
         });
         return;
       }
 
       // Create new session only if none exists
       session = sessionManager.createSession(socket.id, userId);
+      session.metadata.authMethod = identity.method;
+      session.metadata.tenantId = identity.tenantId || null;
       
       // Store session info with socket reference
-      this.activeSessions.set(session.id, {
+      const sessionInfo = {
         session,
         socket,
-        isProcessing: false,
-        audioQueue: []
-      });
+        isUserSpeaking: false,
+        tracer: new TurnTracer(session, this.traceExporter)
+      };
+      this.activeSessions.set(session.id, sessionInfo);
+      this.configureVad(sessionInfo, data);
+      this.configureInputFormat(sessionInfo, inputFormat);
+      sessionInfo.audioTransport = audioTransport;
+      this.configureDelivery(sessionInfo, socket, data);
 
       // Update session status
       session.updateStatus('active');
 
-      // Start conversation management - only if not already active
-      if (!this.geminiLiveService.conversationState.isActive) {
-        this.geminiLiveService.startConversation(session.id, data?.voiceName);
-      } else {
-        logger.info('Conversation already active, continuing existing conversation', {
-          sessionId: session.id,
-          conversationActive: this.geminiLiveService.conversationState.isActive
-        });
-      }
+      // Each session gets its own Gemini Live connection and conversation state
+      const geminiLiveService = this.createGeminiService(session, {
+        tools,
+        persona,
+        languageCode,
+        compression,
+        voiceName: data?.voiceName || persona.voice
+      });
+      this.configureOutputFormat(session, outputFormat);
+      geminiLiveService.startConversation(session.id, data?.voiceName || persona.voice);
+      session.metadata.persona = `${persona.id}@${persona.version}`;
+      this.configureLanguage(session, languageCode);
 
       // Send session info to client
       socket.emit('session-status', {
         sessionId: session.id,
         status: 'active',
         message: 'Voice chat session started with Gemini Live',
-        multiportEnabled: this.multiportConfig.enabled,
-        portCount: this.multiportConfig.maxPorts,
-        basePort: this.multiportConfig.portBase
+        vad: Boolean(sessionInfo.vad),
+        inputFormat,
+        outputFormat,
+        audioTransport,
+        delivery: this.describeDelivery(sessionInfo),
+        tools,
+        persona: { id: persona.id, version: persona.version, name: persona.name, language: persona.language },
+        language: languageCode,
+        contextCompression: compression,
+        ...this.describeResume(sessionInfo)
       });
 
       logger.info('Gemini Live session started successfully', {
         sessionId: session.id,
         socketId: socket.id,
         userId: userId,
-        conversationActive: this.geminiLiveService.conversationState.isActive
+        conversationActive: geminiLiveService.conversationState.isActive
       });
 
     } catch (error) {
@@ -230,10 +403,11 @@ class VoiceHandlerLive {
     }
   }
 
-  // Handle incoming audio chunk from client
+  // Handle incoming audio chunk from client - forwarded to Gemini as it arrives
   async handleAudioChunk(socket, data) {
+    let session = null;
     try {
-      const session = sessionManager.getSessionBySocketId(socket.id);
+      session = sessionManager.getSessionBySocketId(socket.id);
       if (!session) {
         socket.emit('error', {
           type: 'no-session',
@@ -243,39 +417,74 @@ class VoiceHandlerLive {
       }
 
       const sessionInfo = this.activeSessions.get(session.id);
-      if (!sessionInfo) {
+      if (!sessionInfo || !session.geminiSession) {
         logger.error('Session info not found', { sessionId: session.id });
         return;
       }
 
-      // Check if we're already processing
-      if (sessionInfo.isProcessing) {
-        logger.debug('Already processing audio, skipping chunk', { sessionId: session.id });
+      // Binary frames and base64 payloads are both accepted, whatever the negotiated transport
+      let chunk;
+      try {
+        chunk = this.parseAudioChunk(data);
+      } catch (frameError) {
+        socket.emit('error', {
+          type: 'invalid-audio-frame',
+          message: 'Malformed binary audio frame',
+          details: frameError.message
+        });
         return;
       }
 
-      const { audioData, chunkIndex, isLastChunk } = data;
+      const { audio, chunkIndex, isLastChunk } = chunk;
 
       logger.debug('Received audio chunk', {
         sessionId: session.id,
         chunkIndex,
         isLastChunk,
-        dataSize: audioData?.length || 0
+        dataSize: audio?.length || 0
       });
 
-      // Store audio chunk for processing
-      if (!sessionInfo.audioQueue) {
-        sessionInfo.audioQueue = [];
+      session.lastActivity = new Date();
+      const receivedAt = Date.now();
+
+      // Transcode whatever the client negotiated into 16 kHz mono LINEAR16
+      let pcmData = audio && audio.length > 0 ? audio : null;
+      const decoder = sessionInfo.inputDecoder;
+      if (pcmData && decoder && !decoder.isPassthrough) {
+        try {
+          const pcm = await decoder.decode(pcmData);
+          pcmData = pcm.length > 0 ? pcm : null;
+        } catch (decodeError) {
+          logger.warn('Failed to decode client audio', {
+            sessionId: session.id,
+            encoding: decoder.format.encoding,
+            error: decodeError.message
+          });
+
+          socket.emit('error', {
+            type: 'audio-decode-error',
+            message: `Failed to decode ${decoder.format.encoding} audio`,
+            details: decodeError.message
+          });
+          return;
+        }
+      }
+
+      if (pcmData && sessionInfo.vad) {
+        // Server-side endpointing decides where the user turn starts and ends
+        await this.processAudioWithVad(socket, sessionInfo, pcmData);
+      } else if (pcmData) {
+        // Stream the 16 kHz PCM frame straight through - the first frame opens the user turn
+        if (!sessionInfo.isUserSpeaking) {
+          sessionInfo.tracer.startTurn('audio', receivedAt);
+        }
+        sessionInfo.isUserSpeaking = true;
+        await session.geminiSession.sendRealtimeAudio(pcmData, session.id);
       }
-      sessionInfo.audioQueue.push({
-        data: audioData,
-        index: chunkIndex,
-        isLast: isLastChunk
-      });
 
-      // If this is the last chunk, process the complete audio
+      // The last chunk closes the user turn so Gemini can answer
       if (isLastChunk) {
-        await this.processCompleteAudio(session.id);
+        await this.endUserTurn(session.id);
       }
 
     } catch (error) {
@@ -284,48 +493,207 @@ class VoiceHandlerLive {
         socketId: socket.id,
         error: error.message
       });
+
+      socket.emit('error', {
+        type: 'audio-chunk-error',
+        message: 'Failed to stream audio to Gemini Live',
+        details: error.message
+      });
     }
   }
 
-  // Process complete audio input
-  async processCompleteAudio(sessionId) {
-    try {
-      const sessionInfo = this.activeSessions.get(sessionId);
-      if (!sessionInfo) {
-        logger.error('Session info not found for audio processing', { sessionId });
-        return;
+  // Normalize an incoming audio-chunk payload (binary frame or `{ audioData: base64 }`) to a Buffer
+  parseAudioChunk(data) {
+    if (binaryFrames.isBinaryPayload(data)) {
+      return binaryFrames.decodeAudioFrame(data);
+    }
+
+    const { audioData, chunkIndex, isLastChunk } = data || {};
+    let audio = null;
+    if (binaryFrames.isBinaryPayload(audioData)) {
+      audio = binaryFrames.toBuffer(audioData);
+    } else if (audioData) {
+      audio = Buffer.from(audioData, 'base64');
+    }
+
+    return { audio, chunkIndex, isLastChunk: Boolean(isLastChunk) };
+  }
+
+  // Enable or disable server-side VAD for a session - start-conversation may pass `vad: true|false|{...}`
+  configureVad(sessionInfo, data) {
+    const requested = data?.vad;
+    const enabled = requested === undefined ? config.vad.enabled : requested !== false;
+
+    if (!enabled) {
+      sessionInfo.vad = null;
+      sessionInfo.vadPreroll = [];
+      return;
+    }
+
+    // Only numeric tuning knobs may be overridden by the client
+    const overrides = {};
+    if (requested && typeof requested === 'object') {
+      for (const key of ['energyThreshold', 'noiseMultiplier', 'maxZeroCrossingRate', 'minSpeechMs', 'hangoverMs', 'prerollMs']) {
+        if (typeof requested[key] === 'number' && requested[key] >= 0) {
+          overrides[key] = requested[key];
+        }
       }
+    }
+
+    sessionInfo.vad = new VoiceActivityDetector(overrides);
+    sessionInfo.vadPreroll = [];
+  }
 
-      sessionInfo.isProcessing = true;
+  // Attach an audio delivery scheduler; clients that acknowledge chunks opt in with `audioAcks: true`
+  configureDelivery(sessionInfo, socket, data) {
+    if (sessionInfo.delivery) {
+      sessionInfo.delivery.close();
+    }
+
+    sessionInfo.delivery = new AudioDeliveryScheduler(socket, {
+      useAcks: data?.audioAcks === true,
+      onSent: item => sessionInfo.tracer.handleDelivered(item)
+    });
+  }
 
-      logger.info('Processing complete audio input', { sessionId });
+  // Delivery settings echoed to the client in session-status
+  describeDelivery(sessionInfo) {
+    const delivery = sessionInfo?.delivery;
+    return delivery ? { acks: delivery.options.useAcks, leadMs: delivery.options.leadMs } : null;
+  }
 
-      // Combine all audio chunks
-      const audioChunks = sessionInfo.audioQueue.sort((a, b) => a.index - b.index);
-      const combinedAudio = audioChunks.map(chunk => chunk.data).join('');
+  // Resume token and grace period echoed to the client in session-status; the token is issued on first use
+  describeResume(sessionInfo) {
+    if (!config.websocket.resume || !sessionInfo) {
+      return { resumeToken: null, resumeGraceMs: 0 };
+    }
 
-      // Clear the queue
-      sessionInfo.audioQueue = [];
+    return {
+      resumeToken: sessionInfo.resumeToken || this.issueResumeToken(sessionInfo),
+      resumeGraceMs: config.websocket.resumeGraceMs
+    };
+  }
 
-      // Send audio to Gemini Live
-      await this.geminiLiveService.sendAudioInput(combinedAudio, sessionId);
+  // Give a session a new single-use resume token; the previous one stops working
+  issueResumeToken(sessionInfo) {
+    if (sessionInfo.resumeToken) {
+      this.resumeTokens.delete(sessionInfo.resumeToken);
+    }
 
-      logger.info('Audio sent to Gemini Live successfully', { sessionId });
+    sessionInfo.resumeToken = crypto.randomBytes(24).toString('base64url');
+    this.resumeTokens.set(sessionInfo.resumeToken, sessionInfo.session.id);
+    return sessionInfo.resumeToken;
+  }
 
-    } catch (error) {
-      logger.error('Failed to process complete audio', {
-        sessionId,
-        error: error.message
-      });
+  // Per-session delivery statistics (dropped and late chunks, acknowledgement latency)
+  getDeliveryStats(sessionId) {
+    const sessionInfo = this.activeSessions.get(sessionId);
+    return sessionInfo?.delivery ? sessionInfo.delivery.getStats() : null;
+  }
 
-      // Reset processing flag
-      const sessionInfo = this.activeSessions.get(sessionId);
-      if (sessionInfo) {
-        sessionInfo.isProcessing = false;
+  // Attach a decoder for the negotiated input format to a session
+  configureInputFormat(sessionInfo, inputFormat) {
+    if (sessionInfo.inputDecoder) {
+      sessionInfo.inputDecoder.close();
+    }
+
+    sessionInfo.inputDecoder = new InputAudioDecoder(inputFormat);
+    sessionInfo.session.metadata.audioFormat = inputFormat.encoding;
+
+    logger.info('Input audio format negotiated', {
+      sessionId: sessionInfo.session.id,
+      ...inputFormat
+    });
+  }
+
+  // Record the requested language; detection from the first utterance may refine `language` later
+  configureLanguage(session, languageCode) {
+    if (session.metadata.languageCode !== languageCode) {
+      session.metadata.languageDetected = false;
+    }
+    session.metadata.languageCode = languageCode;
+    session.metadata.language = languageService.getBaseLanguage(languageCode);
+  }
+
+  // Encode this session's model audio in the format its client negotiated
+  configureOutputFormat(session, outputFormat) {
+    session.geminiSession.setOutputFormat(outputFormat);
+    session.metadata.outputFormat = outputFormat.encoding;
+  }
+
+  // Run a PCM frame through the session's VAD and forward only the speech to Gemini
+  async processAudioWithVad(socket, sessionInfo, pcm) {
+    const { session, vad } = sessionInfo;
+    const wasSpeaking = vad.isSpeaking;
+    const events = vad.process(pcm);
+
+    if (wasSpeaking) {
+      await session.geminiSession.sendRealtimeAudio(pcm, session.id);
+    } else {
+      // Keep a short pre-roll so the first syllable is not clipped
+      sessionInfo.vadPreroll.push(pcm);
+      const maxBytes = vad.options.sampleRate * 2 * vad.options.prerollMs / 1000 +
+        vad.options.sampleRate * 2 * vad.options.minSpeechMs / 1000;
+      let totalBytes = sessionInfo.vadPreroll.reduce((sum, chunk) => sum + chunk.length, 0);
+      while (sessionInfo.vadPreroll.length > 1 && totalBytes - sessionInfo.vadPreroll[0].length >= maxBytes) {
+        totalBytes -= sessionInfo.vadPreroll.shift().length;
+      }
+    }
+
+    for (const event of events) {
+      if (event.type === 'speech-start') {
+        sessionInfo.isUserSpeaking = true;
+        sessionInfo.tracer.startTurn('audio');
+
+        socket.emit('user-speech-start', {
+          sessionId: session.id,
+          offsetMs: event.offsetMs,
+          timestamp: new Date().toISOString()
+        });
+
+        const preroll = sessionInfo.vadPreroll;
+        sessionInfo.vadPreroll = [];
+        for (const chunk of preroll) {
+          await session.geminiSession.sendRealtimeAudio(chunk, session.id);
+        }
+
+        logger.info('VAD detected start of speech', { sessionId: session.id, offsetMs: event.offsetMs });
+      } else if (event.type === 'speech-end') {
+        socket.emit('user-speech-end', {
+          sessionId: session.id,
+          offsetMs: event.offsetMs,
+          durationMs: event.durationMs,
+          timestamp: new Date().toISOString()
+        });
+
+        await this.endUserTurn(session.id);
+
+        logger.info('VAD detected end of speech', { sessionId: session.id, durationMs: event.durationMs });
       }
     }
   }
 
+  // Signal the end of the user's speech turn to the session's Gemini Live connection
+  async endUserTurn(sessionId) {
+    const sessionInfo = this.activeSessions.get(sessionId);
+
+    // A turn closed by the client mid-speech also resets the detector
+    if (sessionInfo?.vad?.isSpeaking) {
+      sessionInfo.vad.reset();
+      sessionInfo.vadPreroll = [];
+    }
+
+    if (!sessionInfo || !sessionInfo.isUserSpeaking) {
+      return;
+    }
+
+    sessionInfo.isUserSpeaking = false;
+    await sessionInfo.session.geminiSession.endUserActivity(sessionId);
+    sessionInfo.tracer.markInputSent();
+
+    logger.info('User audio turn ended', { sessionId });
+  }
+
   // Handle text input (for testing without audio)
   async handleTextInput(socket, data) {
     let session = null;
@@ -355,8 +723,23 @@ class VoiceHandlerLive {
         text: text.substring(0, 100) + (text.length > 100 ? '...' : '')
       });
 
-      // Send text to Gemini Live
-      await this.geminiLiveService.sendTextInput(text, session.id);
+      if (!session.geminiSession) {
+        socket.emit('error', {
+          type: 'no-conversation',
+          message: 'Conversation has not been started'
+        });
+        return;
+      }
+
+      // Typed input has no transcription, so record it as-is
+      const sessionInfo = this.activeSessions.get(session.id);
+      sessionInfo.tracer.startTurn('text');
+      session.addToHistory('user', text.trim());
+      this.detectSessionLanguage(sessionInfo, text);
+
+      // Send text to this session's Gemini Live connection
+      await session.geminiSession.sendTextInput(text, session.id);
+      sessionInfo.tracer.markInputSent();
 
       logger.info('Text sent to Gemini Live successfully', { sessionId: session.id });
 
@@ -375,313 +758,257 @@ class VoiceHandlerLive {
     }
   }
 
-  // Handle audio chunk from Gemini Live
-  async handleAudioChunkFromGemini(audioData) {
+  // Handle audio chunk from a session's Gemini Live connection - forwarded as soon as it arrives
+  async handleAudioChunkFromGemini(sessionId, audioData, meta = {}) {
     try {
-      // Gemini Live sends complete audio responses, not streaming chunks
-      // So we'll send each complete response as properly chunked audio
-      
-      if (this.activeSessions.size === 0) {
-        logger.warn('No active sessions found for audio response');
+      const sessionInfo = this.activeSessions.get(sessionId);
+      if (!sessionInfo) {
+        logger.warn('No active session found for audio response', { sessionId });
         return;
       }
-      
-      for (const [sessionId, sessionInfo] of this.activeSessions) {
-        const { socket } = sessionInfo;
-        
-        if (!socket) {
-          logger.warn('No socket found for session', { sessionId });
-          continue;
-        }
-        
-        if (!socket.connected) {
-          logger.warn('Socket not connected for session', { sessionId });
-          continue;
-        }
-        
-        // Check if session was interrupted
-        if (sessionInfo.isInterrupted) {
-          logger.info('Session was interrupted, skipping audio response', { sessionId });
-          sessionInfo.isInterrupted = false; // Reset flag
-          continue;
-        }
-        
-        logger.info('Received complete audio response from Gemini Live', {
-          sessionId,
-          audioDataSize: audioData.length,
-          activeSessionsCount: this.activeSessions.size
-        });
-          
-        // Calculate optimal chunk size for this audio response - OPTIMIZED FOR LOW LATENCY
-        const optimalChunkSize = this.calculateOptimalChunkSize(audioData);
-        
-        // Split the complete audio response into chunks of optimal size
-        const chunks = this.splitAudioIntoChunks(audioData, optimalChunkSize);
-        
-        logger.info('Streaming audio response to client with low latency optimization', {
-          sessionId,
-          totalChunks: chunks.length,
-          averageChunkSize: Math.round(audioData.length / chunks.length),
-          chunkDuration: (optimalChunkSize / this.chunkingConfig.bytesPerSecond).toFixed(2) + 's',
-          latencyTarget: this.chunkingConfig.maxLatencyTarget + 'ms'
-        });
 
-        // IMMEDIATE FIRST CHUNK TRANSMISSION for low latency
-        if (this.chunkingConfig.immediateFirstChunk && chunks.length > 0) {
-          // Send first chunk immediately for instant feedback
-          socket.emit('audio-chunk', {
-            sessionId,
-            chunkIndex: 0,
-            totalChunks: chunks.length,
-            isLastChunk: chunks.length === 1,
-            audioData: chunks[0],
-            progress: '0%',
-            isFirstChunk: true,
-            immediate: true
-          });
-          
-          logger.info('Immediate first chunk sent for low latency', {
-            sessionId,
-            chunkSize: chunks[0].length
-          });
-          
-          // Remove first chunk from array since it's already sent
-          chunks.shift();
-        }
+      // Nobody is listening until the client resumes; the response was cancelled when it dropped
+      if (sessionInfo.suspended) {
+        logger.debug('Session is suspended, dropping audio chunk', { sessionId, chunkIndex: meta.sequence });
+        return;
+      }
 
-        // Stream remaining chunks using EFFICIENT MULTIPORT
-        if (chunks.length > 0) {
-          if (this.multiportConfig.enabled) {
-            await this.streamChunksMultiport(socket, sessionId, chunks);
-          } else {
-            // Use improved sequential transmission with reduced delays
-            await this.streamChunksSequential(socket, sessionId, chunks);
-          }
-        }
+      const { socket } = sessionInfo;
 
-        // Send completion signal
-        socket.emit('audio-complete', {
+      if (!socket || !socket.connected) {
+        logger.warn('Socket not connected for session', { sessionId });
+        return;
+      }
+
+      // Drop the rest of a response the user has interrupted
+      if (sessionInfo.isInterrupted) {
+        logger.debug('Session was interrupted, skipping audio chunk', { sessionId, chunkIndex: meta.sequence });
+        return;
+      }
+
+      sessionInfo.tracer.markModelChunk();
+
+      const payload = sessionInfo.audioTransport === 'binary'
+        ? binaryFrames.encodeAudioFrame(audioData, {
+          chunkIndex: meta.sequence || 0,
+          isFirstChunk: meta.isFirstChunk
+        })
+        : {
           sessionId,
-          totalChunks: chunks.length + (this.chunkingConfig.immediateFirstChunk ? 1 : 0),
-          latencyOptimized: true
-        });
-        
-        logger.info('Audio response completed successfully with low latency optimization', {
+          chunkIndex: meta.sequence || 0,
+          isFirstChunk: Boolean(meta.isFirstChunk),
+          audioData: audioData.toString('base64'),
+          streaming: true
+        };
+
+      // The scheduler paces chunks to playback speed instead of flooding the socket
+      sessionInfo.delivery.enqueue(payload, {
+        durationMs: meta.durationMs || 0,
+        chunkIndex: meta.sequence || 0
+      });
+
+      if (meta.isFirstChunk) {
+        logger.info('First audio chunk queued for client', {
           sessionId,
-          totalChunks: chunks.length + (this.chunkingConfig.immediateFirstChunk ? 1 : 0)
+          chunkSize: audioData.length
         });
       }
     } catch (error) {
-      logger.error('Failed to handle audio chunk from Gemini', { error: error.message });
+      logger.error('Failed to handle audio chunk from Gemini', { sessionId, error: error.message });
+    }
+  }
+
+  // Handle the end of a model turn signalled by Gemini Live
+  async handleTurnCompleteFromGemini(sessionId, summary = {}) {
+    try {
+      const sessionInfo = this.activeSessions.get(sessionId);
+      if (!sessionInfo) {
+        return;
+      }
+
+      const { socket } = sessionInfo;
+      const wasInterrupted = Boolean(sessionInfo.isInterrupted);
+
+      // The interrupted response is over, so the next one plays normally
+      sessionInfo.isInterrupted = false;
+
+      if (wasInterrupted || !socket || !socket.connected) {
+        return;
+      }
+
+      // Sent only after every chunk of the response has gone out
+      sessionInfo.delivery.enqueueEvent('audio-complete', {
+        sessionId,
+        totalChunks: summary.totalChunks,
+        duration: summary.duration,
+        reason: summary.reason
+      });
+
+      logger.info('Audio response completed', {
+        sessionId,
+        totalChunks: summary.totalChunks,
+        reason: summary.reason
+      });
+    } catch (error) {
+      logger.error('Failed to complete audio response from Gemini', { sessionId, error: error.message });
     }
   }
 
-  // Handle text response from Gemini Live
-  async handleTextResponseFromGemini(text) {
+  // Handle text response from a session's Gemini Live connection
+  async handleTextResponseFromGemini(sessionId, text) {
     try {
       logger.info('Received text response from Gemini Live', {
+        sessionId,
         textLength: text.length,
         text: text.substring(0, 100) + (text.length > 100 ? '...' : '')
       });
 
-      // Send text response to all active sessions
-      for (const [sessionId, sessionInfo] of this.activeSessions) {
-        const { socket } = sessionInfo;
-        
-        if (socket && socket.connected) {
-          socket.emit('text-response', {
-            sessionId,
-            text,
-            timestamp: new Date().toISOString()
-          });
-        }
+      // Send text response only to the session that asked
+      const sessionInfo = this.activeSessions.get(sessionId);
+      const socket = sessionInfo?.socket;
+
+      if (socket && socket.connected) {
+        socket.emit('text-response', {
+          sessionId,
+          text,
+          timestamp: new Date().toISOString()
+        });
       }
     } catch (error) {
-      logger.error('Failed to handle text response from Gemini', { error: error.message });
+      logger.error('Failed to handle text response from Gemini', { sessionId, error: error.message });
     }
   }
 
-  // Handle interruption from Gemini Live
-  async handleInterruptionFromGemini() {
+  // Set the session's language from the first user utterance long enough to tell
+  detectSessionLanguage(sessionInfo, text) {
+    const session = sessionInfo?.session;
+    if (!session || session.metadata.languageDetected) {
+      return;
+    }
+
+    const detected = languageService.detect(text, session.metadata.languageCode);
+    if (!detected) {
+      return;
+    }
+
+    session.metadata.language = detected.language;
+    session.metadata.languageDetected = true;
+
+    logger.info('Session language detected', {
+      sessionId: session.id,
+      requested: session.metadata.languageCode,
+      ...detected
+    });
+
+    const { socket } = sessionInfo;
+    if (socket && socket.connected) {
+      socket.emit('language-detected', {
+        sessionId: session.id,
+        requested: session.metadata.languageCode,
+        ...detected
+      });
+    }
+  }
+
+  // Relay a live transcript to the client; final transcripts become the session's conversation record
+  async handleTranscriptFromGemini(sessionId, transcript) {
     try {
-      logger.info('Handling interruption from Gemini Live');
+      const sessionInfo = this.activeSessions.get(sessionId);
+      if (!sessionInfo) {
+        return;
+      }
 
-      // Notify all active sessions about the interruption
-      for (const [sessionId, sessionInfo] of this.activeSessions) {
-        const { socket } = sessionInfo;
-        
-        if (socket && socket.connected) {
-          socket.emit('interruption', {
-            sessionId,
-            message: 'Audio response interrupted',
-            timestamp: new Date().toISOString()
-          });
+      if (transcript.isFinal) {
+        sessionInfo.session.addToHistory(transcript.role, transcript.text);
+        if (transcript.role === 'user') {
+          this.detectSessionLanguage(sessionInfo, transcript.text);
         }
+
+        logger.info('Transcript finalized', {
+          sessionId,
+          role: transcript.role,
+          textLength: transcript.text.length,
+          interrupted: Boolean(transcript.interrupted)
+        });
+      }
+
+      const { socket } = sessionInfo;
+      if (socket && socket.connected) {
+        socket.emit(transcript.role === 'user' ? 'user-transcript' : 'assistant-transcript', {
+          sessionId,
+          text: transcript.text,
+          delta: transcript.delta,
+          isFinal: transcript.isFinal,
+          interrupted: Boolean(transcript.interrupted),
+          timestamp: new Date().toISOString()
+        });
       }
     } catch (error) {
-      logger.error('Failed to handle interruption from Gemini', { error: error.message });
+      logger.error('Failed to handle transcript from Gemini', { sessionId, error: error.message });
     }
   }
-  
-  // Stream chunks using TRUE PARALLEL MULTIPORT - ENHANCED FOR LOW LATENCY
-  async streamChunksMultiport(socket, sessionId, chunks) {
+
+  // Let the client show tool activity (e.g. "looking up dealers...") while the model waits for results
+  async handleToolCallFromGemini(sessionId, event) {
     try {
-      // Initialize multiport connections if not already done
-      if (!this.multiportConnections.has(sessionId)) {
-        this.initializeMultiportConnections(sessionId);
-      }
-      
-      const connections = this.multiportConnections.get(sessionId);
-      const totalChunks = chunks.length;
-      
-      logger.info('Starting TRUE PARALLEL multiport streaming with low latency optimization', {
-        sessionId,
-        totalChunks,
-        portCount: this.multiportConfig.maxPorts,
-        maxConcurrent: this.multiportConfig.maxConcurrentChunks,
-        parallelTransmission: this.multiportConfig.parallelTransmission
-      });
-      
-      // DISTRIBUTE CHUNKS ACROSS PORTS FOR PARALLEL TRANSMISSION
-      const portChunks = Array.from({ length: this.multiportConfig.maxPorts }, () => []);
-      
-      // Round-robin distribution: chunk 0→port 0, chunk 1→port 1, chunk 2→port 2, chunk 3→port 0...
-      for (let i = 0; i < chunks.length; i++) {
-        const portId = i % this.multiportConfig.maxPorts;
-        portChunks[portId].push({
-          chunk: chunks[i],
-          index: i,
-          isLastChunk: i === chunks.length - 1
+      const sessionInfo = this.activeSessions.get(sessionId);
+      const socket = sessionInfo?.socket;
+
+      if (socket && socket.connected) {
+        socket.emit('tool-call', {
+          sessionId,
+          ...event,
+          timestamp: new Date().toISOString()
         });
       }
-      
-      // TRANSMIT CHUNKS IN TRUE PARALLEL ACROSS ALL PORTS - OPTIMIZED FOR LOW LATENCY
-      const transmissionPromises = portChunks.map(async (portChunkList, portId) => {
-        for (let j = 0; j < portChunkList.length; j++) {
-          const { chunk, index, isLastChunk } = portChunkList[j];
-          
-          // REDUCED DELAY FOR LOWER LATENCY
-          const portDelay = portId * this.multiportConfig.chunkDelay;
-          if (portDelay > 0) {
-            await new Promise(resolve => setTimeout(resolve, portDelay));
-          }
-          
-          // Emit chunk with port information and latency optimization flags
-          socket.emit('audio-chunk', {
-            sessionId,
-            chunkIndex: index,
-            totalChunks: chunks.length,
-            isLastChunk,
-            audioData: chunk,
-            progress: Math.round(((index + 1) / chunks.length) * 100) + '%',
-            portId: portId,
-            portNumber: this.multiportConfig.portBase + portId,
-            latencyOptimized: true,
-            parallelTransmission: true
-          });
-          
-          // Update port statistics
-          if (connections && connections.ports[portId]) {
-            connections.ports[portId].chunkCount++;
-            connections.ports[portId].lastChunkTime = Date.now();
-          }
-          
-          logger.debug('PARALLEL chunk transmitted with low latency', {
-            sessionId,
-            chunkIndex: index,
-            portId,
-            portNumber: this.multiportConfig.portBase + portId,
-            totalChunks,
-            delay: portDelay + 'ms'
-          });
-          
-          // MINIMAL DELAY FOR TRUE PARALLEL TRANSMISSION
-          if (j < portChunkList.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 5)); // Reduced from 10ms to 5ms
-          }
-        }
-      });
-      
-      // EXECUTE ALL PORT TRANSMISSIONS IN TRUE PARALLEL
-      await Promise.all(transmissionPromises);
-      
-      logger.info('TRUE PARALLEL multiport streaming completed with low latency', {
-        sessionId,
-        totalChunks,
-        portStats: connections?.ports.map(p => ({
-          portId: p.portId,
-          chunkCount: p.chunkCount
-        })),
-        latencyOptimized: true
-      });
-      
     } catch (error) {
-      logger.error('Failed to stream chunks via multiport', { 
-        sessionId, 
-        error: error.message 
-      });
-      
-      // Fallback to sequential transmission on error
-      logger.info('Falling back to sequential transmission', { sessionId });
-      await this.streamChunksSequential(socket, sessionId, chunks);
+      logger.error('Failed to handle tool call from Gemini', { sessionId, error: error.message });
     }
   }
 
-  // Stream chunks sequentially with improved reliability - ENHANCED FOR LOW LATENCY
-  async streamChunksSequential(socket, sessionId, chunks) {
+  // Warn the client that its Live session is close to a forced cutoff
+  async handleSessionWarningFromGemini(sessionId, warning) {
     try {
-      logger.info('Starting sequential chunk streaming with low latency optimization', {
-        sessionId,
-        totalChunks: chunks.length,
-        chunkSize: chunks[0]?.length || 0,
-        sequentialDelay: this.chunkingConfig.sequentialDelay + 'ms'
-      });
-      
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const isLastChunk = i === chunks.length - 1;
-        
-        // Emit chunk with improved error handling and latency optimization
-        socket.emit('audio-chunk', {
+      const socket = this.activeSessions.get(sessionId)?.socket;
+      if (socket && socket.connected) {
+        socket.emit('session-limit-warning', {
           sessionId,
-          chunkIndex: i,
-          totalChunks: chunks.length,
-          isLastChunk,
-          audioData: chunk,
-          progress: Math.round(((i + 1) / chunks.length) * 100) + '%',
-          latencyOptimized: true,
-          sequentialTransmission: true
+          ...warning,
+          timestamp: new Date().toISOString()
         });
+      }
+    } catch (error) {
+      logger.error('Failed to send session limit warning', { sessionId, error: error.message });
+    }
+  }
 
-        logger.debug('Sequential chunk transmitted with low latency', {
+  // Handle interruption from a session's Gemini Live connection
+  async handleInterruptionFromGemini(sessionId) {
+    try {
+      logger.info('Handling interruption from Gemini Live', { sessionId });
+
+      // Notify only the interrupted session
+      const sessionInfo = this.activeSessions.get(sessionId);
+      const socket = sessionInfo?.socket;
+
+      // Audio still queued for the client belongs to the interrupted response
+      if (sessionInfo?.delivery) {
+        sessionInfo.delivery.clear();
+      }
+      sessionInfo?.tracer.endTurn('interrupted');
+
+      if (socket && socket.connected) {
+        socket.emit('interruption', {
           sessionId,
-          chunkIndex: i,
-          totalChunks: chunks.length,
-          isLastChunk,
-          chunkSize: chunk.length,
-          delay: this.chunkingConfig.sequentialDelay + 'ms'
+          message: 'Audio response interrupted',
+          timestamp: new Date().toISOString()
         });
-
-        // REDUCED DELAY FOR LOWER LATENCY - Only delay if not the last chunk
-        if (!isLastChunk) {
-          await new Promise(resolve => setTimeout(resolve, this.chunkingConfig.sequentialDelay));
-        }
       }
-      
-      logger.info('Sequential chunk streaming completed with low latency', {
-        sessionId,
-        totalChunks: chunks.length,
-        latencyOptimized: true
-      });
-      
     } catch (error) {
-      logger.error('Failed to stream chunks sequentially', { 
-        sessionId, 
-        error: error.message 
-      });
+      logger.error('Failed to handle interruption from Gemini', { sessionId, error: error.message });
     }
   }
-
+  
   // Handle user stopped speaking
   async handleStopSpeaking(socket, data) {
     let session = null;
@@ -694,7 +1021,7 @@ class VoiceHandlerLive {
       logger.logWebSocketEvent('stop-speaking', socket.id, data);
 
       // Check if we have a transcription (text) instead of audio
-      const { transcription } = data;
+      const { transcription } = data || {};
       
       if (transcription && transcription.trim().length > 0) {
         // Handle text transcription - treat as a new, separate query
@@ -704,23 +1031,24 @@ class VoiceHandlerLive {
           transcriptionLength: transcription.length
         });
 
-        // Clear any previous audio processing state
-        const sessionInfo = this.activeSessions.get(session.id);
-        if (sessionInfo) {
-          sessionInfo.isProcessing = false;
-          sessionInfo.audioQueue = [];
+        // Close any open audio turn before the text query
+        await this.endUserTurn(session.id);
+
+        if (!session.geminiSession) {
+          logger.warn('No Gemini Live connection for session, ignoring transcription', { sessionId: session.id });
+          return;
         }
 
         // Send text to Gemini Live as a fresh query
-        await this.geminiLiveService.sendTextInput(transcription, session.id);
+        const tracer = this.activeSessions.get(session.id)?.tracer;
+        tracer?.startTurn('text');
+        await session.geminiSession.sendTextInput(transcription, session.id);
+        tracer?.markInputSent();
         
         logger.info('Text transcription sent to Gemini Live successfully', { sessionId: session.id });
       } else {
-        // Process any remaining audio chunks (if any)
-        const sessionInfo = this.activeSessions.get(session.id);
-        if (sessionInfo && sessionInfo.audioQueue.length > 0) {
-          await this.processCompleteAudio(session.id);
-        }
+        // Close the streamed audio turn so Gemini responds
+        await this.endUserTurn(session.id);
       }
 
       logger.info('User stopped speaking', { sessionId: session.id });
@@ -736,13 +1064,15 @@ class VoiceHandlerLive {
 
   // Handle user interruption
   async handleInterruption(socket, data) {
+    let session = null;
     try {
-      const session = sessionManager.getSessionBySocketId(socket.id);
+      session = sessionManager.getSessionBySocketId(socket.id);
       if (!session) {
         return;
       }
 
       logger.logWebSocketEvent('interrupt', socket.id, data);
+      interruptionsTotal.inc({ source: 'client' });
 
       // IMMEDIATE INTERRUPTION RESPONSE - Send instant confirmation
       socket.emit('interruption-confirmed', {
@@ -754,25 +1084,26 @@ class VoiceHandlerLive {
       // Clear any pending audio processing IMMEDIATELY
       const sessionInfo = this.activeSessions.get(session.id);
       if (sessionInfo) {
-        sessionInfo.isProcessing = false;
-        sessionInfo.audioQueue = [];
         sessionInfo.isInterrupted = true; // Mark as interrupted
+        sessionInfo.tracer.endTurn('interrupted');
       }
 
-      // Clear audio buffer for this session
-      if (this.audioBuffers && this.audioBuffers.has(session.id)) {
-        this.audioBuffers.delete(session.id);
-        logger.info('Cleared audio buffer due to interruption', { sessionId: session.id });
+      const geminiLiveService = session.geminiSession;
+
+      // Clear audio queue in this session's Gemini Live service IMMEDIATELY
+      if (geminiLiveService) {
+        geminiLiveService.clearAllAudioResponses();
       }
 
-      // Clear audio queue in Gemini Live service IMMEDIATELY
-      this.geminiLiveService.clearAudioQueue();
+      // Drop audio that has not yet been delivered to the client
+      const droppedChunks = sessionInfo?.delivery ? sessionInfo.delivery.clear() : 0;
+      logger.debug('Dropped queued audio on interruption', { sessionId: session.id, droppedChunks });
 
       // Send interruption to Gemini Live session with enhanced error handling
-      if (this.geminiLiveService.session) {
+      if (geminiLiveService && geminiLiveService.session) {
         try {
           // Use the native Gemini Live interruption method
-          await this.geminiLiveService.session.interrupt();
+          await geminiLiveService.session.interrupt();
           logger.info('Sent interruption to Gemini Live session', { sessionId: session.id });
           
           // Send immediate confirmation of successful interruption
@@ -823,66 +1154,156 @@ class VoiceHandlerLive {
   }
 
   // Handle session reset for continuous conversation
-  async handleSessionReset(socket, sessionId) {
+  async handleSessionReset(socket, data) {
+    let session = null;
     try {
-      const sessionInfo = this.activeSessions.get(sessionId);
-      if (!sessionInfo) {
+      // Only the socket's own session can be reset, whatever id the client sends
+      session = sessionManager.getSessionBySocketId(socket.id);
+      if (!session) {
+        socket.emit('error', {
+          type: 'no-session',
+          message: 'No active session found'
+        });
+        return;
+      }
+
+      if (data?.sessionId && data.sessionId !== session.id) {
+        logger.warn('Rejected reset of a session owned by another socket', {
+          socketId: socket.id,
+          sessionId: data.sessionId
+        });
+        socket.emit('error', {
+          type: 'session-mismatch',
+          message: 'Session does not belong to this connection'
+        });
+        return;
+      }
+
+      const sessionId = session.id;
+      if (!this.activeSessions.has(sessionId)) {
         logger.warn('Session info not found for reset', { sessionId });
         return;
       }
 
       logger.info('Handling session reset for continuous conversation', { sessionId });
 
-      // Clear processing state but keep session active
-      sessionInfo.isProcessing = false;
-      sessionInfo.audioQueue = [];
+      // Close any open audio turn but keep session active
+      await this.endUserTurn(sessionId);
+
+      const geminiLiveService = session.geminiSession || this.createGeminiService(session);
 
       // Don't restart conversation if it's already active
-      if (this.geminiLiveService.conversationState.isActive) {
+      if (geminiLiveService.conversationState.isActive) {
         logger.info('Conversation already active, skipping restart', { sessionId });
         return;
       }
 
       // Only restart conversation if it's not active
-      this.geminiLiveService.startConversation(sessionId);
+      geminiLiveService.startConversation(sessionId);
 
       logger.info('Session reset completed successfully', { sessionId });
 
     } catch (error) {
       logger.error('Failed to handle session reset', { 
-        sessionId, 
+        sessionId: session?.id, 
         error: error.message 
       });
     }
   }
 
+
+  // Change the voice or speech rate; the Live connection is reopened with the conversation replayed into it
+  async handleVoiceSettings(socket, setting, data) {
+    let session = null;
+    try {
+      session = sessionManager.getSessionBySocketId(socket.id);
+      if (!session || !session.geminiSession) {
+        socket.emit('error', {
+          type: 'no-conversation',
+          message: 'Conversation has not been started'
+        });
+        return;
+      }
+
+      logger.logWebSocketEvent(`set-${setting}`, socket.id, data);
+
+      const sessionInfo = this.activeSessions.get(session.id);
+      const geminiLiveService = session.geminiSession;
+      const wasResponding = geminiLiveService.currentAudioResponse.chunkCount > 0 ||
+        (sessionInfo?.delivery?.getStats().queuedChunks || 0) > 0;
+
+      // Whatever the user said so far becomes history; an open turn is dropped with the old connection
+      await geminiLiveService.finalizeTranscripts('reconnect');
+      if (sessionInfo) {
+        sessionInfo.isUserSpeaking = false;
+        sessionInfo.vad?.reset();
+        sessionInfo.vadPreroll = [];
+      }
+
+      const applied = setting === 'voice'
+        ? await geminiLiveService.switchVoice(data?.voiceName)
+        : await geminiLiveService.setSpeechRate(data?.rate);
+
+      // The response being spoken was cut off with the old connection
+      if (wasResponding) {
+        await this.handleInterruptionFromGemini(session.id);
+      }
+
+      socket.emit('voice-settings', {
+        sessionId: session.id,
+        ...applied,
+        reconnected: true,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to change voice settings', {
+        sessionId: session?.id,
+        setting,
+        error: error.message
+      });
+
+      socket.emit('error', {
+        type: error.details?.code === 'UNKNOWN_VOICE' ? 'unknown-voice'
+          : error.details?.code === 'INVALID_SPEECH_RATE' ? 'invalid-speech-rate'
+            : 'voice-settings-failed',
+        message: error.message,
+        details: error.details
+      });
+    }
+  }
+
+  // List the voices a session can switch to
+  handleGetVoices(socket) {
+    const session = sessionManager.getSessionBySocketId(socket.id);
+    const geminiLiveService = session?.geminiSession;
+
+    socket.emit('voices', {
+      sessionId: session?.id || null,
+      voices: (geminiLiveService || GeminiLiveService.prototype).getAvailableVoices(),
+      current: geminiLiveService ? geminiLiveService.getVoiceSettings() : null
+    });
+  }
+
   // Handle end conversation
   async handleEndConversation(socket, data) {
+    let session = null;
     try {
-      const session = sessionManager.getSessionBySocketId(socket.id);
+      session = sessionManager.getSessionBySocketId(socket.id);
       if (!session) {
         return;
       }
 
       logger.logWebSocketEvent('end-conversation', socket.id, data);
 
-      // End conversation management
-      this.geminiLiveService.endConversation();
+      const conversationStats = session.geminiSession
+        ? session.geminiSession.getConversationStats()
+        : { isActive: false };
 
-      // Clean up session
-      this.activeSessions.delete(session.id);
-      
-      // Clean up multiport connections for this session
-      if (this.multiportConnections.has(session.id)) {
-        this.multiportConnections.delete(session.id);
-        logger.info('Multiport connections cleaned up', { sessionId: session.id });
-      }
-      
-      sessionManager.endSession(session.id);
+      await this.releaseSession(session);
 
       logger.info('Conversation ended', { 
         sessionId: session.id,
-        conversationStats: this.geminiLiveService.getConversationStats()
+        conversationStats
       });
 
     } catch (error) {
@@ -896,285 +1317,243 @@ class VoiceHandlerLive {
 
 
 
-  // Estimate audio duration from base64 data
-  estimateAudioDuration(audioData) {
+  // Handle socket disconnection - a dropped connection suspends the session, a deliberate one ends it
+  async handleDisconnect(socket, reason) {
     try {
-      const audioBuffer = Buffer.from(audioData, 'base64');
-      
-      // Check if it's a WAV file
-      const isWAV = audioBuffer.length >= 12 && 
-                   audioBuffer.slice(0, 4).toString() === 'RIFF' &&
-                   audioBuffer.slice(8, 12).toString() === 'WAVE';
-      
-      if (isWAV && audioBuffer.length >= 44) {
-        // Extract WAV parameters from header
-        const sampleRate = audioBuffer.readUInt32LE(24);
-        const channels = audioBuffer.readUInt16LE(22);
-        const bitsPerSample = audioBuffer.readUInt16LE(34);
-        const dataSize = audioBuffer.length - 44; // Subtract WAV header
-        
-        const bytesPerSecond = sampleRate * channels * (bitsPerSample / 8);
-        return dataSize / bytesPerSecond;
-      } else {
-        // For raw PCM at 48kHz, 16-bit, mono: 1 second = 48000 * 2 bytes
-        const bytesPerSecond = 48000 * 2;
-        return audioBuffer.length / bytesPerSecond;
+      const session = sessionManager.getSessionBySocketId(socket.id);
+      if (!session) {
+        return;
       }
+
+      const sessionInfo = this.activeSessions.get(session.id);
+      if (!config.websocket.resume || !sessionInfo?.resumeToken || !session.geminiSession ||
+          DELIBERATE_DISCONNECTS.includes(reason)) {
+        await this.releaseSession(session);
+        return;
+      }
+
+      this.suspendSession(sessionInfo, reason);
     } catch (error) {
-      logger.error('Failed to estimate audio duration', { error: error.message });
-      return 0.1; // Default fallback
+      logger.error('Failed to release session on disconnect', {
+        socketId: socket.id,
+        error: error.message
+      });
     }
   }
 
-  // Combine multiple audio chunks into one longer segment
-  combineAudioChunks(chunks) {
-    try {
-      if (chunks.length === 0) return null;
-      if (chunks.length === 1) return chunks[0];
-      
-      // Check if first chunk is WAV
-      const firstChunk = Buffer.from(chunks[0], 'base64');
-      const isWAV = firstChunk.length >= 12 && 
-                   firstChunk.slice(0, 4).toString() === 'RIFF' &&
-                   firstChunk.slice(8, 12).toString() === 'WAVE';
-      
-      if (isWAV) {
-        // For WAV files, combine the data sections while preserving the header
-        const header = firstChunk.slice(0, 44); // WAV header is 44 bytes
-        const dataChunks = chunks.map(chunk => {
-          const buffer = Buffer.from(chunk, 'base64');
-          return buffer.slice(44); // Skip header for all chunks except first
-        });
-        
-        const combinedData = Buffer.concat(dataChunks);
-        const totalSize = 36 + combinedData.length; // 36 + data size
-        
-        // Update WAV header with new size
-        const newHeader = Buffer.alloc(44);
-        header.copy(newHeader, 0, 0, 4); // RIFF
-        newHeader.writeUInt32LE(totalSize, 4); // File size
-        header.copy(newHeader, 8, 8, 44); // Rest of header
-        newHeader.writeUInt32LE(combinedData.length, 40); // Update data chunk size
-        
-        const combinedWAV = Buffer.concat([newHeader, combinedData]);
-        return combinedWAV.toString('base64');
-      } else {
-        // For raw audio, just concatenate
-        const buffers = chunks.map(chunk => Buffer.from(chunk, 'base64'));
-        const combined = Buffer.concat(buffers);
-        return combined.toString('base64');
-      }
-    } catch (error) {
-      logger.error('Failed to combine audio chunks', { error: error.message });
-      return chunks[0]; // Fallback to first chunk
+  // Keep a session and its Gemini Live connection for the grace period after its socket dropped.
+  // The response being played is cancelled - the client lost its playback buffer with the socket.
+  suspendSession(sessionInfo, reason) {
+    const { session } = sessionInfo;
+    const geminiLiveService = session.geminiSession;
+    const responseCancelled = geminiLiveService.currentAudioResponse.chunkCount > 0 ||
+      (sessionInfo.delivery?.getStats().queuedChunks || 0) > 0;
+
+    if (responseCancelled) {
+      sessionInfo.isInterrupted = true; // Cleared when the model finishes the turn
     }
+    const cancelledChunks = sessionInfo.delivery ? sessionInfo.delivery.clear() : 0;
+    sessionInfo.tracer.endTurn('disconnected');
+
+    sessionInfo.socket = null;
+    sessionInfo.suspended = {
+      since: Date.now(),
+      reason,
+      responseCancelled,
+      cancelledChunks,
+      historyLength: session.conversationHistory.length
+    };
+    sessionInfo.graceTimer = setTimeout(() => {
+      this.expireSuspendedSession(session.id);
+    }, config.websocket.resumeGraceMs);
+
+    sessionManager.suspendSession(session.id);
+
+    logger.info('Session suspended until its client reconnects', {
+      sessionId: session.id,
+      reason,
+      graceMs: config.websocket.resumeGraceMs,
+      responseCancelled,
+      cancelledChunks
+    });
   }
 
-  // Calculate optimal chunk size based on audio duration - ENHANCED FOR LOW LATENCY
-  calculateOptimalChunkSize(audioData) {
+  // End a suspended session whose client did not come back in time
+  async expireSuspendedSession(sessionId) {
+    const sessionInfo = this.activeSessions.get(sessionId);
+    if (!sessionInfo?.suspended) {
+      return;
+    }
+
+    logger.info('Resume grace period expired, ending session', { sessionId });
     try {
-      const audioBuffer = Buffer.from(audioData, 'base64');
-      const totalDuration = this.estimateAudioDuration(audioData);
-      
-      // PROGRESSIVE CHUNKING FOR LOW LATENCY
-      let targetChunkDuration = this.chunkingConfig.targetChunkDuration;
-      
-      // Adjust chunk duration based on total audio length for optimal latency
-      if (totalDuration <= 2.0) {
-        // Very short responses: use smaller chunks (0.5-1 second) for immediate feedback
-        targetChunkDuration = Math.max(0.5, totalDuration / 3);
-      } else if (totalDuration <= 5.0) {
-        // Short responses: use 1-1.5 second chunks for fast response
-        targetChunkDuration = Math.max(1.0, totalDuration / 4);
-      } else if (totalDuration <= 10.0) {
-        // Medium responses: use 1.5-2 second chunks
-        targetChunkDuration = 1.8;
-      } else {
-        // Long responses: use 2-3 second chunks but start with smaller ones
-        targetChunkDuration = Math.min(3.0, totalDuration / 5);
-      }
-      
-      // Calculate chunk size in bytes
-      const chunkSizeBytes = Math.round(targetChunkDuration * this.chunkingConfig.bytesPerSecond);
-      
-      // Ensure chunk size is reasonable with latency optimization
-      const minChunkSize = this.chunkingConfig.minChunkDuration * this.chunkingConfig.bytesPerSecond;
-      const maxChunkSize = this.chunkingConfig.maxChunkDuration * this.chunkingConfig.bytesPerSecond;
-      
-      const finalChunkSize = Math.max(minChunkSize, Math.min(maxChunkSize, chunkSizeBytes));
-      
-      // ADAPTIVE CHUNKING: Adjust based on latency target
-      const estimatedLatency = (finalChunkSize / this.chunkingConfig.bytesPerSecond) * 1000;
-      if (estimatedLatency > this.chunkingConfig.maxLatencyTarget) {
-        // Reduce chunk size to meet latency target
-        const targetBytes = (this.chunkingConfig.maxLatencyTarget / 1000) * this.chunkingConfig.bytesPerSecond;
-        const adjustedChunkSize = Math.max(minChunkSize, Math.min(maxChunkSize, targetBytes));
-        
-        logger.info('Adjusted chunk size to meet latency target', {
-          originalSize: finalChunkSize,
-          adjustedSize: adjustedChunkSize,
-          estimatedLatency: estimatedLatency.toFixed(0) + 'ms',
-          targetLatency: this.chunkingConfig.maxLatencyTarget + 'ms'
-        });
-        
-        return adjustedChunkSize;
-      }
-      
-      logger.info('Calculated optimal chunk size for low latency', {
-        totalDuration: totalDuration.toFixed(2) + 's',
-        targetChunkDuration: targetChunkDuration.toFixed(2) + 's',
-        chunkSizeBytes: finalChunkSize,
-        chunkSizeKB: Math.round(finalChunkSize / 1024),
-        estimatedChunks: Math.ceil(audioBuffer.length / finalChunkSize),
-        estimatedLatency: estimatedLatency.toFixed(0) + 'ms',
-        progressiveChunking: this.chunkingConfig.progressiveChunking
-      });
-      
-      return finalChunkSize;
+      await this.releaseSession(sessionInfo.session);
     } catch (error) {
-      logger.error('Failed to calculate optimal chunk size', { error: error.message });
-      // Fallback to 1-second chunks for low latency
-      return this.chunkingConfig.targetChunkDuration * this.chunkingConfig.bytesPerSecond;
+      logger.error('Failed to release expired session', { sessionId, error: error.message });
     }
   }
 
-  // Initialize multiport connections for a session
-  initializeMultiportConnections(sessionId) {
-    if (!this.multiportConfig.enabled) return;
-    
-    const connections = {
-      ports: [],
-      currentPort: 0,
-      chunkQueue: [],
-      activeChunks: 0
-    };
-    
-    // Create virtual ports for chunk distribution
-    for (let i = 0; i < this.multiportConfig.maxPorts; i++) {
-      connections.ports.push({
-        portId: i,
-        portNumber: this.multiportConfig.portBase + i,
-        chunkCount: 0,
-        lastChunkTime: 0
-      });
+  // Re-attach a reconnecting socket to its suspended session using the resume token from its handshake
+  async handleResume(socket) {
+    const resumeToken = socket.handshake?.auth?.resumeToken;
+    if (!resumeToken) {
+      return false;
     }
-    
-    this.multiportConnections.set(sessionId, connections);
-    
-    logger.info('Multiport connections initialized', {
-      sessionId,
-      portCount: this.multiportConfig.maxPorts,
-      basePort: this.multiportConfig.portBase
-    });
-  }
-  
-  // Get next available port for chunk transmission
-  getNextPort(sessionId) {
-    const connections = this.multiportConnections.get(sessionId);
-    if (!connections) return 0;
-    
-    if (this.multiportConfig.chunkDistribution === 'round-robin') {
-      // Round-robin distribution
-      const port = connections.ports[connections.currentPort];
-      connections.currentPort = (connections.currentPort + 1) % connections.ports.length;
-      return port.portId;
-    } else {
-      // Size-based distribution (for future implementation)
-      return connections.currentPort;
+
+    const sessionId = this.resumeTokens.get(String(resumeToken));
+    const sessionInfo = sessionId ? this.activeSessions.get(sessionId) : null;
+    const identity = socket.identity || { method: 'anonymous' };
+
+    // Tokens of authenticated sessions are only good for the same user and tenant
+    const { session } = sessionInfo || {};
+    const sameCaller = session && (session.metadata.authMethod === 'anonymous' ||
+      (identity.userId === session.userId && (identity.tenantId || null) === session.metadata.tenantId));
+
+    // The client reconnected before its old socket timed out - that socket is dropped in favour of this one
+    if (sameCaller && !sessionInfo.suspended && sessionInfo.socket && sessionInfo.socket.id !== socket.id) {
+      const staleSocket = sessionInfo.socket;
+      this.suspendSession(sessionInfo, 'replaced');
+      staleSocket.disconnect(true);
     }
-  }
-  
-  // Split audio into chunks for streaming with multiport support
-  splitAudioIntoChunks(audioData, chunkSize = null) {
+
+    if (!sessionInfo?.suspended || !sameCaller) {
+      logger.warn('Rejected session resume', { socketId: socket.id, sessionId: sessionId || null });
+      socket.emit('error', {
+        type: 'resume-failed',
+        message: 'Session cannot be resumed; start a new conversation',
+        details: { code: sessionInfo ? 'SESSION_NOT_RESUMABLE' : 'UNKNOWN_RESUME_TOKEN' }
+      });
+      return false;
+    }
+
     try {
-      if (!audioData) {
-        logger.warn('No audio data provided for chunking');
-        return [];
-      }
+      const { suspended } = sessionInfo;
+      clearTimeout(sessionInfo.graceTimer);
+      sessionInfo.graceTimer = null;
+      sessionInfo.suspended = null;
 
-      // Use default chunk size if none provided (2 seconds of audio)
-      if (!chunkSize) {
-        chunkSize = this.chunkingConfig.targetChunkDuration * this.chunkingConfig.bytesPerSecond;
-      }
+      sessionInfo.socket = socket;
+      this.configureDelivery(sessionInfo, socket, { audioAcks: sessionInfo.delivery?.options.useAcks });
+      sessionManager.resumeSession(session.id, socket.id);
 
-      const audioBuffer = Buffer.from(audioData, 'base64');
-      const chunks = [];
+      // Anything the model said while the client was away is sent as text; its audio is not replayed
+      socket.emit('session-resumed', {
+        sessionId: session.id,
+        status: 'active',
+        suspendedMs: Date.now() - suspended.since,
+        responseCancelled: suspended.responseCancelled,
+        cancelledChunks: suspended.cancelledChunks,
+        missedMessages: session.conversationHistory.slice(suspended.historyLength),
+        vad: Boolean(sessionInfo.vad),
+        inputFormat: sessionInfo.inputDecoder?.format,
+        outputFormat: session.geminiSession?.outputEncoder.format,
+        audioTransport: sessionInfo.audioTransport,
+        delivery: this.describeDelivery(sessionInfo),
+        persona: session.metadata.persona,
+        language: session.metadata.languageCode,
+        voice: session.geminiSession?.getVoiceSettings() || null,
+        resumeToken: this.issueResumeToken(sessionInfo),
+        resumeGraceMs: config.websocket.resumeGraceMs,
+        timestamp: new Date().toISOString()
+      });
 
-      // Check if it's a WAV file (has RIFF header)
-      const isWAV = audioBuffer.length >= 12 && 
-                   audioBuffer.slice(0, 4).toString() === 'RIFF' &&
-                   audioBuffer.slice(8, 12).toString() === 'WAVE';
+      logger.info('Session resumed', {
+        sessionId: session.id,
+        socketId: socket.id,
+        suspendedMs: Date.now() - suspended.since
+      });
+      return true;
+    } catch (error) {
+      logger.error('Failed to resume session', { sessionId: session.id, socketId: socket.id, error: error.message });
+      socket.emit('error', {
+        type: 'resume-failed',
+        message: 'Failed to resume session',
+        details: error.message
+      });
+      await this.releaseSession(session);
+      return false;
+    }
+  }
 
-      if (isWAV) {
-        logger.info('Detected WAV format, chunking while preserving playability');
-        // For WAV files, we need to create proper WAV chunks
-        // Each chunk will be a complete mini-WAV file with its own header
-        const header = audioBuffer.slice(0, 44); // WAV header
-        const audioData = audioBuffer.slice(44); // Audio data
-        
-        // Split audio data into chunks
-        const dataChunkSize = chunkSize - 44; // Leave room for WAV header
-        for (let i = 0; i < audioData.length; i += dataChunkSize) {
-          const dataChunk = audioData.slice(i, Math.min(i + dataChunkSize, audioData.length));
-          
-          // Create new WAV file for this chunk
-          const chunkHeader = Buffer.alloc(44);
-          header.copy(chunkHeader); // Copy original header
-          
-          // Update header with chunk-specific sizes
-          const chunkFileSize = 36 + dataChunk.length;
-          chunkHeader.writeUInt32LE(chunkFileSize, 4); // File size
-          chunkHeader.writeUInt32LE(dataChunk.length, 40); // Data chunk size
-          
-          // Combine header with data chunk
-          const completeChunk = Buffer.concat([chunkHeader, dataChunk]);
-          chunks.push(completeChunk.toString('base64'));
-        }
-      } else {
-        // For non-WAV files, split into chunks as before
-        for (let i = 0; i < audioBuffer.length; i += chunkSize) {
-          const chunk = audioBuffer.slice(i, i + chunkSize);
-          // Convert chunk back to base64 for transmission
-          chunks.push(chunk.toString('base64'));
-        }
-      }
+  // End a session from outside its socket (e.g. the REST API), telling its client why
+  async terminateSession(sessionId, reason) {
+    const sessionInfo = this.activeSessions.get(sessionId);
+    if (!sessionInfo) {
+      return false;
+    }
 
-      logger.info('Audio split into chunks', {
-        totalChunks: chunks.length,
-        chunkSize: chunkSize,
-        chunkSizeKB: Math.round(chunkSize / 1024),
-        chunkDuration: (chunkSize / this.chunkingConfig.bytesPerSecond).toFixed(2) + 's',
-        isWAV: isWAV,
-        multiportEnabled: this.multiportConfig.enabled
+    const { socket } = sessionInfo;
+    if (socket && socket.connected) {
+      socket.emit('session-ended', {
+        sessionId,
+        reason,
+        timestamp: new Date().toISOString()
       });
+    }
 
-      return chunks;
-    } catch (error) {
-      logger.error('Failed to split audio into chunks', { error: error.message });
-      return [];
+    await this.releaseSession(sessionInfo.session);
+    logger.info('Session terminated', { sessionId, reason });
+    return true;
+  }
+
+  // Release all per-session resources and end the session
+  async releaseSession(session) {
+    // Keep any transcript still in progress in the session record
+    if (session.geminiSession) {
+      await session.geminiSession.finalizeTranscripts('session-end');
+    }
+
+    // Clean up session and its audio decoder
+    const sessionInfo = this.activeSessions.get(session.id);
+    if (sessionInfo?.graceTimer) {
+      clearTimeout(sessionInfo.graceTimer);
+    }
+    if (sessionInfo?.resumeToken) {
+      this.resumeTokens.delete(sessionInfo.resumeToken);
+    }
+    if (sessionInfo?.inputDecoder) {
+      sessionInfo.inputDecoder.close();
+    }
+    if (sessionInfo?.delivery) {
+      sessionInfo.delivery.close();
     }
+    if (sessionInfo?.tracer) {
+      sessionInfo.tracer.endTurn('session-ended');
+    }
+    this.activeSessions.delete(session.id);
+
+    // Close this session's Gemini Live connection
+    if (session.geminiSession) {
+      await session.geminiSession.closeSession();
+      session.geminiSession = null;
+    }
+
+    sessionManager.endSession(session.id);
   }
 
   // Cleanup resources
   async cleanup() {
     try {
-      // Close all active sessions
+      // Close all active sessions and their Gemini Live connections
       for (const [sessionId, sessionInfo] of this.activeSessions) {
         try {
-          const { session } = sessionInfo;
-          sessionManager.endSession(session.id);
+          await this.releaseSession(sessionInfo.session);
         } catch (error) {
           logger.error('Failed to cleanup session', { sessionId, error: error.message });
         }
       }
 
-      // Clear active sessions and audio buffers
+      // Clear active sessions
       this.activeSessions.clear();
-      this.audioBuffers.clear();
-      this.multiportConnections.clear();
 
-      // Close Gemini Live service
-      await this.geminiLiveService.closeSession();
+      // Export the traces of turns the sessions had finished
+      if (this.traceExporter) {
+        try {
+          await this.traceExporter.flush();
+        } catch (error) {
+          logger.error('Failed to flush turn traces', { exporter: this.traceExporter.name, error: error.message });
+        }
+      }
 
       logger.info('VoiceHandlerLive cleanup completed');
     } catch (error) {
@@ -1184,17 +1563,22 @@ class VoiceHandlerLive {
 
   // Get service status
   getStatus() {
+    const geminiServices = this.getGeminiServices();
+
     return {
       activeSessions: this.activeSessions.size,
-      geminiLiveConnected: this.geminiLiveService.isConnected,
+      suspendedSessions: Array.from(this.activeSessions.values()).filter(sessionInfo => sessionInfo.suspended).length,
+      geminiLiveConnected: geminiServices.some(service => service.isConnected),
+      geminiLiveSessions: {
+        total: geminiServices.length,
+        connected: geminiServices.filter(service => service.isConnected).length
+      },
       serviceType: 'Gemini Live API',
-      multiport: {
-        enabled: this.multiportConfig.enabled,
-        maxPorts: this.multiportConfig.maxPorts,
-        portBase: this.multiportConfig.portBase,
-        chunkDelay: this.multiportConfig.chunkDelay,
-        activeConnections: this.multiportConnections.size
-      }
+      traceExporter: this.traceExporter ? this.traceExporter.name : 'none',
+      delivery: Array.from(this.activeSessions.values()).map(sessionInfo => ({
+        sessionId: sessionInfo.session.id,
+        ...this.getDeliveryStats(sessionInfo.session.id)
+      }))
     };
   }
 }
@@ -0,0 +1,97 @@
+// Binary audio frame protocol for Socket.IO clients that opt in with `audioTransport: 'binary'`
+//
+// Each `audio-chunk` carries a single binary attachment: an 8-byte header followed by the audio payload.
+//
+//   offset 0  uint8   protocol version (1)
+//   offset 1  uint8   frame type (1 = audio)
+//   offset 2  uint8   flags (0x01 first chunk of a response, 0x02 last chunk of a turn)
+//   offset 3  uint8   reserved (0)
+//   offset 4  uint32  chunk index, little-endian
+//   offset 8  ...     audio bytes in the negotiated input/output format
+
+const PROTOCOL_VERSION = 1;
+const HEADER_SIZE = 8;
+
+const FRAME_TYPES = {
+  AUDIO: 1
+};
+
+const FLAGS = {
+  FIRST_CHUNK: 0x01,
+  LAST_CHUNK: 0x02
+};
+
+const AUDIO_TRANSPORTS = ['base64', 'binary'];
+
+// True for the payload shapes Socket.IO hands us for binary attachments
+function isBinaryPayload(data) {
+  return Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+// Normalize ArrayBuffer/typed-array payloads to a Buffer without copying
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(data);
+  }
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// Build a binary audio frame
+function encodeAudioFrame(payload, { chunkIndex = 0, isFirstChunk = false, isLastChunk = false } = {}) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  header[0] = PROTOCOL_VERSION;
+  header[1] = FRAME_TYPES.AUDIO;
+  header[2] = (isFirstChunk ? FLAGS.FIRST_CHUNK : 0) | (isLastChunk ? FLAGS.LAST_CHUNK : 0);
+  header.writeUInt32LE(chunkIndex >>> 0, 4);
+
+  return Buffer.concat([header, payload]);
+}
+
+// Parse a binary audio frame into its metadata and payload
+function decodeAudioFrame(data) {
+  const frame = toBuffer(data);
+
+  if (frame.length < HEADER_SIZE) {
+    throw new Error(`Binary audio frame is ${frame.length} bytes, shorter than the ${HEADER_SIZE}-byte header`);
+  }
+  if (frame[0] !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported binary frame version ${frame[0]}`);
+  }
+  if (frame[1] !== FRAME_TYPES.AUDIO) {
+    throw new Error(`Unsupported binary frame type ${frame[1]}`);
+  }
+
+  return {
+    chunkIndex: frame.readUInt32LE(4),
+    isFirstChunk: Boolean(frame[2] & FLAGS.FIRST_CHUNK),
+    isLastChunk: Boolean(frame[2] & FLAGS.LAST_CHUNK),
+    audio: frame.subarray(HEADER_SIZE)
+  };
+}
+
+// Validate the `audioTransport` a client asked for in start-conversation
+function negotiateAudioTransport(requested) {
+  if (requested === undefined || requested === null) {
+    return 'base64';
+  }
+  if (!AUDIO_TRANSPORTS.includes(requested)) {
+    throw new Error(`Unsupported audioTransport "${requested}" - expected one of ${AUDIO_TRANSPORTS.join(', ')}`);
+  }
+  return requested;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  HEADER_SIZE,
+  FRAME_TYPES,
+  FLAGS,
+  AUDIO_TRANSPORTS,
+  isBinaryPayload,
+  toBuffer,
+  encodeAudioFrame,
+  decodeAudioFrame,
+  negotiateAudioTransport
+};
@@ -0,0 +1,15 @@
+// 16-bit mono PCM fixtures for audio tests
+
+// A sine tone at `amplitude` (0..1) of full scale
+const tone = (durationMs, sampleRate = 16000, frequency = 440, amplitude = 0.3) => {
+  const samples = Math.round(sampleRate * durationMs / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * amplitude * 32767), i * 2);
+  }
+  return buffer;
+};
+
+const silence = (durationMs, sampleRate = 16000) => Buffer.alloc(Math.round(sampleRate * durationMs / 1000) * 2);
+
+module.exports = { tone, silence };
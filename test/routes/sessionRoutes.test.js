@@ -0,0 +1,89 @@
+process.env.AUTH_API_KEYS = 'acme:acme-key,globex:globex-key';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const sessionManager = require('../../src/services/SessionManager');
+
+// Headers of a caller authenticated with a tenant API key
+const as = (tenantId, userId) => ({ 'X-API-Key': `${tenantId}-key`, 'X-User-Id': userId });
+
+// A live session started by `userId` of `tenantId`, as the socket handler creates them
+const startSession = (tenantId, userId) => {
+  const session = sessionManager.createSession(`socket-${tenantId}-${userId}`, `${tenantId}:${userId}`);
+  session.metadata.authMethod = 'api-key';
+  session.metadata.tenantId = tenantId;
+  session.updateStatus('active');
+  return session;
+};
+
+describe('/api/session', () => {
+  let session;
+
+  beforeEach(() => {
+    session = startSession('acme', 'alice');
+  });
+
+  afterEach(() => {
+    sessionManager.sessions.forEach((_, sessionId) => sessionManager.endSession(sessionId));
+  });
+
+  afterAll(async () => {
+    await sessionManager.shutdown();
+  });
+
+  test.each(['', '/history', '/export'])('GET /:sessionId%s answers the session owner', async (path) => {
+    const response = await request(app).get(`/api/session/${session.id}${path}`).set(as('acme', 'alice'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+  });
+
+  test.each([
+    ['another user of the tenant', as('acme', 'bob')],
+    ['the same user name in another tenant', as('globex', 'alice')],
+    ['an anonymous caller', {}]
+  ])('GET /:sessionId, /history and /export refuse %s', async (name, headers) => {
+    for (const path of ['', '/history', '/export']) {
+      const response = await request(app).get(`/api/session/${session.id}${path}`).set(headers);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe('Session belongs to another user');
+    }
+  });
+
+  test('DELETE /:sessionId only lets the owner end the session', async () => {
+    const refused = await request(app).delete(`/api/session/${session.id}`).set(as('acme', 'bob'));
+    expect(refused.status).toBe(403);
+    expect(sessionManager.getSession(session.id)).toBe(session);
+
+    const ended = await request(app).delete(`/api/session/${session.id}`).set(as('acme', 'alice'));
+    expect(ended.status).toBe(200);
+    expect(sessionManager.getSession(session.id)).toBeUndefined();
+  });
+
+  test('unknown sessions are not found', async () => {
+    const response = await request(app).get('/api/session/00000000-0000-0000-0000-000000000000').set(as('acme', 'alice'));
+
+    expect(response.status).toBe(404);
+  });
+
+  test('GET / lists only the caller\'s tenant\'s sessions', async () => {
+    const colleague = startSession('acme', 'bob');
+    startSession('globex', 'carol');
+
+    const response = await request(app).get('/api/session').set(as('acme', 'alice'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessions.map(({ id }) => id).sort()).toEqual([session.id, colleague.id].sort());
+  });
+
+  test('GET /stats/summary sums the statistics of every node', async () => {
+    startSession('globex', 'carol');
+
+    const response = await request(app).get('/api/session/stats/summary').set(as('acme', 'alice'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.statistics).toMatchObject({ totalSessions: 2, activeSessions: 2, nodes: 1 });
+    expect(response.body.unreachableNodes).toEqual([]);
+  });
+});
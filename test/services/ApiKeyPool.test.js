@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiKeyPool = require('../../src/services/ApiKeyPool');
+
+const ApiKeyPool = apiKeyPool.constructor;
+const ENV_KEYS = ['GEMINI_API_KEY', 'BACKUP_KEY', 'BACKUP_KEY_ONE', 'BACKUP_KEY_TWO'];
+
+const POOL = {
+  cooldownMs: 1000,
+  maxCooldownMs: 5000,
+  failureThreshold: 3,
+  errorWindow: 4,
+  reloadMs: 0
+};
+
+const quotaError = () => Object.assign(new Error('Too many requests'), { status: 429 });
+
+describe('ApiKeyPool', () => {
+  const savedEnv = {};
+  let dir;
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(name => {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+    process.env.GEMINI_API_KEY = 'key-aaaaaaaaaaaa';
+    process.env.BACKUP_KEY = 'key-bbbbbbbbbbbb';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sova-keys-'));
+    jest.useFakeTimers({ now: 1000000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+    ENV_KEYS.forEach(name => {
+      if (savedEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedEnv[name];
+      }
+    });
+  });
+
+  const createPool = (gemini = {}) => new ApiKeyPool(POOL, { transport: 'google', ...gemini });
+  const entry = (pool, id) => Array.from(pool.keys.values()).find(key => key.id === id);
+
+  describe('loading keys', () => {
+    test('reads the environment, the keys file and the secrets directory, first occurrence wins', () => {
+      const keysFile = path.join(dir, 'keys.txt');
+      fs.writeFileSync(keysFile, '# rotated monthly\nkey-cccccccccccc\n\nkey-aaaaaaaaaaaa\n');
+      const secrets = path.join(dir, 'secrets');
+      fs.mkdirSync(secrets);
+      fs.writeFileSync(path.join(secrets, 'z-key'), 'key-eeeeeeeeeeee\n');
+      fs.writeFileSync(path.join(secrets, 'a-key'), 'key-dddddddddddd');
+      fs.writeFileSync(path.join(secrets, '.hidden'), 'key-ffffffffffff');
+
+      const pool = createPool({ keysFile, keysDir: secrets });
+
+      expect(pool.getStatus().map(({ id, source }) => [id, source])).toEqual([
+        ['GEMINI_API_KEY', 'env'],
+        ['BACKUP_KEY', 'env'],
+        ['keys.txt:2', 'file'],
+        ['a-key', 'secret'],
+        ['z-key', 'secret']
+      ]);
+    });
+
+    test('falls back to a placeholder key only for the mock transport', () => {
+      ENV_KEYS.forEach(name => delete process.env[name]);
+
+      expect(createPool().size).toBe(0);
+      expect(createPool({ transport: 'mock' }).getStatus()).toEqual([expect.objectContaining({ id: 'mock', source: 'mock' })]);
+    });
+
+    test('reload keeps the history of keys that stay and drops removed ones', () => {
+      const pool = createPool();
+      pool.reportFailure(entry(pool, 'GEMINI_API_KEY'), new Error('reset'));
+      delete process.env.BACKUP_KEY;
+      process.env.BACKUP_KEY_ONE = 'key-cccccccccccc';
+
+      pool.reload();
+
+      expect(pool.getStatus().map(({ id, failures }) => [id, failures])).toEqual([['GEMINI_API_KEY', 1], ['BACKUP_KEY_ONE', 0]]);
+    });
+  });
+
+  describe('acquire', () => {
+    test('prefers the lowest recent error rate, then the fewest leases', () => {
+      const pool = createPool();
+      const first = pool.acquire();
+      const second = pool.acquire();
+
+      expect([first.id, second.id]).toEqual(['GEMINI_API_KEY', 'BACKUP_KEY']);
+
+      pool.reportFailure(second, new Error('reset'));
+      pool.reportSuccess(first);
+      expect(pool.acquire().id).toBe('GEMINI_API_KEY');
+    });
+
+    test('skips excluded keys and returns null when none are left', () => {
+      const pool = createPool();
+
+      expect(pool.acquire({ exclude: ['GEMINI_API_KEY'] }).id).toBe('BACKUP_KEY');
+      expect(pool.acquire({ exclude: ['GEMINI_API_KEY', 'BACKUP_KEY'] })).toBeNull();
+    });
+
+    test('uses the key that recovers first when every key is cooling down', () => {
+      const pool = createPool();
+      pool.reportFailure(entry(pool, 'GEMINI_API_KEY'), quotaError());
+      jest.advanceTimersByTime(200);
+      pool.reportFailure(entry(pool, 'BACKUP_KEY'), quotaError());
+
+      expect(pool.acquire().id).toBe('GEMINI_API_KEY');
+    });
+
+    test('release hands a lease back without going below zero', () => {
+      const pool = createPool();
+      const key = pool.acquire();
+
+      pool.release(key);
+      pool.release(key);
+
+      expect(key.leases).toBe(0);
+    });
+  });
+
+  describe('cooldowns', () => {
+    test('rest a key straight after a quota error and bring it back once the cooldown has passed', () => {
+      const pool = createPool();
+      const key = entry(pool, 'GEMINI_API_KEY');
+
+      pool.reportFailure(key, quotaError());
+
+      expect(pool.getStatus()[0]).toMatchObject({ status: 'cooling-down', cooldownRemainingMs: 1000, quotaErrors: 1 });
+      expect(pool.acquire().id).toBe('BACKUP_KEY');
+
+      jest.advanceTimersByTime(999);
+      expect(pool.isCoolingDown(key)).toBe(true);
+      jest.advanceTimersByTime(1);
+      expect(pool.isCoolingDown(key)).toBe(false);
+      expect(pool.getStatus()[0]).toMatchObject({ status: 'available', cooldownRemainingMs: 0 });
+    });
+
+    test('double with each cooldown in a row, up to the maximum', () => {
+      const pool = createPool();
+      const key = entry(pool, 'GEMINI_API_KEY');
+      const durations = [];
+
+      for (let i = 0; i < 5; i++) {
+        pool.reportFailure(key, quotaError());
+        durations.push(key.cooldownUntil - Date.now());
+        jest.advanceTimersByTime(key.cooldownUntil - Date.now());
+      }
+
+      expect(durations).toEqual([1000, 2000, 4000, 5000, 5000]);
+    });
+
+    test('start over after a successful connection', () => {
+      const pool = createPool();
+      const key = entry(pool, 'GEMINI_API_KEY');
+      pool.reportFailure(key, quotaError());
+      jest.advanceTimersByTime(1000);
+      pool.reportFailure(key, quotaError());
+      jest.advanceTimersByTime(2000);
+
+      pool.reportSuccess(key);
+      pool.reportFailure(key, quotaError());
+
+      expect(key.cooldownUntil - Date.now()).toBe(1000);
+    });
+
+    test('rest a key after repeated connection errors', () => {
+      const pool = createPool();
+      const key = entry(pool, 'GEMINI_API_KEY');
+
+      pool.reportFailure(key, new Error('reset'));
+      pool.reportFailure(key, new Error('reset'));
+      expect(pool.isCoolingDown(key)).toBe(false);
+
+      pool.reportFailure(key, new Error('reset'));
+      expect(pool.isCoolingDown(key)).toBe(true);
+      expect(key.quotaErrors).toBe(0);
+      expect(key.lastError).toMatchObject({ message: 'reset', quota: false });
+    });
+  });
+
+  test('health is the share of successes in the recent error window', () => {
+    const pool = createPool();
+    const key = entry(pool, 'GEMINI_API_KEY');
+
+    pool.reportSuccess(key);
+    pool.reportFailure(key, new Error('reset'));
+    [1, 2, 3].forEach(() => pool.reportSuccess(key));
+
+    // The window holds the last four outcomes: one failure, three successes
+    expect(pool.getStatus()[0]).toMatchObject({ health: 0.75, requests: 5, failures: 1 });
+  });
+
+  test.each([
+    [{ status: 429 }, true],
+    [{ code: 429 }, true],
+    [new Error('RESOURCE_EXHAUSTED'), true],
+    [{ reason: 'You exceeded your current quota' }, true],
+    [new Error('socket hang up'), false],
+    [null, false]
+  ])('isQuotaError(%p) is %p', (error, expected) => {
+    expect(apiKeyPool.isQuotaError(error)).toBe(expected);
+  });
+});
@@ -0,0 +1,72 @@
+const clusterService = require('../../src/services/ClusterService');
+const { LocalClusterRegistry } = require('../../src/services/cluster');
+const config = require('../../src/config/environment');
+
+const ClusterService = clusterService.constructor;
+
+describe('ClusterService', () => {
+  let state;
+  let nodes;
+
+  // A node of a fresh in-process cluster that answers `whoami` with its id
+  const startNode = async (nodeId) => {
+    const node = new ClusterService(new LocalClusterRegistry(state), {
+      ...config.cluster,
+      nodeId,
+      heartbeatMs: 60000,
+      requestTimeoutMs: 200
+    });
+    node.handle('whoami', ({ sessionId = null }) => ({ nodeId, sessionId }));
+    await node.start();
+    nodes.push(node);
+    return node;
+  };
+
+  beforeEach(() => {
+    state = LocalClusterRegistry.createState();
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(nodes.map(node => node.stop()));
+  });
+
+  test('runs a session action on the node that owns the session', async () => {
+    const nodeA = await startNode('node-a');
+    const nodeB = await startNode('node-b');
+    await nodeB.trackSession({ id: 'session-1', status: 'active' });
+
+    expect(await nodeA.run('session-1', 'whoami')).toEqual({ nodeId: 'node-b', sessionId: 'session-1' });
+    expect(await nodeA.run('unowned', 'whoami')).toEqual({ nodeId: 'node-a', sessionId: 'unowned' });
+  });
+
+  test('runOnAllNodes collects an answer from every live node', async () => {
+    const nodeA = await startNode('node-a');
+    await startNode('node-b');
+
+    const { results, unreachable } = await nodeA.runOnAllNodes('whoami');
+
+    expect(results).toEqual([
+      { nodeId: 'node-a', result: { nodeId: 'node-a', sessionId: null } },
+      { nodeId: 'node-b', result: { nodeId: 'node-b', sessionId: null } }
+    ]);
+    expect(unreachable).toEqual([]);
+  });
+
+  test('runOnAllNodes lists nodes that do not answer instead of failing', async () => {
+    const nodeA = await startNode('node-a');
+    // Registered, but nothing listens for its requests
+    await new LocalClusterRegistry(state).registerNode({ id: 'node-silent' });
+
+    const { results, unreachable } = await nodeA.runOnAllNodes('whoami');
+
+    expect(results.map(({ nodeId }) => nodeId)).toEqual(['node-a']);
+    expect(unreachable).toEqual(['node-silent']);
+  });
+
+  test('runOnAllNodes fails when this node cannot run the action', async () => {
+    const nodeA = await startNode('node-a');
+
+    await expect(nodeA.runOnAllNodes('unknown')).rejects.toThrow('Unknown cluster action "unknown"');
+  });
+});
@@ -0,0 +1,80 @@
+const ConversationContext = require('../../src/services/ConversationContext');
+
+describe('ConversationContext', () => {
+  test('replays recorded turns as Live API client content', () => {
+    const context = new ConversationContext({ maxTurns: 10 });
+    context.addTurn('user', '  What is the range?  ');
+    context.addTurn('assistant', 'About 150 km.');
+    context.addTurn('user', '   ');
+
+    expect(context.buildReplayTurns()).toEqual([
+      { role: 'user', parts: [{ text: 'What is the range?' }] },
+      { role: 'model', parts: [{ text: 'About 150 km.' }] }
+    ]);
+    expect(context.totalTurns).toBe(2);
+  });
+
+  test('folds turns beyond maxTurns into a summary that leads the replay', () => {
+    const context = new ConversationContext({ maxTurns: 2 });
+    context.addTurn('user', 'Hi');
+    context.addTurn('assistant', 'Hello! How can I help?');
+    context.addTurn('user', 'Book a test ride');
+
+    expect(context.buildReplayTurns()).toEqual([
+      { role: 'user', parts: [{ text: 'Summary of our conversation so far (1 earlier turns):\nUser: Hi' }] },
+      { role: 'model', parts: [{ text: 'Hello! How can I help?' }] },
+      { role: 'user', parts: [{ text: 'Book a test ride' }] }
+    ]);
+  });
+
+  test('shortens long summary lines and drops the oldest once the summary is full', () => {
+    const context = new ConversationContext({ maxTurns: 1, maxSummaryChars: 220 });
+    context.addTurn('user', 'x'.repeat(300));
+    context.addTurn('assistant', 'Short answer');
+    context.addTurn('user', 'Next question');
+
+    expect(context.summary[0]).toBe('Assistant: Short answer');
+    expect(context.getStats()).toMatchObject({ turns: 1, summarizedTurns: 2 });
+
+    const fresh = new ConversationContext({ maxTurns: 1 });
+    fresh.addTurn('user', 'x'.repeat(300));
+    fresh.addTurn('user', 'Next');
+    expect(fresh.summary[0]).toBe(`User: ${'x'.repeat(197)}...`);
+  });
+
+  test('keeps the newest resumption handle until the server says it cannot resume', () => {
+    const context = new ConversationContext();
+
+    context.updateResumption({ resumable: true, newHandle: 'handle-1' });
+    context.updateResumption({ resumable: true, newHandle: 'handle-2' });
+    expect(context.getResumptionHandle()).toBe('handle-2');
+
+    context.updateResumption({ resumable: false });
+    expect(context.getResumptionHandle()).toBeNull();
+    expect(context.getStats().resumable).toBe(false);
+  });
+
+  test('a resumed connection is only missing the turns recorded after its handle', () => {
+    const context = new ConversationContext({ maxTurns: 10 });
+    context.addTurn('user', 'First');
+    context.addTurn('assistant', 'One');
+    context.updateResumption({ resumable: true, newHandle: 'handle-1' });
+    context.addTurn('user', 'Second');
+
+    expect(context.buildTurnsSinceResumption()).toEqual([{ role: 'user', parts: [{ text: 'Second' }] }]);
+
+    context.clearResumption();
+    expect(context.buildTurnsSinceResumption()).toHaveLength(3);
+  });
+
+  test('reset starts a new conversation', () => {
+    const context = new ConversationContext();
+    context.addTurn('user', 'Hi');
+    context.updateResumption({ resumable: true, newHandle: 'handle-1' });
+
+    context.reset();
+
+    expect(context.buildReplayTurns()).toEqual([]);
+    expect(context.getResumptionHandle()).toBeNull();
+  });
+});
@@ -0,0 +1,413 @@
+const GeminiLiveService = require('../../src/services/GeminiLiveService');
+const MockLiveTransport = require('../../src/services/transports/MockLiveTransport');
+const MockLiveServer = require('../../src/services/transports/mock/MockLiveServer');
+const apiKeyPool = require('../../src/services/ApiKeyPool');
+
+// A scripted reply: a text part, three 24 kHz audio chunks, then the end of the turn
+const SCRIPT = {
+  name: 'test',
+  sampleRate: 24000,
+  turns: [
+    {
+      match: 'use up the quota',
+      events: [{ type: 'close', reason: 'RESOURCE_EXHAUSTED: quota exceeded', delayMs: 20 }]
+    },
+    {
+      match: 'interrupt me',
+      events: [
+        { type: 'audio', durationMs: 300, chunks: 3, delayMs: 50 },
+        { type: 'interrupted', delayMs: 20 }
+      ]
+    },
+    {
+      events: [
+        { type: 'text', text: 'The RV400 has a range of 150 km.' },
+        { type: 'outputTranscription', text: 'The RV400 has a range of 150 km.' },
+        { type: 'audio', durationMs: 300, chunks: 3, delayMs: 10 },
+        { type: 'turnComplete', delayMs: 100 }
+      ]
+    }
+  ]
+};
+
+// 100 ms of 24 kHz LINEAR16 silence as Live API inlineData
+const audioMessage = (ms = 100) => ({
+  serverContent: {
+    modelTurn: {
+      parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: Buffer.alloc(24 * ms * 2).toString('base64') } }]
+    }
+  }
+});
+
+const createService = (server = new MockLiveServer(SCRIPT), options = { compression: null }) => {
+  const service = new GeminiLiveService({
+    transportFactory: (apiKey) => new MockLiveTransport(apiKey, { server }),
+    ...options
+  });
+  const events = { chunks: [], turns: [], texts: [], transcripts: [], warnings: [], interruptions: 0 };
+
+  service.setCallbacks({
+    onAudioChunk: (chunk, info) => events.chunks.push({ chunk, info }),
+    onTurnComplete: (info) => events.turns.push(info),
+    onTextResponse: (text) => events.texts.push(text),
+    onTranscript: (transcript) => events.transcripts.push(transcript),
+    onSessionWarning: (warning) => events.warnings.push(warning),
+    onInterruption: () => {
+      events.interruptions++;
+    }
+  });
+
+  return { service, server, events };
+};
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('GeminiLiveService', () => {
+  let current;
+
+  afterEach(async () => {
+    await current.service.closeSession();
+  });
+
+  describe('with the mock Live server', () => {
+    test('streams a text turn back as ordered audio chunks and completes it once', async () => {
+      current = createService();
+      const { service, server, events } = current;
+      await service.ready;
+      service.startConversation('session-1');
+
+      await service.sendTextInput('What is the range?', 'session-1');
+      await waitFor(() => events.turns.length > 0);
+      await service.messageQueue;
+
+      expect(events.chunks.map(({ info }) => info.sequence)).toEqual([0, 1, 2]);
+      expect(events.chunks[0].info.isFirstChunk).toBe(true);
+      expect(events.chunks.every(({ chunk }) => Buffer.isBuffer(chunk) && chunk.length > 0)).toBe(true);
+
+      // generationComplete and turnComplete both arrive, but the response completes only once
+      expect(events.turns).toHaveLength(1);
+      expect(events.turns[0]).toMatchObject({ reason: 'generationComplete', totalChunks: 3 });
+
+      expect(events.texts).toEqual(['The RV400 has a range of 150 km.']);
+      expect(events.transcripts.filter(transcript => transcript.isFinal)).toEqual([
+        expect.objectContaining({ role: 'assistant', text: 'The RV400 has a range of 150 km.' })
+      ]);
+
+      const [session] = server.sessions;
+      expect(session.inputs).toContainEqual({ kind: 'realtime', params: { text: 'What is the range?' } });
+      expect(service.getConversationStats().turnCount).toBe(1);
+    });
+
+    test('answers the first turn on the connection opened at startup', async () => {
+      current = createService();
+      const { service, server, events } = current;
+      await service.ready;
+      const [session] = server.sessions;
+      service.startConversation('session-1');
+
+      await service.sendTextInput('What is the range?', 'session-1');
+      await waitFor(() => events.turns.length > 0);
+
+      expect(Array.from(server.sessions)).toEqual([session]);
+      expect(session.inputs).toEqual([{ kind: 'realtime', params: { text: 'What is the range?' } }]);
+    });
+
+    test('reopens a dropped connection before sending the turn', async () => {
+      current = createService();
+      const { service, server, events } = current;
+      await service.ready;
+      service.startConversation('session-1');
+      service.isConnected = false;
+
+      await service.sendTextInput('What is the range?', 'session-1');
+      await waitFor(() => events.turns.length > 0);
+
+      expect(server.sessions.size).toBe(1);
+      expect(service.isConnected).toBe(true);
+      expect(events.texts).toEqual(['The RV400 has a range of 150 km.']);
+    });
+
+    test('reopens a dropped connection before the first audio frame of a turn', async () => {
+      current = createService();
+      const { service, server, events } = current;
+      await service.ready;
+      service.startConversation('session-1');
+      // A drop that automatic reconnection did not repair
+      service.sessionManager.autoReconnect = false;
+      const [oldSession] = server.sessions;
+      oldSession.close();
+      expect(service.isConnected).toBe(false);
+
+      await service.sendRealtimeAudio(Buffer.alloc(640), 'session-1');
+      await service.sendRealtimeAudio(Buffer.alloc(640), 'session-1');
+      await service.endUserActivity('session-1');
+      await waitFor(() => events.turns.length > 0);
+
+      const [newSession] = server.sessions;
+      expect(newSession).not.toBe(oldSession);
+      expect(newSession.inputs.filter(({ params }) => params.audio)).toHaveLength(2);
+      expect(service.inputStream).toMatchObject({ isActive: false, chunkCount: 2, bytesSent: 1280 });
+    });
+
+    test('ignores messages from a connection it has replaced', async () => {
+      current = createService();
+      const { service, server, events } = current;
+      await service.ready;
+      const [oldSession] = server.sessions;
+
+      await service.reopenSession();
+      await oldSession.callbacks.onmessage(audioMessage());
+      await service.messageQueue;
+
+      expect(events.chunks).toHaveLength(0);
+      expect(service.currentAudioResponse.chunkCount).toBe(0);
+    });
+
+    test('drops the response and reports the interruption', async () => {
+      current = createService();
+      const { service, events } = current;
+      await service.ready;
+      service.startConversation('session-1');
+
+      await service.sendTextInput('interrupt me', 'session-1');
+      await waitFor(() => events.interruptions > 0);
+
+      expect(events.chunks.length).toBeGreaterThan(0);
+      expect(events.turns).toHaveLength(0);
+      expect(service.currentAudioResponse.chunkCount).toBe(0);
+      expect(service.conversationState.isInterrupted).toBe(true);
+    });
+  });
+
+  describe('API key failures', () => {
+    let reportFailure;
+
+    beforeEach(() => {
+      reportFailure = jest.spyOn(apiKeyPool, 'reportFailure').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      reportFailure.mockRestore();
+    });
+
+    test('reports a quota close once and moves the conversation to a new connection', async () => {
+      current = createService();
+      const { service, server } = current;
+      await service.ready;
+      const key = service.apiKey;
+      const [oldSession] = server.sessions;
+      service.startConversation('session-1');
+
+      await service.sendTextInput('use up the quota', 'session-1');
+      await waitFor(() => server.sessions.size === 1 && !server.sessions.has(oldSession) && service.isConnected);
+
+      expect(reportFailure).toHaveBeenCalledTimes(1);
+      expect(reportFailure).toHaveBeenCalledWith(key, new Error('RESOURCE_EXHAUSTED: quota exceeded'), true);
+      const [newSession] = server.sessions;
+      expect(newSession.inputs).toEqual([{
+        kind: 'client-content',
+        params: { turns: [{ role: 'user', parts: [{ text: 'use up the quota' }] }], turnComplete: false }
+      }]);
+    });
+
+    test('reports an error followed by the close it causes once', async () => {
+      current = createService();
+      const { service, server } = current;
+      await service.ready;
+      const [session] = server.sessions;
+      const error = new Error('socket reset');
+
+      session.callbacks.onerror(error);
+      session.callbacks.onclose({ reason: 'Connection lost' });
+
+      expect(reportFailure).toHaveBeenCalledTimes(1);
+      expect(reportFailure).toHaveBeenCalledWith(service.apiKey, error, false);
+      expect(service.isConnected).toBe(false);
+    });
+
+    test('does not count a clean close against the key', async () => {
+      current = createService();
+      const { service, server } = current;
+      await service.ready;
+      const [session] = server.sessions;
+
+      session.callbacks.onclose({ reason: 'Session ended' });
+
+      expect(reportFailure).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('context compression', () => {
+    test('is off unless CONTEXT_COMPRESSION or the session asks for it', () => {
+      expect(GeminiLiveService.negotiateCompression()).toBeNull();
+      expect(GeminiLiveService.negotiateCompression(false)).toBeNull();
+      expect(GeminiLiveService.negotiateCompression(true)).toEqual({ triggerTokens: 25600, targetTokens: 12800 });
+      expect(GeminiLiveService.negotiateCompression({ triggerTokens: 20000, targetTokens: 10000 }))
+        .toEqual({ triggerTokens: 20000, targetTokens: 10000 });
+      expect(() => GeminiLiveService.negotiateCompression({ triggerTokens: 1000, targetTokens: 2000 }))
+        .toThrow('Context compression needs whole-number targetTokens below triggerTokens');
+    });
+
+    test('a default session connects without compression and is warned before the context fills up', async () => {
+      current = createService(new MockLiveServer(SCRIPT), {});
+      const { service, server, events } = current;
+      await service.ready;
+      const [session] = server.sessions;
+
+      expect(session.config.contextWindowCompression).toBeUndefined();
+
+      service.handleUsage({ promptTokenCount: 20000 });
+      service.handleUsage({ promptTokenCount: 30000 });
+      service.handleUsage({ promptTokenCount: 31000 });
+      await Promise.resolve();
+
+      expect(events.warnings).toEqual([{ reason: 'context', contextTokens: 30000, limitTokens: 32768, remainingTokens: 2768 }]);
+    });
+
+    test('a compressed session asks the server to slide the window and is not warned', async () => {
+      current = createService(new MockLiveServer(SCRIPT), { compression: GeminiLiveService.negotiateCompression(true) });
+      const { service, server, events } = current;
+      await service.ready;
+      const [session] = server.sessions;
+
+      expect(session.config.contextWindowCompression).toEqual({
+        triggerTokens: '25600',
+        slidingWindow: { targetTokens: '12800' }
+      });
+
+      service.handleUsage({ promptTokenCount: 31000 });
+      await Promise.resolve();
+
+      expect(events.warnings).toEqual([]);
+    });
+  });
+
+  describe('restartSessionWithNewPrompt', () => {
+    test('applies the new prompt on a fresh connection and replays the conversation into it', async () => {
+      current = createService();
+      const { service, server, events } = current;
+      await service.ready;
+      service.startConversation('session-1');
+      await service.sendTextInput('What is the range?', 'session-1');
+      await waitFor(() => events.turns.length > 0);
+      await service.messageQueue;
+      const [oldSession] = server.sessions;
+
+      service.setPersona({ id: 'agent', version: 2, text: 'Answer in Hindi.' });
+      service.setLanguageCode('hi-IN');
+      const reopened = await service.restartSessionWithNewPrompt('Puck');
+
+      const [newSession] = server.sessions;
+      expect(newSession).not.toBe(oldSession);
+      expect(newSession.resumedFrom).toBeNull();
+      expect(newSession.config.systemInstruction.parts[0].text).toBe('Answer in Hindi.');
+      expect(newSession.config.speechConfig).toMatchObject({ languageCode: 'hi-IN', voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Puck' } } });
+      expect(reopened).toEqual({ resumed: false, replayedTurns: 2 });
+      expect(newSession.inputs).toEqual([{
+        kind: 'client-content',
+        params: {
+          turns: [
+            { role: 'user', parts: [{ text: 'What is the range?' }] },
+            { role: 'model', parts: [{ text: 'The RV400 has a range of 150 km.' }] }
+          ],
+          turnComplete: false
+        }
+      }]);
+      expect(service.conversationState).toMatchObject({ isActive: true, sessionId: 'session-1', turnCount: 1 });
+    });
+  });
+
+  describe('handleServerMessage', () => {
+    test('reports the playback duration of each forwarded chunk', async () => {
+      current = createService();
+      const { service, events } = current;
+      await service.ready;
+
+      await service.handleServerMessage(audioMessage(100));
+      await service.handleServerMessage(audioMessage(40));
+
+      expect(events.chunks).toHaveLength(2);
+      expect(events.chunks[0].info).toEqual({ sequence: 0, isFirstChunk: true, durationMs: 100 });
+      expect(events.chunks[1].info).toEqual({ sequence: 1, isFirstChunk: false, durationMs: 40 });
+      expect(service.currentAudioResponse.chunkCount).toBe(2);
+    });
+
+    test('starts a fresh response after turnComplete', async () => {
+      current = createService();
+      const { service, events } = current;
+      await service.ready;
+
+      await service.handleServerMessage(audioMessage());
+      await service.handleServerMessage({ serverContent: { turnComplete: true } });
+      await service.handleServerMessage(audioMessage());
+
+      expect(events.turns).toEqual([expect.objectContaining({ reason: 'turnComplete', totalChunks: 1 })]);
+      expect(events.chunks.map(({ info }) => info.isFirstChunk)).toEqual([true, true]);
+      expect(service.currentAudioResponse.isComplete).toBe(false);
+    });
+
+    test('ignores parts without audio data', async () => {
+      current = createService();
+      const { service, events } = current;
+      await service.ready;
+
+      await service.handleServerMessage({ serverContent: { modelTurn: { parts: [{ text: 'Hello' }, { inlineData: {} }] } } });
+
+      expect(events.chunks).toHaveLength(0);
+      expect(events.texts).toEqual(['Hello']);
+    });
+  });
+
+  describe('completeAudioResponse', () => {
+    test('does nothing before the first chunk', async () => {
+      current = createService();
+      const { service, events } = current;
+      await service.ready;
+
+      await service.completeAudioResponse('turnComplete');
+
+      expect(events.turns).toHaveLength(0);
+      expect(service.currentAudioResponse.isComplete).toBe(false);
+    });
+
+    test('completes a response only once', async () => {
+      current = createService();
+      const { service, events } = current;
+      await service.ready;
+
+      await service.handleServerMessage(audioMessage());
+      await service.completeAudioResponse('generationComplete');
+      await service.completeAudioResponse('turnComplete');
+
+      expect(events.turns).toHaveLength(1);
+      expect(events.turns[0]).toMatchObject({ reason: 'generationComplete', totalChunks: 1 });
+    });
+
+    test('records the response size on the last conversation turn', async () => {
+      current = createService();
+      const { service } = current;
+      await service.ready;
+      service.startConversation('session-1');
+      service.recordTurn('text', 5);
+
+      await service.handleServerMessage(audioMessage(100));
+      // 50 bytes are 68 base64 characters, the last of them padding
+      await service.handleServerMessage({
+        serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: Buffer.alloc(50).toString('base64') } }] } }
+      });
+      await service.completeAudioResponse('turnComplete');
+
+      // The decoded 24 kHz LINEAR16 bytes, not the length of their base64 text
+      const [turn] = service.conversationState.conversationHistory;
+      expect(turn.responseLength).toBe(4850);
+    });
+  });
+});
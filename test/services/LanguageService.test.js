@@ -0,0 +1,66 @@
+const languageService = require('../../src/services/LanguageService');
+
+describe('LanguageService', () => {
+  describe('negotiate', () => {
+    test('falls back to GEMINI_LANGUAGE_CODE when no language is asked for', () => {
+      expect(languageService.negotiate()).toBe('en-US');
+      expect(languageService.negotiate('')).toBe('en-US');
+    });
+
+    test.each([
+      ['hi-IN', 'hi-IN'],
+      ['HI_in', 'hi-IN'],
+      [' ta-in ', 'ta-IN'],
+      ['en-GB', 'en-GB']
+    ])('normalizes %j to %s', (requested, expected) => {
+      expect(languageService.negotiate(requested)).toBe(expected);
+    });
+
+    test('maps a bare language to its Indian variant, or the first one listed', () => {
+      expect(languageService.negotiate('hi')).toBe('hi-IN');
+      expect(languageService.negotiate('en')).toBe('en-IN');
+      expect(languageService.negotiate('Mr')).toBe('mr-IN');
+    });
+
+    test.each(['fr-FR', 'fr', 'hi-US'])('rejects %s with the supported list', (requested) => {
+      expect(() => languageService.negotiate(requested)).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: `Unsupported language "${requested}"`,
+        details: expect.objectContaining({ code: 'UNSUPPORTED_LANGUAGE', supported: expect.arrayContaining(['hi-IN']) })
+      }));
+    });
+  });
+
+  describe('detect', () => {
+    test('recognizes Indian scripts', () => {
+      expect(languageService.detect('नमस्ते, आप कैसे हैं?')).toMatchObject({ language: 'hi', script: 'Devanagari', confidence: 1 });
+      expect(languageService.detect('வணக்கம்')).toMatchObject({ language: 'ta', script: 'Tamil' });
+      expect(languageService.detect('ನಮಸ್ಕಾರ')).toMatchObject({ language: 'kn', script: 'Kannada' });
+    });
+
+    test('uses the requested language when it shares the detected script', () => {
+      expect(languageService.detect('नमस्कार, कसे आहात?', 'mr-IN')).toMatchObject({ language: 'mr', script: 'Devanagari' });
+      expect(languageService.detect('Hello there', 'en-GB')).toMatchObject({ language: 'en', script: 'Latin' });
+      // A hint in another script does not override what was heard
+      expect(languageService.detect('नमस्ते दोस्त', 'ta-IN')).toMatchObject({ language: 'hi' });
+    });
+
+    test('reports the share of letters in the dominant script as confidence', () => {
+      // 12 Devanagari characters (vowel signs included) against 2 Latin letters
+      expect(languageService.detect('RV400 की कीमत क्या है')).toEqual({ language: 'hi', script: 'Devanagari', confidence: 0.86 });
+    });
+
+    test('needs a few letters to guess', () => {
+      expect(languageService.detect('ok')).toBeNull();
+      expect(languageService.detect('123 !?')).toBeNull();
+      expect(languageService.detect(null)).toBeNull();
+    });
+  });
+
+  test('getLanguage and list describe supported languages', () => {
+    expect(languageService.getLanguage('te-IN')).toEqual({ code: 'te-IN', name: 'Telugu', script: 'Telugu' });
+    expect(languageService.getLanguage('xx-XX')).toBeNull();
+    expect(languageService.list()).toContainEqual({ code: 'bn-IN', name: 'Bengali', script: 'Bengali' });
+    expect(languageService.getBaseLanguage('kn-IN')).toBe('kn');
+  });
+});
@@ -0,0 +1,76 @@
+const metrics = require('../../src/services/Metrics');
+
+const Metrics = metrics.constructor;
+
+describe('Metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Metrics();
+  });
+
+  test('renders counters with HELP and TYPE lines, one line per label set', async () => {
+    const counter = registry.counter('sova_test_total', 'Things counted');
+    counter.inc();
+    counter.inc({ reason: 'quota', node: 'a' }, 2);
+    counter.inc({ node: 'a', reason: 'quota' });
+
+    expect(await registry.render()).toBe([
+      '# HELP sova_test_total Things counted',
+      '# TYPE sova_test_total counter',
+      'sova_test_total 1',
+      'sova_test_total{reason="quota",node="a"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('escapes backslashes, quotes and newlines in label values', async () => {
+    registry.counter('sova_escape_total', 'Escaping').inc({ path: 'C:\\tmp\n"x"' });
+
+    expect(await registry.render()).toContain('sova_escape_total{path="C:\\\\tmp\\n\\"x\\""} 1');
+  });
+
+  test('gauges keep the last value and can be reset', async () => {
+    const gauge = registry.gauge('sova_test_sessions', 'Sessions');
+    gauge.set(4, { status: 'active' });
+    gauge.set(2, { status: 'active' });
+
+    expect(await registry.render()).toContain('sova_test_sessions{status="active"} 2');
+
+    gauge.reset();
+    expect(await registry.render()).not.toContain('sova_test_sessions{');
+  });
+
+  test('renders histograms as cumulative buckets with sum and count', async () => {
+    const histogram = registry.histogram('sova_test_seconds', 'Latency', [1, 0.5]);
+    histogram.observe(0.2);
+    histogram.observe(0.7);
+    histogram.observe(3);
+
+    expect((await registry.render()).split('\n')).toEqual(expect.arrayContaining([
+      '# TYPE sova_test_seconds histogram',
+      'sova_test_seconds_bucket{le="0.5"} 1',
+      'sova_test_seconds_bucket{le="1"} 2',
+      'sova_test_seconds_bucket{le="+Inf"} 3',
+      'sova_test_seconds_sum 3.9',
+      'sova_test_seconds_count 3'
+    ]));
+  });
+
+  test('returns the existing metric for a repeated name and refuses a different type', () => {
+    const counter = registry.counter('sova_test_total', 'Things counted');
+
+    expect(registry.counter('sova_test_total', 'Again')).toBe(counter);
+    expect(() => registry.gauge('sova_test_total', 'Clash')).toThrow('Metric sova_test_total is already registered as a counter');
+  });
+
+  test('runs collectors before rendering and survives a failing one', async () => {
+    const gauge = registry.gauge('sova_test_keys', 'Keys');
+    registry.addCollector(() => {
+      throw new Error('broken');
+    });
+    registry.addCollector(async () => gauge.set(3));
+
+    expect(await registry.render()).toContain('sova_test_keys 3');
+  });
+});
@@ -0,0 +1,86 @@
+const sessionManager = require('../../src/services/SessionManager');
+const { MemorySessionStore } = require('../../src/services/stores');
+
+const SessionManager = sessionManager.constructor;
+const MINUTE = 60 * 1000;
+
+describe('SessionManager', () => {
+  let manager;
+  let cluster;
+
+  beforeEach(() => {
+    cluster = { trackSession: jest.fn(), untrackSession: jest.fn() };
+    manager = new SessionManager(new MemorySessionStore(), { retentionMs: 60 * MINUTE }, cluster);
+  });
+
+  afterEach(async () => {
+    await manager.shutdown();
+  });
+
+  // The module's own instance runs a cleanup timer too
+  afterAll(async () => {
+    await sessionManager.shutdown();
+  });
+
+  // A session that has been quiet for `idleMs`
+  const idleSession = (status, idleMs = 10 * MINUTE) => {
+    const session = manager.createSession(`socket-${status}`);
+    session.updateStatus(status);
+    session.lastActivity = new Date(Date.now() - idleMs);
+    return session;
+  };
+
+  describe('cleanupInactiveSessions', () => {
+    test('ends idle sessions that are not in a call', () => {
+      const interrupted = idleSession('interrupted');
+      const recent = idleSession('initialized', MINUTE);
+
+      expect(manager.cleanupInactiveSessions()).toBe(1);
+      expect(manager.getSession(interrupted.id)).toBeUndefined();
+      expect(manager.getSession(recent.id)).toBe(recent);
+    });
+
+    test('leaves active sessions running however quiet they are', () => {
+      const active = idleSession('active');
+
+      expect(manager.cleanupInactiveSessions()).toBe(0);
+      expect(manager.getSession(active.id)).toBe(active);
+    });
+
+    test('leaves suspended sessions to their resume grace period', () => {
+      const suspended = idleSession('active');
+      manager.suspendSession(suspended.id);
+      suspended.lastActivity = new Date(Date.now() - 10 * MINUTE);
+
+      expect(manager.cleanupInactiveSessions()).toBe(0);
+      expect(manager.getSession(suspended.id).status).toBe('suspended');
+    });
+  });
+
+  test('a suspended session resumes on its new socket', () => {
+    const session = manager.createSession('socket-1');
+    session.updateStatus('active');
+
+    manager.suspendSession(session.id);
+    expect(manager.getSessionBySocketId('socket-1')).toBeNull();
+
+    manager.resumeSession(session.id, 'socket-2');
+    expect(manager.getSessionBySocketId('socket-2')).toBe(session);
+    expect(session).toMatchObject({ socketId: 'socket-2', status: 'active' });
+    expect(cluster.trackSession).toHaveBeenCalledTimes(3);
+  });
+
+  test('history and exports outlive the call through the session store', async () => {
+    const session = manager.createSession('socket-1', 'user-1');
+    session.conversationHistory.push({ type: 'user', text: 'Hello' });
+
+    manager.endSession(session.id);
+    await Promise.all(Array.from(manager.pendingWrites));
+
+    expect(manager.getSession(session.id)).toBeUndefined();
+    expect(cluster.untrackSession).toHaveBeenCalledWith(session.id);
+    expect(await manager.getHistory(session.id)).toEqual([{ type: 'user', text: 'Hello' }]);
+    expect(await manager.getSessionSummary(session.id)).toMatchObject({ id: session.id, status: 'ended' });
+    expect(await manager.exportSession(session.id)).toMatchObject({ id: session.id, userId: 'user-1' });
+  });
+});
@@ -0,0 +1,164 @@
+const OpusScript = require('opusscript');
+const InputAudioDecoder = require('../../../src/services/audio/InputAudioDecoder');
+const { buildWav, OggOpusMuxer } = require('../../../src/services/audio/containers');
+const { encodeG711, int16ToFloat32 } = require('../../../src/services/audio/pcm');
+const { tone } = require('../../helpers/audio');
+
+// RMS level of 16-bit PCM on a 0..1 scale
+const rms = (pcm) => {
+  const samples = int16ToFloat32(pcm);
+  return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+};
+
+// Interleave a mono buffer into `channels` identical channels
+const interleave = (pcm, channels) => {
+  const output = Buffer.alloc(pcm.length * channels);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    for (let c = 0; c < channels; c++) {
+      pcm.copy(output, (i * channels + c) * 2, i * 2, i * 2 + 2);
+    }
+  }
+  return output;
+};
+
+// 20 ms Opus packets of a tone, as a browser's encoder would send them
+const opusPackets = (durationMs, channels = 1) => {
+  const encoder = new OpusScript(48000, channels, OpusScript.Application.VOIP);
+  const pcm = interleave(tone(durationMs, 48000), channels);
+  const frameBytes = 960 * 2 * channels;
+  const packets = [];
+  for (let offset = 0; offset + frameBytes <= pcm.length; offset += frameBytes) {
+    packets.push(Buffer.from(encoder.encode(pcm.subarray(offset, offset + frameBytes), 960)));
+  }
+  encoder.delete();
+  return packets;
+};
+
+const decodeAll = async (decoder, chunks) => Buffer.concat(await Promise.all(chunks.map(chunk => decoder.decode(chunk))));
+
+describe('InputAudioDecoder', () => {
+  describe('negotiate', () => {
+    test('defaults to 16 kHz mono LINEAR16', () => {
+      expect(InputAudioDecoder.negotiate()).toEqual({ encoding: 'pcm16', sampleRate: 16000, channels: 1 });
+    });
+
+    test('accepts aliases, MIME types and their parameters', () => {
+      expect(InputAudioDecoder.negotiate('audio/pcm;rate=48000;channels=2'))
+        .toEqual({ encoding: 'pcm16', sampleRate: 48000, channels: 2 });
+      expect(InputAudioDecoder.negotiate('PCMU')).toEqual({ encoding: 'mulaw', sampleRate: 8000, channels: 1 });
+      expect(InputAudioDecoder.negotiate('audio/webm;codecs=opus'))
+        .toEqual({ encoding: 'webm-opus', sampleRate: 48000, channels: 1 });
+      expect(InputAudioDecoder.negotiate({ encoding: 'wav', sampleRate: 22050 }))
+        .toEqual({ encoding: 'wav', sampleRate: 22050, channels: 1 });
+    });
+
+    test.each([
+      ['audio/mp3', 'Unsupported input audio format "audio/mp3"'],
+      ['audio/webm;codecs=vorbis', 'Unsupported codec "vorbis" - only Opus is supported in audio/webm'],
+      [{ encoding: 'pcm16', sampleRate: 4000 }, 'Unsupported input sample rate 4000 Hz'],
+      [{ encoding: 'pcm16', channels: 9 }, 'Unsupported input channel count 9'],
+      [{ sampleRate: 16000 }, 'inputFormat must be a string or an object with an `encoding` field']
+    ])('rejects %j as a 415', (requested, message) => {
+      expect(() => InputAudioDecoder.negotiate(requested)).toThrow(expect.objectContaining({
+        statusCode: 415,
+        message,
+        details: expect.objectContaining({ code: 'UNSUPPORTED_AUDIO_FORMAT', supported: InputAudioDecoder.SUPPORTED_ENCODINGS })
+      }));
+    });
+  });
+
+  test('only 16 kHz mono LINEAR16 is passed through untouched', () => {
+    expect(new InputAudioDecoder(InputAudioDecoder.negotiate()).isPassthrough).toBe(true);
+    expect(new InputAudioDecoder(InputAudioDecoder.negotiate('audio/pcm;rate=48000')).isPassthrough).toBe(false);
+    expect(new InputAudioDecoder(InputAudioDecoder.negotiate('mulaw')).isPassthrough).toBe(false);
+  });
+
+  describe('decode', () => {
+    test('keeps half samples split across chunks', async () => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate('pcm16'));
+      const pcm = tone(20);
+
+      const output = await decodeAll(decoder, [pcm.subarray(0, 101), pcm.subarray(101)]);
+
+      expect(output).toEqual(pcm);
+    });
+
+    test('downmixes stereo and resamples 48 kHz to 16 kHz', async () => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate('audio/pcm;rate=48000;channels=2'));
+      const stereo = interleave(tone(100, 48000), 2);
+
+      const output = await decodeAll(decoder, [stereo.subarray(0, 9601), stereo.subarray(9601)]);
+
+      expect(Math.abs(output.length / 2 - 1600)).toBeLessThanOrEqual(1);
+      expect(rms(output)).toBeCloseTo(rms(tone(100)), 2);
+    });
+
+    test.each(['mulaw', 'alaw'])('decodes 8 kHz %s telephony audio to 16 kHz', async (law) => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate(law));
+      const encoded = encodeG711(int16ToFloat32(tone(100, 8000)), law);
+
+      const output = await decoder.decode(encoded);
+
+      expect(Math.abs(output.length / 2 - 1600)).toBeLessThanOrEqual(2);
+      expect(rms(output)).toBeCloseTo(rms(tone(100)), 1);
+    });
+
+    test('uses the WAV header of the first chunk for the chunks that follow', async () => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate('wav'));
+      const pcm = tone(100, 24000);
+
+      const output = await decodeAll(decoder, [buildWav(pcm.subarray(0, 2400), 24000), pcm.subarray(2400)]);
+
+      expect(decoder.wavFormat).toMatchObject({ sampleRate: 24000, bitsPerSample: 16 });
+      expect(Math.abs(output.length / 2 - 1600)).toBeLessThanOrEqual(2);
+    });
+
+    test('rejects WAV encodings it cannot read', async () => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate('wav'));
+      const adpcm = buildWav(Buffer.alloc(64), 16000);
+      adpcm.writeUInt16LE(2, 20);
+
+      await expect(decoder.decode(adpcm)).rejects.toMatchObject({
+        statusCode: 415,
+        message: 'Unsupported WAV encoding (format 2, 16-bit)'
+      });
+      // A rejected chunk does not block the ones after it
+      await expect(decoder.decode(buildWav(tone(20), 16000))).resolves.toHaveLength(640);
+    });
+
+    test('decodes an Ogg Opus stream split at arbitrary points, dropping the pre-skip', async () => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate('audio/ogg;codecs=opus'));
+      const stream = new OggOpusMuxer({ preSkip: 312 }).mux(opusPackets(400), 960, true);
+
+      const chunks = [];
+      for (let offset = 0; offset < stream.length; offset += 333) {
+        chunks.push(stream.subarray(offset, offset + 333));
+      }
+      const output = await decodeAll(decoder, chunks);
+      decoder.close();
+
+      // 400 ms at 16 kHz, less 312 / 3 samples of encoder delay
+      expect(output.length / 2).toBe(6400 - 104);
+      expect(rms(output.subarray(2000))).toBeCloseTo(rms(tone(100)), 1);
+    });
+
+    test('decodes raw stereo Opus packets to mono', async () => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate({ encoding: 'opus', channels: 2 }));
+
+      const output = await decodeAll(decoder, opusPackets(200, 2));
+      decoder.close();
+
+      expect(output.length / 2).toBe(3200);
+      expect(rms(output.subarray(1000))).toBeCloseTo(rms(tone(100)), 1);
+    });
+
+    test('rejects multichannel Opus streams', async () => {
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate({ encoding: 'opus', channels: 6 }));
+
+      await expect(decoder.decode(Buffer.from([0xfc, 0xff, 0xfe]))).rejects.toMatchObject({
+        statusCode: 415,
+        message: 'Opus input supports mono and stereo, not 6 channels'
+      });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const OutputAudioEncoder = require('../../../src/services/audio/OutputAudioEncoder');
+const InputAudioDecoder = require('../../../src/services/audio/InputAudioDecoder');
+const { parseWav, OggOpusDemuxer } = require('../../../src/services/audio/containers');
+const { decodeG711, int16ToFloat32 } = require('../../../src/services/audio/pcm');
+const { tone } = require('../../helpers/audio');
+
+const encoderFor = (requested) => new OutputAudioEncoder(OutputAudioEncoder.negotiate(requested));
+
+describe('OutputAudioEncoder', () => {
+  describe('negotiate', () => {
+    test('defaults to WAV at the Gemini output rate', () => {
+      expect(OutputAudioEncoder.negotiate()).toEqual({
+        encoding: 'wav',
+        sampleRate: 24000,
+        channels: 1,
+        mimeType: 'audio/wav'
+      });
+    });
+
+    test.each([
+      ['pcm16', { encoding: 'pcm16', sampleRate: 24000, mimeType: 'audio/pcm;rate=24000' }],
+      ['audio/pcm;rate=16000', { encoding: 'pcm16', sampleRate: 16000, mimeType: 'audio/pcm;rate=16000' }],
+      ['float32', { encoding: 'pcm-f32', mimeType: 'audio/pcm;encoding=float;bits=32;rate=24000' }],
+      ['ulaw', { encoding: 'mulaw', sampleRate: 8000, mimeType: 'audio/PCMU;rate=8000' }],
+      ['pcma', { encoding: 'alaw', sampleRate: 8000, mimeType: 'audio/PCMA;rate=8000' }],
+      [{ encoding: 'audio/ogg', sampleRate: 48000 }, { encoding: 'opus', sampleRate: 48000, mimeType: 'audio/ogg;codecs=opus' }]
+    ])('%j', (requested, expected) => {
+      expect(OutputAudioEncoder.negotiate(requested)).toMatchObject(expected);
+    });
+
+    test.each([
+      ['mp3', 'Unsupported output audio format "mp3"'],
+      [{ encoding: 'opus', sampleRate: 44100 }, 'Opus output supports 8000, 12000, 16000, 24000, 48000 Hz, not 44100 Hz'],
+      [{ encoding: 'wav', sampleRate: 96000 }, 'Unsupported output sample rate 96000 Hz'],
+      [42, 'outputFormat must be a string or an object with an `encoding` field']
+    ])('rejects %j as a 415', (requested, message) => {
+      expect(() => OutputAudioEncoder.negotiate(requested)).toThrow(expect.objectContaining({
+        statusCode: 415,
+        message,
+        details: expect.objectContaining({ code: 'UNSUPPORTED_AUDIO_FORMAT' })
+      }));
+    });
+  });
+
+  describe('encode', () => {
+    const pcm = tone(100, 24000);
+
+    test('passes Gemini PCM through when the client wants it as is', () => {
+      expect(encoderFor('pcm16').encode(pcm, 24000)).toBe(pcm);
+    });
+
+    test('wraps each chunk in its own WAV header', () => {
+      const { format, data } = parseWav(encoderFor('wav').encode(pcm, 24000));
+
+      expect(format).toMatchObject({ sampleRate: 24000, channels: 1, bitsPerSample: 16 });
+      expect(data).toEqual(pcm);
+    });
+
+    test('resamples to the negotiated rate', () => {
+      const encoder = encoderFor({ encoding: 'wav', sampleRate: 16000 });
+
+      const { format, data } = parseWav(encoder.encode(pcm, 24000));
+
+      expect(format.sampleRate).toBe(16000);
+      expect(Math.abs(data.length / 2 - 1600)).toBeLessThanOrEqual(1);
+    });
+
+    test('writes 32-bit floats for pcm-f32', () => {
+      const output = encoderFor('pcm-f32').encode(pcm, 24000);
+
+      expect(output).toHaveLength(pcm.length * 2);
+      expect(output.readFloatLE(40)).toBeCloseTo(pcm.readInt16LE(20) / 32768, 5);
+    });
+
+    test('encodes G.711 at 8 kHz for telephony clients', () => {
+      const output = encoderFor('mulaw').encode(pcm, 24000);
+      const decoded = decodeG711(output, 'mulaw');
+      const reference = int16ToFloat32(tone(100, 8000));
+      const level = (samples) => Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+
+      expect(Math.abs(output.length - 800)).toBeLessThanOrEqual(1);
+      expect(level(decoded)).toBeCloseTo(level(reference), 1);
+    });
+  });
+
+  describe('Opus', () => {
+    test('holds audio back until a whole 20 ms frame is available', () => {
+      const encoder = encoderFor('opus');
+
+      expect(encoder.encode(tone(10, 24000), 24000)).toHaveLength(0);
+      const first = encoder.encode(tone(15, 24000), 24000);
+      encoder.close();
+
+      // Headers plus one page with the first frame; 5 ms waits for the next chunk
+      const demuxer = new OggOpusDemuxer();
+      expect(demuxer.push(first)).toHaveLength(1);
+      expect(demuxer.head).toMatchObject({ channels: 1, inputSampleRate: 24000 });
+      expect(encoder.opusPending).toHaveLength(240);
+    });
+
+    test('flush pads the last frame, ends the stream and starts a new one for the next response', () => {
+      const encoder = encoderFor('opus');
+      const body = encoder.encode(tone(50, 24000), 24000);
+      const tail = encoder.flush();
+
+      const demuxer = new OggOpusDemuxer();
+      expect(demuxer.push(Buffer.concat([body, tail]))).toHaveLength(3);
+      const lastPage = tail.subarray(tail.lastIndexOf('OggS'));
+      expect(lastPage[5]).toBe(0x04);
+
+      // The next response is a fresh stream with its own headers
+      const next = encoder.encode(tone(20, 24000), 24000);
+      encoder.close();
+      expect(next.subarray(28, 36).toString('ascii')).toBe('OpusHead');
+    });
+
+    test('flush returns nothing for formats without buffering', () => {
+      const encoder = encoderFor('wav');
+      encoder.encode(tone(10, 24000), 24000);
+
+      expect(encoder.flush()).toBeNull();
+    });
+
+    test('produces a stream the input decoder plays back', async () => {
+      const encoder = encoderFor({ encoding: 'opus', sampleRate: 16000 });
+      const stream = Buffer.concat([encoder.encode(tone(300, 24000), 24000), encoder.flush()]);
+      encoder.close();
+
+      const decoder = new InputAudioDecoder(InputAudioDecoder.negotiate('ogg-opus'));
+      const decoded = await decoder.decode(stream);
+      decoder.close();
+
+      // 300 ms, padded to whole 20 ms frames, less the encoder's pre-skip
+      expect(decoded.length / 2).toBe(4800 - 104);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const VoiceActivityDetector = require('../../../src/services/audio/VoiceActivityDetector');
+const { tone, silence } = require('../../helpers/audio');
+
+const OPTIONS = {
+  sampleRate: 16000,
+  frameMs: 20,
+  energyThreshold: 0.01,
+  noiseMultiplier: 3,
+  maxZeroCrossingRate: 0.35,
+  minSpeechMs: 100,
+  hangoverMs: 200
+};
+
+describe('VoiceActivityDetector', () => {
+  test('reports no boundaries for silence', () => {
+    const vad = new VoiceActivityDetector(OPTIONS);
+
+    expect(vad.process(silence(1000))).toEqual([]);
+    expect(vad.isSpeaking).toBe(false);
+  });
+
+  test('marks the start of speech once it has lasted minSpeechMs, dated to its first frame', () => {
+    const vad = new VoiceActivityDetector(OPTIONS);
+
+    expect(vad.process(Buffer.concat([silence(200), tone(80)]))).toEqual([]);
+    expect(vad.process(tone(40))).toEqual([{ type: 'speech-start', offsetMs: 200 }]);
+    expect(vad.isSpeaking).toBe(true);
+  });
+
+  test('ends the turn only after a pause as long as the hangover', () => {
+    const vad = new VoiceActivityDetector(OPTIONS);
+    vad.process(Buffer.concat([silence(100), tone(500)]));
+
+    // A short gap between words does not end the turn
+    expect(vad.process(Buffer.concat([silence(100), tone(200)]))).toEqual([]);
+
+    expect(vad.process(silence(200))).toEqual([{ type: 'speech-end', offsetMs: 900, durationMs: 800 }]);
+    expect(vad.isSpeaking).toBe(false);
+  });
+
+  test('ignores speech bursts shorter than minSpeechMs', () => {
+    const vad = new VoiceActivityDetector(OPTIONS);
+
+    expect(vad.process(Buffer.concat([tone(60), silence(100), tone(60), silence(100)]))).toEqual([]);
+  });
+
+  test('treats quiet high-frequency hiss as noise', () => {
+    const vad = new VoiceActivityDetector(OPTIONS);
+
+    // 7 kHz at 16 kHz crosses zero on almost every sample
+    expect(vad.process(tone(500, 16000, 7000, 0.02))).toEqual([]);
+  });
+
+  test('raises the threshold above a steady background noise floor', () => {
+    const vad = new VoiceActivityDetector({ ...OPTIONS, energyThreshold: 0.001 });
+
+    // Hiss learnt as background lifts the threshold: a faint voice stays below it, a normal one clears it
+    vad.process(tone(400, 16000, 7000, 0.002));
+    expect(vad.noiseFloor).toBeGreaterThan(0);
+    expect(vad.process(tone(200, 16000, 200, 0.003))).toEqual([]);
+    expect(vad.process(tone(200, 16000, 200, 0.3))).toEqual([{ type: 'speech-start', offsetMs: 600 }]);
+  });
+
+  test('keeps partial frames across calls', () => {
+    const vad = new VoiceActivityDetector(OPTIONS);
+    const speech = tone(120);
+
+    // Odd-sized pieces still add up to whole 20 ms frames
+    const events = [];
+    for (let offset = 0; offset < speech.length; offset += 250) {
+      events.push(...vad.process(speech.subarray(offset, offset + 250)));
+    }
+
+    expect(events).toEqual([{ type: 'speech-start', offsetMs: 0 }]);
+    expect(vad.processedMs).toBe(120);
+  });
+
+  test('reset forgets an open turn', () => {
+    const vad = new VoiceActivityDetector(OPTIONS);
+    vad.process(tone(200));
+
+    vad.reset();
+
+    expect(vad.isSpeaking).toBe(false);
+    expect(vad.process(silence(400))).toEqual([]);
+  });
+});
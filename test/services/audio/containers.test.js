@@ -0,0 +1,225 @@
+const {
+  parseWav,
+  buildWav,
+  wavSamplesToFloat32,
+  isSupportedWavFormat,
+  parseOpusHead,
+  OggOpusDemuxer,
+  OggOpusMuxer,
+  WebmOpusDemuxer
+} = require('../../../src/services/audio/containers');
+const { tone } = require('../../helpers/audio');
+
+// Feed a container stream in fixed-size pieces and collect everything the demuxer yields
+const pushInPieces = (demuxer, stream, size) => {
+  const output = [];
+  for (let offset = 0; offset < stream.length; offset += size) {
+    output.push(...demuxer.push(stream.subarray(offset, offset + size)));
+  }
+  return output;
+};
+
+// Minimal EBML writer: element ID bytes followed by a size vint and the body
+const ebmlSize = (size) => size < 0x7f
+  ? Buffer.from([0x80 | size])
+  : Buffer.from([0x40 | (size >> 8), size & 0xff]);
+const ebml = (id, ...children) => {
+  const body = Buffer.concat(children.map(child => Buffer.isBuffer(child) ? child : Buffer.from(child)));
+  const idBytes = Buffer.from(id.toString(16).padStart(2, '0').match(/../g).map(byte => parseInt(byte, 16)));
+  return Buffer.concat([idBytes, ebmlSize(body.length), body]);
+};
+const ebmlUnknownSize = (id, ...children) => {
+  const idBytes = Buffer.from(id.toString(16).match(/../g).map(byte => parseInt(byte, 16)));
+  return Buffer.concat([idBytes, Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), ...children]);
+};
+
+const opusHead = ({ channels = 1, preSkip = 312, family = 0 } = {}) => {
+  const head = Buffer.alloc(family === 0 ? 19 : 21 + channels);
+  head.write('OpusHead', 0, 'ascii');
+  head[8] = 1;
+  head[9] = channels;
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(48000, 12);
+  head[18] = family;
+  if (family !== 0) {
+    head[19] = 2;
+    head[20] = 1;
+    for (let i = 0; i < channels; i++) {
+      head[21 + i] = i;
+    }
+  }
+  return head;
+};
+
+describe('containers', () => {
+  describe('WAV', () => {
+    test('buildWav output parses back to the same format and data', () => {
+      const pcm = tone(10, 24000);
+
+      const { format, data } = parseWav(buildWav(pcm, 24000));
+
+      expect(format).toEqual({ audioFormat: 1, channels: 1, sampleRate: 24000, bitsPerSample: 16 });
+      expect(data).toEqual(pcm);
+    });
+
+    test('skips unknown chunks and reads the real format of WAVE_FORMAT_EXTENSIBLE files', () => {
+      const wav = buildWav(Buffer.alloc(8), 16000);
+      const list = Buffer.concat([Buffer.from('LIST', 'ascii'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc\0')]);
+      const fmt = Buffer.alloc(8 + 40);
+      fmt.write('fmt ', 0, 'ascii');
+      fmt.writeUInt32LE(40, 4);
+      fmt.writeUInt16LE(0xfffe, 8);
+      fmt.writeUInt16LE(2, 10);
+      fmt.writeUInt32LE(48000, 12);
+      fmt.writeUInt16LE(32, 22);
+      fmt.writeUInt16LE(3, 8 + 24); // IEEE float sub-format
+
+      const extensible = Buffer.concat([wav.subarray(0, 12), list, fmt, wav.subarray(36)]);
+
+      expect(parseWav(extensible).format).toEqual({ audioFormat: 3, channels: 2, sampleRate: 48000, bitsPerSample: 32 });
+    });
+
+    test('takes everything after the header when a streamed file has no data size', () => {
+      const wav = buildWav(Buffer.alloc(100), 16000);
+      wav.writeUInt32LE(0xffffffff, 40);
+
+      expect(parseWav(wav).data).toHaveLength(100);
+    });
+
+    test('rejects files that are not RIFF/WAVE or have no data', () => {
+      expect(() => parseWav(Buffer.from('OggS and something else'))).toThrow('Not a RIFF/WAVE file');
+      expect(() => parseWav(buildWav(Buffer.alloc(0), 16000).subarray(0, 36))).toThrow('WAV data chunk not found');
+    });
+
+    test('wavSamplesToFloat32 reads 8, 24 and 32-bit float samples', () => {
+      expect(Array.from(wavSamplesToFloat32(Buffer.from([0, 128, 255]), { audioFormat: 1, bitsPerSample: 8 })))
+        .toEqual([-1, 0, 127 / 128]);
+      expect(Array.from(wavSamplesToFloat32(Buffer.from([0, 0, 0x40]), { audioFormat: 1, bitsPerSample: 24 })))
+        .toEqual([0.5]);
+
+      const float = Buffer.alloc(4);
+      float.writeFloatLE(-0.25);
+      expect(Array.from(wavSamplesToFloat32(float, { audioFormat: 3, bitsPerSample: 32 }))).toEqual([-0.25]);
+    });
+
+    test('isSupportedWavFormat accepts integer PCM and IEEE float only', () => {
+      expect(isSupportedWavFormat({ audioFormat: 1, bitsPerSample: 24 })).toBe(true);
+      expect(isSupportedWavFormat({ audioFormat: 3, bitsPerSample: 64 })).toBe(true);
+      expect(isSupportedWavFormat({ audioFormat: 1, bitsPerSample: 12 })).toBe(false);
+      expect(isSupportedWavFormat({ audioFormat: 6, bitsPerSample: 8 })).toBe(false);
+    });
+  });
+
+  describe('parseOpusHead', () => {
+    test('reads channel count, pre-skip and the channel mapping', () => {
+      expect(parseOpusHead(opusHead({ channels: 2, preSkip: 3840 }))).toEqual({
+        channels: 2,
+        preSkip: 3840,
+        inputSampleRate: 48000,
+        mappingFamily: 0
+      });
+      expect(parseOpusHead(opusHead({ channels: 3, family: 1 }))).toMatchObject({
+        streamCount: 2,
+        coupledStreamCount: 1,
+        channelMappingTable: [0, 1, 2]
+      });
+    });
+
+    test('rejects other packets', () => {
+      expect(() => parseOpusHead(Buffer.from('OpusTags and more bytes'))).toThrow('Invalid OpusHead header');
+    });
+  });
+
+  describe('Ogg Opus', () => {
+    const packets = [Buffer.alloc(3, 1), Buffer.alloc(600, 2), Buffer.alloc(255, 3), Buffer.alloc(0), Buffer.alloc(40, 4)];
+
+    test('the muxer writes headers first and counts granules in 48 kHz samples', () => {
+      const muxer = new OggOpusMuxer({ preSkip: 312 });
+
+      const first = muxer.mux(packets.slice(0, 2), 960);
+      const second = muxer.mux(packets.slice(2), 960, true);
+
+      const demuxer = new OggOpusDemuxer();
+      demuxer.push(first);
+      expect(demuxer.head).toMatchObject({ channels: 1, preSkip: 312, inputSampleRate: 48000 });
+      expect(muxer.granule).toBe(packets.length * 960);
+
+      // The last page of the stream carries the end-of-stream flag and the final granule position
+      const lastPage = second.subarray(second.lastIndexOf('OggS'));
+      expect(lastPage[5]).toBe(0x04);
+      expect(Number(lastPage.readBigUInt64LE(6))).toBe(packets.length * 960);
+    });
+
+    test('demuxing what the muxer wrote yields the same audio packets, however the stream is split', () => {
+      const muxer = new OggOpusMuxer();
+      const stream = Buffer.concat([muxer.mux(packets.slice(0, 3), 960), muxer.mux(packets.slice(3), 960, true)]);
+
+      // Empty packets are dropped; everything else comes back intact and in order
+      const expected = packets.filter(packet => packet.length > 0);
+      [1, 7, 256, stream.length].forEach(size => {
+        expect(pushInPieces(new OggOpusDemuxer(), stream, size)).toEqual(expected);
+      });
+    });
+
+    test('splits runs of packets across pages once the lacing table is full', () => {
+      const muxer = new OggOpusMuxer();
+      const many = Array.from({ length: 300 }, (_, index) => Buffer.from([index & 0xff, 1, 2]));
+
+      const stream = muxer.mux(many, 960, true);
+
+      expect(stream.toString('latin1').split('OggS').length - 1).toBe(4); // Two headers, two audio pages
+      expect(pushInPieces(new OggOpusDemuxer(), stream, 100)).toEqual(many);
+    });
+
+    test('resynchronises on the next page after garbage', () => {
+      const stream = new OggOpusMuxer().mux([Buffer.from([9, 9, 9])], 960);
+
+      expect(new OggOpusDemuxer().push(Buffer.concat([Buffer.from('garbage'), stream]))).toEqual([Buffer.from([9, 9, 9])]);
+    });
+  });
+
+  describe('WebmOpusDemuxer', () => {
+    const header = ebml(0x1a45dfa3, ebml(0x4282, 'webm')); // EBML header with a DocType, skipped
+    const tracks = (...entries) => ebml(0x1654ae6b, ...entries);
+    const trackEntry = (number, codecId, codecPrivate) => ebml(0xae,
+      ebml(0xd7, [number]),
+      ebml(0x86, codecId),
+      ...(codecPrivate ? [ebml(0x63a2, codecPrivate)] : []));
+    const simpleBlock = (track, payload, lacing = 0) => ebml(0xa3, [0x80 | track, 0, 0, 0x80 | (lacing << 1)], payload);
+
+    test('yields the frames of the Opus track from a live (unknown-size) stream', () => {
+      const stream = Buffer.concat([
+        header,
+        ebmlUnknownSize(0x18538067,
+          tracks(trackEntry(1, 'V_VP8'), trackEntry(2, 'A_OPUS', opusHead({ channels: 2, preSkip: 3840 }))),
+          ebmlUnknownSize(0x1f43b675,
+            ebml(0xe7, [0]), // Cluster timecode, skipped
+            simpleBlock(1, Buffer.alloc(20, 7)),
+            simpleBlock(2, Buffer.from([1, 2, 3])),
+            ebml(0xa0, ebml(0xa1, [0x82, 0, 0, 0], Buffer.from([4, 5])))))
+      ]);
+
+      [1, 5, stream.length].forEach(size => {
+        const demuxer = new WebmOpusDemuxer();
+        expect(pushInPieces(demuxer, stream, size)).toEqual([Buffer.from([1, 2, 3]), Buffer.from([4, 5])]);
+        expect(demuxer.head).toMatchObject({ channels: 2, preSkip: 3840 });
+      });
+    });
+
+    test('splits Xiph, fixed-size and EBML laced blocks', () => {
+      const track = tracks(trackEntry(1, 'A_OPUS', opusHead()));
+      const xiph = simpleBlock(1, Buffer.concat([Buffer.from([2, 1, 2]), Buffer.from([1, 2, 2, 3])]), 1);
+      const fixed = simpleBlock(1, Buffer.concat([Buffer.from([1]), Buffer.from([6, 6, 7, 7])]), 2);
+      // EBML lacing: first size 2 (0x82), then a size difference of +1 (0xbf + 1 = 0xc0)
+      const ebmlLaced = simpleBlock(1, Buffer.concat([Buffer.from([2, 0x82, 0xc0]), Buffer.from([8, 8, 9, 9, 9, 10])]), 3);
+
+      const frames = new WebmOpusDemuxer().push(Buffer.concat([track, xiph, fixed, ebmlLaced]));
+
+      expect(frames).toEqual([
+        Buffer.from([1]), Buffer.from([2, 2]), Buffer.from([3]),
+        Buffer.from([6, 6]), Buffer.from([7, 7]),
+        Buffer.from([8, 8]), Buffer.from([9, 9, 9]), Buffer.from([10])
+      ]);
+    });
+  });
+});
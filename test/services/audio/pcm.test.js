@@ -0,0 +1,122 @@
+const {
+  int16ToFloat32,
+  float32ToInt16,
+  downmix,
+  mulawToLinear,
+  alawToLinear,
+  linearToMulaw,
+  linearToAlaw,
+  decodeG711,
+  encodeG711,
+  float32ToBuffer,
+  Resampler
+} = require('../../../src/services/audio/pcm');
+const { tone } = require('../../helpers/audio');
+
+describe('pcm', () => {
+  describe('int16ToFloat32 / float32ToInt16', () => {
+    test('map full scale to -1..1 and back within one step', () => {
+      const values = [-32768, -1, 0, 12345, 32767];
+      const pcm = Buffer.alloc(values.length * 2);
+      values.forEach((sample, index) => pcm.writeInt16LE(sample, index * 2));
+
+      const samples = int16ToFloat32(pcm);
+      const restored = float32ToInt16(samples);
+
+      expect(samples[0]).toBe(-1);
+      expect(samples[2]).toBe(0);
+      values.forEach((sample, index) => {
+        expect(Math.abs(restored.readInt16LE(index * 2) - sample)).toBeLessThanOrEqual(1);
+      });
+    });
+
+    test('clip out-of-range samples', () => {
+      expect(float32ToInt16(Float32Array.from([1.5, -2])).readInt16LE(0)).toBe(32767);
+      expect(float32ToInt16(Float32Array.from([1.5, -2])).readInt16LE(2)).toBe(-32768);
+    });
+
+    test('ignore a trailing odd byte', () => {
+      expect(int16ToFloat32(Buffer.alloc(5))).toHaveLength(2);
+    });
+  });
+
+  test('downmix averages interleaved channels', () => {
+    expect(Array.from(downmix(Float32Array.from([0.5, -0.5, 1, 0]), 2))).toEqual([0, 0.5]);
+    const mono = Float32Array.from([0.25]);
+    expect(downmix(mono, 1)).toBe(mono);
+  });
+
+  describe('G.711', () => {
+    test('μ-law and A-law silence and extremes decode to the standard values', () => {
+      expect(mulawToLinear(0xff)).toBe(0);
+      expect(mulawToLinear(0x80)).toBe(32124);
+      expect(mulawToLinear(0x00)).toBe(-32124);
+      expect(alawToLinear(0xd5)).toBe(8);
+      expect(alawToLinear(0xaa)).toBe(32256);
+      expect(alawToLinear(0x2a)).toBe(-32256);
+    });
+
+    test.each([
+      ['mulaw', linearToMulaw, mulawToLinear],
+      ['alaw', linearToAlaw, alawToLinear]
+    ])('%s encodes every byte value back to itself', (law, encode, decode) => {
+      for (let value = 0; value < 256; value++) {
+        // μ-law has two zeros (0x7f and 0xff); both decode to 0, which encodes as 0xff
+        const expected = law === 'mulaw' && value === 0x7f ? 0xff : value;
+        expect(encode(decode(value))).toBe(expected);
+      }
+    });
+
+    test.each(['mulaw', 'alaw'])('%s round trips a tone within the quantisation error', (law) => {
+      const samples = int16ToFloat32(tone(20, 8000, 440, 0.5));
+
+      const decoded = decodeG711(encodeG711(samples, law), law);
+
+      expect(decoded).toHaveLength(samples.length);
+      samples.forEach((sample, index) => {
+        expect(Math.abs(decoded[index] - sample)).toBeLessThan(0.02);
+      });
+    });
+  });
+
+  test('float32ToBuffer writes little-endian floats', () => {
+    const buffer = float32ToBuffer(Float32Array.from([0.5, -0.25]));
+
+    expect(buffer).toHaveLength(8);
+    expect(buffer.readFloatLE(0)).toBe(0.5);
+    expect(buffer.readFloatLE(4)).toBe(-0.25);
+  });
+
+  describe('Resampler', () => {
+    test('passes samples through when the rates match', () => {
+      const samples = Float32Array.from([0.1, 0.2]);
+      expect(new Resampler(16000, 16000).process(samples)).toBe(samples);
+    });
+
+    test.each([
+      [24000, 16000],
+      [16000, 48000],
+      [44100, 16000]
+    ])('%i Hz to %i Hz produces the right number of samples across chunks', (fromRate, toRate) => {
+      const resampler = new Resampler(fromRate, toRate);
+      const input = int16ToFloat32(tone(1000, fromRate));
+
+      // Uneven chunk sizes must not drift the output length; at most the last input sample is still pending
+      let outputLength = 0;
+      for (let offset = 0; offset < input.length; offset += 1234) {
+        outputLength += resampler.process(input.subarray(offset, offset + 1234)).length;
+      }
+
+      expect(Math.abs(outputLength - toRate)).toBeLessThanOrEqual(Math.ceil(toRate / fromRate));
+    });
+
+    test('keeps a low tone intact when downsampling', () => {
+      const input = int16ToFloat32(tone(100, 48000, 300, 0.5));
+      const output = new Resampler(48000, 16000).process(input);
+      const peak = output.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+
+      expect(peak).toBeGreaterThan(0.45);
+      expect(peak).toBeLessThanOrEqual(0.5);
+    });
+  });
+});
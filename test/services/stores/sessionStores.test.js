@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, MemorySessionStore, FileSessionStore } = require('../../../src/services/stores');
+
+const HOUR = 60 * 60 * 1000;
+
+const record = (id, { createdAt, lastActivity = createdAt, endedAt = null, status = 'active' } = {}) => ({
+  id,
+  status,
+  createdAt: new Date(createdAt).toISOString(),
+  lastActivity: new Date(lastActivity).toISOString(),
+  endedAt: endedAt && new Date(endedAt).toISOString(),
+  conversationHistory: [{ type: 'user', text: `hello from ${id}` }]
+});
+
+const tempDirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sova-sessions-'));
+  tempDirs.push(dir);
+  return dir;
+};
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe.each([
+  ['MemorySessionStore', () => new MemorySessionStore()],
+  ['FileSessionStore', () => new FileSessionStore(tempDir())]
+])('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('saves, replaces and returns copies of records', async () => {
+    const now = Date.now();
+    await store.save(record('a', { createdAt: now }));
+    await store.save({ ...record('a', { createdAt: now }), status: 'ended' });
+
+    const stored = await store.get('a');
+    expect(stored).toEqual({ ...record('a', { createdAt: now }), status: 'ended' });
+
+    stored.status = 'changed';
+    expect((await store.get('a')).status).toBe('ended');
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  test('lists newest first, filtered by status and limited', async () => {
+    const now = Date.now();
+    await store.save(record('old', { createdAt: now - 2 * HOUR, status: 'ended' }));
+    await store.save(record('new', { createdAt: now }));
+    await store.save(record('mid', { createdAt: now - HOUR }));
+
+    expect((await store.list()).map(({ id }) => id)).toEqual(['new', 'mid', 'old']);
+    expect((await store.list({ status: 'active' })).map(({ id }) => id)).toEqual(['new', 'mid']);
+    expect((await store.list({ limit: 1 })).map(({ id }) => id)).toEqual(['new']);
+  });
+
+  test('deletes records and reports whether they existed', async () => {
+    await store.save(record('a', { createdAt: Date.now() }));
+
+    expect(await store.delete('a')).toBe(true);
+    expect(await store.delete('a')).toBe(false);
+    expect(await store.get('a')).toBeNull();
+  });
+
+  test('purges sessions that ended or went quiet before the cutoff', async () => {
+    const now = Date.now();
+    await store.save(record('ended-long-ago', { createdAt: now - 5 * HOUR, endedAt: now - 4 * HOUR, status: 'ended' }));
+    await store.save(record('ended-recently', { createdAt: now - 5 * HOUR, endedAt: now - HOUR, status: 'ended' }));
+    await store.save(record('quiet', { createdAt: now - 5 * HOUR, lastActivity: now - 4 * HOUR }));
+    await store.save(record('running', { createdAt: now - 5 * HOUR, lastActivity: now }));
+
+    expect(await store.purgeExpired(new Date(now - 2 * HOUR))).toBe(2);
+    expect((await store.list()).map(({ id }) => id).sort()).toEqual(['ended-recently', 'running']);
+  });
+});
+
+describe('FileSessionStore', () => {
+  test('keeps records across store instances', async () => {
+    const dir = tempDir();
+    await new FileSessionStore(dir).save(record('a', { createdAt: Date.now() }));
+
+    expect(await new FileSessionStore(dir).get('a')).toMatchObject({ id: 'a' });
+  });
+
+  test('refuses session ids that could leave the directory', async () => {
+    const store = new FileSessionStore(tempDir());
+
+    await expect(store.save(record('../escape', { createdAt: Date.now() }))).rejects.toThrow('Invalid session id');
+    expect(await store.get('../escape')).toBeNull();
+    expect(await store.delete('../escape')).toBe(false);
+  });
+
+  test('dates each file to when its session ended', async () => {
+    const dir = tempDir();
+    const store = new FileSessionStore(dir);
+    const endedAt = Date.now() - 3 * HOUR;
+    await store.save(record('a', { createdAt: endedAt - HOUR, endedAt, status: 'ended' }));
+
+    expect(fs.statSync(path.join(dir, 'a.json')).mtimeMs).toBeCloseTo(endedAt, -3);
+  });
+
+  test('purges by file time without reading the records', async () => {
+    const dir = tempDir();
+    const store = new FileSessionStore(dir);
+    const now = Date.now();
+    await store.save(record('expired', { createdAt: now - 5 * HOUR, endedAt: now - 4 * HOUR, status: 'ended' }));
+    await store.save(record('kept', { createdAt: now }));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a record');
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+
+    try {
+      expect(await store.purgeExpired(new Date(now - HOUR))).toBe(1);
+      expect(readFile).not.toHaveBeenCalled();
+    } finally {
+      readFile.mockRestore();
+    }
+    expect(fs.readdirSync(dir).sort()).toEqual(['kept.json', 'notes.txt']);
+  });
+
+  test('skips unreadable files when listing', async () => {
+    const dir = tempDir();
+    const store = new FileSessionStore(dir);
+    await store.save(record('a', { createdAt: Date.now() }));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    expect((await store.list()).map(({ id }) => id)).toEqual(['a']);
+  });
+});
+
+describe('createSessionStore', () => {
+  test('builds the configured backend', () => {
+    expect(createSessionStore({ backend: 'memory' })).toBeInstanceOf(MemorySessionStore);
+    expect(createSessionStore({ backend: 'file', dir: tempDir() })).toBeInstanceOf(FileSessionStore);
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createSessionStore({ backend: 'redis' })).toThrow('Unknown session store: redis');
+  });
+});
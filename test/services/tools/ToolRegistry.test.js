@@ -0,0 +1,135 @@
+const config = require('../../../src/config/environment');
+const ToolRegistry = require('../../../src/services/tools/ToolRegistry');
+const toolRegistry = require('../../../src/services/tools');
+
+const echo = { name: 'echo', description: 'Echo the arguments', parameters: {}, handler: async args => args };
+
+describe('ToolRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ToolRegistry();
+    registry.register(echo);
+    registry.register({ name: 'slow', description: 'Never answers in time', timeoutMs: 20, handler: () => new Promise(() => {}) });
+  });
+
+  afterEach(() => {
+    config.tools.enabled = null;
+  });
+
+  describe('register', () => {
+    test.each([
+      [{ ...echo, name: '1st-tool' }, 'Invalid tool name: 1st-tool'],
+      [{ ...echo, name: 'x'.repeat(65) }, `Invalid tool name: ${'x'.repeat(65)}`],
+      [{ name: 'no_handler' }, 'Tool no_handler has no handler'],
+      [echo, 'Tool echo is already registered']
+    ])('rejects %#', (tool, message) => {
+      expect(() => registry.register(tool)).toThrow(message);
+    });
+  });
+
+  describe('resolveAllowlist', () => {
+    test('omitted or true means every enabled tool, false means none', () => {
+      expect(registry.resolveAllowlist()).toEqual(['echo', 'slow']);
+      expect(registry.resolveAllowlist(true)).toEqual(['echo', 'slow']);
+      expect(registry.resolveAllowlist(false)).toEqual([]);
+    });
+
+    test('keeps a valid list, without duplicates', () => {
+      expect(registry.resolveAllowlist(['slow', 'slow'])).toEqual(['slow']);
+    });
+
+    test('rejects unknown names and anything but a list of names', () => {
+      expect(() => registry.resolveAllowlist(['echo', 'launch'])).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: 'Unknown or disabled tools: launch',
+        details: { code: 'UNKNOWN_TOOL', available: ['echo', 'slow'] }
+      }));
+      expect(() => registry.resolveAllowlist('echo')).toThrow(expect.objectContaining({
+        statusCode: 400,
+        details: expect.objectContaining({ code: 'INVALID_TOOLS' })
+      }));
+    });
+
+    test('only offers tools enabled through TOOLS_ENABLED', () => {
+      config.tools.enabled = ['echo'];
+
+      expect(registry.resolveAllowlist()).toEqual(['echo']);
+      expect(() => registry.resolveAllowlist(['slow'])).toThrow('Unknown or disabled tools: slow');
+      expect(registry.list()).toEqual([
+        { name: 'echo', description: 'Echo the arguments', enabled: true },
+        { name: 'slow', description: 'Never answers in time', enabled: false }
+      ]);
+    });
+  });
+
+  test('getFunctionDeclarations describes the allowed tools only', () => {
+    expect(registry.getFunctionDeclarations(['echo', 'missing'])).toEqual([
+      { name: 'echo', description: 'Echo the arguments', parameters: {} }
+    ]);
+  });
+
+  describe('execute', () => {
+    test('returns the handler output', async () => {
+      await expect(registry.execute({ name: 'echo', args: { city: 'Pune' } }, { allowed: ['echo'] }))
+        .resolves.toEqual({ output: { city: 'Pune' } });
+    });
+
+    test('refuses tools outside the session allowlist', async () => {
+      await expect(registry.execute({ name: 'echo', args: {} }, { allowed: [] })).resolves.toEqual({
+        error: { code: 'TOOL_NOT_ALLOWED', message: 'Tool echo is not available in this session' }
+      });
+    });
+
+    test('turns handler failures into an error for the model', async () => {
+      registry.register({ name: 'broken', handler: () => { throw new Error('fixture missing'); } });
+
+      await expect(registry.execute({ name: 'broken' }, { allowed: ['broken'] })).resolves.toEqual({
+        error: { code: 'TOOL_FAILED', message: 'fixture missing' }
+      });
+    });
+
+    test('times out and aborts the handler', async () => {
+      let handlerSignal;
+      registry.register({
+        name: 'watch',
+        timeoutMs: 20,
+        handler: (args, { signal }) => {
+          handlerSignal = signal;
+          return new Promise(() => {});
+        }
+      });
+
+      await expect(registry.execute({ name: 'watch' }, { allowed: ['watch'] })).resolves.toEqual({
+        error: { code: 'TOOL_TIMEOUT', message: 'Tool watch timed out after 20ms' }
+      });
+      expect(handlerSignal.aborted).toBe(true);
+    });
+
+    test('is cancelled by the caller', async () => {
+      const controller = new AbortController();
+      const result = registry.execute({ name: 'slow' }, { allowed: ['slow'], signal: controller.signal });
+
+      controller.abort();
+
+      await expect(result).resolves.toEqual({ error: { code: 'TOOL_CANCELLED', message: 'Tool slow was cancelled' } });
+      await expect(registry.execute({ name: 'slow' }, { allowed: ['slow'], signal: controller.signal }))
+        .resolves.toMatchObject({ error: { code: 'TOOL_CANCELLED' } });
+    });
+  });
+
+  describe('built-in tools', () => {
+    test('registers the Sova tools', () => {
+      expect(toolRegistry.getEnabledNames()).toEqual(['find_dealers', 'get_booking_slots', 'get_bike_specs']);
+    });
+
+    test('find_dealers filters the sample dealers by city and service', async () => {
+      const { output } = await toolRegistry.execute(
+        { name: 'find_dealers', args: { city: ' delhi ', service: 'service' } },
+        { allowed: ['find_dealers'] }
+      );
+
+      expect(output).toMatchObject({ count: 1, dealers: [expect.objectContaining({ id: 'DL-001' })] });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const TurnTracer = require('../../../src/services/tracing/TurnTracer');
+const { STATUS_CODE_OK, STATUS_CODE_UNSET } = require('../../../src/services/tracing/otlp');
+
+const createTracer = (exporter = null) => {
+  const session = { id: 'session-1', metadata: {} };
+  const tracer = new TurnTracer(session, exporter, { latencyTargetMs: 800 });
+  return { session, tracer };
+};
+
+// One turn through every stage: input at t, sent at t+50, first model chunk after `modelMs`, emitted 10 ms later
+const playTurn = (tracer, t, { modelMs = 300, playoutMs = 1000 } = {}) => {
+  tracer.startTurn('audio', t);
+  tracer.markInputSent(t + 50);
+  tracer.markModelChunk(t + 50 + modelMs);
+  tracer.handleDelivered({ type: 'chunk' }, t + 60 + modelMs);
+  tracer.handleDelivered({ type: 'chunk' }, t + 100 + modelMs);
+  tracer.handleDelivered({ type: 'event', event: 'audio-complete' }, t + 60 + modelMs + playoutMs);
+};
+
+const attribute = (span, key) => {
+  const found = span.attributes.find(entry => entry.key === key);
+  return found && Object.values(found.value)[0];
+};
+
+describe('TurnTracer', () => {
+  test('exports a completed turn as a root span with one child per stage', () => {
+    const exporter = { export: jest.fn().mockResolvedValue() };
+    const { tracer } = createTracer(exporter);
+
+    playTurn(tracer, 1000);
+
+    expect(exporter.export).toHaveBeenCalledTimes(1);
+    const [spans] = exporter.export.mock.calls[0];
+    const [root, ...children] = spans;
+
+    expect(root).toMatchObject({
+      name: 'turn',
+      parentSpanId: '',
+      startTimeUnixNano: '1000000000',
+      endTimeUnixNano: '2360000000',
+      status: { code: STATUS_CODE_OK }
+    });
+    expect(attribute(root, 'sova.turn.outcome')).toBe('completed');
+    expect(attribute(root, 'sova.latency.first_audio_ms')).toBe('310');
+    expect(attribute(root, 'sova.latency.target_met')).toBe(true);
+
+    expect(children.map(({ name }) => name)).toEqual(['user_input', 'model_first_chunk', 'first_chunk_delivery', 'response_playout']);
+    expect(children.every(span => span.traceId === root.traceId && span.parentSpanId === root.spanId)).toBe(true);
+    expect(children[1]).toMatchObject({ startTimeUnixNano: '1050000000', endTimeUnixNano: '1350000000' });
+  });
+
+  test('summarizes first-audio latency and counts target misses', () => {
+    const { session, tracer } = createTracer();
+
+    playTurn(tracer, 0, { modelMs: 200 });
+    playTurn(tracer, 10000, { modelMs: 900 });
+    playTurn(tracer, 20000, { modelMs: 500 });
+
+    expect(session.metadata.latency).toEqual({
+      targetMs: 800,
+      turns: 3,
+      measuredTurns: 3,
+      targetMisses: 1,
+      lastFirstAudioMs: 510,
+      averageFirstAudioMs: 543,
+      p95FirstAudioMs: 910,
+      maxFirstAudioMs: 910,
+      averageModelMs: 533,
+      averageDeliveryMs: 10
+    });
+  });
+
+  test('only counts the first time a stage is reached', () => {
+    const { session, tracer } = createTracer();
+
+    tracer.startTurn('text', 0);
+    tracer.markInputSent(100);
+    tracer.markInputSent(400);
+    tracer.markModelChunk(500);
+    tracer.markModelChunk(700);
+    tracer.handleDelivered({ type: 'chunk' }, 520);
+    tracer.handleDelivered({ type: 'event', event: 'audio-complete' }, 900);
+
+    expect(session.metadata.latency.lastFirstAudioMs).toBe(420);
+  });
+
+  test('ignores model chunks and deliveries outside a turn', () => {
+    const { session, tracer } = createTracer();
+
+    tracer.markModelChunk(10);
+    tracer.handleDelivered({ type: 'chunk' }, 20);
+    tracer.startTurn('audio', 30);
+    tracer.markModelChunk(40); // Before the input was sent: an answer to something else
+    tracer.handleDelivered({ type: 'chunk' }, 50);
+
+    expect(tracer.turn.stages).toEqual({ inputReceived: 30 });
+    expect(session.metadata.latency.turns).toBe(0);
+  });
+
+  test('closes an open turn as superseded when the next one starts', () => {
+    const exporter = { export: jest.fn().mockResolvedValue() };
+    const { session, tracer } = createTracer(exporter);
+
+    tracer.startTurn('audio', 0);
+    tracer.markInputSent(50);
+    tracer.startTurn('text', 200);
+
+    const [[spans]] = exporter.export.mock.calls;
+    expect(spans.map(({ name }) => name)).toEqual(['turn', 'user_input']);
+    expect(spans[0]).toMatchObject({ endTimeUnixNano: '200000000', status: { code: STATUS_CODE_UNSET } });
+    expect(attribute(spans[0], 'sova.turn.outcome')).toBe('superseded');
+    expect(attribute(spans[0], 'sova.latency.first_audio_ms')).toBeUndefined();
+    expect(session.metadata.latency).toMatchObject({ turns: 1, measuredTurns: 0 });
+    expect(tracer.turn).toMatchObject({ index: 2, input: 'text' });
+  });
+
+  test('endTurn does nothing without a turn in progress', () => {
+    const { tracer } = createTracer();
+
+    expect(tracer.endTurn('interrupted')).toBeNull();
+  });
+
+  test('logs rather than throws when the exporter fails', async () => {
+    const exporter = { export: jest.fn().mockRejectedValue(new Error('collector down')) };
+    const { tracer } = createTracer(exporter);
+
+    playTurn(tracer, 0);
+    await Promise.resolve();
+
+    expect(exporter.export).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,71 @@
+const MockLiveServer = require('../../../src/services/transports/mock/MockLiveServer');
+
+const SCRIPT = {
+  name: 'test',
+  sampleRate: 24000,
+  turns: [
+    {
+      events: [
+        { type: 'audio', durationMs: 300, chunks: 3, delayMs: 20 },
+        { type: 'turnComplete', delayMs: 10 }
+      ]
+    }
+  ]
+};
+
+// Block the event loop, like a slow require or a GC pause on a loaded machine
+const busyWait = (ms) => {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    // Spin
+  }
+};
+
+describe('MockLiveServer', () => {
+  let session;
+
+  afterEach(() => {
+    session.close();
+  });
+
+  // Open a session that records the kind of every server message it receives
+  const openSession = async () => {
+    const received = [];
+    session = await new MockLiveServer(SCRIPT).openSession({
+      callbacks: {
+        onmessage: (message) => {
+          if (message.serverContent?.modelTurn) {
+            received.push('audio');
+          } else if (message.serverContent?.turnComplete) {
+            received.push('turnComplete');
+          }
+        }
+      }
+    });
+    return received;
+  };
+
+  const turnComplete = (received) => new Promise((resolve) => {
+    const check = () => (received.includes('turnComplete') ? resolve() : setTimeout(check, 5));
+    check();
+  });
+
+  test('plays every audio chunk of a turn before its turnComplete', async () => {
+    const received = await openSession();
+
+    session.sendRealtimeInput({ text: 'Hello' });
+    await turnComplete(received);
+
+    expect(received).toEqual(['audio', 'audio', 'audio', 'turnComplete']);
+  });
+
+  test('keeps the scripted order when the event loop falls behind', async () => {
+    const received = await openSession();
+
+    session.sendRealtimeInput({ text: 'Hello' });
+    busyWait(150);
+    await turnComplete(received);
+
+    expect(received).toEqual(['audio', 'audio', 'audio', 'turnComplete']);
+  });
+});
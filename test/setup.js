@@ -0,0 +1,4 @@
+// Every test runs offline against the bundled mock Live server
+process.env.GEMINI_TRANSPORT = 'mock';
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,182 @@
+const AudioDeliveryScheduler = require('../../src/websocket/AudioDeliveryScheduler');
+
+const START = 1000000;
+const OPTIONS = { leadMs: 200, maxInFlight: 2, ackTimeoutMs: 1000, lateToleranceMs: 20 };
+
+// Socket stand-in that records emits; acknowledged emits time out like Socket.IO's socket.timeout()
+const fakeSocket = () => {
+  const socket = { id: 'socket-1', connected: true, sent: [], acks: [] };
+
+  socket.emit = (event, payload, ack) => {
+    socket.sent.push({ event, payload, at: Date.now() - START });
+    if (ack) {
+      socket.acks.push(ack);
+    }
+  };
+
+  socket.timeout = (timeoutMs) => ({
+    emit: (event, payload, ack) => {
+      let done = false;
+      const finish = (error) => {
+        if (!done) {
+          done = true;
+          clearTimeout(timer);
+          ack(error);
+        }
+      };
+      const timer = setTimeout(() => finish(new Error('operation has timed out')), timeoutMs);
+      socket.emit(event, payload, () => finish(null));
+    }
+  });
+
+  return socket;
+};
+
+describe('AudioDeliveryScheduler', () => {
+  let socket;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    socket = fakeSocket();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const createScheduler = (options = {}) => new AudioDeliveryScheduler(socket, { ...OPTIONS, ...options });
+
+  // Queue `count` chunks of `durationMs` each, numbered from 0
+  const enqueueChunks = (scheduler, count, durationMs = 100) => {
+    for (let chunkIndex = 0; chunkIndex < count; chunkIndex++) {
+      scheduler.enqueue({ chunkIndex }, { durationMs, chunkIndex });
+    }
+  };
+
+  test('sends up to the jitter-buffer lead at once, then keeps pace with playback', () => {
+    const scheduler = createScheduler();
+
+    enqueueChunks(scheduler, 5);
+    expect(socket.sent.map(({ at }) => at)).toEqual([0, 0]);
+
+    jest.advanceTimersByTime(300);
+
+    expect(socket.sent.map(({ at }) => at)).toEqual([0, 0, 1, 101, 201]);
+    expect(socket.sent.map(({ payload }) => payload.chunkIndex)).toEqual([0, 1, 2, 3, 4]);
+    expect(scheduler.getStats()).toMatchObject({ chunksQueued: 5, chunksSent: 5, queuedChunks: 0, maxQueueDepth: 3 });
+  });
+
+  test('sends an event only after every chunk queued before it, and restarts the playback clock', () => {
+    const sent = [];
+    const scheduler = createScheduler({ onSent: item => sent.push(item.type) });
+
+    enqueueChunks(scheduler, 3);
+    scheduler.enqueueEvent('audio-complete', { totalChunks: 3 });
+    expect(socket.sent.map(({ event }) => event)).toEqual(['audio-chunk', 'audio-chunk']);
+
+    jest.advanceTimersByTime(10);
+
+    expect(socket.sent.map(({ event }) => event)).toEqual(['audio-chunk', 'audio-chunk', 'audio-chunk', 'audio-complete']);
+    expect(sent).toEqual(['chunk', 'chunk', 'chunk', 'event']);
+    expect(scheduler.bufferedMs()).toBe(0);
+  });
+
+  test('counts a chunk as late when the client would already have run out of audio', () => {
+    const scheduler = createScheduler();
+    scheduler.enqueue({}, { durationMs: 100 });
+
+    // Within the tolerance of the 100 ms the client has buffered
+    jest.advanceTimersByTime(110);
+    scheduler.enqueue({}, { durationMs: 100 });
+    expect(scheduler.getStats().chunksLate).toBe(0);
+
+    jest.advanceTimersByTime(200);
+    scheduler.enqueue({}, { durationMs: 100 });
+    expect(scheduler.getStats().chunksLate).toBe(1);
+
+    // A new response after an event starts its own playback and is never late
+    scheduler.enqueueEvent('audio-complete', {});
+    jest.advanceTimersByTime(500);
+    scheduler.enqueue({}, { durationMs: 100 });
+    expect(scheduler.getStats().chunksLate).toBe(1);
+  });
+
+  describe('with acknowledgements', () => {
+    test('holds chunks back while maxInFlight are unacknowledged', () => {
+      const scheduler = createScheduler({ useAcks: true });
+
+      enqueueChunks(scheduler, 3, 10);
+      expect(socket.sent).toHaveLength(2);
+      expect(scheduler.getStats()).toMatchObject({ inFlight: 2, queuedChunks: 1, acks: true });
+
+      jest.advanceTimersByTime(40);
+      socket.acks[0]();
+
+      expect(socket.sent).toHaveLength(3);
+      expect(scheduler.getStats()).toMatchObject({ chunksAcked: 1, averageAckMs: 40, inFlight: 2, queuedChunks: 0 });
+    });
+
+    test('frees the slot of a chunk whose acknowledgement times out', () => {
+      const scheduler = createScheduler({ useAcks: true });
+
+      enqueueChunks(scheduler, 3, 10);
+      jest.advanceTimersByTime(999);
+      expect(socket.sent).toHaveLength(2);
+
+      jest.advanceTimersByTime(1);
+
+      expect(socket.sent).toHaveLength(3);
+      expect(scheduler.getStats()).toMatchObject({ ackTimeouts: 2, chunksAcked: 0, averageAckMs: null, inFlight: 1 });
+    });
+
+    test('counts a chunk acknowledged after it should have started playing as late', () => {
+      const scheduler = createScheduler({ useAcks: true });
+      enqueueChunks(scheduler, 2);
+
+      // The second chunk is due to play 100 ms in, after the first
+      jest.advanceTimersByTime(150);
+      socket.acks[0]();
+      socket.acks[1]();
+
+      expect(scheduler.getStats()).toMatchObject({ chunksAcked: 2, chunksLate: 1 });
+    });
+  });
+
+  test('clear drops the queued chunks and the pending send on an interruption', () => {
+    const scheduler = createScheduler();
+    enqueueChunks(scheduler, 5);
+
+    expect(scheduler.clear()).toBe(3);
+    jest.advanceTimersByTime(1000);
+
+    expect(socket.sent).toHaveLength(2);
+    expect(scheduler.getStats()).toMatchObject({ chunksDropped: 3, queuedChunks: 0, bufferedMs: 0 });
+
+    // The next response is delivered straight away
+    scheduler.enqueue({}, { durationMs: 100 });
+    expect(socket.sent).toHaveLength(3);
+  });
+
+  test('drops chunks for a disconnected socket', () => {
+    const scheduler = createScheduler();
+    socket.connected = false;
+
+    enqueueChunks(scheduler, 2);
+
+    expect(socket.sent).toEqual([]);
+    expect(scheduler.getStats()).toMatchObject({ chunksSent: 0, chunksDropped: 2 });
+  });
+
+  test('close stops delivery and ignores anything queued afterwards', () => {
+    const scheduler = createScheduler();
+    enqueueChunks(scheduler, 4);
+
+    scheduler.close();
+    scheduler.enqueue({}, { durationMs: 100 });
+    scheduler.enqueueEvent('audio-complete', {});
+    jest.advanceTimersByTime(1000);
+
+    expect(socket.sent).toHaveLength(2);
+    expect(scheduler.getStats()).toMatchObject({ chunksQueued: 4, chunksDropped: 2, queuedChunks: 0 });
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  HEADER_SIZE,
+  FRAME_TYPES,
+  isBinaryPayload,
+  toBuffer,
+  encodeAudioFrame,
+  decodeAudioFrame,
+  negotiateAudioTransport
+} = require('../../../src/websocket/protocol/binaryFrames');
+
+const AUDIO = Buffer.from([0x10, 0x20, 0x30, 0x40, 0x50]);
+
+describe('binary audio frames', () => {
+  test('lay out the header as documented', () => {
+    const frame = encodeAudioFrame(AUDIO, { chunkIndex: 0x01020304, isFirstChunk: true });
+
+    expect(frame.length).toBe(HEADER_SIZE + AUDIO.length);
+    expect(Array.from(frame.subarray(0, HEADER_SIZE))).toEqual([1, FRAME_TYPES.AUDIO, 0x01, 0, 0x04, 0x03, 0x02, 0x01]);
+    expect(frame.subarray(HEADER_SIZE)).toEqual(AUDIO);
+  });
+
+  test.each([
+    [{}, { chunkIndex: 0, isFirstChunk: false, isLastChunk: false }],
+    [{ chunkIndex: 7, isFirstChunk: true }, { chunkIndex: 7, isFirstChunk: true, isLastChunk: false }],
+    [{ chunkIndex: 42, isLastChunk: true }, { chunkIndex: 42, isFirstChunk: false, isLastChunk: true }],
+    [{ chunkIndex: 0xffffffff, isFirstChunk: true, isLastChunk: true }, { chunkIndex: 0xffffffff, isFirstChunk: true, isLastChunk: true }]
+  ])('round-trip an audio frame encoded with %p', (options, expected) => {
+    const decoded = decodeAudioFrame(encodeAudioFrame(AUDIO, options));
+
+    expect(decoded).toMatchObject(expected);
+    expect(decoded.audio).toEqual(AUDIO);
+  });
+
+  test('round-trip a frame with no audio', () => {
+    expect(decodeAudioFrame(encodeAudioFrame(Buffer.alloc(0), { chunkIndex: 3 }))).toEqual({
+      chunkIndex: 3,
+      isFirstChunk: false,
+      isLastChunk: false,
+      audio: Buffer.alloc(0)
+    });
+  });
+
+  test('decode the ArrayBuffer and typed-array views browsers send', () => {
+    const frame = encodeAudioFrame(AUDIO, { chunkIndex: 9 });
+    const arrayBuffer = frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length);
+
+    // A view that starts part-way into a larger buffer
+    const padded = new Uint8Array(frame.length + 4);
+    padded.set(frame, 4);
+    const view = new Uint8Array(padded.buffer, 4, frame.length);
+
+    [arrayBuffer, new Uint8Array(arrayBuffer), view].forEach(data => {
+      expect(isBinaryPayload(data)).toBe(true);
+      expect(decodeAudioFrame(data)).toMatchObject({ chunkIndex: 9, audio: AUDIO });
+    });
+  });
+
+  test('toBuffer shares memory with the payload instead of copying it', () => {
+    const bytes = new Uint8Array([1, 2, 3]);
+
+    toBuffer(bytes)[0] = 9;
+
+    expect(bytes[0]).toBe(9);
+  });
+
+  test.each([
+    ['a base64 string', 'AAEC'],
+    ['a JSON payload', { audio: 'AAEC' }],
+    ['nothing', null]
+  ])('do not treat %s as binary', (name, data) => {
+    expect(isBinaryPayload(data)).toBe(false);
+  });
+
+  describe('decodeAudioFrame rejects', () => {
+    const frame = () => encodeAudioFrame(AUDIO, { chunkIndex: 1 });
+
+    test.each([0, 1, HEADER_SIZE - 1])('a frame truncated to %i bytes', (length) => {
+      expect(() => decodeAudioFrame(frame().subarray(0, length)))
+        .toThrow(`Binary audio frame is ${length} bytes, shorter than the ${HEADER_SIZE}-byte header`);
+    });
+
+    test('an unknown protocol version', () => {
+      const data = frame();
+      data[0] = 2;
+
+      expect(() => decodeAudioFrame(data)).toThrow('Unsupported binary frame version 2');
+    });
+
+    test('an unknown frame type', () => {
+      const data = frame();
+      data[1] = 0;
+
+      expect(() => decodeAudioFrame(data)).toThrow('Unsupported binary frame type 0');
+    });
+  });
+
+  test('negotiateAudioTransport defaults to base64 and rejects unknown transports', () => {
+    expect(negotiateAudioTransport(undefined)).toBe('base64');
+    expect(negotiateAudioTransport(null)).toBe('base64');
+    expect(negotiateAudioTransport('binary')).toBe('binary');
+    expect(() => negotiateAudioTransport('protobuf'))
+      .toThrow('Unsupported audioTransport "protobuf" - expected one of base64, binary');
+  });
+});
@@ -0,0 +1,240 @@
+const http = require('http');
+const { io: connect } = require('socket.io-client');
+const SocketServerLive = require('../../src/websocket/SocketServerLive');
+const sessionManager = require('../../src/services/SessionManager');
+const apiKeyPool = require('../../src/services/ApiKeyPool');
+const config = require('../../src/config/environment');
+
+// Resolve with the payload of the next `event`, or fail after `timeoutMs`
+const nextEvent = (socket, event, timeoutMs = 3000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} event within ${timeoutMs}ms`)), timeoutMs);
+  socket.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+// Resolve once `object[method]` has finished a call whose arguments match `predicate`
+const whenCalled = (object, method, predicate = () => true) => new Promise((resolve) => {
+  const original = object[method];
+  const spy = jest.spyOn(object, method).mockImplementation(async function (...args) {
+    const result = await original.apply(this, args);
+    if (predicate(...args)) {
+      spy.mockRestore();
+      resolve(result);
+    }
+    return result;
+  });
+});
+
+describe('Socket.IO voice flow against the mock Live server', () => {
+  let server;
+  let socketServer;
+  let client;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    socketServer = new SocketServerLive();
+    await socketServer.initialize(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await socketServer.shutdown();
+    await sessionManager.shutdown();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // A client of the test server; `auth` is sent in its handshake
+  const openClient = (auth = {}) => connect(`http://127.0.0.1:${server.address().port}`, {
+    transports: ['websocket'],
+    reconnection: false,
+    auth
+  });
+
+  beforeEach(async () => {
+    client = openClient();
+    await nextEvent(client, 'connect');
+  });
+
+  afterEach(() => {
+    client.disconnect();
+  });
+
+  test('starts a session and streams a text turn back as audio', async () => {
+    client.emit('start-conversation', { userId: 'tester' });
+    const status = await nextEvent(client, 'session-status');
+
+    expect(status).toMatchObject({ status: 'active', language: expect.any(String) });
+    expect(status.sessionId).toEqual(expect.any(String));
+
+    const chunks = [];
+    client.on('audio-chunk', chunk => chunks.push(chunk));
+    const textResponse = nextEvent(client, 'text-response');
+    const complete = nextEvent(client, 'audio-complete');
+
+    client.emit('text-input', { text: 'Who are you?' });
+
+    expect(await textResponse).toMatchObject({ sessionId: status.sessionId, text: expect.stringContaining('Sova') });
+    const summary = await complete;
+
+    // audio-complete is only sent once every chunk of the response has gone out
+    expect(summary).toMatchObject({ sessionId: status.sessionId, totalChunks: chunks.length });
+    expect(chunks.length).toBeGreaterThan(0);
+    expect(sessionManager.getSession(status.sessionId).status).toBe('active');
+  });
+
+  test('rejects an unsupported output format without creating a session', async () => {
+    const sessionsBefore = sessionManager.sessions.size;
+
+    client.emit('start-conversation', { outputFormat: 'mp3' });
+    const error = await nextEvent(client, 'error');
+
+    expect(error.type).toBe('unsupported-audio-format');
+    expect(sessionManager.sessions.size).toBe(sessionsBefore);
+  });
+
+  test('reports invalid text input', async () => {
+    client.emit('start-conversation', {});
+    await nextEvent(client, 'session-status');
+
+    client.emit('text-input', { text: '   ' });
+    const error = await nextEvent(client, 'error');
+
+    expect(error).toEqual({ type: 'invalid-input', message: 'No text provided' });
+  });
+
+  test('reset-session only acts on the socket\'s own session', async () => {
+    client.emit('start-conversation', {});
+    const { sessionId } = await nextEvent(client, 'session-status');
+    const other = openClient();
+
+    try {
+      await nextEvent(other, 'connect');
+      other.emit('start-conversation', {});
+      await nextEvent(other, 'session-status');
+      const endUserTurn = jest.spyOn(socketServer.voiceHandler, 'endUserTurn');
+
+      other.emit('reset-session', { sessionId });
+      const error = await nextEvent(other, 'error');
+
+      expect(error).toEqual({ type: 'session-mismatch', message: 'Session does not belong to this connection' });
+      expect(endUserTurn).not.toHaveBeenCalled();
+    } finally {
+      jest.restoreAllMocks();
+      other.disconnect();
+    }
+  });
+
+  describe('resuming a dropped session', () => {
+    let resumed;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      resumed?.disconnect();
+      resumed = null;
+    });
+
+    // Start a conversation, then drop the client's connection the way a network change does
+    const startAndDrop = async () => {
+      client.emit('start-conversation', {});
+      const status = await nextEvent(client, 'session-status');
+      const suspended = whenCalled(socketServer.voiceHandler, 'suspendSession');
+
+      client.io.engine.close();
+      await suspended;
+
+      return status;
+    };
+
+    // Reconnect with `resumeToken`, resolving with the first resume outcome the server sends
+    const resume = (resumeToken) => {
+      resumed = openClient({ resumeToken });
+      return Promise.race([nextEvent(resumed, 'session-resumed'), nextEvent(resumed, 'error')]);
+    };
+
+    test('rejects an unknown resume token', async () => {
+      const error = await resume('not-a-token');
+
+      expect(error).toMatchObject({ type: 'resume-failed', details: { code: 'UNKNOWN_RESUME_TOKEN' } });
+    });
+
+    test('re-attaches the session to the new socket with what the model said in the meantime', async () => {
+      const { sessionId, resumeToken } = await startAndDrop();
+      const session = sessionManager.getSession(sessionId);
+      expect(session.status).toBe('suspended');
+
+      // The model answers while nobody is connected
+      const answered = whenCalled(socketServer.voiceHandler, 'handleTranscriptFromGemini',
+        (id, transcript) => transcript.isFinal && transcript.role === 'assistant');
+      await session.geminiSession.sendTextInput('Who are you?', sessionId);
+      await answered;
+
+      const resumedStatus = await resume(resumeToken);
+
+      expect(resumedStatus).toMatchObject({ sessionId, status: 'active', responseCancelled: false });
+      expect(resumedStatus.missedMessages).toEqual([
+        expect.objectContaining({ role: 'assistant', content: expect.stringContaining('Sova') })
+      ]);
+      expect(resumedStatus.resumeToken).not.toBe(resumeToken);
+      expect(session).toMatchObject({ status: 'active', socketId: resumed.id });
+
+      // The next response is streamed to the new socket
+      const chunks = [];
+      resumed.on('audio-chunk', chunk => chunks.push(chunk));
+      const complete = nextEvent(resumed, 'audio-complete');
+      resumed.emit('text-input', { text: 'Who are you?' });
+
+      expect(await complete).toMatchObject({ sessionId, totalChunks: chunks.length });
+      expect(chunks.length).toBeGreaterThan(0);
+    });
+
+    test('a resume token works only once', async () => {
+      const { resumeToken } = await startAndDrop();
+      await resume(resumeToken);
+      resumed.disconnect();
+
+      const error = await resume(resumeToken);
+
+      expect(error).toMatchObject({ type: 'resume-failed', details: { code: 'UNKNOWN_RESUME_TOKEN' } });
+    });
+
+    test('ends the session and hands its key back when the grace period runs out', async () => {
+      const graceMs = config.websocket.resumeGraceMs;
+      config.websocket.resumeGraceMs = 50;
+      const release = jest.spyOn(apiKeyPool, 'release');
+
+      try {
+        const expired = whenCalled(socketServer.voiceHandler, 'expireSuspendedSession');
+        const { sessionId, resumeToken } = await startAndDrop();
+        const key = sessionManager.getSession(sessionId).geminiSession.apiKey;
+        await expired;
+
+        expect(sessionManager.getSession(sessionId)).toBeUndefined();
+        expect(socketServer.voiceHandler.activeSessions.has(sessionId)).toBe(false);
+        expect(release).toHaveBeenCalledWith(key);
+
+        const error = await resume(resumeToken);
+        expect(error).toMatchObject({ type: 'resume-failed', details: { code: 'UNKNOWN_RESUME_TOKEN' } });
+      } finally {
+        config.websocket.resumeGraceMs = graceMs;
+      }
+    });
+  });
+});
+
+describe('SocketServerLive.initialize', () => {
+  test('fails when the cluster Socket.IO adapter cannot be attached', async () => {
+    const adapter = config.cluster.adapter;
+    config.cluster.adapter = 'carrier-pigeon';
+    const socketServer = new SocketServerLive();
+
+    try {
+      await expect(socketServer.initialize(http.createServer()))
+        .rejects.toThrow('Could not attach the carrier-pigeon Socket.IO adapter: Unknown Socket.IO adapter: carrier-pigeon');
+    } finally {
+      config.cluster.adapter = adapter;
+      socketServer.io.close();
+    }
+  });
+});